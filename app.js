@@ -1,26 +1,49 @@
 const express = require("express");
 const bodyParser = require("body-parser");
 const cookieParser = require("cookie-parser");
-const courtRoutes = require("./routes/courtRoutes");
-const adminRoutes = require("./routes/adminRoutes");
-const timeSlotRoutes = require("./routes/timeSlotRoutes");
-const bookingRoutes = require("./routes/bookingRoutes");
+const routes = require("./routes");
+const docsRoutes = require("./routes/docsRoutes");
 const auth = require("./middlewares/authMiddleware");
+const requestLog = require("./middlewares/requestLog");
+const jobsConfig = require("./config/jobs");
+const { startScheduler } = require("./jobs/runner");
 
 const app = express();
 
+// Behind a reverse proxy: hop count or trusted addresses, so req.ip (used by
+// the public rate limits) is the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+  );
+}
+
+// One line per request with the admin and session or API key behind it
+// (REQUEST_LOG=false turns it off)
+if (process.env.REQUEST_LOG !== "false") app.use(requestLog());
+
 app.use(bodyParser.json());
 app.use(cookieParser());
 
-// Public routes (test connection + login/logout)
-app.use("/", adminRoutes);
+// API route groups (see routes/index.js); protected groups require login
+for (const { path, router, authenticated } of routes) {
+  if (authenticated) app.use(path, auth(), router);
+  else app.use(path, router);
+}
+
+// OpenAPI document and Swagger UI generated from the route schemas
+app.use("/docs", docsRoutes);
 
-// Protect following route groups with auth middleware
-app.use("/courts", auth(), courtRoutes);
-app.use("/time-slots", auth(), timeSlotRoutes);
-app.use("/bookings", auth(), bookingRoutes);
+// Started with `node app.js`; the tests require the app and listen themselves
+if (require.main === module) {
+  const port = 3000;
+  app.listen(port, () => {
+    console.log(`Server running on port ${port}`);
+    // Auto-complete, no-shows, waitlist expiry, reminders and notifications
+    if (jobsConfig.enabled) startScheduler();
+  });
+}
 
-const port = 3000;
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
-});
+module.exports = app;
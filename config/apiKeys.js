@@ -0,0 +1,14 @@
+// API key settings, read from the environment (see .env.example)
+require("dotenv").config();
+
+function days(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  // Lifetime of a key when the request does not ask for one
+  defaultDays: days(process.env.API_KEY_DAYS, 90),
+  // Longest lifetime a request may ask for
+  maxDays: days(process.env.API_KEY_MAX_DAYS, 365),
+};
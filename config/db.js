@@ -6,6 +6,9 @@ const pool = mysql.createPool({
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
   database: process.env.DB_NAME,
+  // DATE columns as "YYYY-MM-DD" strings, like the memory repositories; as
+  // Date objects they would serialize as UTC timestamps of local midnight
+  dateStrings: ["DATE"],
 });
 
 // fungsi query biasa
@@ -32,11 +35,12 @@ async function callProcedure(procedureName, params = []) {
   }
 }
 
+// fungsi call function (scalar)
 async function callFunction(functionName, params = []) {
   try {
     const placeholders = params.map(() => "?").join(", ");
     const query = `SELECT ${functionName}(${placeholders}) as result`;
-    const [results] = await this.pool.execute(query, params);
+    const [results] = await pool.execute(query, params);
     return results[0].result;
   } catch (error) {
     console.error(`Database error in ${functionName}:`, error);
@@ -44,9 +48,25 @@ async function callFunction(functionName, params = []) {
   }
 }
 
+// fungsi koneksi khusus (migrations: DDL lewat text protocol, tanpa prepare)
+async function withConnection(callback) {
+  const connection = await pool.getConnection();
+  try {
+    return await callback(connection);
+  } finally {
+    connection.release();
+  }
+}
+
 // fungsi tutup pool
 async function close() {
   await pool.end();
 }
 
-module.exports = { query, callProcedure, callFunction, close };
+module.exports = {
+  query,
+  callProcedure,
+  callFunction,
+  withConnection,
+  close,
+};
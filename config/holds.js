@@ -0,0 +1,14 @@
+// Slot hold settings, read from the environment (see .env.example)
+require("dotenv").config();
+
+function minutes(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  // Length of a hold when the request does not ask for one
+  defaultMinutes: minutes(process.env.HOLD_MINUTES, 10),
+  // Longest hold a request may ask for
+  maxMinutes: minutes(process.env.HOLD_MAX_MINUTES, 30),
+};
@@ -0,0 +1,25 @@
+// Background job settings, read from the environment (see .env.example)
+require("dotenv").config();
+
+function minutes(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  // In-process scheduler; disable when jobs run from cron via the CLI instead
+  enabled: process.env.JOBS_ENABLED !== "false",
+  // Minutes after the slot start before an unpaid booking counts as a no-show
+  noShowGraceMinutes: minutes(process.env.NO_SHOW_GRACE_MINUTES, 30),
+  // "flag" marks no-shows as no_show, "cancel" cancels them
+  noShowAction: process.env.NO_SHOW_ACTION === "cancel" ? "cancel" : "flag",
+  // Run interval per job, in minutes
+  intervals: {
+    "complete-bookings": minutes(process.env.JOB_COMPLETE_BOOKINGS_MINUTES, 15),
+    "no-shows": minutes(process.env.JOB_NO_SHOWS_MINUTES, 15),
+    "expire-waitlist-offers": minutes(process.env.JOB_WAITLIST_MINUTES, 1),
+    "send-reminders": minutes(process.env.JOB_REMINDERS_MINUTES, 15),
+    "dispatch-notifications": minutes(process.env.JOB_NOTIFICATIONS_MINUTES, 1),
+    "release-expired-holds": minutes(process.env.JOB_HOLDS_MINUTES, 1),
+  },
+};
@@ -0,0 +1,34 @@
+// Login brute-force protection settings, read from the environment (see
+// .env.example)
+require("dotenv").config();
+
+function positive(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  // Where attempts and lockouts are kept: "database" (login_attempts table,
+  // shared by every app instance) or "memory" (this process only, lost on
+  // restart)
+  store: process.env.LOGIN_GUARD_STORE === "memory" ? "memory" : "database",
+  // Attempts kept by the memory store
+  memoryMaxAttempts: 10000,
+  // Failed logins count for this long
+  windowMinutes: positive(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 15),
+  // Length of a lockout
+  lockMinutes: positive(process.env.LOGIN_LOCK_MINUTES, 15),
+  // Per username (failures since its last successful login) and per client
+  // IP: after delayAfter failures each attempt has to wait, doubling from
+  // baseDelaySeconds up to maxDelaySeconds; lockAfter failures lock it
+  username: {
+    delayAfter: 2,
+    lockAfter: positive(process.env.LOGIN_MAX_FAILURES, 5),
+  },
+  ip: {
+    delayAfter: 10,
+    lockAfter: positive(process.env.LOGIN_MAX_IP_FAILURES, 30),
+  },
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 60,
+};
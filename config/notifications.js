@@ -0,0 +1,50 @@
+// Notification settings, read from the environment (see .env.example).
+// Each channel is delivered by a named transport; "console" and "file" are
+// for local testing.
+require("dotenv").config();
+
+function list(value, fallback) {
+  return (value || fallback)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  // Set NOTIFICATIONS_ENABLED=false to skip queueing entirely (e.g. in tests)
+  enabled: process.env.NOTIFICATIONS_ENABLED !== "false",
+  // Channels a customer is notified on (if they have the matching contact)
+  channels: list(process.env.NOTIFICATION_CHANNELS, "whatsapp"),
+  // Transport used by each channel: console | file | smtp | gateway
+  transports: {
+    email: process.env.NOTIFICATION_EMAIL_TRANSPORT || "console",
+    whatsapp: process.env.NOTIFICATION_WHATSAPP_TRANSPORT || "console",
+    sms: process.env.NOTIFICATION_SMS_TRANSPORT || "console",
+  },
+  reminderHours: parseInt(process.env.NOTIFICATION_REMINDER_HOURS) || 24,
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+  retryMinutes: parseInt(process.env.NOTIFICATION_RETRY_MINUTES) || 5,
+  batchSize: parseInt(process.env.NOTIFICATION_BATCH_SIZE) || 50,
+  file: {
+    path: process.env.NOTIFICATION_FILE_PATH || "logs/notifications.log",
+  },
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    from: process.env.SMTP_FROM,
+  },
+  // HTTP gateways: POST { to, message } with a bearer token
+  gateways: {
+    whatsapp: {
+      url: process.env.WHATSAPP_GATEWAY_URL,
+      token: process.env.WHATSAPP_GATEWAY_TOKEN,
+    },
+    sms: {
+      url: process.env.SMS_GATEWAY_URL,
+      token: process.env.SMS_GATEWAY_TOKEN,
+    },
+  },
+};
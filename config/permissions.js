@@ -0,0 +1,60 @@
+// Role-based permissions. Roles are stored in admins.role and loaded with the
+// session on every request. "*" grants every permission.
+// API keys carry a subset of these as their scopes (see migration 0006).
+
+const ROLES = ["owner", "manager", "cashier"];
+
+const ROLE_PERMISSIONS = {
+  owner: ["*"],
+  manager: [
+    "courts:read",
+    "courts:write",
+    "courts:delete",
+    "pricing:write",
+    "time-slots:read",
+    "time-slots:write",
+    "time-slots:delete",
+    "bookings:read",
+    "bookings:write",
+    "customers:read",
+    "customers:write",
+    "customers:delete",
+    "reports:read",
+    "audit:read",
+    "payments:refund",
+    "notifications:read",
+    "notifications:send",
+  ],
+  cashier: [
+    "courts:read",
+    "time-slots:read",
+    "bookings:read",
+    "bookings:write",
+    "customers:read",
+    "customers:write",
+  ],
+};
+
+// Every permission name; the scopes an API key may carry
+const PERMISSIONS = [
+  ...new Set([...ROLE_PERMISSIONS.manager, "admins:manage", "jobs:manage"]),
+].sort();
+
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes("*") || granted.includes(permission);
+}
+
+// req.user may act on a permission: granted by the admin's role and, for
+// requests made with an API key, within the key's scopes
+const allows = (user, permission) =>
+  hasPermission(user.role, permission) &&
+  (!user.scopes || user.scopes.includes(permission));
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  PERMISSIONS,
+  hasPermission,
+  allows,
+};
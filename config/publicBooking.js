@@ -0,0 +1,43 @@
+// Public self-booking settings (/public), read from the environment (see
+// .env.example)
+require("dotenv").config();
+
+function positive(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  // How far ahead customers may book, in days
+  maxDaysAhead: positive(process.env.PUBLIC_BOOKING_MAX_DAYS_AHEAD, 30),
+  // Upcoming confirmed online bookings allowed per phone number
+  maxActivePerPhone: positive(process.env.PUBLIC_BOOKING_MAX_ACTIVE, 3),
+  // Online bookings can be cancelled until this long before the slot starts
+  cancelNoticeMinutes: positive(
+    process.env.PUBLIC_BOOKING_CANCEL_NOTICE_MINUTES,
+    120
+  ),
+  // Requests per client IP and window
+  rateLimits: {
+    // Court list and availability
+    browse: {
+      max: positive(process.env.PUBLIC_BROWSE_RATE_LIMIT, 120),
+      windowMinutes: 1,
+    },
+    // Slot holds
+    hold: {
+      max: positive(process.env.PUBLIC_HOLD_RATE_LIMIT, 10),
+      windowMinutes: 15,
+    },
+    // New bookings
+    book: {
+      max: positive(process.env.PUBLIC_BOOKING_RATE_LIMIT, 5),
+      windowMinutes: 60,
+    },
+    // Lookups and cancellations by confirmation code (guessing protection)
+    lookup: {
+      max: positive(process.env.PUBLIC_LOOKUP_RATE_LIMIT, 30),
+      windowMinutes: 15,
+    },
+  },
+};
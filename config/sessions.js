@@ -0,0 +1,15 @@
+// Login session settings, read from the environment (see .env.example)
+require("dotenv").config();
+
+function positive(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET || "dev_secret_change_me",
+  // Lifetime of the access token (authToken cookie); POST /refresh renews it
+  accessTokenMinutes: positive(process.env.ACCESS_TOKEN_MINUTES, 15),
+  // A session ends after this many days without a refresh
+  sessionDays: positive(process.env.SESSION_DAYS, 30),
+};
@@ -0,0 +1,13 @@
+// Waitlist settings, read from the environment (see .env.example)
+require("dotenv").config();
+
+function positive(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  // Minutes a customer has to accept an offered slot, unless the entry asks
+  // for its own offer_minutes
+  offerMinutes: positive(process.env.WAITLIST_OFFER_MINUTES, 30),
+};
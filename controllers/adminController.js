@@ -1,29 +1,36 @@
-const db = require("../config/db");
-const jwt = require("jsonwebtoken");
-const crypto = require("crypto");
-
-const JWT_SECRET = process.env.JWT_SECRET || "dev_secret_change_me";
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "1d"; // e.g. 1h, 1d
-
-const buildTokenPayload = (admin) => ({
-  admin_id: admin.admin_id,
-  username: admin.username,
-  full_name: admin.full_name,
-  email: admin.email,
-});
+const { repositories } = require("../repositories");
+const {
+  hashPassword,
+  verifyPassword,
+  dummyVerify,
+} = require("../utils/password");
+const loginGuard = require("../services/loginGuard");
+const {
+  sessionMinutes,
+  newRefreshToken,
+  hashRefreshToken,
+  setSessionCookies,
+  clearSessionCookies,
+  sessionUser,
+} = require("../utils/sessions");
+const {
+  DomainError,
+  sendError,
+  sendCodedError,
+  handleError,
+} = require("../utils/errors");
+const { t } = require("../utils/i18n");
 
-const cookieOptions = {
-  httpOnly: true,
-  secure: process.env.NODE_ENV === "production", // set true behind HTTPS
-  sameSite: "lax",
-  maxAge: 24 * 60 * 60 * 1000, // 1 day default
-  path: "/",
-};
+// Device details recorded with a session
+const sessionClient = (req) => ({
+  user_agent: req.get("user-agent") || null,
+  ip_address: req.ip,
+  lifetime_minutes: sessionMinutes(),
+});
 
 const testConnection = async (req, res) => {
   try {
-    const results = await db.callProcedure("sp_test_connection");
-    const connectionTest = results[0][0];
+    const connectionTest = await repositories().system.health();
 
     const responseStatus = connectionTest.system_status === "ready" ? 200 : 206;
 
@@ -48,19 +55,20 @@ const testConnection = async (req, res) => {
       },
       message:
         connectionTest.system_status === "ready"
-          ? "Database connection and system health check passed"
-          : "Database connected but system setup incomplete",
+          ? t(req, "admins.systemReady")
+          : t(req, "admins.setupIncomplete"),
     });
   } catch (error) {
     res.status(500).json({
       success: false,
+      code: "DATABASE_UNAVAILABLE",
       data: {
         status: "failed",
         message: "Database connection failed",
         error: error.message,
         server_time: new Date().toISOString(),
       },
-      message: "Database connection test failed",
+      message: t(req, "admins.connectionTestFailed"),
     });
   }
 };
@@ -68,77 +76,249 @@ const testConnection = async (req, res) => {
 const login = async (req, res) => {
   try {
     const { username, password } = req.body;
-    if (!username || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Username and password are required",
-      });
-    }
 
-    const hashedPassword = crypto
-      .createHash("md5")
-      .update(password)
-      .digest("hex");
-    const results = await db.callProcedure("sp_admin_login", [
+    const client = {
       username,
-      hashedPassword,
-    ]);
-    const loginResult = results[0][0];
-
-    if (loginResult.status === "success") {
-      const payload = buildTokenPayload(loginResult);
-      const token = jwt.sign(payload, JWT_SECRET, {
-        expiresIn: JWT_EXPIRES_IN,
+      ip_address: req.ip,
+      user_agent: req.get("user-agent") || null,
+    };
+    const refusal = await loginGuard.checkAttempt(client);
+    if (refusal) {
+      res.set("Retry-After", String(refusal.retryAfter));
+      return sendCodedError(res, refusal.code, refusal.params);
+    }
+
+    const { admins } = repositories();
+    const admin = await admins.findCredentials(username);
+    const verification = admin
+      ? await verifyPassword(password, admin.password)
+      : await dummyVerify(password);
+    const success = verification.valid && admin.status === "active";
+    await loginGuard.recordAttempt({
+      ...client,
+      admin_id: admin ? admin.admin_id : null,
+      success,
+    });
+
+    if (success) {
+      // Transparently upgrade legacy MD5 (or weaker scrypt) hashes
+      if (verification.needsRehash) {
+        await admins.changePassword(
+          admin.admin_id,
+          await hashPassword(password)
+        );
+      }
+
+      const refreshToken = newRefreshToken();
+      const session = await repositories().sessions.create({
+        admin_id: admin.admin_id,
+        refresh_hash: hashRefreshToken(refreshToken),
+        ...sessionClient(req),
       });
+      const user = sessionUser({ ...admin, ...session });
 
-      res
-        .cookie("authToken", token, cookieOptions)
+      setSessionCookies(res, user, refreshToken)
         .status(200)
         .json({
           success: true,
-          message: "Login successful",
-          data: { ...payload },
+          message: t(req, "auth.loggedIn"),
+          data: user,
         });
     } else {
-      res
-        .status(401)
-        .json({ success: false, message: "Invalid username or password" });
+      sendCodedError(res, "INVALID_CREDENTIALS");
     }
   } catch (error) {
-    res
-      .status(500)
-      .json({ success: false, message: error.message || "Login failed" });
+    handleError(res, error, "failed.login");
   }
 };
 
+// New access token for the refreshToken cookie; the refresh token is
+// replaced as well. Failing refreshes clear both cookies.
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.cookies || {};
+    if (!refreshToken) return sendCodedError(res, "AUTH_TOKEN_MISSING");
+
+    const nextToken = newRefreshToken();
+    const session = await repositories().sessions.rotate(
+      hashRefreshToken(refreshToken),
+      hashRefreshToken(nextToken),
+      sessionClient(req)
+    );
+    const user = sessionUser(session);
+    setSessionCookies(res, user, nextToken)
+      .status(200)
+      .json({ success: true, data: user, message: t(req, "auth.refreshed") });
+  } catch (error) {
+    if (error instanceof DomainError) clearSessionCookies(res);
+    handleError(res, error, "failed.refreshSession");
+  }
+};
+
+// Ends the session of the refreshToken cookie
 const logout = async (req, res) => {
   try {
-    res
-      .clearCookie("authToken", { path: "/" })
+    const { refreshToken } = req.cookies || {};
+    if (refreshToken) {
+      await repositories().sessions.revokeByToken(
+        hashRefreshToken(refreshToken)
+      );
+    }
+    clearSessionCookies(res)
       .status(200)
-      .json({ success: true, message: "Logout successful" });
+      .json({ success: true, message: t(req, "auth.loggedOut") });
   } catch (error) {
-    res
-      .status(500)
-      .json({ success: false, message: error.message || "Logout failed" });
+    handleError(res, error, "failed.logout");
   }
 };
 
-// Return profile from token (assumes authMiddleware validated it and set req.user)
+// Return profile of the session (assumes authMiddleware validated it and set req.user)
 const getProfile = async (req, res) => {
   try {
     if (!req.user) {
-      return res.status(401).json({ success: false, message: "Unauthorized" });
+      return sendError(res, 401, t(req, "auth.unauthorized"));
+    }
+    res.status(200).json({
+      success: true,
+      data: req.user,
+      message: t(req, "auth.profileRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveProfile");
+  }
+};
+
+// Body: { locale } - "id", "en" or null to follow Accept-Language again.
+const updatePreferences = async (req, res) => {
+  try {
+    const { locale = null } = req.body;
+    await repositories().admins.setLocale(req.user.admin_id, locale);
+
+    req.user = { ...req.user, locale };
+    res.status(200).json({
+      success: true,
+      data: req.user,
+      message: t(req, "auth.preferencesUpdated"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.updatePreferences");
+  }
+};
+
+// List all admin accounts
+const getAllAdmins = async (req, res) => {
+  try {
+    const admins = await repositories().admins.findAll();
+    res.status(200).json({
+      success: true,
+      data: admins,
+      message: t(req, "admins.listRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveAdmins");
+  }
+};
+
+const getAdminById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const admin = await repositories().admins.findById(id);
+    if (!admin) {
+      return sendCodedError(res, "ADMIN_NOT_FOUND");
+    }
+    res.status(200).json({
+      success: true,
+      data: admin,
+      message: t(req, "admins.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveAdmin");
+  }
+};
+
+// Body: { username, password, full_name, email, role }
+const createAdmin = async (req, res) => {
+  try {
+    const { username, password, full_name, email, role = "cashier" } = req.body;
+
+    const adminId = await repositories().admins.create({
+      username,
+      password: await hashPassword(password),
+      full_name,
+      email,
+      role,
+    });
+    res.status(201).json({
+      success: true,
+      data: { admin_id: adminId },
+      message: t(req, "admins.created"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.createAdmin");
+  }
+};
+
+// Partial update. Body: { full_name, email, role, status }
+const updateAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { full_name, email, role, status } = req.body;
+    // Guard against locking yourself out
+    if (id === req.user.admin_id && (status === "inactive" || role)) {
+      return sendError(res, 400, t(req, "admins.cannotChangeSelf"));
     }
+
+    const { admins, sessions, apiKeys } = repositories();
+    await admins.update(id, {
+      full_name: full_name || null,
+      email: email || null,
+      role: role || null,
+      status: status || null,
+    });
+    // Deactivated admins are logged out everywhere and lose their API keys
+    if (status === "inactive") {
+      await sessions.revokeAll(id);
+      await apiKeys.revokeAll(id);
+    }
+    res.status(200).json({ success: true, message: t(req, "admins.updated") });
+  } catch (error) {
+    handleError(res, error, "failed.updateAdmin");
+  }
+};
+
+// Body: { new_password }
+const resetAdminPassword = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { new_password } = req.body;
+
+    const { admins, sessions, apiKeys } = repositories();
+    if (!(await admins.findById(id))) {
+      return sendCodedError(res, "ADMIN_NOT_FOUND");
+    }
+    await admins.changePassword(id, await hashPassword(new_password));
+    // The old password may be known to someone else: end its sessions and
+    // revoke the API keys that could have been created with it
+    await sessions.revokeAll(id);
+    await apiKeys.revokeAll(id);
     res
       .status(200)
-      .json({ success: true, data: req.user, message: "Profile fetched" });
+      .json({ success: true, message: t(req, "admins.passwordChanged") });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to fetch profile",
-    });
+    handleError(res, error, "failed.resetPassword");
   }
 };
 
-module.exports = { testConnection, login, logout, getProfile };
+module.exports = {
+  testConnection,
+  login,
+  refreshSession,
+  logout,
+  getProfile,
+  updatePreferences,
+  getAllAdmins,
+  getAdminById,
+  createAdmin,
+  updateAdmin,
+  resetAdminPassword,
+};
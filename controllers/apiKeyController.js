@@ -0,0 +1,102 @@
+const { repositories } = require("../repositories");
+const { hasPermission } = require("../config/permissions");
+const config = require("../config/apiKeys");
+const { newApiKey, keyPrefix, hashApiKey } = require("../utils/apiKeys");
+const { sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// API keys for integrations: every admin mints and revokes their own
+// (/me/api-keys, login session required); owners see and revoke any
+// admin's keys (/admins/:id/api-keys).
+
+async function listKeys(req, res, adminId) {
+  try {
+    const keys = await repositories().apiKeys.findByAdmin(adminId);
+    res.status(200).json({
+      success: true,
+      data: keys,
+      message: t(req, "apiKeys.listRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveApiKeys");
+  }
+}
+
+// GET /me/api-keys
+const getMyApiKeys = (req, res) => listKeys(req, res, req.user.admin_id);
+
+// POST /me/api-keys
+// Body: { name, scopes, expires_in_days } - scopes are permission names the
+// admin's role grants. The key is only returned here.
+async function createApiKey(req, res) {
+  try {
+    const { name, scopes, expires_in_days = config.defaultDays } = req.body;
+    const denied = scopes.find((scope) => !hasPermission(req.user.role, scope));
+    if (denied) {
+      return sendCodedError(res, "PERMISSION_DENIED", { permission: denied });
+    }
+
+    const key = newApiKey();
+    const created = await repositories().apiKeys.create({
+      admin_id: req.user.admin_id,
+      name,
+      key_prefix: keyPrefix(key),
+      key_hash: hashApiKey(key),
+      scopes,
+      lifetime_days: expires_in_days,
+    });
+    res.status(201).json({
+      success: true,
+      data: {
+        key_id: created.key_id,
+        name,
+        key,
+        key_prefix: keyPrefix(key),
+        scopes,
+        expires_at: created.expires_at,
+      },
+      message: t(req, "apiKeys.created"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.createApiKey");
+  }
+}
+
+// DELETE /me/api-keys/:id
+async function revokeMyApiKey(req, res) {
+  try {
+    const keyId = req.params.id;
+    await repositories().apiKeys.revoke(keyId, req.user.admin_id);
+    res.status(200).json({ success: true, message: t(req, "apiKeys.revoked") });
+  } catch (error) {
+    handleError(res, error, "failed.revokeApiKey");
+  }
+}
+
+// GET /admins/:id/api-keys
+function getAdminApiKeys(req, res) {
+  return listKeys(req, res, req.params.id);
+}
+
+// DELETE /admins/:id/api-keys - revoke every key of the admin
+async function revokeAdminApiKeys(req, res) {
+  try {
+    const adminId = req.params.id;
+    const count = await repositories().apiKeys.revokeAll(adminId);
+    res.status(200).json({
+      success: true,
+      data: { revoked: count },
+      message: t(req, "apiKeys.revokedAll", { count }),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.revokeApiKey");
+  }
+}
+
+module.exports = {
+  getMyApiKeys,
+  createApiKey,
+  revokeMyApiKey,
+  getAdminApiKeys,
+  revokeAdminApiKeys,
+};
@@ -0,0 +1,46 @@
+const { repositories } = require("../repositories");
+const { parseDateRange } = require("../utils/dateRange");
+const { formatAuditEntry } = require("../utils/audit");
+const { sendError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Search booking changes
+// Query: booking_id, admin_id, action, customer (name or phone fragment),
+//        start_date, end_date (change date), limit, offset
+async function getAuditLog(req, res) {
+  try {
+    const {
+      booking_id = null,
+      admin_id = null,
+      action = null,
+      customer = null,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+    const range = parseDateRange(req.query);
+    if (range.error)
+      return sendError(res, 400, t(req, range.error, range.params));
+
+    const entries = await repositories().audit.findAll({
+      booking_id,
+      changed_by: admin_id,
+      action,
+      customer,
+      start_date: range.start_date,
+      end_date: range.end_date,
+      limit,
+      offset,
+    });
+    const rows = entries.map(formatAuditEntry);
+    res.status(200).json({
+      success: true,
+      data: rows,
+      meta: { limit, offset, count: rows.length },
+      message: t(req, "audit.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveAuditLog");
+  }
+}
+
+module.exports = { getAuditLog };
@@ -0,0 +1,109 @@
+const { repositories } = require("../repositories");
+const { today, addDays, parseDateRange } = require("../utils/dateRange");
+const { sendError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Longest range a single grid request may cover
+const MAX_GRID_DAYS = 31;
+
+// court_id / court_ids as an array or comma separated string -> "1,2" or null
+function parseCourtIds(input) {
+  if (input === undefined) return null;
+  const items = Array.isArray(input) ? input : String(input).split(",");
+  return [...new Set(items.map(Number))].join(",");
+}
+
+// Flat grid rows -> courts[] -> dates[] -> slots[] (rows arrive sorted;
+// booking_date is "YYYY-MM-DD")
+function buildGrid(rows) {
+  const courts = [];
+  const byCourt = new Map();
+  for (const row of rows) {
+    let court = byCourt.get(row.court_id);
+    if (!court) {
+      court = {
+        court_id: row.court_id,
+        court_name: row.court_name,
+        court_status: row.court_status,
+        booked_slots: 0,
+        available_slots: 0,
+        dates: [],
+      };
+      byCourt.set(row.court_id, court);
+      courts.push(court);
+    }
+    let day = court.dates[court.dates.length - 1];
+    if (!day || day.booking_date !== row.booking_date) {
+      day = { booking_date: row.booking_date, slots: [] };
+      court.dates.push(day);
+    }
+    const isBooked = Boolean(row.is_booked);
+    const isHeld = Boolean(row.is_held);
+    // Courts under maintenance, closed or held slots cannot take new bookings
+    const isAvailable =
+      !isBooked && !isHeld && !row.closure_id && row.court_status === "active";
+    if (isBooked) court.booked_slots++;
+    else if (isAvailable) court.available_slots++;
+    day.slots.push({
+      slot_id: row.slot_id,
+      slot_name: row.slot_name,
+      start_time: row.start_time,
+      end_time: row.end_time,
+      is_available: isAvailable,
+      is_held: isHeld,
+      closure: row.closure_id
+        ? { closure_id: row.closure_id, reason: row.closure_reason }
+        : null,
+      booking: isBooked
+        ? {
+            booking_id: row.booking_id,
+            reservation_id: row.reservation_id,
+            series_id: row.series_id,
+            customer_id: row.customer_id,
+            customer_name: row.customer_name,
+            customer_phone: row.customer_phone,
+            payment_status: row.payment_status,
+            booking_status: row.booking_status,
+          }
+        : null,
+    });
+  }
+  return courts;
+}
+
+// Court x slot x date availability matrix
+// Query: start_date, end_date (default: 7 days from today), court_id / court_ids
+async function getAvailabilityGrid(req, res) {
+  try {
+    const start = req.query.start_date || today();
+    const range = parseDateRange(req.query, {
+      maxDays: MAX_GRID_DAYS,
+      defaults: { start_date: start, end_date: addDays(start, 6) },
+    });
+    if (range.error)
+      return sendError(res, 400, t(req, range.error, range.params));
+
+    const courtIds = parseCourtIds(req.query.court_ids ?? req.query.court_id);
+
+    const rows = await repositories().availability.findGrid(
+      range.start_date,
+      range.end_date,
+      courtIds
+    );
+    const courts = buildGrid(rows);
+    res.status(200).json({
+      success: true,
+      data: courts,
+      meta: {
+        start_date: range.start_date,
+        end_date: range.end_date,
+        court_count: courts.length,
+      },
+      message: t(req, "availability.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveAvailability");
+  }
+}
+
+module.exports = { getAvailabilityGrid };
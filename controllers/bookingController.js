@@ -1,89 +1,100 @@
-const db = require("../config/db");
-
-// Helper to standardize error responses
-function sendError(res, statusCode, message) {
-  return res.status(statusCode).json({ success: false, message });
-}
+const { repositories } = require("../repositories");
+const { formatAuditEntry } = require("../utils/audit");
+const { allows } = require("../config/permissions");
+const { resolveCustomer, savedCustomerId } = require("./customerController");
+const { notifyBooking } = require("../services/notifications");
+const { sendICalendar } = require("../utils/ical");
+const { hashHoldToken } = require("./holdController");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
 
 // Create booking
-// Body: { court_id, slot_id, booking_date (YYYY-MM-DD), customer_name, customer_phone, payment_status, notes, created_by }
+// Body: { court_id, slot_id, booking_date (YYYY-MM-DD), customer_name, customer_phone, notes }
+// customer_id may replace customer_name/customer_phone for a known customer
+// hold_token (POST /holds) may replace court_id/slot_id/booking_date
+// created_by is always the logged-in admin
 async function createBooking(req, res) {
   try {
     const {
       court_id,
       slot_id,
       booking_date,
+      hold_token,
+      customer_id,
       customer_name,
       customer_phone,
-      payment_status = "unpaid",
       notes = null,
-      created_by = 1, // default admin id (adjust if using auth)
     } = req.body;
 
-    if (
-      !court_id ||
-      !slot_id ||
-      !booking_date ||
-      !customer_name ||
-      !customer_phone
-    ) {
+    const customer = await resolveCustomer({
+      customer_id,
+      customer_name,
+      customer_phone,
+    });
+    if (customer.error)
       return sendError(
         res,
-        400,
-        "court_id, slot_id, booking_date, customer_name, customer_phone wajib diisi"
+        customer.status,
+        t(req, customer.error, customer.params),
+        customer.code
       );
-    }
 
-    const params = [
-      parseInt(court_id),
-      parseInt(slot_id),
-      booking_date,
-      customer_name,
-      customer_phone,
-      payment_status,
+    const { bookings } = repositories();
+    const details = {
+      customer_name: customer.customer_name,
+      customer_phone: customer.customer_phone,
       notes,
-      parseInt(created_by),
-    ];
-
-    const results = await db.callProcedure("sp_create_booking", params);
-    const row = results[0] && results[0][0];
-    if (row) {
-      if (row.status === "success") {
-        return res.status(201).json({
-          success: true,
-          data: { booking_id: row.booking_id },
-          message: row.message || "Booking berhasil dibuat",
+      created_by: req.user.admin_id,
+    };
+    const booking = hold_token
+      ? await bookings.createFromHold(hashHoldToken(hold_token), details)
+      : await bookings.create({
+          court_id,
+          slot_id,
+          booking_date,
+          ...details,
         });
-      }
-    }
-    return res.status(201).json({ success: true, message: "Booking created" });
+    notifyBooking(booking.booking_id, "confirmation");
+    res.status(201).json({
+      success: true,
+      data: {
+        booking_id: booking.booking_id,
+        customer_id: await savedCustomerId(customer),
+        total_amount: booking.total_amount,
+      },
+      message: t(req, "bookings.created"),
+    });
   } catch (error) {
-    // Business rule violations triggered by SIGNAL -> map to 400
-    const lower = (error.message || "").toLowerCase();
-    if (lower.includes("slot") || lower.includes("lapangan")) {
-      return sendError(res, 400, error.message);
-    }
-    sendError(res, 500, error.message || "Gagal membuat booking");
+    handleError(res, error, "failed.createBooking");
   }
 }
 
 // Get booking by ID
+// Query: format=ics downloads the booking as a calendar event
 async function getBookingById(req, res) {
   try {
     const { id } = req.params;
-    if (!id || isNaN(parseInt(id)))
-      return sendError(res, 400, "ID tidak valid");
-    const results = await db.callProcedure("sp_get_booking_by_id", [
-      parseInt(id),
-    ]);
-    const rows = results[0];
-    if (!rows || rows.length === 0)
-      return sendError(res, 404, "Booking tidak ditemukan");
-    res
-      .status(200)
-      .json({ success: true, data: rows[0], message: "Booking ditemukan" });
+    const { bookings } = repositories();
+    if ((req.query.format || "").toLowerCase() === "ics") {
+      const event = await bookings.findCalendarEvent(id);
+      if (!event) return sendCodedError(res, "BOOKING_NOT_FOUND");
+      return sendICalendar(
+        res,
+        `booking-${id}.ics`,
+        `Booking #${id}`,
+        [event],
+        { attachment: true }
+      );
+    }
+    const booking = await bookings.findById(id);
+    if (!booking) return sendCodedError(res, "BOOKING_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: booking,
+      message: t(req, "bookings.retrieved"),
+    });
   } catch (error) {
-    sendError(res, 500, error.message || "Gagal mengambil booking");
+    handleError(res, error, "failed.retrieveBookings");
   }
 }
 
@@ -91,69 +102,56 @@ async function getBookingById(req, res) {
 // Query: court_id, start_date, end_date, limit, offset
 async function getBookingHistory(req, res) {
   try {
-    const { court_id = null, start_date = null, end_date = null } = req.query;
-    const limit = req.query.limit ? parseInt(req.query.limit) : 50;
-    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+    const {
+      court_id = null,
+      start_date = null,
+      end_date = null,
+      limit = 50,
+      offset = 0,
+    } = req.query;
 
-    const params = [
-      court_id ? parseInt(court_id) : null,
-      start_date || null,
-      end_date || null,
+    const rows = await repositories().bookings.findHistory({
+      court_id,
+      start_date,
+      end_date,
       limit,
       offset,
-    ];
-    const results = await db.callProcedure("sp_get_booking_history", params);
-    const rows = results[0];
+    });
     res.status(200).json({
       success: true,
       data: rows,
       meta: { limit, offset, count: rows.length },
-      message: "Riwayat booking diambil",
+      message: t(req, "bookings.historyRetrieved"),
     });
   } catch (error) {
-    sendError(res, 500, error.message || "Gagal mengambil riwayat booking");
+    handleError(res, error, "failed.retrieveBookingHistory");
   }
 }
 
-// Update booking status (payment_status / booking_status)
-// Body: { payment_status, booking_status, updated_by }
+// Update booking status
+// Body: { booking_status } (updated_by is the logged-in admin).
+// payment_status follows the payments ledger (POST /bookings/:id/payments);
+// "cancelled" goes through the cancel flow, without a refund.
 async function updateBookingStatus(req, res) {
   try {
     const { id } = req.params;
-    if (!id || isNaN(parseInt(id)))
-      return sendError(res, 400, "ID tidak valid");
-    const {
-      payment_status = null,
-      booking_status = null,
-      updated_by = 1,
-    } = req.body;
-    if (!payment_status && !booking_status) {
-      return sendError(
-        res,
-        400,
-        "payment_status atau booking_status harus diisi"
+    const { booking_status } = req.body;
+    const { bookings } = repositories();
+    if (booking_status === "cancelled") {
+      await bookings.cancel(
+        id,
+        { refund_amount: null, refund_method: null },
+        req.user.admin_id
       );
-    }
-    const params = [
-      parseInt(id),
-      payment_status,
-      booking_status,
-      parseInt(updated_by),
-    ];
-    const results = await db.callProcedure("sp_update_booking_status", params);
-    const row = results[0] && results[0][0];
-    if (row) {
-      if (row.status === "error") return sendError(res, 400, row.message);
-      return res.status(200).json({
-        success: true,
-        message: row.message || "Status booking diperbarui",
-      });
+      notifyBooking(id, "cancellation");
+    } else {
+      await bookings.updateStatus(id, { booking_status }, req.user.admin_id);
     }
     res
       .status(200)
-      .json({ success: true, message: "Status booking diperbarui" });
+      .json({ success: true, message: t(req, "bookings.statusUpdated") });
   } catch (error) {
-    sendError(res, 500, error.message || "Gagal update status booking");
+    handleError(res, error, "failed.updateBookingStatus");
   }
 }
 
@@ -161,51 +159,81 @@ async function updateBookingStatus(req, res) {
 async function updateBookingDetails(req, res) {
   try {
     const { id } = req.params;
-    if (!id || isNaN(parseInt(id)))
-      return sendError(res, 400, "ID tidak valid");
     const {
       customer_name = null,
       customer_phone = null,
       notes = null,
     } = req.body;
-    if (!customer_name && !customer_phone && !notes) {
-      return sendError(res, 400, "Minimal satu field diisi");
-    }
-    const params = [parseInt(id), customer_name, customer_phone, notes];
-    const results = await db.callProcedure("sp_update_booking_details", params);
-    const row = results[0] && results[0][0];
-    if (row) {
-      if (row.status === "error") return sendError(res, 400, row.message);
-      return res.status(200).json({
-        success: true,
-        message: row.message || "Detail booking diperbarui",
-      });
+    // New contact details -> the update creates the customer record
+    let phone = null;
+    if (customer_phone) {
+      const customer = await resolveCustomer({ customer_name, customer_phone });
+      if (customer.error)
+        return sendError(
+          res,
+          customer.status,
+          t(req, customer.error, customer.params),
+          customer.code
+        );
+      phone = customer.customer_phone;
     }
+    await repositories().bookings.updateDetails(
+      id,
+      { customer_name, customer_phone: phone, notes },
+      req.user.admin_id
+    );
     res
       .status(200)
-      .json({ success: true, message: "Detail booking diperbarui" });
+      .json({ success: true, message: t(req, "bookings.updated") });
   } catch (error) {
-    sendError(res, 500, error.message || "Gagal update detail booking");
+    handleError(res, error, "failed.updateBooking");
   }
 }
 
 // Cancel booking
+// Body (optional): { refund_method, refund_amount } -> refund in the same transaction
+// (refund_amount defaults to everything paid; requires payments:refund)
 async function cancelBooking(req, res) {
   try {
     const { id } = req.params;
-    if (!id || isNaN(parseInt(id)))
-      return sendError(res, 400, "ID tidak valid");
-    const results = await db.callProcedure("sp_cancel_booking", [parseInt(id)]);
-    const row = results[0] && results[0][0];
-    if (row) {
-      if (row.status === "error") return sendError(res, 400, row.message);
-      return res
-        .status(200)
-        .json({ success: true, message: row.message || "Booking dibatalkan" });
+    const { refund_method = null, refund_amount = null } = req.body || {};
+    if (refund_method) {
+      if (!allows(req.user, "payments:refund")) {
+        return sendError(res, 403, t(req, "bookings.refundNotAllowed"));
+      }
     }
-    res.status(200).json({ success: true, message: "Booking dibatalkan" });
+    const { refunded_amount } = await repositories().bookings.cancel(
+      id,
+      {
+        refund_amount: refund_method ? refund_amount : null,
+        refund_method,
+      },
+      req.user.admin_id
+    );
+    notifyBooking(id, "cancellation");
+    res.status(200).json({
+      success: true,
+      data: { refunded_amount },
+      message: t(req, "bookings.cancelled"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.cancelBooking");
+  }
+}
+
+// Change history of a booking (create, status, details, reschedule, cancel)
+async function getBookingAuditHistory(req, res) {
+  try {
+    const { id } = req.params;
+    const rows = await repositories().bookings.findAuditTrail(id);
+    if (rows.length === 0) return sendCodedError(res, "BOOKING_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: rows.map(formatAuditEntry),
+      message: t(req, "bookings.changesRetrieved"),
+    });
   } catch (error) {
-    sendError(res, 500, error.message || "Gagal membatalkan booking");
+    handleError(res, error, "failed.retrieveBookingChanges");
   }
 }
 
@@ -216,4 +244,5 @@ module.exports = {
   updateBookingStatus,
   updateBookingDetails,
   cancelBooking,
+  getBookingAuditHistory,
 };
@@ -0,0 +1,240 @@
+const { repositories } = require("../repositories");
+const { today, diffDays } = require("../utils/dateRange");
+const { parseWeekdays } = require("../utils/weekdays");
+const { resolveCustomer, savedCustomerId } = require("./customerController");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// A series may span at most one year of occurrences
+const MAX_SERIES_DAYS = 366;
+
+// Check the shared series definition beyond its schema (weekday names,
+// date order, past dates, length).
+// Errors are { error, params } with a message catalogue key.
+function parseSeriesDefinition(source) {
+  const { court_id, slot_id, weekdays, start_date, end_date } = source;
+  const days = parseWeekdays(weekdays);
+  if (!days) {
+    return { error: "common.invalidWeekdays" };
+  }
+  if (start_date > end_date) {
+    return {
+      error: "common.dateOrder",
+      params: { start: "start_date", end: "end_date" },
+    };
+  }
+  if (start_date < today()) {
+    return { error: "common.dateInPast", params: { field: "start_date" } };
+  }
+  if (diffDays(start_date, end_date) + 1 > MAX_SERIES_DAYS) {
+    return { error: "series.tooLong", params: { days: MAX_SERIES_DAYS } };
+  }
+  return {
+    court_id,
+    slot_id,
+    weekdays: days.join(","),
+    start_date,
+    end_date,
+  };
+}
+
+// Dry run: list every date of the series and whether it is free
+// Body (or query): { court_id, slot_id, weekdays, start_date, end_date }
+async function previewBookingSeries(req, res) {
+  try {
+    const source = req.method === "GET" ? req.query : req.body;
+    const def = parseSeriesDefinition(source);
+    if (def.error) return sendError(res, 400, t(req, def.error, def.params));
+
+    const rows = await repositories().series.preview(def);
+    const dates = rows.map((row) => ({
+      ...row,
+      is_available: Boolean(row.is_available),
+    }));
+    const available = dates.filter((d) => d.is_available).length;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...def,
+        weekdays: def.weekdays.split(",").map(Number),
+        dates,
+      },
+      meta: {
+        total: dates.length,
+        available,
+        conflicts: dates.length - available,
+      },
+      message: t(req, "series.previewGenerated"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.previewSeries");
+  }
+}
+
+// Create a series and all of its occurrences atomically
+// Body: { court_id, slot_id, weekdays, start_date, end_date, customer_name,
+//         customer_phone | customer_id, notes, skip_conflicts }
+async function createBookingSeries(req, res) {
+  try {
+    const def = parseSeriesDefinition(req.body);
+    if (def.error) return sendError(res, 400, t(req, def.error, def.params));
+
+    const {
+      customer_id,
+      customer_name,
+      customer_phone,
+      notes = null,
+      skip_conflicts = false,
+    } = req.body;
+    const customer = await resolveCustomer({
+      customer_id,
+      customer_name,
+      customer_phone,
+    });
+    if (customer.error)
+      return sendError(
+        res,
+        customer.status,
+        t(req, customer.error, customer.params),
+        customer.code
+      );
+
+    const row = await repositories().series.create({
+      ...def,
+      customer_name: customer.customer_name,
+      customer_phone: customer.customer_phone,
+      notes,
+      skip_conflicts,
+      created_by: req.user.admin_id,
+    });
+    res.status(201).json({
+      success: true,
+      data: {
+        series_id: row.series_id,
+        customer_id: await savedCustomerId(customer),
+        created_count: row.created_count,
+        skipped_count: row.skipped_count,
+        skipped_dates: row.skipped_dates ? row.skipped_dates.split(",") : [],
+      },
+      message: t(req, "series.created"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.createSeries");
+  }
+}
+
+// List series, optionally filtered by ?status=active|cancelled
+async function getAllBookingSeries(req, res) {
+  try {
+    const { status = null } = req.query;
+    const series = await repositories().series.findAll(status);
+    res.status(200).json({
+      success: true,
+      data: series,
+      meta: { count: series.length },
+      message: t(req, "series.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveSeries");
+  }
+}
+
+// Get a series with all of its occurrences
+async function getBookingSeriesById(req, res) {
+  try {
+    const { id } = req.params;
+    const found = await repositories().series.findById(id);
+    if (!found) return sendCodedError(res, "SERIES_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: {
+        ...found.series,
+        weekdays: found.series.weekdays.split(",").map(Number),
+        occurrences: found.occurrences,
+      },
+      message: t(req, "series.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveSeries");
+  }
+}
+
+// Edit the remaining occurrences of a series
+// Body: { from_date, court_id, slot_id, customer_name, customer_phone, notes }
+async function updateBookingSeries(req, res) {
+  try {
+    const { id } = req.params;
+    const {
+      from_date = null,
+      court_id = null,
+      slot_id = null,
+      customer_name = null,
+      customer_phone = null,
+      notes = null,
+    } = req.body;
+    let phone = null;
+    if (customer_phone) {
+      const customer = await resolveCustomer({ customer_name, customer_phone });
+      if (customer.error)
+        return sendError(
+          res,
+          customer.status,
+          t(req, customer.error, customer.params),
+          customer.code
+        );
+      phone = customer.customer_phone;
+    }
+
+    const updatedCount = await repositories().series.update(
+      id,
+      from_date,
+      {
+        court_id,
+        slot_id,
+        customer_name,
+        customer_phone: phone,
+        notes,
+      },
+      req.user.admin_id
+    );
+    res.status(200).json({
+      success: true,
+      data: { updated_count: updatedCount },
+      message: t(req, "series.updated"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.updateSeries");
+  }
+}
+
+// Cancel the remaining occurrences of a series
+// Body: { from_date } (default today)
+async function cancelBookingSeries(req, res) {
+  try {
+    const { id } = req.params;
+    const { from_date = null } = req.body || {};
+
+    const cancelledCount = await repositories().series.cancel(
+      id,
+      from_date,
+      req.user.admin_id
+    );
+    res.status(200).json({
+      success: true,
+      data: { cancelled_count: cancelledCount },
+      message: t(req, "series.cancelled"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.cancelSeries");
+  }
+}
+
+module.exports = {
+  previewBookingSeries,
+  createBookingSeries,
+  getAllBookingSeries,
+  getBookingSeriesById,
+  updateBookingSeries,
+  cancelBookingSeries,
+};
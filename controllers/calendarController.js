@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const { repositories } = require("../repositories");
+const { addDays, today } = require("../utils/dateRange");
+const { sendICalendar } = require("../utils/ical");
+const { normalizePhone } = require("../utils/phone");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Feeds cover recent history and the coming months
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function feedUrl(req, token) {
+  const base =
+    process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+  return `${base.replace(/\/$/, "")}/calendar/${token}.ics`;
+}
+
+// Public, token-authenticated feed: GET /calendar/:token.ics
+async function getCalendarFeed(req, res) {
+  try {
+    const { calendarFeeds, bookings } = repositories();
+    const feed = await calendarFeeds.findByToken(
+      hashToken(req.params.token || "")
+    );
+    if (!feed) return sendCodedError(res, "CALENDAR_FEED_NOT_FOUND");
+
+    const events = await bookings.findCalendarEvents({
+      court_id: feed.feed_type === "court" ? feed.court_id : null,
+      customer_phone:
+        feed.feed_type === "customer" ? feed.customer_phone : null,
+      start_date: addDays(today(), -FEED_PAST_DAYS),
+      end_date: addDays(today(), FEED_FUTURE_DAYS),
+    });
+    const name =
+      feed.label ||
+      (feed.feed_type === "court"
+        ? `Bookings - ${feed.court_name}`
+        : `Bookings - ${feed.customer_phone}`);
+    sendICalendar(res, `feed-${feed.feed_id}.ics`, name, events);
+  } catch (error) {
+    handleError(res, error, "failed.buildCalendarFeed");
+  }
+}
+
+// Query: status (active | revoked)
+async function getCalendarFeeds(req, res) {
+  try {
+    const { status = null } = req.query;
+    const feeds = await repositories().calendarFeeds.findAll(status);
+    res.status(200).json({
+      success: true,
+      data: feeds,
+      message: t(req, "calendar.listRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveCalendarFeeds");
+  }
+}
+
+// Body: { court_id } or { customer_phone }, optional label.
+// The feed URL contains the token and is only returned here.
+async function createCalendarFeed(req, res) {
+  try {
+    const { court_id = null, customer_phone, label = null } = req.body;
+    if (!court_id === !customer_phone) {
+      return sendError(res, 400, t(req, "calendar.exactlyOneTarget"));
+    }
+    const phone = customer_phone ? normalizePhone(customer_phone) : null;
+    if (customer_phone && !phone) {
+      return sendError(
+        res,
+        400,
+        t(req, "common.invalidPhone", { field: "customer_phone" })
+      );
+    }
+
+    const token = crypto.randomBytes(24).toString("base64url");
+    const feedId = await repositories().calendarFeeds.create({
+      feed_type: court_id ? "court" : "customer",
+      court_id,
+      customer_phone: phone,
+      label,
+      token_hash: hashToken(token),
+      created_by: req.user.admin_id,
+    });
+    res.status(201).json({
+      success: true,
+      data: { feed_id: feedId, url: feedUrl(req, token) },
+      message: t(req, "calendar.feedCreated"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.createCalendarFeed");
+  }
+}
+
+// Revoked feeds stop resolving immediately
+async function revokeCalendarFeed(req, res) {
+  try {
+    const { id } = req.params;
+    await repositories().calendarFeeds.revoke(id);
+    res
+      .status(200)
+      .json({ success: true, message: t(req, "calendar.feedRevoked") });
+  } catch (error) {
+    handleError(res, error, "failed.revokeCalendarFeed");
+  }
+}
+
+module.exports = {
+  getCalendarFeed,
+  getCalendarFeeds,
+  createCalendarFeed,
+  revokeCalendarFeed,
+};
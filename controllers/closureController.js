@@ -0,0 +1,137 @@
+const { repositories } = require("../repositories");
+const {
+  isValidDate,
+  parseDateTime,
+  addDays,
+  parseDateRange,
+} = require("../utils/dateRange");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// A bare date means the start (or, for end_datetime, the end) of that day
+function parseBoundary(value, isEnd) {
+  if (isValidDate(value)) {
+    return `${isEnd ? addDays(value, 1) : value} 00:00:00`;
+  }
+  return parseDateTime(value);
+}
+
+// Query: court_id (venue-wide closures always included), start_date, end_date
+async function getAllClosures(req, res) {
+  try {
+    const { court_id = null } = req.query;
+    const range = parseDateRange(req.query);
+    if (range.error)
+      return sendError(res, 400, t(req, range.error, range.params));
+
+    const closures = await repositories().closures.findAll({
+      court_id,
+      start_date: range.start_date,
+      end_date: range.end_date,
+    });
+    res.status(200).json({
+      success: true,
+      data: closures,
+      message: t(req, "closures.listRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveClosures");
+  }
+}
+
+async function getClosureById(req, res) {
+  try {
+    const { id } = req.params;
+    const closure = await repositories().closures.findById(id);
+    if (!closure) return sendCodedError(res, "CLOSURE_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: closure,
+      message: t(req, "closures.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveClosure");
+  }
+}
+
+// Body: { court_id (omit for the whole venue), start_datetime, end_datetime, reason }
+// Datetimes are "YYYY-MM-DD HH:MM" or a bare date (whole day).
+// Responds with the existing bookings that fall inside the closure.
+async function createClosure(req, res) {
+  try {
+    const { court_id = null, start_datetime, end_datetime, reason } = req.body;
+    const start = parseBoundary(start_datetime, false);
+    const end = parseBoundary(end_datetime, true);
+    if (!start || !end) {
+      return sendError(
+        res,
+        400,
+        t(req, "common.invalidDateTimes", {
+          fields: "start_datetime, end_datetime",
+        })
+      );
+    }
+
+    const { closures } = repositories();
+    const closureId = await closures.create({
+      court_id,
+      start_datetime: start,
+      end_datetime: end,
+      reason,
+      created_by: req.user.admin_id,
+    });
+
+    const conflicts = await closures.findConflicts(closureId);
+    res.status(201).json({
+      success: true,
+      data: {
+        closure_id: closureId,
+        start_datetime: start,
+        end_datetime: end,
+        conflicting_bookings: conflicts,
+      },
+      message: t(req, "closures.created"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.createClosure");
+  }
+}
+
+async function deleteClosure(req, res) {
+  try {
+    const { id } = req.params;
+    await repositories().closures.remove(id);
+    res
+      .status(200)
+      .json({ success: true, message: t(req, "closures.deleted") });
+  } catch (error) {
+    handleError(res, error, "failed.deleteClosure");
+  }
+}
+
+// Active bookings that overlap a closure, so staff can contact the customers
+async function getClosureConflicts(req, res) {
+  try {
+    const { id } = req.params;
+    const { closures } = repositories();
+    const closure = await closures.findById(id);
+    if (!closure) return sendCodedError(res, "CLOSURE_NOT_FOUND");
+    const conflicts = await closures.findConflicts(closure.closure_id);
+    res.status(200).json({
+      success: true,
+      data: conflicts,
+      meta: { closure, count: conflicts.length },
+      message: t(req, "closures.conflictsRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveClosureConflicts");
+  }
+}
+
+module.exports = {
+  getAllClosures,
+  getClosureById,
+  createClosure,
+  deleteClosure,
+  getClosureConflicts,
+};
@@ -1,43 +1,36 @@
-import db from "../config/db.js";
+import { repositories } from "../repositories/index.js";
+import { sendCodedError, handleError } from "../utils/errors.js";
+import { t } from "../utils/i18n.js";
 
 export const getAllCourts = async (req, res) => {
   try {
-    const results = await db.callProcedure("sp_get_all_courts");
+    const courts = await repositories().courts.findAll();
     res.status(200).json({
       success: true,
-      data: results[0],
-      message: "Courts retrieved successfully",
+      data: courts,
+      message: t(req, "courts.listRetrieved"),
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to retrieve courts",
-    });
+    handleError(res, error, "failed.retrieveCourts");
   }
 };
 
 export const getCourtById = async (req, res) => {
   try {
     const { id } = req.params;
-    const results = await db.callProcedure("sp_get_court_by_id", [id]);
+    const court = await repositories().courts.findById(id);
 
-    if (results[0].length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Court not found",
-      });
+    if (!court) {
+      return sendCodedError(res, "COURT_NOT_FOUND");
     }
 
     res.status(200).json({
       success: true,
-      data: results[0][0],
-      message: "Court retrieved successfully",
+      data: court,
+      message: t(req, "courts.retrieved"),
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to retrieve court",
-    });
+    handleError(res, error, "failed.retrieveCourt");
   }
 };
 
@@ -45,32 +38,20 @@ export const createCourt = async (req, res) => {
   try {
     const { court_name, description, price_per_session, status } = req.body;
 
-    if (!court_name || !price_per_session) {
-      return res.status(400).json({
-        success: false,
-        message: "Court name and price per session are required",
-      });
-    }
-
-    const results = await db.callProcedure("sp_create_court", [
+    const courtId = await repositories().courts.create({
       court_name,
-      description || null,
+      description: description || null,
       price_per_session,
-      status || "active",
-    ]);
-
-    const result = results[0][0];
+      status: status || "active",
+    });
 
     res.status(201).json({
       success: true,
-      data: { court_id: result.court_id },
-      message: result.message,
+      data: { court_id: courtId },
+      message: t(req, "courts.created"),
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to create court",
-    });
+    handleError(res, error, "failed.createCourt");
   }
 };
 
@@ -79,56 +60,32 @@ export const updateCourt = async (req, res) => {
     const { id } = req.params;
     const { court_name, description, price_per_session, status } = req.body;
 
-    const results = await db.callProcedure("sp_update_court", [
-      id,
-      court_name || null,
-      description || null,
-      price_per_session || null,
-      status || null,
-    ]);
-
-    const result = results[0][0];
-
-    if (result.status === "error") {
-      return res.status(404).json({
-        success: false,
-        message: result.message,
-      });
-    }
+    await repositories().courts.update(id, {
+      court_name: court_name || null,
+      description: description || null,
+      price_per_session: price_per_session || null,
+      status: status || null,
+    });
 
     res.status(200).json({
       success: true,
-      message: result.message,
+      message: t(req, "courts.updated"),
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to update court",
-    });
+    handleError(res, error, "failed.updateCourt");
   }
 };
 
 export const deleteCourt = async (req, res) => {
   try {
     const { id } = req.params;
-    const results = await db.callProcedure("sp_delete_court", [id]);
-    const result = results[0][0];
-
-    if (result.status === "error") {
-      return res.status(400).json({
-        success: false,
-        message: result.message,
-      });
-    }
+    await repositories().courts.remove(id);
 
     res.status(200).json({
       success: true,
-      message: result.message,
+      message: t(req, "courts.deleted"),
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to delete court",
-    });
+    handleError(res, error, "failed.deleteCourt");
   }
 };
@@ -0,0 +1,207 @@
+const { repositories } = require("../repositories");
+const { normalizePhone, looksLikePhone } = require("../utils/phone");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Resolve the customer of a booking request without writing anything.
+// With customer_id the stored name/phone are used; otherwise the phone is
+// normalised and customer_id is null: the booking (or waitlist entry)
+// creates the customer with this phone as it is inserted, so a rejected
+// request leaves none behind (see savedCustomerId).
+// Returns { customer_id, customer_name, customer_phone } or
+// { error, params, status, code } where error is a message catalogue key.
+async function resolveCustomer({ customer_id, customer_name, customer_phone }) {
+  if (customer_id) {
+    const customer = await repositories().customers.findById(customer_id);
+    if (!customer) {
+      return {
+        error: "errors.CUSTOMER_NOT_FOUND",
+        status: 404,
+        code: "CUSTOMER_NOT_FOUND",
+      };
+    }
+    return {
+      customer_id: customer.customer_id,
+      customer_name: customer_name || customer.full_name,
+      customer_phone: customer.phone,
+    };
+  }
+
+  const phone = normalizePhone(customer_phone);
+  if (!phone) {
+    return {
+      error: "common.invalidPhone",
+      params: { field: "customer_phone" },
+      status: 400,
+    };
+  }
+  return { customer_id: null, customer_name, customer_phone: phone };
+}
+
+// customer_id of a resolved customer once its booking has been written
+async function savedCustomerId(customer) {
+  if (customer.customer_id) return customer.customer_id;
+  const found = await repositories().customers.findByPhone(
+    customer.customer_phone
+  );
+  return found ? found.customer_id : null;
+}
+
+// Search term -> pattern matched against full_name and normalised phone
+function normalizeSearch(search) {
+  if (!search) return null;
+  const term = String(search).trim();
+  if (!looksLikePhone(term)) return term;
+  const digits = term.replace(/[^\d]/g, "");
+  return digits.startsWith("0") ? `62${digits.slice(1)}` : digits;
+}
+
+// Query: search (name or phone), limit, offset
+async function getAllCustomers(req, res) {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const customers = await repositories().customers.findAll({
+      search: normalizeSearch(req.query.search),
+      limit,
+      offset,
+    });
+    res.status(200).json({
+      success: true,
+      data: customers,
+      meta: { limit, offset, count: customers.length },
+      message: t(req, "customers.listRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveCustomers");
+  }
+}
+
+async function getCustomerById(req, res) {
+  try {
+    const { id } = req.params;
+    const customer = await repositories().customers.findById(id);
+    if (!customer) return sendCodedError(res, "CUSTOMER_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: customer,
+      message: t(req, "customers.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveCustomer");
+  }
+}
+
+// Body: { full_name, phone, email, notes }
+async function createCustomer(req, res) {
+  try {
+    const { full_name, phone, email = null, notes = null } = req.body;
+    const normalized = normalizePhone(phone);
+    if (!normalized)
+      return sendError(
+        res,
+        400,
+        t(req, "common.invalidPhone", { field: "phone" })
+      );
+    const customerId = await repositories().customers.create({
+      full_name,
+      phone: normalized,
+      email,
+      notes,
+    });
+    res.status(201).json({
+      success: true,
+      data: { customer_id: customerId, phone: normalized },
+      message: t(req, "customers.created"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.createCustomer");
+  }
+}
+
+// Partial update. Body: { full_name, phone, email, notes }
+async function updateCustomer(req, res) {
+  try {
+    const { id } = req.params;
+    const { full_name, phone, email, notes } = req.body;
+    const normalized = phone ? normalizePhone(phone) : null;
+    if (phone && !normalized)
+      return sendError(
+        res,
+        400,
+        t(req, "common.invalidPhone", { field: "phone" })
+      );
+    await repositories().customers.update(id, {
+      full_name: full_name || null,
+      phone: normalized,
+      email: email || null,
+      notes: notes ?? null,
+    });
+    res
+      .status(200)
+      .json({ success: true, message: t(req, "customers.updated") });
+  } catch (error) {
+    handleError(res, error, "failed.updateCustomer");
+  }
+}
+
+async function deleteCustomer(req, res) {
+  try {
+    const { id } = req.params;
+    await repositories().customers.remove(id);
+    res
+      .status(200)
+      .json({ success: true, message: t(req, "customers.deleted") });
+  } catch (error) {
+    handleError(res, error, "failed.deleteCustomer");
+  }
+}
+
+// Merge a duplicate into this customer. Body: { source_customer_id }
+async function mergeCustomers(req, res) {
+  try {
+    const { id } = req.params;
+    const { source_customer_id } = req.body;
+    const moved = await repositories().customers.merge(id, source_customer_id);
+    res.status(200).json({
+      success: true,
+      data: { moved_bookings: moved },
+      message: t(req, "customers.merged"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.mergeCustomers");
+  }
+}
+
+// Visits, spend, no-shows, cancellations and booking history
+// Query: limit, offset (history pagination)
+async function getCustomerBookings(req, res) {
+  try {
+    const { id } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+    const found = await repositories().customers.findBookings(id, {
+      limit,
+      offset,
+    });
+    if (!found) return sendCodedError(res, "CUSTOMER_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: { ...found.stats, bookings: found.bookings },
+      meta: { limit, offset, count: found.bookings.length },
+      message: t(req, "customers.bookingsRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveCustomerBookings");
+  }
+}
+
+module.exports = {
+  resolveCustomer,
+  savedCustomerId,
+  getAllCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  mergeCustomers,
+  getCustomerBookings,
+};
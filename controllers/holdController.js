@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const { repositories } = require("../repositories");
+const config = require("../config/holds");
+const { sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Short-lived slot holds: a court/slot/date is kept free for a few minutes
+// while the booking details are collected. The token returned on creation
+// converts the hold into a booking (POST /bookings or /public/bookings with
+// hold_token); overdue holds are released by the release-expired-holds job.
+
+// Tokens are stored as their SHA-256 hash, like confirmation codes
+function hashHoldToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Hold the court/slot/date of the request body for `minutes` (default
+// config.defaultMinutes, at most config.maxMinutes).
+// Returns the response data including the token (only shown here).
+async function placeHold(req, { createdBy = null, minutes } = {}) {
+  const { court_id, slot_id, booking_date } = req.body;
+  minutes = Math.min(minutes || config.defaultMinutes, config.maxMinutes);
+  const token = crypto.randomBytes(24).toString("base64url");
+  const hold = await repositories().holds.create({
+    court_id,
+    slot_id,
+    booking_date,
+    minutes,
+    token_hash: hashHoldToken(token),
+    created_by: createdBy,
+    client_ip: req.ip,
+  });
+  return {
+    hold_token: token,
+    hold_id: hold.hold_id,
+    court_id,
+    slot_id,
+    booking_date,
+    expires_at: hold.expires_at,
+  };
+}
+
+// POST /holds
+// Body: { court_id, slot_id, booking_date (YYYY-MM-DD), minutes }
+async function createHold(req, res) {
+  try {
+    const data = await placeHold(req, {
+      createdBy: req.user.admin_id,
+      minutes: req.body.minutes,
+    });
+    res.status(201).json({
+      success: true,
+      data,
+      message: t(req, "holds.created"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.createHold");
+  }
+}
+
+// GET /holds/:token
+async function getHold(req, res) {
+  try {
+    const hold = await repositories().holds.findByToken(
+      hashHoldToken(req.params.token)
+    );
+    if (!hold) return sendCodedError(res, "HOLD_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: hold,
+      message: t(req, "holds.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveHold");
+  }
+}
+
+// DELETE /holds/:token - frees the slot before the hold runs out
+async function releaseHold(req, res) {
+  try {
+    await repositories().holds.release(hashHoldToken(req.params.token));
+    res.status(200).json({
+      success: true,
+      message: t(req, "holds.released"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.releaseHold");
+  }
+}
+
+module.exports = {
+  hashHoldToken,
+  placeHold,
+  createHold,
+  getHold,
+  releaseHold,
+};
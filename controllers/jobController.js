@@ -0,0 +1,81 @@
+const { repositories } = require("../repositories");
+const config = require("../config/jobs");
+const { JOBS } = require("../jobs");
+const { runJob } = require("../jobs/runner");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Registered jobs with their interval and most recent run
+async function getJobs(req, res) {
+  try {
+    const runs = await repositories().jobRuns.findLatest();
+    const latest = new Map(runs.map((row) => [row.job_name, row]));
+    const data = Object.entries(JOBS).map(([name, job]) => ({
+      job_name: name,
+      description: job.description,
+      interval_minutes: config.intervals[name],
+      last_run: latest.get(name) || null,
+    }));
+    res.status(200).json({
+      success: true,
+      data,
+      meta: { scheduler_enabled: config.enabled },
+      message: t(req, "jobs.listRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveJobs");
+  }
+}
+
+// Run history. Query: job_name, status, limit, offset
+async function getJobRuns(req, res) {
+  try {
+    const {
+      job_name = null,
+      status = null,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+    if (job_name && !JOBS[job_name]) {
+      return sendError(res, 400, t(req, "jobs.unknown", { name: job_name }));
+    }
+    const runs = await repositories().jobRuns.findAll({
+      job_name,
+      status,
+      limit,
+      offset,
+    });
+    res.status(200).json({
+      success: true,
+      data: runs,
+      meta: { limit, offset, count: runs.length },
+      message: t(req, "jobs.runsRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveJobRuns");
+  }
+}
+
+// Run a job now and wait for its outcome
+async function runJobNow(req, res) {
+  try {
+    const { name } = req.params;
+    if (!JOBS[name]) return sendCodedError(res, "JOB_NOT_FOUND", { name });
+    const outcome = await runJob(name, { triggeredBy: "api" });
+    if (outcome.status === "skipped") {
+      return sendCodedError(res, "JOB_ALREADY_RUNNING", { name });
+    }
+    res.status(outcome.status === "success" ? 200 : 500).json({
+      success: outcome.status === "success",
+      data: outcome,
+      message:
+        outcome.status === "success"
+          ? t(req, "jobs.completed", { name })
+          : t(req, "jobs.failed", { name, error: outcome.error }),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.runJob");
+  }
+}
+
+module.exports = { getJobs, getJobRuns, runJobNow };
@@ -0,0 +1,70 @@
+const { repositories } = require("../repositories");
+const loginGuard = require("../services/loginGuard");
+const { parseDateRange } = require("../utils/dateRange");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Login attempts recorded by services/loginGuard (owners only)
+// Query: username, ip_address, result, start_date, end_date, limit, offset
+async function getLoginAttempts(req, res) {
+  try {
+    const {
+      username = null,
+      ip_address = null,
+      result = null,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+    const range = parseDateRange(req.query);
+    if (range.error)
+      return sendError(res, 400, t(req, range.error, range.params));
+
+    const rows = await loginGuard.findAttempts({
+      username,
+      ip_address,
+      result,
+      start_date: range.start_date,
+      end_date: range.end_date,
+      limit,
+      offset,
+    });
+    res.status(200).json({
+      success: true,
+      data: rows,
+      meta: { limit, offset, count: rows.length },
+      message: t(req, "admins.loginAttemptsRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveLoginAttempts");
+  }
+}
+
+// POST /admins/:id/unlock - lift a lockout after failed logins
+// Body: { ip_address } (optional) also lifts the lockout of the client IP
+// the failures came from and resets its failures
+async function unlockAdmin(req, res) {
+  try {
+    const { id } = req.params;
+    const { ip_address = null } = req.body;
+    const admin = await repositories().admins.findById(id);
+    if (!admin) return sendCodedError(res, "ADMIN_NOT_FOUND");
+
+    const unlocked = await loginGuard.unlock({
+      username: admin.username,
+      admin_id: admin.admin_id,
+      unlocked_by: req.user.admin_id,
+      ip_address: req.ip,
+      user_agent: req.get("user-agent") || null,
+      reset_ip: ip_address,
+    });
+    res.status(200).json({
+      success: true,
+      data: { admin_id: admin.admin_id, unlocked },
+      message: t(req, "admins.unlocked"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.unlockAdmin");
+  }
+}
+
+module.exports = { getLoginAttempts, unlockAdmin };
@@ -0,0 +1,87 @@
+const { repositories } = require("../repositories");
+const {
+  dispatchPending,
+  queueDueReminders,
+} = require("../services/notifications");
+const { handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Outbox listing. Query: status, booking_id, template, limit, offset
+async function getNotifications(req, res) {
+  try {
+    const {
+      status = null,
+      booking_id = null,
+      template = null,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+    const messages = await repositories().notifications.findAll({
+      status,
+      booking_id,
+      template,
+      limit,
+      offset,
+    });
+    res.status(200).json({
+      success: true,
+      data: messages,
+      meta: { limit, offset, count: messages.length },
+      message: t(req, "notifications.listRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveNotifications");
+  }
+}
+
+// Requeue a failed notification and try to send it right away
+async function retryNotification(req, res) {
+  try {
+    const { id } = req.params;
+    await repositories().notifications.retry(id);
+    const summary = await dispatchPending();
+    res.status(200).json({
+      success: true,
+      data: summary,
+      message: t(req, "notifications.retryQueued"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retryNotification");
+  }
+}
+
+// Send everything due now
+async function dispatchNotifications(req, res) {
+  try {
+    const summary = await dispatchPending();
+    res.status(200).json({
+      success: true,
+      data: summary,
+      message: t(req, "notifications.dispatched"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.dispatchNotifications");
+  }
+}
+
+// Queue and send reminders for upcoming bookings. Query: hours (optional)
+async function sendReminders(req, res) {
+  try {
+    const reminders = await queueDueReminders({ hours: req.query.hours });
+    const summary = await dispatchPending();
+    res.status(200).json({
+      success: true,
+      data: { ...reminders, ...summary },
+      message: t(req, "notifications.remindersQueued"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.sendReminders");
+  }
+}
+
+module.exports = {
+  getNotifications,
+  retryNotification,
+  dispatchNotifications,
+  sendReminders,
+};
@@ -0,0 +1,77 @@
+const { repositories } = require("../repositories");
+const { notifyBooking } = require("../services/notifications");
+const { sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Body: { amount, method, reference, notes }. Refunds may omit amount to
+// refund everything paid.
+async function recordLedgerEntry(req, res, type) {
+  const { id } = req.params;
+  const { method, reference = null, notes = null } = req.body;
+  let { amount = null } = req.body;
+
+  const { bookings } = repositories();
+  if (amount === null) {
+    // Refund everything paid so far
+    const payments = await bookings.findPayments(id);
+    if (!payments) return sendCodedError(res, "BOOKING_NOT_FOUND");
+    amount = Number(payments.summary.net_paid);
+  }
+
+  const recorded = await bookings.recordPayment(
+    id,
+    { type, amount, method, reference, notes },
+    req.user.admin_id
+  );
+  if (type === "payment") {
+    notifyBooking(id, "payment_received", { amount });
+  }
+  res.status(201).json({
+    success: true,
+    data: recorded,
+    message: t(
+      req,
+      type === "refund" ? "payments.refundRecorded" : "payments.paymentRecorded"
+    ),
+  });
+}
+
+// Record a payment. Body: { amount, method, reference, notes }
+async function recordPayment(req, res) {
+  try {
+    await recordLedgerEntry(req, res, "payment");
+  } catch (error) {
+    handleError(res, error, "failed.recordPayment");
+  }
+}
+
+// Record a refund. Body: { amount (default: everything paid), method, reference, notes }
+async function recordRefund(req, res) {
+  try {
+    await recordLedgerEntry(req, res, "refund");
+  } catch (error) {
+    handleError(res, error, "failed.recordRefund");
+  }
+}
+
+// Payment summary (paid, refunded, outstanding balance) and ledger entries
+async function getBookingPayments(req, res) {
+  try {
+    const { id } = req.params;
+    const payments = await repositories().bookings.findPayments(id);
+    if (!payments) return sendCodedError(res, "BOOKING_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: { ...payments.summary, entries: payments.entries },
+      message: t(req, "payments.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrievePayments");
+  }
+}
+
+module.exports = {
+  recordPayment,
+  recordRefund,
+  getBookingPayments,
+};
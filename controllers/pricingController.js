@@ -0,0 +1,269 @@
+const { repositories } = require("../repositories");
+const { today } = require("../utils/dateRange");
+const { parseWeekdays } = require("../utils/weekdays");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+function normalizeTime(value) {
+  return value.length === 5 ? `${value}:00` : value;
+}
+
+// Check what the schema cannot (slot or times, date and time order) and
+// convert a rule definition to repository fields.
+// Errors are { error, params } with a message catalogue key.
+function parseRule(source) {
+  const {
+    rule_name,
+    court_id = null,
+    slot_id = null,
+    start_time,
+    end_time,
+    weekdays,
+    valid_from,
+    valid_to,
+    holidays_only = false,
+    price,
+    priority = 0,
+    status = "active",
+  } = source;
+
+  let startTime = null;
+  let endTime = null;
+  if (start_time || end_time) {
+    if (slot_id) {
+      return { error: "pricing.slotOrTimes" };
+    }
+    if (!start_time || !end_time) {
+      return { error: "common.invalidTimes" };
+    }
+    startTime = normalizeTime(start_time);
+    endTime = normalizeTime(end_time);
+    if (startTime >= endTime) {
+      return { error: "common.timeOrder" };
+    }
+  }
+
+  let days = null;
+  if (weekdays !== undefined && weekdays !== null && weekdays !== "") {
+    days = parseWeekdays(weekdays);
+    if (!days) {
+      return { error: "common.invalidWeekdays" };
+    }
+  }
+
+  if (valid_from && valid_to && valid_from > valid_to) {
+    return {
+      error: "common.dateOrder",
+      params: { start: "valid_from", end: "valid_to" },
+    };
+  }
+
+  return {
+    rule: {
+      rule_name,
+      court_id,
+      slot_id,
+      start_time: startTime,
+      end_time: endTime,
+      weekdays: days ? days.join(",") : null,
+      valid_from: valid_from || null,
+      valid_to: valid_to || null,
+      holidays_only: Boolean(holidays_only),
+      price: Number(price),
+      priority: Number(priority),
+      status,
+    },
+  };
+}
+
+function formatRule(rule) {
+  return {
+    ...rule,
+    weekdays: rule.weekdays ? rule.weekdays.split(",").map(Number) : null,
+    holidays_only: Boolean(rule.holidays_only),
+  };
+}
+
+async function getAllPricingRules(req, res) {
+  try {
+    const rules = await repositories().pricing.findRules();
+    res.status(200).json({
+      success: true,
+      data: rules.map(formatRule),
+      message: t(req, "pricing.rulesRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrievePricingRules");
+  }
+}
+
+async function getPricingRuleById(req, res) {
+  try {
+    const { id } = req.params;
+    const rule = await repositories().pricing.findRuleById(id);
+    if (!rule) return sendCodedError(res, "PRICING_RULE_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: formatRule(rule),
+      message: t(req, "pricing.ruleRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrievePricingRule");
+  }
+}
+
+// Body: { rule_name, price, court_id, slot_id | start_time + end_time, weekdays,
+//         valid_from, valid_to, holidays_only, priority, status }
+async function createPricingRule(req, res) {
+  try {
+    const parsed = parseRule(req.body);
+    if (parsed.error)
+      return sendError(res, 400, t(req, parsed.error, parsed.params));
+    const ruleId = await repositories().pricing.createRule(parsed.rule);
+    res.status(201).json({
+      success: true,
+      data: { rule_id: ruleId },
+      message: t(req, "pricing.ruleCreated"),
+    });
+  } catch (error) {
+    if (error.code === "REFERENCED_RECORD_NOT_FOUND") {
+      return sendError(
+        res,
+        400,
+        t(req, "pricing.unknownCourtOrSlot"),
+        "REFERENCED_RECORD_NOT_FOUND"
+      );
+    }
+    handleError(res, error, "failed.createPricingRule");
+  }
+}
+
+// Partial update: fields not given keep their current value
+// (send null to clear an optional criterion)
+async function updatePricingRule(req, res) {
+  try {
+    const { id } = req.params;
+    const { pricing } = repositories();
+    const current = await pricing.findRuleById(id);
+    if (!current) return sendCodedError(res, "PRICING_RULE_NOT_FOUND");
+
+    const merged = { ...formatRule(current), ...req.body };
+    // Switching between slot_id and a time range clears the other one
+    if (req.body.slot_id && !("start_time" in req.body)) {
+      merged.start_time = null;
+      merged.end_time = null;
+    }
+    if (req.body.start_time && !("slot_id" in req.body)) merged.slot_id = null;
+
+    const parsed = parseRule(merged);
+    if (parsed.error)
+      return sendError(res, 400, t(req, parsed.error, parsed.params));
+    await pricing.updateRule(current.rule_id, parsed.rule);
+    res
+      .status(200)
+      .json({ success: true, message: t(req, "pricing.ruleUpdated") });
+  } catch (error) {
+    if (error.code === "REFERENCED_RECORD_NOT_FOUND") {
+      return sendError(
+        res,
+        400,
+        t(req, "pricing.unknownCourtOrSlot"),
+        "REFERENCED_RECORD_NOT_FOUND"
+      );
+    }
+    handleError(res, error, "failed.updatePricingRule");
+  }
+}
+
+async function deletePricingRule(req, res) {
+  try {
+    const { id } = req.params;
+    await repositories().pricing.removeRule(id);
+    res
+      .status(200)
+      .json({ success: true, message: t(req, "pricing.ruleDeleted") });
+  } catch (error) {
+    handleError(res, error, "failed.deletePricingRule");
+  }
+}
+
+// Price for a court/slot/date and the rule that produced it
+// Query: court_id, slot_id, booking_date (default today)
+async function getPriceQuote(req, res) {
+  try {
+    const { court_id, slot_id, booking_date = today() } = req.query;
+    const quote = await repositories().pricing.quote(
+      court_id,
+      slot_id,
+      booking_date
+    );
+    if (!quote)
+      return sendError(res, 404, t(req, "pricing.quoteTargetNotFound"));
+    res.status(200).json({
+      success: true,
+      data: {
+        ...quote,
+        applied_rule: quote.rule_id
+          ? { rule_id: quote.rule_id, rule_name: quote.rule_name }
+          : null,
+      },
+      message: t(req, "pricing.quoteGenerated"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.quotePrice");
+  }
+}
+
+// Query: year
+async function getHolidays(req, res) {
+  try {
+    const { year = null } = req.query;
+    const holidays = await repositories().pricing.findHolidays(
+      year ? parseInt(year) : null
+    );
+    res.status(200).json({
+      success: true,
+      data: holidays,
+      message: t(req, "pricing.holidaysRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveHolidays");
+  }
+}
+
+// Body: { holiday_date, holiday_name } (saving an existing date renames it)
+async function saveHoliday(req, res) {
+  try {
+    const { holiday_date, holiday_name } = req.body;
+    await repositories().pricing.saveHoliday(holiday_date, holiday_name);
+    res
+      .status(200)
+      .json({ success: true, message: t(req, "pricing.holidaySaved") });
+  } catch (error) {
+    handleError(res, error, "failed.saveHoliday");
+  }
+}
+
+async function deleteHoliday(req, res) {
+  try {
+    const { date } = req.params;
+    await repositories().pricing.removeHoliday(date);
+    res
+      .status(200)
+      .json({ success: true, message: t(req, "pricing.holidayDeleted") });
+  } catch (error) {
+    handleError(res, error, "failed.deleteHoliday");
+  }
+}
+
+module.exports = {
+  getAllPricingRules,
+  getPricingRuleById,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  getPriceQuote,
+  getHolidays,
+  saveHoliday,
+  deleteHoliday,
+};
@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const { repositories } = require("../repositories");
+const { resolveCustomer } = require("./customerController");
+const { hashHoldToken, placeHold } = require("./holdController");
+const { notifyBooking } = require("../services/notifications");
+const config = require("../config/publicBooking");
+const { today, diffDays } = require("../utils/dateRange");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Unauthenticated self-booking for customers (/public). Bookings are made by
+// the online_booking system account; the customer gets a confirmation code
+// that is the only way to view or cancel the booking afterwards.
+
+// Crockford base32: no I, L, O or U, so codes survive being read out loud
+const CODE_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const CODE_LENGTH = 12; // 60 random bits, shown as XXXX-XXXX-XXXX
+
+function generateCode() {
+  const chars = [...crypto.randomBytes(CODE_LENGTH)].map(
+    (byte) => CODE_ALPHABET[byte & 31]
+  );
+  return chars.join("").match(/.{4}/g).join("-");
+}
+
+// Case, dashes, spaces and look-alike letters do not matter when typed back
+function normalizeCode(code) {
+  return String(code)
+    .toUpperCase()
+    .replace(/[\s-]/g, "")
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1");
+}
+
+// Codes are stored as their SHA-256 hash, like calendar feed tokens
+function hashCode(code) {
+  return crypto.createHash("sha256").update(normalizeCode(code)).digest("hex");
+}
+
+// Dates customers may book or browse: today up to maxDaysAhead.
+// Returns an error code, or null when the date is bookable.
+function checkBookingDate(bookingDate) {
+  const days = diffDays(today(), bookingDate);
+  if (days < 0) return "BOOKING_DATE_IN_PAST";
+  if (days > config.maxDaysAhead) return "BOOKING_TOO_FAR_AHEAD";
+  return null;
+}
+
+function sendDateError(res, code) {
+  return sendCodedError(res, code, { days: config.maxDaysAhead });
+}
+
+// Active court or null; courts under maintenance are not shown publicly
+async function findActiveCourt(courtId) {
+  const court = await repositories().courts.findById(courtId);
+  return court && court.status === "active" ? court : null;
+}
+
+const publicCourt = (court) => ({
+  court_id: court.court_id,
+  court_name: court.court_name,
+  description: court.description,
+  price_per_session: court.price_per_session,
+});
+
+// GET /public/courts - active courts with their base price
+async function getPublicCourts(req, res) {
+  try {
+    const courts = await repositories().courts.findAll();
+    res.status(200).json({
+      success: true,
+      data: courts
+        .filter((court) => court.status === "active")
+        .map(publicCourt),
+      message: t(req, "public.courtsRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrievePublicCourts");
+  }
+}
+
+// GET /public/availability?court_id=&date=
+async function getPublicAvailability(req, res) {
+  try {
+    const { court_id, date } = req.query;
+    const dateError = checkBookingDate(date);
+    if (dateError) return sendDateError(res, dateError);
+    const court = await findActiveCourt(court_id);
+    if (!court) return sendCodedError(res, "COURT_NOT_FOUND");
+
+    const slots = await repositories().timeSlots.findAvailable(
+      court.court_id,
+      date
+    );
+    res.status(200).json({
+      success: true,
+      data: {
+        court: publicCourt(court),
+        date,
+        slots: slots.map((slot) => ({
+          slot_id: slot.slot_id,
+          slot_name: slot.slot_name,
+          start_time: slot.start_time,
+          end_time: slot.end_time,
+          is_available: slot.is_available,
+        })),
+      },
+      message: t(req, "public.availabilityRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrievePublicAvailability");
+  }
+}
+
+// POST /public/holds
+// Body: { court_id, slot_id, booking_date }; held for the default length
+async function createPublicHold(req, res) {
+  try {
+    const { court_id, booking_date } = req.body;
+    const dateError = checkBookingDate(booking_date);
+    if (dateError) return sendDateError(res, dateError);
+    if (!(await findActiveCourt(court_id))) {
+      return sendCodedError(res, "COURT_NOT_FOUND");
+    }
+    const data = await placeHold(req);
+    res.status(201).json({
+      success: true,
+      data,
+      message: t(req, "holds.created"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.createHold");
+  }
+}
+
+// POST /public/bookings
+// Body: { court_id, slot_id, booking_date, customer_name, customer_phone }
+// or { hold_token, customer_name, customer_phone } for a held slot.
+// The confirmation code is only returned here.
+async function createPublicBooking(req, res) {
+  try {
+    const { court_id, slot_id, booking_date, hold_token, customer_phone } =
+      req.body;
+    const customer_name = String(req.body.customer_name).trim();
+    if (!hold_token) {
+      const dateError = checkBookingDate(booking_date);
+      if (dateError) return sendDateError(res, dateError);
+      if (!(await findActiveCourt(court_id))) {
+        return sendCodedError(res, "COURT_NOT_FOUND");
+      }
+    }
+
+    const customer = await resolveCustomer({ customer_name, customer_phone });
+    if (customer.error)
+      return sendError(
+        res,
+        customer.status,
+        t(req, customer.error, customer.params),
+        customer.code
+      );
+
+    const { publicBookings } = repositories();
+    const code = generateCode();
+    const details = {
+      customer_name,
+      customer_phone: customer.customer_phone,
+      code_hash: hashCode(code),
+      client_ip: req.ip,
+    };
+    const limits = { max_active: config.maxActivePerPhone };
+    const booking = hold_token
+      ? await publicBookings.createFromHold(
+          hashHoldToken(hold_token),
+          details,
+          limits
+        )
+      : await publicBookings.create(
+          {
+            court_id,
+            slot_id,
+            booking_date,
+            ...details,
+          },
+          limits
+        );
+    notifyBooking(booking.booking_id, "confirmation");
+    res.status(201).json({
+      success: true,
+      data: {
+        confirmation_code: code,
+        booking: await publicBookings.findByCode(hashCode(code)),
+      },
+      message: t(req, "public.bookingCreated"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.createPublicBooking");
+  }
+}
+
+// GET /public/bookings/:code
+async function getPublicBooking(req, res) {
+  try {
+    const booking = await repositories().publicBookings.findByCode(
+      hashCode(req.params.code)
+    );
+    if (!booking) return sendCodedError(res, "BOOKING_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: booking,
+      message: t(req, "public.bookingRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrievePublicBooking");
+  }
+}
+
+// POST /public/bookings/:code/cancel
+// Until cancelNoticeMinutes before the slot, and only while unpaid
+async function cancelPublicBooking(req, res) {
+  try {
+    const { publicBookings } = repositories();
+    const codeHash = hashCode(req.params.code);
+    const bookingId = await publicBookings.cancelByCode(codeHash, {
+      notice_minutes: config.cancelNoticeMinutes,
+    });
+    notifyBooking(bookingId, "cancellation");
+    res.status(200).json({
+      success: true,
+      data: await publicBookings.findByCode(codeHash),
+      message: t(req, "public.bookingCancelled"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.cancelPublicBooking");
+  }
+}
+
+module.exports = {
+  getPublicCourts,
+  getPublicAvailability,
+  createPublicHold,
+  createPublicBooking,
+  getPublicBooking,
+  cancelPublicBooking,
+};
@@ -0,0 +1,176 @@
+const { repositories } = require("../repositories");
+const { today, parseDateRange } = require("../utils/dateRange");
+const { sendCsv } = require("../utils/csv");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Longest range accepted by range-based reports (roughly one year)
+const MAX_REPORT_DAYS = 366;
+
+function wantsCsv(req) {
+  return (req.query.format || "").toLowerCase() === "csv";
+}
+
+// Respond with JSON by default, or CSV when ?format=csv is given
+function sendReport(req, res, { rows, filename, meta, message }) {
+  if (wantsCsv(req)) return sendCsv(res, filename, rows);
+  res.status(200).json({ success: true, data: rows, meta, message });
+}
+
+// Daily booking summary per court
+// Query: start_date, end_date (default: last 7 days), format
+async function getDailySummary(req, res) {
+  try {
+    const range = parseDateRange(req.query, { maxDays: MAX_REPORT_DAYS });
+    if (range.error)
+      return sendError(res, 400, t(req, range.error, range.params));
+
+    const rows = await repositories().reports.dailySummary(
+      range.start_date,
+      range.end_date
+    );
+    sendReport(req, res, {
+      rows,
+      filename: "daily-summary.csv",
+      meta: {
+        start_date: range.start_date,
+        end_date: range.end_date,
+        count: rows.length,
+      },
+      message: t(req, "reports.dailySummaryRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveDailySummary");
+  }
+}
+
+// Monthly revenue per court
+// Query: year (YYYY, default current year), court_id, format
+async function getRevenueSummary(req, res) {
+  try {
+    const { year = null, court_id = null } = req.query;
+
+    const rows = await repositories().reports.revenueSummary(year, court_id);
+    sendReport(req, res, {
+      rows,
+      filename: `revenue-${year || new Date().getFullYear()}.csv`,
+      meta: {
+        year: year || String(new Date().getFullYear()),
+        court_id,
+        count: rows.length,
+      },
+      message: t(req, "reports.revenueSummaryRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveRevenueSummary");
+  }
+}
+
+// Court utilization (last 30 days and today)
+// Query: format
+async function getCourtUtilization(req, res) {
+  try {
+    const rows = await repositories().reports.courtUtilization();
+    sendReport(req, res, {
+      rows,
+      filename: "court-utilization.csv",
+      meta: { count: rows.length },
+      message: t(req, "reports.courtUtilizationRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveCourtUtilization");
+  }
+}
+
+// Dashboard statistics for a single date
+// Query: date (YYYY-MM-DD, default today), format
+async function getDashboardStats(req, res) {
+  try {
+    const { date = today() } = req.query;
+
+    const stats = await repositories().reports.dashboardStats(date);
+    if (wantsCsv(req)) {
+      return sendCsv(res, `dashboard-${date}.csv`, [{ date, ...stats }]);
+    }
+    res.status(200).json({
+      success: true,
+      data: { date, ...stats },
+      message: t(req, "reports.dashboardRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveDashboard");
+  }
+}
+
+// Paid revenue of one court over a date range (get_court_revenue)
+// Params: id (court_id). Query: start_date, end_date (both required), format
+async function getCourtRevenue(req, res) {
+  try {
+    const { id } = req.params;
+
+    const range = parseDateRange(req.query, {
+      required: true,
+      maxDays: MAX_REPORT_DAYS,
+    });
+    if (range.error)
+      return sendError(res, 400, t(req, range.error, range.params));
+
+    const { courts, reports } = repositories();
+    const court = await courts.findById(id);
+    if (!court) return sendCodedError(res, "COURT_NOT_FOUND");
+
+    const revenue = await reports.courtRevenue(
+      court.court_id,
+      range.start_date,
+      range.end_date
+    );
+    const data = {
+      court_id: court.court_id,
+      court_name: court.court_name,
+      start_date: range.start_date,
+      end_date: range.end_date,
+      revenue,
+    };
+    if (wantsCsv(req)) {
+      return sendCsv(res, `court-${court.court_id}-revenue.csv`, [data]);
+    }
+    res.status(200).json({
+      success: true,
+      data,
+      message: t(req, "reports.courtRevenueRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveCourtRevenue");
+  }
+}
+
+// Daily cash-up: payments and refunds taken per admin and method
+// Query: date (YYYY-MM-DD, default today), admin_id, format
+async function getCashUp(req, res) {
+  try {
+    const { date = today(), admin_id = null } = req.query;
+
+    const rows = await repositories().reports.cashUp(date, admin_id);
+    const net_total = rows.reduce(
+      (sum, row) => sum + Number(row.net_amount),
+      0
+    );
+    sendReport(req, res, {
+      rows,
+      filename: `cash-up-${date}.csv`,
+      meta: { date, count: rows.length, net_total },
+      message: t(req, "reports.cashUpRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveCashUp");
+  }
+}
+
+module.exports = {
+  getDailySummary,
+  getRevenueSummary,
+  getCourtUtilization,
+  getDashboardStats,
+  getCourtRevenue,
+  getCashUp,
+};
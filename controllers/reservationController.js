@@ -0,0 +1,148 @@
+const { repositories } = require("../repositories");
+const { today } = require("../utils/dateRange");
+const { resolveCustomer, savedCustomerId } = require("./customerController");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Longest block of consecutive slots a single reservation may hold
+const MAX_RESERVATION_SLOTS = 8;
+
+// slot_ids as an array or comma separated string -> "1,2,3" (deduplicated)
+function parseSlotIds(input) {
+  const items = Array.isArray(input) ? input : String(input).split(",");
+  return [...new Set(items.map(Number))].join(",");
+}
+
+// Create a reservation of consecutive slots (all or nothing)
+// Body: { court_id, slot_ids: [..], booking_date, customer_name, customer_phone, notes }
+// customer_id may replace customer_name/customer_phone for a known customer
+async function createReservation(req, res) {
+  try {
+    const {
+      court_id,
+      slot_ids,
+      booking_date,
+      customer_id,
+      customer_name,
+      customer_phone,
+      notes = null,
+    } = req.body;
+
+    const slots = parseSlotIds(slot_ids);
+    if (slots.split(",").length > MAX_RESERVATION_SLOTS) {
+      return sendError(
+        res,
+        400,
+        t(req, "reservations.tooManySlots", { max: MAX_RESERVATION_SLOTS })
+      );
+    }
+    const customer = await resolveCustomer({
+      customer_id,
+      customer_name,
+      customer_phone,
+    });
+    if (customer.error)
+      return sendError(
+        res,
+        customer.status,
+        t(req, customer.error, customer.params),
+        customer.code
+      );
+
+    const row = await repositories().reservations.create({
+      court_id,
+      slot_ids: slots,
+      booking_date,
+      customer_name: customer.customer_name,
+      customer_phone: customer.customer_phone,
+      notes,
+      created_by: req.user.admin_id,
+    });
+    res.status(201).json({
+      success: true,
+      data: {
+        reservation_id: row.reservation_id,
+        customer_id: await savedCustomerId(customer),
+        total_amount: row.total_amount,
+      },
+      message: t(req, "reservations.created"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.createReservation");
+  }
+}
+
+// Get reservation with its slots
+async function getReservationById(req, res) {
+  try {
+    const { id } = req.params;
+    const found = await repositories().reservations.findById(id);
+    if (!found) return sendCodedError(res, "RESERVATION_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: { ...found.reservation, bookings: found.bookings },
+      message: t(req, "reservations.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveReservations");
+  }
+}
+
+// Cancel all slots of a reservation
+async function cancelReservation(req, res) {
+  try {
+    const { id } = req.params;
+    const cancelledCount = await repositories().reservations.cancel(
+      id,
+      req.user.admin_id
+    );
+    res.status(200).json({
+      success: true,
+      data: { cancelled_count: cancelledCount },
+      message: t(req, "reservations.cancelled"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.cancelReservation");
+  }
+}
+
+// Move a reservation as a unit
+// Body: { booking_date, court_id, slot_ids } (at least one; slot_ids must keep the same length)
+async function rescheduleReservation(req, res) {
+  try {
+    const { id } = req.params;
+    const { booking_date = null, court_id = null, slot_ids = null } = req.body;
+    if (booking_date && booking_date < today()) {
+      return sendError(
+        res,
+        400,
+        t(req, "common.dateInPast", { field: "booking_date" })
+      );
+    }
+    const slots = slot_ids ? parseSlotIds(slot_ids) : null;
+
+    const totalAmount = await repositories().reservations.reschedule(
+      id,
+      {
+        booking_date,
+        court_id,
+        slot_ids: slots,
+      },
+      req.user.admin_id
+    );
+    res.status(200).json({
+      success: true,
+      data: { total_amount: totalAmount },
+      message: t(req, "reservations.rescheduled"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.rescheduleReservation");
+  }
+}
+
+module.exports = {
+  createReservation,
+  getReservationById,
+  cancelReservation,
+  rescheduleReservation,
+};
@@ -0,0 +1,78 @@
+const { repositories } = require("../repositories");
+const { clearSessionCookies } = require("../utils/sessions");
+const { handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Login sessions: every admin sees and ends their own (/me/sessions);
+// owners can do the same for any admin (/admins/:id/sessions).
+
+async function listSessions(req, res, adminId) {
+  try {
+    const sessions = await repositories().sessions.findByAdmin(adminId);
+    res.status(200).json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.session_id === req.user.session_id,
+      })),
+      message: t(req, "auth.sessionsRetrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveSessions");
+  }
+}
+
+// Ends every session of the admin; when that includes the caller's own,
+// its cookies are cleared too
+async function revokeSessions(req, res, adminId) {
+  try {
+    const count = await repositories().sessions.revokeAll(adminId);
+    if (adminId === req.user.admin_id) clearSessionCookies(res);
+    res.status(200).json({
+      success: true,
+      data: { revoked: count },
+      message: t(req, "auth.sessionsRevoked", { count }),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.revokeSession");
+  }
+}
+
+// GET /me/sessions - open sessions; `current` marks this one
+const getMySessions = (req, res) => listSessions(req, res, req.user.admin_id);
+
+// DELETE /me/sessions - log out everywhere
+const revokeMySessions = (req, res) =>
+  revokeSessions(req, res, req.user.admin_id);
+
+// DELETE /me/sessions/:id
+async function revokeMySession(req, res) {
+  try {
+    const sessionId = req.params.id;
+    await repositories().sessions.revoke(sessionId, req.user.admin_id);
+    if (sessionId === req.user.session_id) clearSessionCookies(res);
+    res
+      .status(200)
+      .json({ success: true, message: t(req, "auth.sessionRevoked") });
+  } catch (error) {
+    handleError(res, error, "failed.revokeSession");
+  }
+}
+
+// GET /admins/:id/sessions
+function getAdminSessions(req, res) {
+  return listSessions(req, res, req.params.id);
+}
+
+// DELETE /admins/:id/sessions
+function revokeAdminSessions(req, res) {
+  return revokeSessions(req, res, req.params.id);
+}
+
+module.exports = {
+  getMySessions,
+  revokeMySessions,
+  revokeMySession,
+  getAdminSessions,
+  revokeAdminSessions,
+};
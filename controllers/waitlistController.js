@@ -0,0 +1,155 @@
+const { repositories } = require("../repositories");
+const { today } = require("../utils/dateRange");
+const { resolveCustomer } = require("./customerController");
+const config = require("../config/waitlist");
+const { notifyBooking } = require("../services/notifications");
+const { sendError, sendCodedError, handleError } = require("../utils/errors");
+const { t } = require("../utils/i18n");
+
+// Add a customer to the waitlist of a taken slot
+// Body: { court_id (omit = any court), slot_id, booking_date, customer_id |
+//         customer_name + customer_phone, notes, offer_minutes }
+async function createWaitlistEntry(req, res) {
+  try {
+    const {
+      court_id = null,
+      slot_id,
+      booking_date,
+      customer_id,
+      customer_name,
+      customer_phone,
+      notes = null,
+      offer_minutes = config.offerMinutes,
+    } = req.body;
+
+    if (booking_date < today()) {
+      return sendError(
+        res,
+        400,
+        t(req, "common.dateInPast", { field: "booking_date" })
+      );
+    }
+
+    const customer = await resolveCustomer({
+      customer_id,
+      customer_name,
+      customer_phone,
+    });
+    if (customer.error)
+      return sendError(
+        res,
+        customer.status,
+        t(req, customer.error, customer.params),
+        customer.code
+      );
+
+    const row = await repositories().waitlist.create({
+      court_id,
+      slot_id,
+      booking_date,
+      customer_id: customer.customer_id,
+      customer_name: customer.customer_name,
+      customer_phone: customer.customer_phone,
+      notes,
+      offer_minutes,
+      created_by: req.user.admin_id,
+    });
+    res.status(201).json({
+      success: true,
+      data: { waitlist_id: row.waitlist_id, position: row.position },
+      message: t(req, "waitlist.joined"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.joinWaitlist");
+  }
+}
+
+// Query: booking_date, slot_id, court_id, status
+async function getWaitlist(req, res) {
+  try {
+    const {
+      booking_date = null,
+      slot_id = null,
+      court_id = null,
+      status = null,
+    } = req.query;
+    const entries = await repositories().waitlist.findAll({
+      booking_date,
+      slot_id,
+      court_id,
+      status,
+    });
+    res.status(200).json({
+      success: true,
+      data: entries,
+      message: t(req, "waitlist.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveWaitlist");
+  }
+}
+
+async function getWaitlistEntryById(req, res) {
+  try {
+    const { id } = req.params;
+    const entry = await repositories().waitlist.findById(id);
+    if (!entry) return sendCodedError(res, "WAITLIST_ENTRY_NOT_FOUND");
+    res.status(200).json({
+      success: true,
+      data: entry,
+      message: t(req, "waitlist.retrieved"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.retrieveWaitlist");
+  }
+}
+
+// Turn an open offer into a booking
+async function acceptWaitlistOffer(req, res) {
+  try {
+    const { id } = req.params;
+    const row = await repositories().waitlist.acceptOffer(
+      id,
+      req.user.admin_id
+    );
+    notifyBooking(row.booking_id, "confirmation");
+    res.status(201).json({
+      success: true,
+      data: { booking_id: row.booking_id, total_amount: row.total_amount },
+      message: t(req, "waitlist.offerAccepted"),
+    });
+  } catch (error) {
+    handleError(res, error, "failed.acceptWaitlistOffer");
+  }
+}
+
+// Shared by decline (offer only) and cancel (waiting or offered)
+function closeWaitlistEntry(newStatus, messageKey) {
+  return async (req, res) => {
+    try {
+      const { id } = req.params;
+      await repositories().waitlist.close(id, newStatus);
+      res.status(200).json({ success: true, message: t(req, messageKey) });
+    } catch (error) {
+      handleError(res, error, "failed.updateWaitlist");
+    }
+  };
+}
+
+const declineWaitlistOffer = closeWaitlistEntry(
+  "declined",
+  "waitlist.offerDeclined"
+);
+const cancelWaitlistEntry = closeWaitlistEntry(
+  "cancelled",
+  "waitlist.cancelled"
+);
+
+module.exports = {
+  createWaitlistEntry,
+  getWaitlist,
+  getWaitlistEntryById,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  cancelWaitlistEntry,
+};
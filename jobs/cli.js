@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Run background jobs once, e.g. from cron:
+//   npm run jobs -- list
+//   npm run jobs -- run complete-bookings no-shows
+//   npm run jobs -- run --all
+const db = require("../config/db");
+const { JOBS } = require("./index");
+const { runJob } = require("./runner");
+
+function printUsage() {
+  console.log("Usage: node jobs/cli.js list | run <job...> | run --all");
+}
+
+async function main(args) {
+  const [command, ...rest] = args;
+
+  if (command === "list") {
+    for (const [name, job] of Object.entries(JOBS)) {
+      console.log(`${name.padEnd(24)} ${job.description}`);
+    }
+    return 0;
+  }
+
+  if (command !== "run" || rest.length === 0) {
+    printUsage();
+    return 1;
+  }
+
+  const names = rest.includes("--all") ? Object.keys(JOBS) : rest;
+  const unknown = names.filter((name) => !JOBS[name]);
+  if (unknown.length > 0) {
+    console.error(`Unknown job(s): ${unknown.join(", ")}`);
+    return 1;
+  }
+
+  let failed = false;
+  for (const name of names) {
+    const outcome = await runJob(name, { triggeredBy: "cli" });
+    console.log(JSON.stringify(outcome));
+    if (outcome.status === "failed") failed = true;
+  }
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .catch((error) => {
+    console.error(error);
+    return 1;
+  })
+  .then(async (code) => {
+    await db.close();
+    process.exit(code);
+  });
@@ -0,0 +1,57 @@
+const { repositories } = require("../repositories");
+const config = require("../config/jobs");
+const {
+  dispatchPending,
+  queueDueReminders,
+} = require("../services/notifications");
+
+// Registered jobs: name -> { description, run() }. run() resolves to a
+// JSON-serialisable summary that is stored with the run.
+const JOBS = {
+  "complete-bookings": {
+    description: "Mark confirmed bookings whose slot has ended as completed",
+    async run() {
+      return { completed: await repositories().bookings.completeFinished() };
+    },
+  },
+  "no-shows": {
+    description: "Flag or cancel unpaid bookings past the no-show grace period",
+    async run() {
+      const count = await repositories().bookings.processNoShows(
+        config.noShowGraceMinutes,
+        config.noShowAction
+      );
+      return {
+        no_shows: count,
+        action: config.noShowAction,
+        grace_minutes: config.noShowGraceMinutes,
+      };
+    },
+  },
+  "expire-waitlist-offers": {
+    description: "Expire waitlist offers past their time limit",
+    async run() {
+      return { expired: await repositories().waitlist.expireOffers() };
+    },
+  },
+  "release-expired-holds": {
+    description: "Release slot holds past their expiry",
+    async run() {
+      return { expired: await repositories().holds.releaseExpired() };
+    },
+  },
+  "send-reminders": {
+    description: "Queue reminders for bookings starting soon",
+    async run() {
+      return queueDueReminders();
+    },
+  },
+  "dispatch-notifications": {
+    description: "Send due notifications from the outbox",
+    async run() {
+      return dispatchPending();
+    },
+  },
+};
+
+module.exports = { JOBS };
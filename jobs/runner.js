@@ -0,0 +1,62 @@
+const { repositories } = require("../repositories");
+const config = require("../config/jobs");
+const { JOBS } = require("./index");
+
+// Jobs currently running in this process (a job never overlaps itself)
+const running = new Set();
+const timers = [];
+
+// Run one job and record the outcome in job_runs.
+// Returns { run_id, job_name, status, result | error }.
+async function runJob(name, { triggeredBy = "scheduler" } = {}) {
+  const job = JOBS[name];
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  if (running.has(name)) {
+    return { job_name: name, status: "skipped", error: "Already running" };
+  }
+
+  running.add(name);
+  try {
+    const { jobRuns } = repositories();
+    const runId = await jobRuns.start(name, triggeredBy);
+    try {
+      const result = await job.run();
+      await jobRuns.finish(runId, {
+        status: "success",
+        result: result ?? null,
+      });
+      return { run_id: runId, job_name: name, status: "success", result };
+    } catch (error) {
+      const message = String(error.message || error);
+      await jobRuns.finish(runId, { status: "failed", error: message });
+      return {
+        run_id: runId,
+        job_name: name,
+        status: "failed",
+        error: message,
+      };
+    }
+  } finally {
+    running.delete(name);
+  }
+}
+
+// Run every job on its configured interval inside the API process
+function startScheduler() {
+  for (const name of Object.keys(JOBS)) {
+    const everyMs = config.intervals[name] * 60 * 1000;
+    const timer = setInterval(() => {
+      runJob(name).catch((error) => {
+        console.error(`Job ${name} could not be recorded:`, error);
+      });
+    }, everyMs);
+    timer.unref();
+    timers.push(timer);
+  }
+}
+
+function stopScheduler() {
+  while (timers.length > 0) clearInterval(timers.pop());
+}
+
+module.exports = { runJob, startScheduler, stopScheduler };
@@ -0,0 +1,380 @@
+// English API messages. Keys mirror locales/id.js; see utils/i18n.js.
+module.exports = {
+  common: {
+    required: "Required fields: {fields}",
+    invalidDate: "{field} must be a valid date (YYYY-MM-DD)",
+    invalidDateTimes: "{fields} must be valid (YYYY-MM-DD HH:MM)",
+    dateInPast: "{field} cannot be in the past",
+    dateOrder: "{start} must be on or before {end}",
+    rangeTooLong: "Date range cannot exceed {days} days",
+    invalidTimes: "start_time and end_time must be given together",
+    timeOrder: "start_time must be before end_time",
+    invalidWeekdays: "weekdays must be ISO weekday numbers (1-7) or day names",
+    invalidPhone: "{field} is not a valid phone number",
+  },
+
+  auth: {
+    unauthorized: "Unauthorized",
+    loggedIn: "Login successful",
+    loggedOut: "Logout successful",
+    profileRetrieved: "Profile fetched",
+    preferencesUpdated: "Preferences updated",
+    refreshed: "Session renewed",
+    sessionsRetrieved: "Sessions retrieved successfully",
+    sessionRevoked: "Session ended",
+    sessionsRevoked: "{count} session(s) ended",
+  },
+
+  apiKeys: {
+    created: "API key created; copy it now, it is not shown again",
+    listRetrieved: "API keys retrieved successfully",
+    revoked: "API key revoked",
+    revokedAll: "{count} API key(s) revoked",
+  },
+
+  admins: {
+    listRetrieved: "Admins retrieved successfully",
+    retrieved: "Admin retrieved successfully",
+    created: "Admin created successfully",
+    updated: "Admin updated successfully",
+    passwordChanged: "Password changed successfully",
+    cannotChangeSelf: "You cannot change your own role or deactivate yourself",
+    unlocked: "Account unlocked",
+    loginAttemptsRetrieved: "Login attempts retrieved successfully",
+    systemReady: "Database connection and system health check passed",
+    setupIncomplete: "Database connected but system setup incomplete",
+    connectionTestFailed: "Database connection test failed",
+  },
+
+  audit: {
+    retrieved: "Audit log retrieved successfully",
+  },
+
+  availability: {
+    retrieved: "Availability retrieved successfully",
+  },
+
+  bookings: {
+    created: "Booking created successfully",
+    retrieved: "Booking retrieved successfully",
+    updated: "Booking details updated",
+    statusUpdated: "Booking status updated",
+    cancelled: "Booking cancelled",
+    historyRetrieved: "Booking history retrieved successfully",
+    changesRetrieved: "Booking change history retrieved successfully",
+    refundNotAllowed: "You are not allowed to issue refunds",
+  },
+
+  series: {
+    previewGenerated: "Booking series preview generated",
+    retrieved: "Booking series retrieved successfully",
+    created: "Booking series created",
+    updated: "Booking series updated",
+    cancelled: "Booking series cancelled",
+    tooLong: "A series cannot span more than {days} days",
+  },
+
+  payments: {
+    retrieved: "Payments retrieved successfully",
+    paymentRecorded: "Payment recorded",
+    refundRecorded: "Refund recorded",
+  },
+
+  reservations: {
+    retrieved: "Reservation retrieved successfully",
+    created: "Reservation created successfully",
+    cancelled: "Reservation cancelled",
+    rescheduled: "Reservation rescheduled",
+    tooManySlots: "A reservation can have at most {max} slots",
+  },
+
+  waitlist: {
+    retrieved: "Waitlist retrieved successfully",
+    joined: "Customer added to the waitlist",
+    offerAccepted: "Waitlist offer accepted, booking created",
+    offerDeclined: "Waitlist offer declined",
+    cancelled: "Waitlist entry cancelled",
+  },
+
+  courts: {
+    listRetrieved: "Courts retrieved successfully",
+    retrieved: "Court retrieved successfully",
+    created: "Court created successfully",
+    updated: "Court updated successfully",
+    deleted: "Court deleted successfully",
+  },
+
+  timeSlots: {
+    listRetrieved: "Time slots retrieved successfully",
+    retrieved: "Time slot retrieved successfully",
+    availableRetrieved: "Available time slots retrieved successfully",
+    created: "Time slot created successfully",
+    updated: "Time slot updated successfully",
+    deleted: "Time slot deleted successfully",
+  },
+
+  customers: {
+    listRetrieved: "Customers retrieved successfully",
+    retrieved: "Customer retrieved successfully",
+    bookingsRetrieved: "Customer bookings retrieved successfully",
+    created: "Customer created successfully",
+    updated: "Customer updated successfully",
+    deleted: "Customer deleted successfully",
+    merged: "Customers merged successfully",
+  },
+
+  closures: {
+    listRetrieved: "Closures retrieved successfully",
+    retrieved: "Closure retrieved successfully",
+    conflictsRetrieved: "Conflicting bookings retrieved successfully",
+    created: "Closure created successfully",
+    deleted: "Closure deleted successfully",
+  },
+
+  pricing: {
+    rulesRetrieved: "Pricing rules retrieved successfully",
+    ruleRetrieved: "Pricing rule retrieved successfully",
+    ruleCreated: "Pricing rule created successfully",
+    ruleUpdated: "Pricing rule updated successfully",
+    ruleDeleted: "Pricing rule deleted successfully",
+    holidaysRetrieved: "Holidays retrieved successfully",
+    holidaySaved: "Holiday saved successfully",
+    holidayDeleted: "Holiday deleted successfully",
+    quoteGenerated: "Price quote generated",
+    quoteTargetNotFound: "Court or time slot not found",
+    unknownCourtOrSlot: "court_id or slot_id does not exist",
+    slotOrTimes: "Use either slot_id or start_time/end_time, not both",
+  },
+
+  reports: {
+    revenueSummaryRetrieved: "Revenue summary retrieved successfully",
+    dashboardRetrieved: "Dashboard statistics retrieved successfully",
+    courtRevenueRetrieved: "Court revenue retrieved successfully",
+    courtUtilizationRetrieved: "Court utilization retrieved successfully",
+    dailySummaryRetrieved: "Daily summary retrieved successfully",
+    cashUpRetrieved: "Cash-up report retrieved successfully",
+  },
+
+  notifications: {
+    listRetrieved: "Notifications retrieved successfully",
+    retryQueued: "Notification queued for retry",
+    dispatched: "Pending notifications dispatched",
+    remindersQueued: "Reminders queued",
+  },
+
+  jobs: {
+    listRetrieved: "Jobs retrieved successfully",
+    runsRetrieved: "Job runs retrieved successfully",
+    unknown: "Unknown job: {name}",
+    completed: "Job {name} completed",
+    failed: "Job {name} failed: {error}",
+  },
+
+  calendar: {
+    listRetrieved: "Calendar feeds retrieved successfully",
+    feedCreated: "Calendar feed created successfully",
+    feedRevoked: "Calendar feed revoked successfully",
+    exactlyOneTarget: "Exactly one of court_id or customer_phone is required",
+  },
+
+  holds: {
+    created: "Slot held successfully",
+    retrieved: "Hold retrieved successfully",
+    released: "Hold released successfully",
+  },
+
+  public: {
+    courtsRetrieved: "Courts retrieved successfully",
+    availabilityRetrieved: "Availability retrieved successfully",
+    bookingCreated:
+      "Booking created. Keep your confirmation code to view or cancel it",
+    bookingRetrieved: "Booking retrieved successfully",
+    bookingCancelled: "Booking cancelled successfully",
+  },
+
+  // Fallbacks for unexpected errors without a message of their own
+  failed: {
+    login: "Login failed",
+    logout: "Logout failed",
+    authenticate: "Authentication failed",
+    unlockAdmin: "Failed to unlock account",
+    retrieveLoginAttempts: "Failed to retrieve login attempts",
+    refreshSession: "Failed to renew session",
+    retrieveSessions: "Failed to retrieve sessions",
+    revokeSession: "Failed to end session",
+    createApiKey: "Failed to create API key",
+    retrieveApiKeys: "Failed to retrieve API keys",
+    revokeApiKey: "Failed to revoke API key",
+    retrieveProfile: "Failed to fetch profile",
+    updatePreferences: "Failed to update preferences",
+    retrieveAdmins: "Failed to retrieve admins",
+    retrieveAdmin: "Failed to retrieve admin",
+    createAdmin: "Failed to create admin",
+    updateAdmin: "Failed to update admin",
+    resetPassword: "Failed to reset password",
+    retrieveAuditLog: "Failed to retrieve audit log",
+    retrieveAvailability: "Failed to retrieve availability",
+    createBooking: "Failed to create booking",
+    retrieveBookings: "Failed to retrieve bookings",
+    updateBooking: "Failed to update booking details",
+    updateBookingStatus: "Failed to update booking status",
+    cancelBooking: "Failed to cancel booking",
+    retrieveBookingHistory: "Failed to retrieve booking history",
+    retrieveBookingChanges: "Failed to retrieve booking change history",
+    previewSeries: "Failed to preview booking series",
+    createSeries: "Failed to create booking series",
+    retrieveSeries: "Failed to retrieve booking series",
+    updateSeries: "Failed to update booking series",
+    cancelSeries: "Failed to cancel booking series",
+    retrievePayments: "Failed to retrieve payments",
+    recordPayment: "Failed to record payment",
+    recordRefund: "Failed to record refund",
+    createReservation: "Failed to create reservation",
+    retrieveReservations: "Failed to retrieve reservation",
+    cancelReservation: "Failed to cancel reservation",
+    rescheduleReservation: "Failed to reschedule reservation",
+    joinWaitlist: "Failed to add to the waitlist",
+    retrieveWaitlist: "Failed to retrieve waitlist",
+    acceptWaitlistOffer: "Failed to accept waitlist offer",
+    updateWaitlist: "Failed to update waitlist",
+    retrieveCourts: "Failed to retrieve courts",
+    retrieveCourt: "Failed to retrieve court",
+    createCourt: "Failed to create court",
+    updateCourt: "Failed to update court",
+    deleteCourt: "Failed to delete court",
+    retrieveTimeSlots: "Failed to retrieve time slots",
+    retrieveTimeSlot: "Failed to retrieve time slot",
+    retrieveAvailableTimeSlots: "Failed to retrieve available time slots",
+    createTimeSlot: "Failed to create time slot",
+    updateTimeSlot: "Failed to update time slot",
+    deleteTimeSlot: "Failed to delete time slot",
+    retrieveCustomers: "Failed to retrieve customers",
+    retrieveCustomer: "Failed to retrieve customer",
+    retrieveCustomerBookings: "Failed to retrieve customer bookings",
+    createCustomer: "Failed to create customer",
+    updateCustomer: "Failed to update customer",
+    deleteCustomer: "Failed to delete customer",
+    mergeCustomers: "Failed to merge customers",
+    retrieveClosures: "Failed to retrieve closures",
+    retrieveClosure: "Failed to retrieve closure",
+    retrieveClosureConflicts: "Failed to retrieve conflicting bookings",
+    createClosure: "Failed to create closure",
+    deleteClosure: "Failed to delete closure",
+    retrievePricingRules: "Failed to retrieve pricing rules",
+    retrievePricingRule: "Failed to retrieve pricing rule",
+    createPricingRule: "Failed to create pricing rule",
+    updatePricingRule: "Failed to update pricing rule",
+    deletePricingRule: "Failed to delete pricing rule",
+    retrieveHolidays: "Failed to retrieve holidays",
+    saveHoliday: "Failed to save holiday",
+    deleteHoliday: "Failed to delete holiday",
+    quotePrice: "Failed to generate price quote",
+    retrieveRevenueSummary: "Failed to retrieve revenue summary",
+    retrieveDashboard: "Failed to retrieve dashboard statistics",
+    retrieveCourtRevenue: "Failed to retrieve court revenue",
+    retrieveCourtUtilization: "Failed to retrieve court utilization",
+    retrieveDailySummary: "Failed to retrieve daily summary",
+    retrieveCashUp: "Failed to retrieve cash-up report",
+    retrieveNotifications: "Failed to retrieve notifications",
+    retryNotification: "Failed to retry notification",
+    dispatchNotifications: "Failed to dispatch notifications",
+    sendReminders: "Failed to send reminders",
+    retrieveJobs: "Failed to retrieve jobs",
+    retrieveJobRuns: "Failed to retrieve job runs",
+    runJob: "Failed to run job",
+    buildCalendarFeed: "Failed to build calendar feed",
+    retrieveCalendarFeeds: "Failed to retrieve calendar feeds",
+    createCalendarFeed: "Failed to create calendar feed",
+    revokeCalendarFeed: "Failed to revoke calendar feed",
+    createHold: "Failed to hold slot",
+    retrieveHold: "Failed to retrieve hold",
+    releaseHold: "Failed to release hold",
+    retrievePublicCourts: "Failed to retrieve courts",
+    retrievePublicAvailability: "Failed to retrieve availability",
+    createPublicBooking: "Failed to create booking",
+    retrievePublicBooking: "Failed to retrieve booking",
+    cancelPublicBooking: "Failed to cancel booking",
+  },
+
+  // Keyed by error code (utils/errors.js); used for procedure results and
+  // SIGNAL errors as well as controller responses
+  errors: {
+    VALIDATION_FAILED: "Validation failed",
+    AUTH_TOKEN_MISSING: "Auth token missing",
+    AUTH_TOKEN_INVALID: "Invalid or expired token",
+    INVALID_CREDENTIALS: "Invalid username or password",
+    REFRESH_TOKEN_INVALID: "Invalid refresh token, please log in again",
+    SESSION_REVOKED: "Your session has ended, please log in again",
+    PERMISSION_DENIED: "Forbidden: requires {permission} permission",
+    API_KEY_INVALID: "Invalid, expired or revoked API key",
+    API_KEY_SCOPE_MISSING: "Forbidden: the API key lacks the {scope} scope",
+    API_KEY_NOT_ALLOWED:
+      "This endpoint requires a login session, not an API key",
+    DUPLICATE_ENTRY: "A record with the same value already exists",
+    REFERENCED_RECORD_NOT_FOUND: "A referenced record does not exist",
+    RECORD_IN_USE: "The record is still in use by other data",
+    RATE_LIMITED: "Too many requests, please try again later",
+    ACCOUNT_LOCKED:
+      "Account locked after too many failed logins, try again in {minutes} minute(s) or ask an owner to unlock it",
+    LOGIN_THROTTLED:
+      "Too many login attempts, try again in {seconds} second(s)",
+
+    ADMIN_NOT_FOUND: "Admin not found",
+    API_KEY_NOT_FOUND: "API key not found or already revoked",
+    BOOKING_NOT_FOUND: "Booking not found",
+    CALENDAR_FEED_NOT_FOUND: "Calendar feed not found or already revoked",
+    CLOSURE_NOT_FOUND: "Closure not found",
+    COURT_NOT_FOUND: "Court not found",
+    CUSTOMER_NOT_FOUND: "Customer not found",
+    HOLD_NOT_FOUND: "Hold not found, already used or released",
+    HOLIDAY_NOT_FOUND: "Holiday not found",
+    JOB_NOT_FOUND: "Unknown job: {name}",
+    NOTIFICATION_NOT_FOUND: "Notification not found",
+    PRICING_RULE_NOT_FOUND: "Pricing rule not found",
+    RESERVATION_NOT_FOUND: "Reservation not found",
+    SERIES_NOT_FOUND: "Booking series not found or already cancelled",
+    SESSION_NOT_FOUND: "Session not found or already ended",
+    SLOT_NOT_FOUND: "Time slot not found",
+    WAITLIST_ENTRY_NOT_FOUND: "Waitlist entry not found",
+
+    ADMIN_ALREADY_EXISTS: "Username or email already in use",
+    ALREADY_ON_WAITLIST: "Customer is already on the waitlist for this slot",
+    BOOKING_CANCELLED: "The booking has been cancelled and cannot be changed",
+    BOOKING_HAS_PAYMENTS:
+      "The booking has been paid, please contact the front desk to cancel it",
+    CANCELLATION_CLOSED: "The booking can no longer be cancelled online",
+    COURT_CLOSED: "The court is closed at that time",
+    COURT_HAS_BOOKINGS: "Cannot delete court with active bookings",
+    CUSTOMER_PHONE_TAKEN: "A customer with this phone already exists",
+    EMAIL_TAKEN: "Email already in use",
+    HOLD_EXPIRED: "The hold has expired, please pick the slot again",
+    JOB_ALREADY_RUNNING: "Job {name} is already running",
+    LAST_ACTIVE_OWNER: "Cannot demote or deactivate the last active owner",
+    NO_ACTIVE_OFFER: "The waitlist entry has no active offer",
+    NO_SERIES_DATES_AVAILABLE: "No dates are available for this series",
+    NOTIFICATION_NOT_FAILED: "Only failed notifications can be retried",
+    PUBLIC_BOOKING_LIMIT:
+      "This phone number already has the maximum number of upcoming online bookings",
+    RESERVATION_CANCELLED: "The reservation has already been cancelled",
+    SLOT_ALREADY_BOOKED: "The slot is already booked for that date",
+    SLOT_HAS_BOOKINGS: "Time slot has future active bookings",
+    SLOT_HELD: "The slot is being held for another booking",
+    SLOT_STILL_AVAILABLE: "The slot is still available, book it directly",
+    TIME_SLOT_OVERLAP: "Time slot overlaps with existing active slot",
+    WAITLIST_ENTRY_CLOSED: "The waitlist entry is already closed",
+
+    BOOKING_DATE_IN_PAST: "Booking date cannot be in the past",
+    BOOKING_TOO_FAR_AHEAD: "Bookings can be made at most {days} days ahead",
+    COURT_INACTIVE: "Court not found or inactive",
+    CUSTOMER_MERGE_INTO_SELF: "Cannot merge a customer into itself",
+    CUSTOMER_NAME_REQUIRED: "Customer name is required",
+    INVALID_PAYMENT_AMOUNT: "Payment amount must be greater than 0",
+    INVALID_TIME_RANGE: "Start time must be before end time",
+    PAYMENT_EXCEEDS_BALANCE: "Payment amount exceeds the outstanding balance",
+    REFUND_EXCEEDS_PAID: "Refund amount exceeds the amount paid",
+    SLOT_COUNT_MISMATCH:
+      "The number of new slots must match the reservation's slots",
+    SLOT_INACTIVE: "Time slot not found or inactive",
+    SLOTS_NOT_CONSECUTIVE: "Time slots must be consecutive",
+  },
+};
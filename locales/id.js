@@ -0,0 +1,391 @@
+// Indonesian API messages (default locale). Keys mirror locales/en.js;
+// see utils/i18n.js.
+module.exports = {
+  common: {
+    required: "Field wajib diisi: {fields}",
+    invalidDate: "{field} tidak valid (YYYY-MM-DD)",
+    invalidDateTimes:
+      "{fields} harus berupa waktu yang valid (YYYY-MM-DD HH:MM)",
+    dateInPast: "{field} tidak boleh tanggal lampau",
+    dateOrder: "{start} tidak boleh setelah {end}",
+    rangeTooLong: "Rentang tanggal tidak boleh lebih dari {days} hari",
+    invalidTimes: "start_time dan end_time harus diisi bersamaan",
+    timeOrder: "start_time harus sebelum end_time",
+    invalidWeekdays:
+      "weekdays harus berupa nomor hari ISO (1-7) atau nama hari",
+    invalidPhone: "{field}: nomor telepon tidak valid",
+  },
+
+  auth: {
+    unauthorized: "Tidak terautentikasi",
+    loggedIn: "Login berhasil",
+    loggedOut: "Logout berhasil",
+    profileRetrieved: "Profil ditemukan",
+    preferencesUpdated: "Preferensi diperbarui",
+    refreshed: "Sesi diperbarui",
+    sessionsRetrieved: "Daftar sesi diambil",
+    sessionRevoked: "Sesi diakhiri",
+    sessionsRevoked: "{count} sesi diakhiri",
+  },
+
+  apiKeys: {
+    created: "API key dibuat; salin sekarang, key tidak ditampilkan lagi",
+    listRetrieved: "Daftar API key diambil",
+    revoked: "API key dicabut",
+    revokedAll: "{count} API key dicabut",
+  },
+
+  admins: {
+    listRetrieved: "Daftar admin diambil",
+    retrieved: "Admin ditemukan",
+    created: "Admin berhasil dibuat",
+    updated: "Admin berhasil diperbarui",
+    passwordChanged: "Password berhasil diubah",
+    cannotChangeSelf:
+      "Tidak dapat mengubah role atau menonaktifkan akun sendiri",
+    unlocked: "Akun berhasil dibuka",
+    loginAttemptsRetrieved: "Riwayat login diambil",
+    systemReady: "Koneksi database dan pemeriksaan sistem berhasil",
+    setupIncomplete:
+      "Database terhubung tetapi pengaturan sistem belum lengkap",
+    connectionTestFailed: "Tes koneksi database gagal",
+  },
+
+  audit: {
+    retrieved: "Log audit diambil",
+  },
+
+  availability: {
+    retrieved: "Ketersediaan lapangan diambil",
+  },
+
+  bookings: {
+    created: "Booking berhasil dibuat",
+    retrieved: "Booking ditemukan",
+    updated: "Detail booking diperbarui",
+    statusUpdated: "Status booking diperbarui",
+    cancelled: "Booking dibatalkan",
+    historyRetrieved: "Riwayat booking diambil",
+    changesRetrieved: "Riwayat perubahan booking diambil",
+    refundNotAllowed: "Tidak memiliki izin untuk melakukan refund",
+  },
+
+  series: {
+    previewGenerated: "Pratinjau booking series dibuat",
+    retrieved: "Booking series ditemukan",
+    created: "Booking series berhasil dibuat",
+    updated: "Booking series berhasil diupdate",
+    cancelled: "Booking series berhasil dibatalkan",
+    tooLong: "Series tidak boleh lebih dari {days} hari",
+  },
+
+  payments: {
+    retrieved: "Data pembayaran diambil",
+    paymentRecorded: "Pembayaran berhasil dicatat",
+    refundRecorded: "Refund berhasil dicatat",
+  },
+
+  reservations: {
+    retrieved: "Reservasi ditemukan",
+    created: "Reservasi berhasil dibuat",
+    cancelled: "Reservasi berhasil dibatalkan",
+    rescheduled: "Reservasi berhasil dijadwalkan ulang",
+    tooManySlots: "Maksimal {max} slot per reservasi",
+  },
+
+  waitlist: {
+    retrieved: "Waitlist ditemukan",
+    joined: "Customer ditambahkan ke waitlist",
+    offerAccepted: "Penawaran waitlist diterima, booking dibuat",
+    offerDeclined: "Penawaran waitlist ditolak",
+    cancelled: "Waitlist dibatalkan",
+  },
+
+  courts: {
+    listRetrieved: "Daftar lapangan diambil",
+    retrieved: "Lapangan ditemukan",
+    created: "Lapangan berhasil dibuat",
+    updated: "Lapangan berhasil diperbarui",
+    deleted: "Lapangan berhasil dihapus",
+  },
+
+  timeSlots: {
+    listRetrieved: "Daftar slot waktu diambil",
+    retrieved: "Slot waktu ditemukan",
+    availableRetrieved: "Slot waktu yang tersedia diambil",
+    created: "Slot waktu berhasil dibuat",
+    updated: "Slot waktu berhasil diperbarui",
+    deleted: "Slot waktu berhasil dihapus",
+  },
+
+  customers: {
+    listRetrieved: "Daftar customer diambil",
+    retrieved: "Customer ditemukan",
+    bookingsRetrieved: "Booking customer diambil",
+    created: "Customer berhasil dibuat",
+    updated: "Customer berhasil diperbarui",
+    deleted: "Customer berhasil dihapus",
+    merged: "Customer berhasil digabungkan",
+  },
+
+  closures: {
+    listRetrieved: "Daftar penutupan diambil",
+    retrieved: "Penutupan ditemukan",
+    conflictsRetrieved: "Booking yang bentrok diambil",
+    created: "Penutupan berhasil dibuat",
+    deleted: "Penutupan berhasil dihapus",
+  },
+
+  pricing: {
+    rulesRetrieved: "Daftar aturan harga diambil",
+    ruleRetrieved: "Aturan harga ditemukan",
+    ruleCreated: "Aturan harga berhasil dibuat",
+    ruleUpdated: "Aturan harga berhasil diperbarui",
+    ruleDeleted: "Aturan harga berhasil dihapus",
+    holidaysRetrieved: "Daftar hari libur diambil",
+    holidaySaved: "Hari libur berhasil disimpan",
+    holidayDeleted: "Hari libur berhasil dihapus",
+    quoteGenerated: "Perkiraan harga dibuat",
+    quoteTargetNotFound: "Lapangan atau slot waktu tidak ditemukan",
+    unknownCourtOrSlot: "court_id atau slot_id tidak ditemukan",
+    slotOrTimes: "Gunakan slot_id atau start_time/end_time, tidak keduanya",
+  },
+
+  reports: {
+    revenueSummaryRetrieved: "Ringkasan pendapatan diambil",
+    dashboardRetrieved: "Statistik dashboard diambil",
+    courtRevenueRetrieved: "Pendapatan lapangan diambil",
+    courtUtilizationRetrieved: "Utilisasi lapangan diambil",
+    dailySummaryRetrieved: "Ringkasan harian diambil",
+    cashUpRetrieved: "Laporan tutup kas diambil",
+  },
+
+  notifications: {
+    listRetrieved: "Daftar notifikasi diambil",
+    retryQueued: "Notifikasi dijadwalkan untuk dikirim ulang",
+    dispatched: "Notifikasi tertunda telah dikirim",
+    remindersQueued: "Pengingat dijadwalkan",
+  },
+
+  jobs: {
+    listRetrieved: "Daftar job diambil",
+    runsRetrieved: "Riwayat eksekusi job diambil",
+    unknown: "Job tidak dikenal: {name}",
+    completed: "Job {name} selesai",
+    failed: "Job {name} gagal: {error}",
+  },
+
+  calendar: {
+    listRetrieved: "Daftar feed kalender diambil",
+    feedCreated: "Feed kalender berhasil dibuat",
+    feedRevoked: "Feed kalender berhasil dicabut",
+    exactlyOneTarget: "Isi salah satu saja: court_id atau customer_phone",
+  },
+
+  holds: {
+    created: "Slot berhasil ditahan",
+    retrieved: "Hold diambil",
+    released: "Hold berhasil dilepas",
+  },
+
+  public: {
+    courtsRetrieved: "Daftar lapangan diambil",
+    availabilityRetrieved: "Ketersediaan lapangan diambil",
+    bookingCreated:
+      "Booking berhasil dibuat. Simpan kode konfirmasi untuk melihat atau membatalkannya",
+    bookingRetrieved: "Booking diambil",
+    bookingCancelled: "Booking berhasil dibatalkan",
+  },
+
+  // Fallbacks for unexpected errors without a message of their own
+  failed: {
+    login: "Login gagal",
+    logout: "Logout gagal",
+    authenticate: "Autentikasi gagal",
+    unlockAdmin: "Gagal membuka akun",
+    retrieveLoginAttempts: "Gagal mengambil riwayat login",
+    refreshSession: "Gagal memperbarui sesi",
+    retrieveSessions: "Gagal mengambil daftar sesi",
+    revokeSession: "Gagal mengakhiri sesi",
+    createApiKey: "Gagal membuat API key",
+    retrieveApiKeys: "Gagal mengambil daftar API key",
+    revokeApiKey: "Gagal mencabut API key",
+    retrieveProfile: "Gagal mengambil profil",
+    updatePreferences: "Gagal memperbarui preferensi",
+    retrieveAdmins: "Gagal mengambil daftar admin",
+    retrieveAdmin: "Gagal mengambil admin",
+    createAdmin: "Gagal membuat admin",
+    updateAdmin: "Gagal memperbarui admin",
+    resetPassword: "Gagal mengatur ulang password",
+    retrieveAuditLog: "Gagal mengambil log audit",
+    retrieveAvailability: "Gagal mengambil ketersediaan lapangan",
+    createBooking: "Gagal membuat booking",
+    retrieveBookings: "Gagal mengambil booking",
+    updateBooking: "Gagal update detail booking",
+    updateBookingStatus: "Gagal update status booking",
+    cancelBooking: "Gagal membatalkan booking",
+    retrieveBookingHistory: "Gagal mengambil riwayat booking",
+    retrieveBookingChanges: "Gagal mengambil riwayat perubahan",
+    previewSeries: "Gagal membuat pratinjau booking series",
+    createSeries: "Gagal membuat booking series",
+    retrieveSeries: "Gagal mengambil booking series",
+    updateSeries: "Gagal memperbarui booking series",
+    cancelSeries: "Gagal membatalkan booking series",
+    retrievePayments: "Gagal mengambil data pembayaran",
+    recordPayment: "Gagal mencatat pembayaran",
+    recordRefund: "Gagal mencatat refund",
+    createReservation: "Gagal membuat reservasi",
+    retrieveReservations: "Gagal mengambil reservasi",
+    cancelReservation: "Gagal membatalkan reservasi",
+    rescheduleReservation: "Gagal menjadwalkan ulang reservasi",
+    joinWaitlist: "Gagal menambahkan ke waitlist",
+    retrieveWaitlist: "Gagal mengambil waitlist",
+    acceptWaitlistOffer: "Gagal menerima penawaran waitlist",
+    updateWaitlist: "Gagal memperbarui waitlist",
+    retrieveCourts: "Gagal mengambil daftar lapangan",
+    retrieveCourt: "Gagal mengambil lapangan",
+    createCourt: "Gagal membuat lapangan",
+    updateCourt: "Gagal memperbarui lapangan",
+    deleteCourt: "Gagal menghapus lapangan",
+    retrieveTimeSlots: "Gagal mengambil daftar slot waktu",
+    retrieveTimeSlot: "Gagal mengambil slot waktu",
+    retrieveAvailableTimeSlots: "Gagal mengambil slot waktu yang tersedia",
+    createTimeSlot: "Gagal membuat slot waktu",
+    updateTimeSlot: "Gagal memperbarui slot waktu",
+    deleteTimeSlot: "Gagal menghapus slot waktu",
+    retrieveCustomers: "Gagal mengambil daftar customer",
+    retrieveCustomer: "Gagal mengambil customer",
+    retrieveCustomerBookings: "Gagal mengambil booking customer",
+    createCustomer: "Gagal membuat customer",
+    updateCustomer: "Gagal memperbarui customer",
+    deleteCustomer: "Gagal menghapus customer",
+    mergeCustomers: "Gagal menggabungkan customer",
+    retrieveClosures: "Gagal mengambil daftar penutupan",
+    retrieveClosure: "Gagal mengambil penutupan",
+    retrieveClosureConflicts: "Gagal mengambil booking yang bentrok",
+    createClosure: "Gagal membuat penutupan",
+    deleteClosure: "Gagal menghapus penutupan",
+    retrievePricingRules: "Gagal mengambil daftar aturan harga",
+    retrievePricingRule: "Gagal mengambil aturan harga",
+    createPricingRule: "Gagal membuat aturan harga",
+    updatePricingRule: "Gagal memperbarui aturan harga",
+    deletePricingRule: "Gagal menghapus aturan harga",
+    retrieveHolidays: "Gagal mengambil daftar hari libur",
+    saveHoliday: "Gagal menyimpan hari libur",
+    deleteHoliday: "Gagal menghapus hari libur",
+    quotePrice: "Gagal membuat perkiraan harga",
+    retrieveRevenueSummary: "Gagal mengambil ringkasan pendapatan",
+    retrieveDashboard: "Gagal mengambil statistik dashboard",
+    retrieveCourtRevenue: "Gagal mengambil pendapatan lapangan",
+    retrieveCourtUtilization: "Gagal mengambil utilisasi lapangan",
+    retrieveDailySummary: "Gagal mengambil ringkasan harian",
+    retrieveCashUp: "Gagal mengambil laporan tutup kas",
+    retrieveNotifications: "Gagal mengambil daftar notifikasi",
+    retryNotification: "Gagal mengirim ulang notifikasi",
+    dispatchNotifications: "Gagal mengirim notifikasi",
+    sendReminders: "Gagal mengirim pengingat",
+    retrieveJobs: "Gagal mengambil daftar job",
+    retrieveJobRuns: "Gagal mengambil riwayat eksekusi job",
+    runJob: "Gagal menjalankan job",
+    buildCalendarFeed: "Gagal membuat feed kalender",
+    retrieveCalendarFeeds: "Gagal mengambil daftar feed kalender",
+    createCalendarFeed: "Gagal membuat feed kalender",
+    revokeCalendarFeed: "Gagal mencabut feed kalender",
+    createHold: "Gagal menahan slot",
+    retrieveHold: "Gagal mengambil hold",
+    releaseHold: "Gagal melepas hold",
+    retrievePublicCourts: "Gagal mengambil daftar lapangan",
+    retrievePublicAvailability: "Gagal mengambil ketersediaan lapangan",
+    createPublicBooking: "Gagal membuat booking",
+    retrievePublicBooking: "Gagal mengambil booking",
+    cancelPublicBooking: "Gagal membatalkan booking",
+  },
+
+  // Keyed by error code (utils/errors.js); used for procedure results and
+  // SIGNAL errors as well as controller responses
+  errors: {
+    VALIDATION_FAILED: "Validasi gagal",
+    AUTH_TOKEN_MISSING: "Token autentikasi tidak ada",
+    AUTH_TOKEN_INVALID: "Token tidak valid atau sudah kedaluwarsa",
+    INVALID_CREDENTIALS: "Username atau password salah",
+    REFRESH_TOKEN_INVALID: "Refresh token tidak valid, silakan login kembali",
+    SESSION_REVOKED: "Sesi sudah berakhir, silakan login kembali",
+    PERMISSION_DENIED: "Akses ditolak: membutuhkan izin {permission}",
+    API_KEY_INVALID:
+      "API key tidak valid, sudah kedaluwarsa atau sudah dicabut",
+    API_KEY_SCOPE_MISSING:
+      "Akses ditolak: API key tidak memiliki scope {scope}",
+    API_KEY_NOT_ALLOWED: "Endpoint ini membutuhkan sesi login, bukan API key",
+    DUPLICATE_ENTRY: "Data dengan nilai yang sama sudah ada",
+    REFERENCED_RECORD_NOT_FOUND: "Data yang dirujuk tidak ditemukan",
+    RECORD_IN_USE: "Data masih digunakan oleh data lain",
+    RATE_LIMITED: "Terlalu banyak permintaan, coba lagi nanti",
+    ACCOUNT_LOCKED:
+      "Akun dikunci karena terlalu banyak login gagal, coba lagi dalam {minutes} menit atau minta owner membukanya",
+    LOGIN_THROTTLED:
+      "Terlalu banyak percobaan login, coba lagi dalam {seconds} detik",
+
+    ADMIN_NOT_FOUND: "Admin tidak ditemukan",
+    API_KEY_NOT_FOUND: "API key tidak ditemukan atau sudah dicabut",
+    BOOKING_NOT_FOUND: "Booking tidak ditemukan",
+    CALENDAR_FEED_NOT_FOUND: "Feed kalender tidak ditemukan atau sudah dicabut",
+    CLOSURE_NOT_FOUND: "Penutupan tidak ditemukan",
+    COURT_NOT_FOUND: "Lapangan tidak ditemukan",
+    CUSTOMER_NOT_FOUND: "Customer tidak ditemukan",
+    HOLD_NOT_FOUND: "Hold tidak ditemukan, sudah dipakai atau dilepas",
+    HOLIDAY_NOT_FOUND: "Hari libur tidak ditemukan",
+    JOB_NOT_FOUND: "Job tidak dikenal: {name}",
+    NOTIFICATION_NOT_FOUND: "Notifikasi tidak ditemukan",
+    PRICING_RULE_NOT_FOUND: "Aturan harga tidak ditemukan",
+    RESERVATION_NOT_FOUND: "Reservasi tidak ditemukan",
+    SERIES_NOT_FOUND: "Booking series tidak ditemukan atau sudah dibatalkan",
+    SESSION_NOT_FOUND: "Sesi tidak ditemukan atau sudah berakhir",
+    SLOT_NOT_FOUND: "Slot waktu tidak ditemukan",
+    WAITLIST_ENTRY_NOT_FOUND: "Waitlist tidak ditemukan",
+
+    ADMIN_ALREADY_EXISTS: "Username atau email sudah digunakan",
+    ALREADY_ON_WAITLIST: "Customer sudah ada di waitlist slot ini",
+    BOOKING_CANCELLED: "Booking yang sudah dibatalkan tidak bisa diubah",
+    BOOKING_HAS_PAYMENTS:
+      "Booking sudah dibayar, hubungi front desk untuk pembatalan",
+    CANCELLATION_CLOSED: "Booking tidak bisa dibatalkan secara online lagi",
+    COURT_CLOSED: "Lapangan ditutup pada waktu tersebut",
+    COURT_HAS_BOOKINGS:
+      "Lapangan yang masih memiliki booking aktif tidak bisa dihapus",
+    CUSTOMER_PHONE_TAKEN: "Customer dengan nomor telepon ini sudah ada",
+    EMAIL_TAKEN: "Email sudah digunakan",
+    HOLD_EXPIRED: "Waktu hold sudah habis, silakan pilih slot lagi",
+    JOB_ALREADY_RUNNING: "Job {name} sedang berjalan",
+    LAST_ACTIVE_OWNER:
+      "Owner aktif terakhir tidak bisa diturunkan atau dinonaktifkan",
+    NO_ACTIVE_OFFER: "Tidak ada penawaran aktif untuk waitlist ini",
+    NO_SERIES_DATES_AVAILABLE:
+      "Tidak ada tanggal yang tersedia untuk series ini",
+    NOTIFICATION_NOT_FAILED:
+      "Hanya notifikasi yang gagal yang bisa dikirim ulang",
+    PUBLIC_BOOKING_LIMIT:
+      "Nomor ini sudah mencapai batas booking online yang akan datang",
+    RESERVATION_CANCELLED: "Reservasi sudah dibatalkan",
+    SLOT_ALREADY_BOOKED: "Slot sudah dibooking untuk tanggal tersebut",
+    SLOT_HAS_BOOKINGS: "Slot waktu masih memiliki booking aktif",
+    SLOT_HELD: "Slot sedang ditahan oleh pemesan lain",
+    SLOT_STILL_AVAILABLE: "Slot masih tersedia, silakan booking langsung",
+    TIME_SLOT_OVERLAP: "Slot waktu bertabrakan dengan slot aktif lain",
+    WAITLIST_ENTRY_CLOSED: "Waitlist sudah ditutup",
+
+    BOOKING_DATE_IN_PAST: "Tanggal booking tidak boleh tanggal lampau",
+    BOOKING_TOO_FAR_AHEAD: "Booking paling lambat {days} hari ke depan",
+    COURT_INACTIVE: "Lapangan tidak ditemukan atau tidak aktif",
+    CUSTOMER_MERGE_INTO_SELF:
+      "Customer tidak bisa digabungkan dengan dirinya sendiri",
+    CUSTOMER_NAME_REQUIRED: "Nama customer harus diisi",
+    INVALID_PAYMENT_AMOUNT: "Jumlah pembayaran harus lebih dari 0",
+    INVALID_TIME_RANGE: "Waktu mulai harus sebelum waktu selesai",
+    PAYMENT_EXCEEDS_BALANCE: "Jumlah pembayaran melebihi sisa tagihan",
+    REFUND_EXCEEDS_PAID: "Jumlah refund melebihi jumlah yang sudah dibayar",
+    SLOT_COUNT_MISMATCH:
+      "Jumlah slot baru harus sama dengan jumlah slot reservasi",
+    SLOT_INACTIVE: "Slot waktu tidak ditemukan atau tidak aktif",
+    SLOTS_NOT_CONSECUTIVE: "Slot waktu harus berurutan tanpa jeda",
+  },
+};
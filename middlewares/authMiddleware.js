@@ -1,26 +1,86 @@
-const jwt = require("jsonwebtoken");
+const { repositories } = require("../repositories");
+const { hasPermission } = require("../config/permissions");
+const { verifyAccessToken, sessionUser } = require("../utils/sessions");
+const {
+  bearerToken,
+  isApiKey,
+  hashApiKey,
+  apiKeyUser,
+} = require("../utils/apiKeys");
+const { sendCodedError, handleError } = require("../utils/errors");
 
-function authMiddleware() {
-  return async (req, res, next) => {
+// { user } or { code } of the error to answer with
+const authenticateKey = async (req, key) => {
+  const found = await repositories().apiKeys.findActive(
+    hashApiKey(key),
+    req.ip
+  );
+  return found ? { user: apiKeyUser(found) } : { code: "API_KEY_INVALID" };
+};
+
+const authenticateSession = async (req, token) => {
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    return { code: "AUTH_TOKEN_INVALID" };
+  }
+  const session = await repositories().sessions.findActive(decoded.sid, req.ip);
+  return session ? { user: sessionUser(session) } : { code: "SESSION_REVOKED" };
+};
+
+// Options:
+//   permissions: permission names (see config/permissions.js) the admin's
+//                role must all grant, e.g. auth({ permissions: ["courts:write"] })
+//   apiKeys:     false for routes that need a login session (managing your
+//                own sessions and keys); API keys are refused there
+// Credentials: the authToken cookie, or an "Authorization: Bearer" header
+// carrying an access token or an API key (utils/apiKeys.js). An access
+// token must name an open session of an active admin; req.user is loaded
+// from the session, so role changes apply immediately. An API key acts as
+// its admin and also needs every permission among its scopes.
+// When an outer auth() already verified the token, only the permission check runs.
+// The returned middleware exposes .permissions and .apiKeys for the OpenAPI document.
+function authMiddleware(options = {}) {
+  const { permissions = [], apiKeys = true } = options;
+
+  const authorize = (req, res, next) => {
+    const { api_key: apiKey, role, scopes } = req.user;
+    if (apiKey && !apiKeys) return sendCodedError(res, "API_KEY_NOT_ALLOWED");
+    const denied = permissions.find(
+      (permission) => !hasPermission(role, permission)
+    );
+    if (denied) {
+      return sendCodedError(res, "PERMISSION_DENIED", { permission: denied });
+    }
+    const unscoped =
+      scopes && permissions.find((permission) => !scopes.includes(permission));
+    if (unscoped) {
+      return sendCodedError(res, "API_KEY_SCOPE_MISSING", { scope: unscoped });
+    }
+    next();
+  };
+
+  const middleware = async (req, res, next) => {
+    if (req.user) return authorize(req, res, next);
+    const token = bearerToken(req) || req.cookies?.authToken;
+    if (!token) {
+      return sendCodedError(res, "AUTH_TOKEN_MISSING");
+    }
     try {
-      const token = req.cookies?.authToken;
-      if (!token) {
-        return res
-          .status(401)
-          .json({ success: false, message: "Auth token missing" });
-      }
-      const decoded = jwt.verify(
-        token,
-        process.env.JWT_SECRET || "dev_secret_change_me"
-      );
-      req.user = decoded;
-      next();
-    } catch (err) {
-      return res
-        .status(401)
-        .json({ success: false, message: "Invalid or expired token" });
+      const { user, code } = isApiKey(token)
+        ? await authenticateKey(req, token)
+        : await authenticateSession(req, token);
+      if (code) return sendCodedError(res, code);
+      req.user = user;
+    } catch (error) {
+      return handleError(res, error, "failed.authenticate");
     }
+    authorize(req, res, next);
   };
+  middleware.permissions = permissions;
+  middleware.apiKeys = apiKeys;
+  return middleware;
 }
 
 module.exports = authMiddleware;
@@ -0,0 +1,38 @@
+const { sendCodedError } = require("../utils/errors");
+
+// Fixed-window request limit per client IP, kept in process memory.
+// Options: { max, windowMinutes }. Over the limit the request gets
+// 429 RATE_LIMITED with a Retry-After header (seconds).
+// Behind a reverse proxy set TRUST_PROXY so req.ip is the client's address.
+// The returned middleware exposes .rateLimit for the OpenAPI document.
+function rateLimit({ max, windowMinutes }) {
+  const windowMs = windowMinutes * 60 * 1000;
+  const windows = new Map(); // ip -> { count, resetAt }
+  let nextSweep = 0;
+
+  const middleware = (req, res, next) => {
+    const now = Date.now();
+    if (now >= nextSweep) {
+      for (const [ip, window] of windows) {
+        if (window.resetAt <= now) windows.delete(ip);
+      }
+      nextSweep = now + windowMs;
+    }
+
+    let window = windows.get(req.ip);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(req.ip, window);
+    }
+    window.count++;
+    if (window.count > max) {
+      res.set("Retry-After", String(Math.ceil((window.resetAt - now) / 1000)));
+      return sendCodedError(res, "RATE_LIMITED");
+    }
+    next();
+  };
+  middleware.rateLimit = { max, windowMinutes };
+  return middleware;
+}
+
+module.exports = rateLimit;
@@ -0,0 +1,84 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const localizeErrors = require("ajv-i18n");
+const { t, resolveLocale } = require("../utils/i18n");
+
+// JSON Schema validation for params, query and body.
+// Values are checked on a copy that ajv coerces ("5" becomes 5, "false"
+// becomes false); once every part is valid the copies replace the request
+// parts, so controllers receive typed values.
+const ajv = new Ajv({
+  allErrors: true,
+  coerceTypes: true,
+  allowUnionTypes: true,
+});
+addFormats(ajv, ["date", "email"]);
+
+const LOCATIONS = ["params", "query", "body"];
+
+// Empty query values (?court_id=) mean "not given"
+function withoutEmptyValues(source) {
+  return Object.fromEntries(
+    Object.entries(source || {}).filter(([, value]) => value !== "")
+  );
+}
+
+// req.query and req.params are filled in place: Express owns those objects
+function replaceContents(target, values) {
+  for (const key of Object.keys(target)) delete target[key];
+  Object.assign(target, values);
+}
+
+// ajv errors are rewritten in place, so this runs right after each check
+function toFieldErrors(location, errors, locale) {
+  localizeErrors[locale](errors);
+  return errors.map((error) => {
+    const path = error.instancePath.split("/").filter(Boolean);
+    if (error.keyword === "required") path.push(error.params.missingProperty);
+    return {
+      field: [location, ...path].join("."),
+      message: error.message,
+    };
+  });
+}
+
+// schema: { summary, params, query, body } - each part a JSON Schema object.
+// The schema is attached to the middleware so the OpenAPI document can read it.
+function validate(schema) {
+  const validators = LOCATIONS.filter((location) => schema[location]).map(
+    (location) => [location, ajv.compile(schema[location])]
+  );
+
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const coerced = [];
+    const locale = resolveLocale(req);
+    for (const [location, check] of validators) {
+      const source =
+        location === "query" ? withoutEmptyValues(req.query) : req[location];
+      const copy = structuredClone(source ?? {});
+      if (check(copy)) {
+        coerced.push([location, copy]);
+      } else {
+        errors.push(...toFieldErrors(location, check.errors, locale));
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        code: "VALIDATION_FAILED",
+        message: t(req, "errors.VALIDATION_FAILED"),
+        errors,
+      });
+    }
+    for (const [location, values] of coerced) {
+      if (location === "body") req.body = values;
+      else replaceContents(req[location], values);
+    }
+    next();
+  };
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = validate;
@@ -0,0 +1,139 @@
+-- Removes everything the baseline created (all data is lost)
+
+-- Views
+DROP VIEW IF EXISTS v_daily_booking_summary;
+DROP VIEW IF EXISTS v_court_utilization;
+DROP VIEW IF EXISTS v_booking_details;
+DROP VIEW IF EXISTS v_revenue_summary;
+
+-- Triggers
+DROP TRIGGER IF EXISTS tr_validate_booking_insert;
+DROP TRIGGER IF EXISTS tr_validate_booking_update;
+DROP TRIGGER IF EXISTS tr_booking_audit_insert;
+DROP TRIGGER IF EXISTS tr_booking_status_update;
+
+-- Stored procedures
+DROP PROCEDURE IF EXISTS sp_get_admin_credentials;
+DROP PROCEDURE IF EXISTS sp_create_booking;
+DROP PROCEDURE IF EXISTS sp_update_booking_status;
+DROP PROCEDURE IF EXISTS sp_get_booking_history;
+DROP PROCEDURE IF EXISTS sp_get_dashboard_stats;
+DROP PROCEDURE IF EXISTS sp_get_all_courts;
+DROP PROCEDURE IF EXISTS sp_get_court_by_id;
+DROP PROCEDURE IF EXISTS sp_create_court;
+DROP PROCEDURE IF EXISTS sp_update_court;
+DROP PROCEDURE IF EXISTS sp_delete_court;
+DROP PROCEDURE IF EXISTS sp_get_all_time_slots;
+DROP PROCEDURE IF EXISTS sp_get_available_time_slots;
+DROP PROCEDURE IF EXISTS sp_get_booking_by_id;
+DROP PROCEDURE IF EXISTS sp_update_booking_details;
+DROP PROCEDURE IF EXISTS sp_cancel_booking;
+DROP PROCEDURE IF EXISTS sp_get_daily_summary;
+DROP PROCEDURE IF EXISTS sp_get_revenue_summary;
+DROP PROCEDURE IF EXISTS sp_get_court_utilization;
+DROP PROCEDURE IF EXISTS sp_create_admin;
+DROP PROCEDURE IF EXISTS sp_get_court_slot_booking_status;
+DROP PROCEDURE IF EXISTS sp_test_connection;
+DROP PROCEDURE IF EXISTS sp_change_admin_password;
+DROP PROCEDURE IF EXISTS sp_get_all_admins;
+DROP PROCEDURE IF EXISTS sp_get_admin_by_id;
+DROP PROCEDURE IF EXISTS sp_update_admin;
+DROP PROCEDURE IF EXISTS sp_set_admin_locale;
+DROP PROCEDURE IF EXISTS sp_create_time_slot;
+DROP PROCEDURE IF EXISTS sp_update_time_slot;
+DROP PROCEDURE IF EXISTS sp_delete_time_slot;
+DROP PROCEDURE IF EXISTS sp_get_time_slot_by_id;
+DROP PROCEDURE IF EXISTS sp_preview_booking_series;
+DROP PROCEDURE IF EXISTS sp_create_booking_series;
+DROP PROCEDURE IF EXISTS sp_get_booking_series_by_id;
+DROP PROCEDURE IF EXISTS sp_get_booking_series;
+DROP PROCEDURE IF EXISTS sp_update_booking_series;
+DROP PROCEDURE IF EXISTS sp_cancel_booking_series;
+DROP PROCEDURE IF EXISTS sp_get_booking_audit;
+DROP PROCEDURE IF EXISTS sp_get_audit_log;
+DROP PROCEDURE IF EXISTS sp_sync_payment_status;
+DROP PROCEDURE IF EXISTS sp_record_payment;
+DROP PROCEDURE IF EXISTS sp_get_booking_payments;
+DROP PROCEDURE IF EXISTS sp_get_cash_up;
+DROP PROCEDURE IF EXISTS sp_get_pricing_rules;
+DROP PROCEDURE IF EXISTS sp_get_pricing_rule_by_id;
+DROP PROCEDURE IF EXISTS sp_create_pricing_rule;
+DROP PROCEDURE IF EXISTS sp_update_pricing_rule;
+DROP PROCEDURE IF EXISTS sp_delete_pricing_rule;
+DROP PROCEDURE IF EXISTS sp_get_price_quote;
+DROP PROCEDURE IF EXISTS sp_get_holidays;
+DROP PROCEDURE IF EXISTS sp_upsert_holiday;
+DROP PROCEDURE IF EXISTS sp_delete_holiday;
+DROP PROCEDURE IF EXISTS sp_validate_slot_range;
+DROP PROCEDURE IF EXISTS sp_create_reservation;
+DROP PROCEDURE IF EXISTS sp_get_reservation_by_id;
+DROP PROCEDURE IF EXISTS sp_cancel_reservation;
+DROP PROCEDURE IF EXISTS sp_reschedule_reservation;
+DROP PROCEDURE IF EXISTS sp_search_customers;
+DROP PROCEDURE IF EXISTS sp_get_customer_by_id;
+DROP PROCEDURE IF EXISTS sp_create_customer;
+DROP PROCEDURE IF EXISTS sp_find_or_create_customer;
+DROP PROCEDURE IF EXISTS sp_update_customer;
+DROP PROCEDURE IF EXISTS sp_delete_customer;
+DROP PROCEDURE IF EXISTS sp_merge_customers;
+DROP PROCEDURE IF EXISTS sp_get_customer_bookings;
+DROP PROCEDURE IF EXISTS sp_get_availability_grid;
+DROP PROCEDURE IF EXISTS sp_get_closures;
+DROP PROCEDURE IF EXISTS sp_get_closure_by_id;
+DROP PROCEDURE IF EXISTS sp_create_closure;
+DROP PROCEDURE IF EXISTS sp_delete_closure;
+DROP PROCEDURE IF EXISTS sp_get_closure_conflicts;
+DROP PROCEDURE IF EXISTS sp_offer_waitlist_slot;
+DROP PROCEDURE IF EXISTS sp_expire_waitlist_offers;
+DROP PROCEDURE IF EXISTS sp_create_waitlist_entry;
+DROP PROCEDURE IF EXISTS sp_get_waitlist;
+DROP PROCEDURE IF EXISTS sp_get_waitlist_entry_by_id;
+DROP PROCEDURE IF EXISTS sp_accept_waitlist_offer;
+DROP PROCEDURE IF EXISTS sp_close_waitlist_entry;
+DROP PROCEDURE IF EXISTS sp_get_booking_notification_data;
+DROP PROCEDURE IF EXISTS sp_enqueue_notification;
+DROP PROCEDURE IF EXISTS sp_claim_notifications;
+DROP PROCEDURE IF EXISTS sp_mark_notification_sent;
+DROP PROCEDURE IF EXISTS sp_mark_notification_failed;
+DROP PROCEDURE IF EXISTS sp_get_notifications;
+DROP PROCEDURE IF EXISTS sp_retry_notification;
+DROP PROCEDURE IF EXISTS sp_get_bookings_due_reminder;
+DROP PROCEDURE IF EXISTS sp_complete_finished_bookings;
+DROP PROCEDURE IF EXISTS sp_process_no_shows;
+DROP PROCEDURE IF EXISTS sp_run_waitlist_expiry;
+DROP PROCEDURE IF EXISTS sp_start_job_run;
+DROP PROCEDURE IF EXISTS sp_finish_job_run;
+DROP PROCEDURE IF EXISTS sp_get_job_runs;
+DROP PROCEDURE IF EXISTS sp_get_latest_job_runs;
+DROP PROCEDURE IF EXISTS sp_get_calendar_bookings;
+DROP PROCEDURE IF EXISTS sp_create_calendar_feed;
+DROP PROCEDURE IF EXISTS sp_get_calendar_feeds;
+DROP PROCEDURE IF EXISTS sp_get_calendar_feed_by_token;
+DROP PROCEDURE IF EXISTS sp_revoke_calendar_feed;
+
+-- Functions
+DROP FUNCTION IF EXISTS is_slot_available;
+DROP FUNCTION IF EXISTS get_court_revenue;
+DROP FUNCTION IF EXISTS get_available_slots_count;
+DROP FUNCTION IF EXISTS get_booking_paid_amount;
+DROP FUNCTION IF EXISTS get_pricing_rule_id;
+DROP FUNCTION IF EXISTS get_booking_price;
+DROP FUNCTION IF EXISTS get_closure_id;
+
+-- Tables (reverse order due to foreign keys)
+DROP TABLE IF EXISTS calendar_feeds;
+DROP TABLE IF EXISTS job_runs;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS waitlist_entries;
+DROP TABLE IF EXISTS court_closures;
+DROP TABLE IF EXISTS pricing_rules;
+DROP TABLE IF EXISTS holidays;
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS booking_audit_log;
+DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS booking_series;
+DROP TABLE IF EXISTS reservations;
+DROP TABLE IF EXISTS customers;
+DROP TABLE IF EXISTS time_slots;
+DROP TABLE IF EXISTS courts;
+DROP TABLE IF EXISTS admins;
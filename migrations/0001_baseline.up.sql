@@ -0,0 +1,3582 @@
+-- Baseline: the complete schema (tables, functions, stored procedures,
+-- triggers and views) as of the introduction of migrations.
+-- Databases created from the old SQL dumps already have it; record it with
+-- `npm run migrate -- baseline` instead of running it.
+
+-- =============================================
+-- TABLE CREATION
+-- =============================================
+
+-- 1. ADMINS Table
+CREATE TABLE admins (
+    admin_id INT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    password VARCHAR(255) NOT NULL,
+    full_name VARCHAR(100) NOT NULL,
+    email VARCHAR(100) NOT NULL UNIQUE,
+    role ENUM('owner', 'manager', 'cashier') NOT NULL DEFAULT 'cashier',
+    status ENUM('active', 'inactive') DEFAULT 'active',
+    locale ENUM('id', 'en') NULL, -- API message language; NULL follows Accept-Language
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_username (username),
+    INDEX idx_email (email),
+    INDEX idx_role (role),
+    INDEX idx_status (status)
+);
+
+-- 2. COURTS Table
+CREATE TABLE courts (
+    court_id INT AUTO_INCREMENT PRIMARY KEY,
+    court_name VARCHAR(50) NOT NULL UNIQUE,
+    description TEXT,
+    price_per_session DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    status ENUM('active', 'maintenance', 'inactive') DEFAULT 'active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_court_name (court_name),
+    INDEX idx_status (status)
+);
+
+-- 3. TIME_SLOTS Table
+CREATE TABLE time_slots (
+    slot_id INT AUTO_INCREMENT PRIMARY KEY,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    slot_name VARCHAR(50) NOT NULL,
+    status ENUM('active', 'inactive') DEFAULT 'active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE KEY unique_time_slot (start_time, end_time),
+    INDEX idx_start_time (start_time),
+    INDEX idx_status (status)
+);
+
+-- 4. BOOKING_SERIES Table (recurring weekly bookings)
+CREATE TABLE booking_series (
+    series_id INT AUTO_INCREMENT PRIMARY KEY,
+    court_id INT NOT NULL,
+    slot_id INT NOT NULL,
+    weekdays VARCHAR(20) NOT NULL, -- ISO weekdays, comma separated (1 = Monday ... 7 = Sunday)
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    customer_name VARCHAR(100) NOT NULL,
+    customer_phone VARCHAR(20),
+    notes TEXT,
+    status ENUM('active', 'cancelled') DEFAULT 'active',
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (court_id) REFERENCES courts(court_id) ON DELETE CASCADE,
+    FOREIGN KEY (slot_id) REFERENCES time_slots(slot_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES admins(admin_id) ON DELETE CASCADE,
+    
+    INDEX idx_series_court_slot (court_id, slot_id),
+    INDEX idx_series_status (status)
+);
+
+-- 5. CUSTOMERS Table (phone stored normalised, e.g. +6281234567890)
+CREATE TABLE customers (
+    customer_id INT AUTO_INCREMENT PRIMARY KEY,
+    full_name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20) NOT NULL UNIQUE,
+    email VARCHAR(100),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_customer_full_name (full_name)
+);
+
+-- 6. RESERVATIONS Table (consecutive slots on one court booked as a unit)
+CREATE TABLE reservations (
+    reservation_id INT AUTO_INCREMENT PRIMARY KEY,
+    court_id INT NOT NULL,
+    booking_date DATE NOT NULL,
+    customer_name VARCHAR(100) NOT NULL,
+    customer_phone VARCHAR(20),
+    total_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    status ENUM('confirmed', 'cancelled') DEFAULT 'confirmed',
+    notes TEXT,
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (court_id) REFERENCES courts(court_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES admins(admin_id) ON DELETE CASCADE,
+    
+    INDEX idx_reservation_date (booking_date),
+    INDEX idx_reservation_status (status)
+);
+
+-- 7. BOOKINGS Table
+CREATE TABLE bookings (
+    booking_id INT AUTO_INCREMENT PRIMARY KEY,
+    court_id INT NOT NULL,
+    slot_id INT NOT NULL,
+    booking_date DATE NOT NULL,
+    customer_name VARCHAR(100) NOT NULL,
+    customer_phone VARCHAR(20),
+    customer_id INT NULL,
+    total_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    payment_status ENUM('paid', 'unpaid', 'partial') DEFAULT 'unpaid',
+    booking_status ENUM('confirmed', 'cancelled', 'completed', 'no_show') DEFAULT 'confirmed',
+    notes TEXT,
+    created_by INT NOT NULL,
+    updated_by INT NULL,
+    series_id INT NULL,
+    reservation_id INT NULL,
+    -- 1 while the booking holds its slot, NULL once cancelled (NULLs never collide in unique_booking)
+    active_booking TINYINT GENERATED ALWAYS AS (IF(booking_status = 'cancelled', NULL, 1)) STORED,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (court_id) REFERENCES courts(court_id) ON DELETE CASCADE,
+    FOREIGN KEY (slot_id) REFERENCES time_slots(slot_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES admins(admin_id) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES admins(admin_id) ON DELETE SET NULL,
+    FOREIGN KEY (series_id) REFERENCES booking_series(series_id) ON DELETE SET NULL,
+    FOREIGN KEY (reservation_id) REFERENCES reservations(reservation_id) ON DELETE SET NULL,
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE SET NULL,
+    
+    -- Cancelled bookings release the slot so it can be booked again
+    UNIQUE KEY unique_booking (court_id, slot_id, booking_date, active_booking),
+    INDEX idx_booking_date (booking_date),
+    INDEX idx_court_slot_date (court_id, slot_id, booking_date),
+    INDEX idx_payment_status (payment_status),
+    INDEX idx_booking_status (booking_status),
+    INDEX idx_customer_name (customer_name),
+    INDEX idx_series_id (series_id),
+    INDEX idx_reservation_id (reservation_id),
+    INDEX idx_customer_id (customer_id, booking_date)
+);
+
+-- 8. BOOKING_AUDIT_LOG Table (filled by booking triggers)
+CREATE TABLE booking_audit_log (
+    audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    booking_id INT NOT NULL, -- no FK: history must outlive the booking row
+    action ENUM('create', 'status_change', 'detail_edit', 'reschedule', 'cancel') NOT NULL,
+    changed_by INT NULL,
+    old_values JSON NULL,
+    new_values JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (changed_by) REFERENCES admins(admin_id) ON DELETE SET NULL,
+    
+    INDEX idx_audit_booking (booking_id, created_at),
+    INDEX idx_audit_changed_by (changed_by, created_at),
+    INDEX idx_audit_action_created (action, created_at)
+);
+
+-- 9. PAYMENTS Table (ledger; refunds are stored as positive amounts with type 'refund')
+CREATE TABLE payments (
+    payment_id INT AUTO_INCREMENT PRIMARY KEY,
+    booking_id INT NOT NULL,
+    type ENUM('payment', 'refund') NOT NULL DEFAULT 'payment',
+    amount DECIMAL(10,2) NOT NULL,
+    method ENUM('cash', 'transfer', 'e-wallet') NOT NULL,
+    reference VARCHAR(100),
+    notes TEXT,
+    received_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (booking_id) REFERENCES bookings(booking_id) ON DELETE CASCADE,
+    FOREIGN KEY (received_by) REFERENCES admins(admin_id) ON DELETE CASCADE,
+    
+    CHECK (amount > 0),
+    INDEX idx_payment_booking (booking_id),
+    INDEX idx_payment_created_by (created_at, received_by)
+);
+
+-- 10. HOLIDAYS Table (dates matched by holiday pricing rules)
+CREATE TABLE holidays (
+    holiday_date DATE PRIMARY KEY,
+    holiday_name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 11. PRICING_RULES Table
+-- NULL criteria match everything; the matching rule with the highest priority,
+-- then the most specific criteria, wins. No match = courts.price_per_session
+CREATE TABLE pricing_rules (
+    rule_id INT AUTO_INCREMENT PRIMARY KEY,
+    rule_name VARCHAR(100) NOT NULL,
+    court_id INT NULL,
+    slot_id INT NULL,
+    start_time TIME NULL, -- time range alternative to slot_id (matches slots starting inside it)
+    end_time TIME NULL,
+    weekdays VARCHAR(20) NULL, -- ISO weekdays, comma separated (1 = Monday ... 7 = Sunday)
+    valid_from DATE NULL,
+    valid_to DATE NULL,
+    holidays_only BOOLEAN NOT NULL DEFAULT FALSE,
+    price DECIMAL(10,2) NOT NULL,
+    priority INT NOT NULL DEFAULT 0,
+    status ENUM('active', 'inactive') DEFAULT 'active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (court_id) REFERENCES courts(court_id) ON DELETE CASCADE,
+    FOREIGN KEY (slot_id) REFERENCES time_slots(slot_id) ON DELETE CASCADE,
+    
+    INDEX idx_pricing_status (status),
+    INDEX idx_pricing_court (court_id)
+);
+
+-- 12. COURT_CLOSURES Table (court_id NULL = whole venue closed)
+CREATE TABLE court_closures (
+    closure_id INT AUTO_INCREMENT PRIMARY KEY,
+    court_id INT NULL,
+    start_datetime DATETIME NOT NULL,
+    end_datetime DATETIME NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (court_id) REFERENCES courts(court_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES admins(admin_id) ON DELETE CASCADE,
+    
+    CHECK (end_datetime > start_datetime),
+    INDEX idx_closure_range (start_datetime, end_datetime),
+    INDEX idx_closure_court (court_id)
+);
+
+-- 13. WAITLIST_ENTRIES Table (court_id NULL = any court at that slot)
+-- A freed slot is offered to the oldest waiting entry for offer_minutes;
+-- offered_court_id is the court actually offered
+CREATE TABLE waitlist_entries (
+    waitlist_id INT AUTO_INCREMENT PRIMARY KEY,
+    court_id INT NULL,
+    slot_id INT NOT NULL,
+    booking_date DATE NOT NULL,
+    customer_id INT NULL,
+    customer_name VARCHAR(100) NOT NULL,
+    customer_phone VARCHAR(20),
+    notes TEXT,
+    offer_minutes INT NOT NULL DEFAULT 30,
+    status ENUM('waiting', 'offered', 'booked', 'expired', 'declined', 'cancelled') DEFAULT 'waiting',
+    offered_court_id INT NULL,
+    offered_at DATETIME NULL,
+    offer_expires_at DATETIME NULL,
+    booking_id INT NULL,
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (court_id) REFERENCES courts(court_id) ON DELETE CASCADE,
+    FOREIGN KEY (slot_id) REFERENCES time_slots(slot_id) ON DELETE CASCADE,
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE SET NULL,
+    FOREIGN KEY (offered_court_id) REFERENCES courts(court_id) ON DELETE CASCADE,
+    FOREIGN KEY (booking_id) REFERENCES bookings(booking_id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES admins(admin_id) ON DELETE CASCADE,
+    
+    CHECK (offer_minutes > 0),
+    INDEX idx_waitlist_slot (slot_id, booking_date, status),
+    INDEX idx_waitlist_offer (status, offer_expires_at)
+);
+
+-- 14. NOTIFICATIONS Table (outbox; rendered messages waiting for a transport)
+-- pending -> sending -> sent, or back to pending with a later next_attempt_at
+-- until max attempts, then failed
+CREATE TABLE notifications (
+    notification_id INT AUTO_INCREMENT PRIMARY KEY,
+    booking_id INT NULL,
+    customer_id INT NULL,
+    template VARCHAR(50) NOT NULL,
+    channel ENUM('email', 'whatsapp', 'sms') NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    subject VARCHAR(255),
+    body TEXT NOT NULL,
+    status ENUM('pending', 'sending', 'sent', 'failed') DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    last_error TEXT,
+    claim_token CHAR(36) NULL,
+    next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    sent_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (booking_id) REFERENCES bookings(booking_id) ON DELETE SET NULL,
+    FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE SET NULL,
+    
+    INDEX idx_notification_due (status, next_attempt_at),
+    INDEX idx_notification_booking (booking_id, template),
+    INDEX idx_notification_claim (claim_token)
+);
+
+-- 15. JOB_RUNS Table (outcome of each background job run)
+CREATE TABLE job_runs (
+    run_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_name VARCHAR(50) NOT NULL,
+    triggered_by ENUM('scheduler', 'cli', 'api') NOT NULL,
+    status ENUM('running', 'success', 'failed') DEFAULT 'running',
+    result JSON NULL,
+    error TEXT,
+    started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME NULL,
+    
+    INDEX idx_job_runs_name (job_name, started_at),
+    INDEX idx_job_runs_status (status, started_at)
+);
+
+-- 16. CALENDAR_FEEDS Table (read-only .ics feeds; only the SHA-256 of the token is stored)
+CREATE TABLE calendar_feeds (
+    feed_id INT AUTO_INCREMENT PRIMARY KEY,
+    feed_type ENUM('court', 'customer') NOT NULL,
+    court_id INT NULL,
+    customer_phone VARCHAR(20) NULL,
+    label VARCHAR(100),
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    status ENUM('active', 'revoked') DEFAULT 'active',
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_accessed_at DATETIME NULL,
+    
+    FOREIGN KEY (court_id) REFERENCES courts(court_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES admins(admin_id) ON DELETE CASCADE,
+    
+    INDEX idx_calendar_feed_court (court_id),
+    INDEX idx_calendar_feed_phone (customer_phone)
+);
+
+-- =============================================
+-- BUSINESS RULE ERRORS
+-- =============================================
+-- Every SIGNAL carries a MYSQL_ERRNO so the API can map it to a stable
+-- error code (see utils/errors.js) instead of parsing MESSAGE_TEXT:
+--   45001 SLOT_ALREADY_BOOKED          45009 TIME_SLOT_OVERLAP
+--   45002 COURT_INACTIVE               45010 INVALID_TIME_RANGE
+--   45003 COURT_CLOSED                 45011 NO_SERIES_DATES_AVAILABLE
+--   45004 BOOKING_DATE_IN_PAST         45012 INVALID_PAYMENT_AMOUNT
+--   45005 SLOT_INACTIVE                45013 BOOKING_CANCELLED
+--   45006 SLOT_NOT_FOUND               45014 PAYMENT_EXCEEDS_BALANCE
+--   45007 SLOTS_NOT_CONSECUTIVE        45015 REFUND_EXCEEDS_PAID
+--   45008 SLOT_COUNT_MISMATCH          45016 CUSTOMER_NAME_REQUIRED
+
+-- =============================================
+-- FUNCTIONS
+-- =============================================
+
+-- Function: Closure covering a court slot on a date (venue-wide closures included), NULL = open
+DELIMITER //
+CREATE FUNCTION get_closure_id(
+    p_court_id INT,
+    p_slot_id INT,
+    p_booking_date DATE
+) RETURNS INT
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE v_closure_id INT DEFAULT NULL;
+    
+    SELECT cc.closure_id INTO v_closure_id
+    FROM court_closures cc
+    JOIN time_slots ts ON ts.slot_id = p_slot_id
+    WHERE (cc.court_id IS NULL OR cc.court_id = p_court_id)
+      AND cc.start_datetime < TIMESTAMP(p_booking_date, ts.end_time)
+      AND cc.end_datetime > TIMESTAMP(p_booking_date, ts.start_time)
+    ORDER BY cc.start_datetime ASC, cc.closure_id ASC
+    LIMIT 1;
+    
+    RETURN v_closure_id;
+END //
+DELIMITER ;
+
+-- Function: Check if slot is available (not booked and not closed)
+DELIMITER //
+CREATE FUNCTION is_slot_available(
+    p_court_id INT,
+    p_slot_id INT,
+    p_booking_date DATE
+) RETURNS BOOLEAN
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE slot_count INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO slot_count
+    FROM bookings 
+    WHERE court_id = p_court_id 
+      AND slot_id = p_slot_id 
+      AND booking_date = p_booking_date
+      AND booking_status != 'cancelled';
+      
+    RETURN (slot_count = 0 AND get_closure_id(p_court_id, p_slot_id, p_booking_date) IS NULL);
+END //
+DELIMITER ;
+
+-- Function: Calculate total revenue by court
+DELIMITER //
+CREATE FUNCTION get_court_revenue(
+    p_court_id INT,
+    p_start_date DATE,
+    p_end_date DATE
+) RETURNS DECIMAL(10,2)
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE total_revenue DECIMAL(10,2) DEFAULT 0.00;
+    
+    SELECT COALESCE(SUM(total_amount), 0.00) INTO total_revenue
+    FROM bookings 
+    WHERE court_id = p_court_id 
+      AND booking_date BETWEEN p_start_date AND p_end_date
+      AND booking_status != 'cancelled'
+      AND payment_status = 'paid';
+      
+    RETURN total_revenue;
+END //
+DELIMITER ;
+
+-- Function: Get available slots for specific court and date
+DELIMITER //
+CREATE FUNCTION get_available_slots_count(
+    p_court_id INT,
+    p_booking_date DATE
+) RETURNS INT
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE total_slots INT DEFAULT 0;
+    DECLARE booked_slots INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO total_slots FROM time_slots WHERE status = 'active';
+    
+    SELECT COUNT(*) INTO booked_slots
+    FROM bookings 
+    WHERE court_id = p_court_id 
+      AND booking_date = p_booking_date
+      AND booking_status != 'cancelled';
+      
+    RETURN (total_slots - booked_slots);
+END //
+DELIMITER ;
+
+-- Function: Net amount paid for a booking (payments minus refunds)
+DELIMITER //
+CREATE FUNCTION get_booking_paid_amount(
+    p_booking_id INT
+) RETURNS DECIMAL(10,2)
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE v_paid DECIMAL(10,2) DEFAULT 0.00;
+    
+    SELECT COALESCE(SUM(CASE WHEN type = 'payment' THEN amount ELSE -amount END), 0.00)
+    INTO v_paid
+    FROM payments
+    WHERE booking_id = p_booking_id;
+    
+    RETURN v_paid;
+END //
+DELIMITER ;
+
+-- Function: Pricing rule that applies to a court/slot/date (NULL = none)
+DELIMITER //
+CREATE FUNCTION get_pricing_rule_id(
+    p_court_id INT,
+    p_slot_id INT,
+    p_booking_date DATE
+) RETURNS INT
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE v_rule_id INT DEFAULT NULL;
+    DECLARE v_start_time TIME;
+    DECLARE v_is_holiday INT DEFAULT 0;
+    
+    SELECT start_time INTO v_start_time FROM time_slots WHERE slot_id = p_slot_id;
+    SELECT COUNT(*) INTO v_is_holiday FROM holidays WHERE holiday_date = p_booking_date;
+    
+    SELECT r.rule_id INTO v_rule_id
+    FROM pricing_rules r
+    WHERE r.status = 'active'
+      AND (r.court_id IS NULL OR r.court_id = p_court_id)
+      AND (r.slot_id IS NULL OR r.slot_id = p_slot_id)
+      AND (r.start_time IS NULL OR (v_start_time >= r.start_time AND v_start_time < r.end_time))
+      AND (r.weekdays IS NULL OR FIND_IN_SET(WEEKDAY(p_booking_date) + 1, r.weekdays) > 0)
+      AND (r.valid_from IS NULL OR p_booking_date >= r.valid_from)
+      AND (r.valid_to IS NULL OR p_booking_date <= r.valid_to)
+      AND (r.holidays_only = FALSE OR v_is_holiday > 0)
+    ORDER BY 
+        r.priority DESC,
+        (r.holidays_only * 2)
+          + (r.court_id IS NOT NULL)
+          + (r.slot_id IS NOT NULL OR r.start_time IS NOT NULL)
+          + (r.weekdays IS NOT NULL)
+          + (r.valid_from IS NOT NULL OR r.valid_to IS NOT NULL) DESC,
+        r.rule_id DESC
+    LIMIT 1;
+    
+    RETURN v_rule_id;
+END //
+DELIMITER ;
+
+-- Function: Price of a court/slot/date (pricing rule or court price)
+DELIMITER //
+CREATE FUNCTION get_booking_price(
+    p_court_id INT,
+    p_slot_id INT,
+    p_booking_date DATE
+) RETURNS DECIMAL(10,2)
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE v_rule_id INT DEFAULT get_pricing_rule_id(p_court_id, p_slot_id, p_booking_date);
+    DECLARE v_price DECIMAL(10,2) DEFAULT NULL;
+    
+    IF v_rule_id IS NOT NULL THEN
+        SELECT price INTO v_price FROM pricing_rules WHERE rule_id = v_rule_id;
+    ELSE
+        SELECT price_per_session INTO v_price FROM courts WHERE court_id = p_court_id;
+    END IF;
+    
+    RETURN v_price;
+END //
+DELIMITER ;
+
+-- =============================================
+-- STORED PROCEDURES
+-- =============================================
+
+-- Procedure: Get admin credentials for login
+-- Password hashes are verified in the application (scrypt), never in SQL
+DELIMITER //
+CREATE PROCEDURE sp_get_admin_credentials(
+    IN p_username VARCHAR(50)
+)
+BEGIN
+    SELECT admin_id, username, full_name, email, role, status, locale, password
+    FROM admins 
+    WHERE username = p_username;
+END //
+DELIMITER ;
+
+-- Procedure: Create New Booking
+DELIMITER //
+CREATE PROCEDURE sp_create_booking(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_booking_date DATE,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_payment_status ENUM('paid', 'unpaid', 'partial'),
+    IN p_notes TEXT,
+    IN p_created_by INT
+)
+BEGIN
+    DECLARE v_price DECIMAL(10,2) DEFAULT NULL;
+    DECLARE v_booking_id INT;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+
+    START TRANSACTION;
+    
+    -- Check scheduled closures before bookings
+    IF get_closure_id(p_court_id, p_slot_id, p_booking_date) IS NOT NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+    END IF;
+    
+    -- Check if slot is available
+    IF NOT is_slot_available(p_court_id, p_slot_id, p_booking_date) THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk tanggal tersebut', MYSQL_ERRNO = 45001;
+    END IF;
+    
+    -- Get court price
+    SELECT price_per_session INTO v_price
+    FROM courts 
+    WHERE court_id = p_court_id AND status = 'active';
+    
+    IF v_price IS NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+    END IF;
+    
+    -- Apply pricing rules (peak, weekend, holiday...) over the court price
+    SET v_price = get_booking_price(p_court_id, p_slot_id, p_booking_date);
+    
+    -- Insert booking
+    INSERT INTO bookings (
+        court_id, slot_id, booking_date, customer_name, customer_phone,
+        total_amount, payment_status, notes, created_by
+    ) VALUES (
+        p_court_id, p_slot_id, p_booking_date, p_customer_name, p_customer_phone,
+        v_price, p_payment_status, p_notes, p_created_by
+    );
+    
+    SET v_booking_id = LAST_INSERT_ID();
+    
+    COMMIT;
+    
+    SELECT v_booking_id AS booking_id, v_price AS total_amount, 'success' AS status, 'Booking berhasil dibuat' AS message;
+END //
+DELIMITER ;
+
+-- Procedure: Update Booking Status
+DELIMITER //
+CREATE PROCEDURE sp_update_booking_status(
+    IN p_booking_id INT,
+    IN p_payment_status ENUM('paid', 'unpaid', 'partial'),
+    IN p_booking_status ENUM('confirmed', 'cancelled', 'completed', 'no_show'),
+    IN p_updated_by INT
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists
+    FROM bookings 
+    WHERE booking_id = p_booking_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' AS status, 'BOOKING_NOT_FOUND' AS code, 'Booking tidak ditemukan' AS message;
+    ELSE
+        UPDATE bookings 
+        SET 
+            payment_status = COALESCE(p_payment_status, payment_status),
+            booking_status = COALESCE(p_booking_status, booking_status),
+            updated_by = p_updated_by,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE booking_id = p_booking_id;
+        
+        SELECT 'success' AS status, 'Status booking berhasil diupdate' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Procedure: Get Booking History with Filters
+DELIMITER //
+CREATE PROCEDURE sp_get_booking_history(
+    IN p_court_id INT,
+    IN p_start_date DATE,
+    IN p_end_date DATE,
+    IN p_limit INT,
+    IN p_offset INT
+)
+BEGIN
+    DECLARE v_sql TEXT;
+    
+    SET v_sql = 'SELECT 
+                    b.booking_id,
+                    c.court_name,
+                    ts.slot_name,
+                    b.booking_date,
+                    b.customer_name,
+                    b.customer_phone,
+                    b.total_amount,
+                    b.payment_status,
+                    b.booking_status,
+                    b.notes,
+                    a.full_name as created_by_name,
+                    b.created_at
+                 FROM bookings b
+                 JOIN courts c ON b.court_id = c.court_id
+                 JOIN time_slots ts ON b.slot_id = ts.slot_id
+                 JOIN admins a ON b.created_by = a.admin_id
+                 WHERE 1=1';
+    
+    IF p_court_id IS NOT NULL THEN
+        SET v_sql = CONCAT(v_sql, ' AND b.court_id = ', p_court_id);
+    END IF;
+    
+    IF p_start_date IS NOT NULL THEN
+        SET v_sql = CONCAT(v_sql, ' AND b.booking_date >= ''', p_start_date, '''');
+    END IF;
+    
+    IF p_end_date IS NOT NULL THEN
+        SET v_sql = CONCAT(v_sql, ' AND b.booking_date <= ''', p_end_date, '''');
+    END IF;
+    
+    SET v_sql = CONCAT(v_sql, ' ORDER BY b.booking_date DESC, ts.start_time ASC');
+    
+    IF p_limit IS NOT NULL THEN
+        SET v_sql = CONCAT(v_sql, ' LIMIT ', p_limit);
+        
+        IF p_offset IS NOT NULL THEN
+            SET v_sql = CONCAT(v_sql, ' OFFSET ', p_offset);
+        END IF;
+    END IF;
+    
+    SET @sql = v_sql;
+    PREPARE stmt FROM @sql;
+    EXECUTE stmt;
+    DEALLOCATE PREPARE stmt;
+END //
+DELIMITER ;
+
+-- Get all courts
+DELIMITER //
+CREATE PROCEDURE sp_get_all_courts()
+BEGIN
+    SELECT court_id, court_name, description, price_per_session, 
+           status, created_at, updated_at 
+    FROM courts 
+    ORDER BY court_name ASC;
+END //
+DELIMITER ;
+
+-- Get court by ID
+DELIMITER //
+CREATE PROCEDURE sp_get_court_by_id(IN p_court_id INT)
+BEGIN
+    SELECT court_id, court_name, description, price_per_session, 
+           status, created_at, updated_at 
+    FROM courts 
+    WHERE court_id = p_court_id;
+END //
+DELIMITER ;
+
+-- Create new court
+DELIMITER //
+CREATE PROCEDURE sp_create_court(
+    IN p_court_name VARCHAR(50),
+    IN p_description TEXT,
+    IN p_price_per_session DECIMAL(10,2),
+    IN p_status ENUM('active', 'maintenance', 'inactive')
+)
+BEGIN
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    START TRANSACTION;
+    
+    INSERT INTO courts (court_name, description, price_per_session, status) 
+    VALUES (p_court_name, p_description, p_price_per_session, COALESCE(p_status, 'active'));
+    
+    SELECT LAST_INSERT_ID() as court_id, 'success' as status, 'Court created successfully' as message;
+    
+    COMMIT;
+END //
+DELIMITER ;
+
+-- Update court
+DELIMITER //
+CREATE PROCEDURE sp_update_court(
+    IN p_court_id INT,
+    IN p_court_name VARCHAR(50),
+    IN p_description TEXT,
+    IN p_price_per_session DECIMAL(10,2),
+    IN p_status ENUM('active', 'maintenance', 'inactive')
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM courts WHERE court_id = p_court_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'COURT_NOT_FOUND' as code, 'Court not found' as message;
+    ELSE
+        UPDATE courts 
+        SET 
+            court_name = COALESCE(p_court_name, court_name),
+            description = COALESCE(p_description, description),
+            price_per_session = COALESCE(p_price_per_session, price_per_session),
+            status = COALESCE(p_status, status),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE court_id = p_court_id;
+        
+        SELECT 'success' as status, 'Court updated successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Delete court
+DELIMITER //
+CREATE PROCEDURE sp_delete_court(IN p_court_id INT)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    DECLARE v_booking_count INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM courts WHERE court_id = p_court_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'COURT_NOT_FOUND' as code, 'Court not found' as message;
+    ELSE
+        SELECT COUNT(*) INTO v_booking_count 
+        FROM bookings 
+        WHERE court_id = p_court_id AND booking_status != 'cancelled';
+        
+        IF v_booking_count > 0 THEN
+            SELECT 'error' as status, 'COURT_HAS_BOOKINGS' as code, 'Cannot delete court with active bookings' as message;
+        ELSE
+            DELETE FROM courts WHERE court_id = p_court_id;
+            SELECT 'success' as status, 'Court deleted successfully' as message;
+        END IF;
+    END IF;
+END //
+DELIMITER ;
+
+-- Get all time slots
+DELIMITER //
+CREATE PROCEDURE sp_get_all_time_slots()
+BEGIN
+    SELECT slot_id, start_time, end_time, slot_name, status, created_at 
+    FROM time_slots 
+    ORDER BY start_time ASC;
+END //
+DELIMITER ;
+
+-- Get available time slots for court and date
+DELIMITER //
+CREATE PROCEDURE sp_get_available_time_slots(
+    IN p_court_id INT,
+    IN p_booking_date DATE
+)
+BEGIN
+    SELECT ts.slot_id, ts.start_time, ts.end_time, ts.slot_name,
+           is_slot_available(p_court_id, ts.slot_id, p_booking_date) as is_available,
+           cc.closure_id,
+           cc.reason as closure_reason
+    FROM time_slots ts 
+    LEFT JOIN court_closures cc ON cc.closure_id = get_closure_id(p_court_id, ts.slot_id, p_booking_date)
+    WHERE ts.status = 'active'
+    ORDER BY ts.start_time ASC;
+END //
+DELIMITER ;
+
+-- Test database connection and system health
+DELIMITER //
+CREATE PROCEDURE sp_test_connection()
+BEGIN
+    DECLARE v_current_time DATETIME;
+    DECLARE v_database_name VARCHAR(100);
+    DECLARE v_mysql_version VARCHAR(100);
+    DECLARE v_total_admins INT DEFAULT 0;
+    DECLARE v_total_courts INT DEFAULT 0;
+    DECLARE v_total_time_slots INT DEFAULT 0;
+    DECLARE v_total_bookings INT DEFAULT 0;
+    DECLARE v_active_bookings_today INT DEFAULT 0;
+    
+    -- Get system info
+    SET v_current_time = NOW();
+    SELECT DATABASE() INTO v_database_name;
+    SELECT VERSION() INTO v_mysql_version;
+    
+    -- Get table counts
+    SELECT COUNT(*) INTO v_total_admins FROM admins;
+    SELECT COUNT(*) INTO v_total_courts FROM courts;
+    SELECT COUNT(*) INTO v_total_time_slots FROM time_slots;
+    SELECT COUNT(*) INTO v_total_bookings FROM bookings;
+    SELECT COUNT(*) INTO v_active_bookings_today 
+    FROM bookings 
+    WHERE booking_date = CURDATE() AND booking_status != 'cancelled';
+    
+    -- Return connection test result
+    SELECT 
+        'success' as status,
+        'Database connection successful' as message,
+        v_current_time as server_time,
+        v_database_name as database_name,
+        v_mysql_version as mysql_version,
+        v_total_admins as total_admins,
+        v_total_courts as total_courts,
+        v_total_time_slots as total_time_slots,
+        v_total_bookings as total_bookings,
+        v_active_bookings_today as active_bookings_today,
+        CASE 
+            WHEN v_total_courts > 0 AND v_total_time_slots > 0 AND v_total_admins > 0 THEN 'ready'
+            ELSE 'incomplete_setup'
+        END as system_status;
+END //
+DELIMITER ;
+
+-- Change admin password
+DELIMITER //
+CREATE PROCEDURE sp_change_admin_password(
+    IN p_admin_id INT,
+    IN p_password_hash VARCHAR(255)
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM admins WHERE admin_id = p_admin_id AND status = 'active';
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'ADMIN_NOT_FOUND' as code, 'Admin not found or inactive' as message;
+    ELSE
+        UPDATE admins 
+        SET password = p_password_hash, updated_at = CURRENT_TIMESTAMP
+        WHERE admin_id = p_admin_id;
+        
+        SELECT 'success' as status, 'Password changed successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Get time slot by ID
+DELIMITER //
+CREATE PROCEDURE sp_get_time_slot_by_id(IN p_slot_id INT)
+BEGIN
+    SELECT slot_id, start_time, end_time, slot_name, status, created_at 
+    FROM time_slots 
+    WHERE slot_id = p_slot_id;
+END //
+DELIMITER ;
+
+-- Create new time slot
+DELIMITER //
+CREATE PROCEDURE sp_create_time_slot(
+    IN p_start_time TIME,
+    IN p_end_time TIME,
+    IN p_slot_name VARCHAR(50),
+    IN p_status ENUM('active', 'inactive')
+)
+BEGIN
+    DECLARE v_overlap_count INT DEFAULT 0;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    START TRANSACTION;
+    
+    -- Check for time overlap
+    SELECT COUNT(*) INTO v_overlap_count
+    FROM time_slots 
+    WHERE status = 'active' 
+      AND (
+          (p_start_time >= start_time AND p_start_time < end_time) OR
+          (p_end_time > start_time AND p_end_time <= end_time) OR
+          (p_start_time <= start_time AND p_end_time >= end_time)
+      );
+    
+    IF v_overlap_count > 0 THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Time slot overlaps with existing active slot', MYSQL_ERRNO = 45009;
+    END IF;
+    
+    -- Validate time logic
+    IF p_start_time >= p_end_time THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Start time must be before end time', MYSQL_ERRNO = 45010;
+    END IF;
+    
+    INSERT INTO time_slots (start_time, end_time, slot_name, status) 
+    VALUES (p_start_time, p_end_time, p_slot_name, COALESCE(p_status, 'active'));
+    
+    SELECT LAST_INSERT_ID() as slot_id, 'success' as status, 'Time slot created successfully' as message;
+    
+    COMMIT;
+END //
+DELIMITER ;
+
+-- Update time slot
+DELIMITER //
+CREATE PROCEDURE sp_update_time_slot(
+    IN p_slot_id INT,
+    IN p_start_time TIME,
+    IN p_end_time TIME,
+    IN p_slot_name VARCHAR(50),
+    IN p_status ENUM('active', 'inactive')
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    DECLARE v_overlap_count INT DEFAULT 0;
+    DECLARE v_booking_count INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM time_slots WHERE slot_id = p_slot_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'SLOT_NOT_FOUND' as code, 'Time slot not found' as message;
+    ELSE
+        -- Check if time slot is being used in active bookings
+        SELECT COUNT(*) INTO v_booking_count 
+        FROM bookings 
+        WHERE slot_id = p_slot_id 
+          AND booking_status != 'cancelled'
+          AND booking_date >= CURDATE();
+        
+        -- If changing time or status to inactive, check for future bookings
+        IF (p_start_time IS NOT NULL OR p_end_time IS NOT NULL OR p_status = 'inactive') 
+           AND v_booking_count > 0 THEN
+            SELECT 'error' as status, 'SLOT_HAS_BOOKINGS' as code, 'Cannot modify time slot with future active bookings' as message;
+        ELSE
+            -- Check for time overlap if time is being changed
+            IF p_start_time IS NOT NULL AND p_end_time IS NOT NULL THEN
+                -- Validate time logic
+                IF p_start_time >= p_end_time THEN
+                    SELECT 'error' as status, 'INVALID_TIME_RANGE' as code, 'Start time must be before end time' as message;
+                ELSE
+                    SELECT COUNT(*) INTO v_overlap_count
+                    FROM time_slots 
+                    WHERE slot_id != p_slot_id 
+                      AND status = 'active' 
+                      AND (
+                          (p_start_time >= start_time AND p_start_time < end_time) OR
+                          (p_end_time > start_time AND p_end_time <= end_time) OR
+                          (p_start_time <= start_time AND p_end_time >= end_time)
+                      );
+                    
+                    IF v_overlap_count > 0 THEN
+                        SELECT 'error' as status, 'TIME_SLOT_OVERLAP' as code, 'Time slot overlaps with existing active slot' as message;
+                    ELSE
+                        UPDATE time_slots 
+                        SET 
+                            start_time = COALESCE(p_start_time, start_time),
+                            end_time = COALESCE(p_end_time, end_time),
+                            slot_name = COALESCE(p_slot_name, slot_name),
+                            status = COALESCE(p_status, status)
+                        WHERE slot_id = p_slot_id;
+                        
+                        SELECT 'success' as status, 'Time slot updated successfully' as message;
+                    END IF;
+                END IF;
+            ELSE
+                -- Only updating name or status
+                UPDATE time_slots 
+                SET 
+                    slot_name = COALESCE(p_slot_name, slot_name),
+                    status = COALESCE(p_status, status)
+                WHERE slot_id = p_slot_id;
+                
+                SELECT 'success' as status, 'Time slot updated successfully' as message;
+            END IF;
+        END IF;
+    END IF;
+END //
+DELIMITER ;
+
+-- Delete time slot
+DELIMITER //
+CREATE PROCEDURE sp_delete_time_slot(IN p_slot_id INT)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    DECLARE v_booking_count INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM time_slots WHERE slot_id = p_slot_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'SLOT_NOT_FOUND' as code, 'Time slot not found' as message;
+    ELSE
+        -- Check if time slot has any bookings (including past ones for history)
+        SELECT COUNT(*) INTO v_booking_count 
+        FROM bookings 
+        WHERE slot_id = p_slot_id;
+        
+        IF v_booking_count > 0 THEN
+            SELECT 'error' as status, 'SLOT_HAS_BOOKINGS' as code, 'Cannot delete time slot with existing bookings. Set status to inactive instead.' as message;
+        ELSE
+            DELETE FROM time_slots WHERE slot_id = p_slot_id;
+            SELECT 'success' as status, 'Time slot deleted successfully' as message;
+        END IF;
+    END IF;
+END //
+DELIMITER ;
+
+-- Get booking by ID
+DELIMITER //
+CREATE PROCEDURE sp_get_booking_by_id(IN p_booking_id INT)
+BEGIN
+    SELECT * FROM v_booking_details 
+    WHERE booking_id = p_booking_id;
+END //
+DELIMITER ;
+
+-- Update booking details (not status)
+DELIMITER //
+CREATE PROCEDURE sp_update_booking_details(
+    IN p_booking_id INT,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_notes TEXT,
+    IN p_updated_by INT
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM bookings WHERE booking_id = p_booking_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'BOOKING_NOT_FOUND' as code, 'Booking not found' as message;
+    ELSE
+        UPDATE bookings 
+        SET 
+            customer_name = COALESCE(p_customer_name, customer_name),
+            customer_phone = COALESCE(p_customer_phone, customer_phone),
+            customer_id = COALESCE((SELECT customer_id FROM customers WHERE phone = p_customer_phone), customer_id),
+            notes = COALESCE(p_notes, notes),
+            updated_by = p_updated_by,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE booking_id = p_booking_id;
+        
+        SELECT 'success' as status, 'Booking updated successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Cancel booking (soft delete), optionally refunding what was paid
+-- p_refund_method NULL = no refund; p_refund_amount NULL = refund everything paid
+DELIMITER //
+CREATE PROCEDURE sp_cancel_booking(
+    IN p_booking_id INT,
+    IN p_updated_by INT,
+    IN p_refund_amount DECIMAL(10,2),
+    IN p_refund_method ENUM('cash', 'transfer', 'e-wallet')
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    DECLARE v_paid DECIMAL(10,2) DEFAULT 0.00;
+    DECLARE v_refund DECIMAL(10,2) DEFAULT 0.00;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    SELECT COUNT(*) INTO v_exists FROM bookings WHERE booking_id = p_booking_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'BOOKING_NOT_FOUND' as code, 'Booking not found' as message;
+    ELSE
+        START TRANSACTION;
+        
+        UPDATE bookings 
+        SET booking_status = 'cancelled', updated_by = p_updated_by, updated_at = CURRENT_TIMESTAMP
+        WHERE booking_id = p_booking_id;
+        
+        IF p_refund_method IS NOT NULL THEN
+            SET v_paid = get_booking_paid_amount(p_booking_id);
+            SET v_refund = COALESCE(p_refund_amount, v_paid);
+            
+            IF v_refund > v_paid THEN
+                SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Jumlah refund melebihi jumlah yang sudah dibayar', MYSQL_ERRNO = 45015;
+            END IF;
+            
+            IF v_refund > 0 THEN
+                INSERT INTO payments (booking_id, type, amount, method, notes, received_by)
+                VALUES (p_booking_id, 'refund', v_refund, p_refund_method, 'Refund pembatalan booking', p_updated_by);
+                
+                CALL sp_sync_payment_status(p_booking_id, p_updated_by);
+            END IF;
+        END IF;
+        
+        COMMIT;
+        
+        SELECT 'success' as status, v_refund as refunded_amount, 'Booking cancelled successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Get daily booking summary with date range
+DELIMITER //
+CREATE PROCEDURE sp_get_daily_summary(
+    IN p_start_date DATE,
+    IN p_end_date DATE
+)
+BEGIN
+    DECLARE v_start_date DATE DEFAULT COALESCE(p_start_date, DATE_SUB(CURDATE(), INTERVAL 7 DAY));
+    DECLARE v_end_date DATE DEFAULT COALESCE(p_end_date, CURDATE());
+    
+    SELECT * FROM v_daily_booking_summary 
+    WHERE booking_date BETWEEN v_start_date AND v_end_date
+    ORDER BY booking_date DESC, court_name ASC;
+END //
+DELIMITER ;
+
+-- Get revenue summary
+DELIMITER //
+CREATE PROCEDURE sp_get_revenue_summary(
+    IN p_year VARCHAR(4),
+    IN p_court_id INT
+)
+BEGIN
+    DECLARE v_year VARCHAR(4) DEFAULT COALESCE(p_year, YEAR(CURDATE()));
+    
+    IF p_court_id IS NULL THEN
+        SELECT * FROM v_revenue_summary 
+        WHERE month_year LIKE CONCAT(v_year, '%')
+        ORDER BY month_year DESC, court_name ASC;
+    ELSE
+        SELECT * FROM v_revenue_summary 
+        WHERE month_year LIKE CONCAT(v_year, '%')
+          AND court_name = (SELECT court_name FROM courts WHERE court_id = p_court_id)
+        ORDER BY month_year DESC, court_name ASC;
+    END IF;
+END //
+DELIMITER ;
+
+-- Get court utilization
+DELIMITER //
+CREATE PROCEDURE sp_get_court_utilization()
+BEGIN
+    SELECT * FROM v_court_utilization;
+END //
+DELIMITER ;
+
+-- Create admin (for registration/management)
+DELIMITER //
+CREATE PROCEDURE sp_create_admin(
+    IN p_username VARCHAR(50),
+    IN p_password_hash VARCHAR(255),
+    IN p_full_name VARCHAR(100),
+    IN p_email VARCHAR(100),
+    IN p_role ENUM('owner', 'manager', 'cashier')
+)
+BEGIN
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    START TRANSACTION;
+    
+    INSERT INTO admins (username, password, full_name, email, role) 
+    VALUES (p_username, p_password_hash, p_full_name, p_email, COALESCE(p_role, 'cashier'));
+    
+    SELECT LAST_INSERT_ID() as admin_id, 'success' as status, 'Admin created successfully' as message;
+    
+    COMMIT;
+END //
+DELIMITER ;
+
+-- Get all admins (never returns password)
+DELIMITER //
+CREATE PROCEDURE sp_get_all_admins()
+BEGIN
+    SELECT admin_id, username, full_name, email, role, status, locale, created_at, updated_at
+    FROM admins
+    ORDER BY username ASC;
+END //
+DELIMITER ;
+
+-- Get admin by ID (never returns password)
+DELIMITER //
+CREATE PROCEDURE sp_get_admin_by_id(IN p_admin_id INT)
+BEGIN
+    SELECT admin_id, username, full_name, email, role, status, locale, created_at, updated_at
+    FROM admins
+    WHERE admin_id = p_admin_id;
+END //
+DELIMITER ;
+
+-- Update admin profile, role or status (partial)
+DELIMITER //
+CREATE PROCEDURE sp_update_admin(
+    IN p_admin_id INT,
+    IN p_full_name VARCHAR(100),
+    IN p_email VARCHAR(100),
+    IN p_role ENUM('owner', 'manager', 'cashier'),
+    IN p_status ENUM('active', 'inactive')
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    DECLARE v_other_owners INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM admins WHERE admin_id = p_admin_id;
+    
+    SELECT COUNT(*) INTO v_other_owners
+    FROM admins
+    WHERE admin_id != p_admin_id AND role = 'owner' AND status = 'active';
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'ADMIN_NOT_FOUND' as code, 'Admin not found' as message;
+    ELSEIF v_other_owners = 0
+       AND (SELECT role FROM admins WHERE admin_id = p_admin_id) = 'owner'
+       AND (COALESCE(p_role, 'owner') != 'owner' OR COALESCE(p_status, 'active') != 'active') THEN
+        SELECT 'error' as status, 'LAST_ACTIVE_OWNER' as code, 'Cannot demote or deactivate the last active owner' as message;
+    ELSE
+        UPDATE admins
+        SET 
+            full_name = COALESCE(p_full_name, full_name),
+            email = COALESCE(p_email, email),
+            role = COALESCE(p_role, role),
+            status = COALESCE(p_status, status),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE admin_id = p_admin_id;
+        
+        SELECT 'success' as status, 'Admin updated successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Set an admin's API message language (NULL = follow Accept-Language)
+DELIMITER //
+CREATE PROCEDURE sp_set_admin_locale(
+    IN p_admin_id INT,
+    IN p_locale ENUM('id', 'en')
+)
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM admins WHERE admin_id = p_admin_id AND status = 'active') THEN
+        SELECT 'error' as status, 'ADMIN_NOT_FOUND' as code, 'Admin not found or inactive' as message;
+    ELSE
+        UPDATE admins SET locale = p_locale WHERE admin_id = p_admin_id;
+        SELECT 'success' as status, 'Preferences updated' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Get court slot booking status (alternative to function - returns table format)
+DELIMITER //
+CREATE PROCEDURE sp_get_court_slot_booking_status(
+    IN p_court_id INT,
+    IN p_booking_date DATE
+)
+BEGIN
+    DECLARE v_court_name VARCHAR(50);
+    DECLARE v_total_slots INT DEFAULT 0;
+    DECLARE v_booked_slots INT DEFAULT 0;
+    
+    -- Get court name
+    SELECT court_name INTO v_court_name FROM courts WHERE court_id = p_court_id;
+    
+    -- Get total and booked slots count
+    SELECT COUNT(*) INTO v_total_slots FROM time_slots WHERE status = 'active';
+    SELECT COUNT(*) INTO v_booked_slots 
+    FROM bookings 
+    WHERE court_id = p_court_id 
+      AND booking_date = p_booking_date 
+      AND booking_status != 'cancelled';
+    
+    -- Return slot details with booking info
+    SELECT 
+        p_court_id as court_id,
+        v_court_name as court_name,
+        p_booking_date as booking_date,
+        v_total_slots as total_slots,
+        v_booked_slots as booked_slots,
+        (v_total_slots - v_booked_slots) as available_slots,
+        ts.slot_id,
+        ts.slot_name,
+        TIME_FORMAT(ts.start_time, '%H:%i') as start_time,
+        TIME_FORMAT(ts.end_time, '%H:%i') as end_time,
+        CASE WHEN b.booking_id IS NOT NULL THEN 1 ELSE 0 END as is_booked,
+        b.booking_id,
+        b.customer_name,
+        b.customer_phone,
+        b.payment_status,
+        b.booking_status,
+        b.total_amount,
+        b.notes,
+        a.full_name as created_by_name
+    FROM time_slots ts
+    LEFT JOIN bookings b ON (
+        b.court_id = p_court_id 
+        AND b.slot_id = ts.slot_id 
+        AND b.booking_date = p_booking_date 
+        AND b.booking_status != 'cancelled'
+    )
+    LEFT JOIN admins a ON b.created_by = a.admin_id
+    WHERE ts.status = 'active'
+    ORDER BY ts.start_time ASC;
+END //
+DELIMITER ;
+
+-- Procedure: Get Dashboard Statistics
+DELIMITER //
+CREATE PROCEDURE sp_get_dashboard_stats(
+    IN p_date DATE
+)
+BEGIN
+    DECLARE v_target_date DATE DEFAULT COALESCE(p_date, CURDATE());
+    
+    SELECT 
+        (SELECT COUNT(*) FROM courts WHERE status = 'active') as total_courts,
+        (SELECT COUNT(*) FROM bookings WHERE booking_date = v_target_date AND booking_status != 'cancelled') as today_bookings,
+        (SELECT COUNT(*) FROM bookings WHERE booking_date = v_target_date AND payment_status = 'paid' AND booking_status != 'cancelled') as paid_bookings,
+        (SELECT COUNT(*) FROM bookings WHERE booking_date = v_target_date AND payment_status = 'unpaid' AND booking_status NOT IN ('cancelled', 'no_show')) as unpaid_bookings,
+        (SELECT COUNT(*) FROM bookings WHERE booking_date = v_target_date AND booking_status = 'no_show') as no_show_bookings,
+        (SELECT COALESCE(SUM(total_amount), 0) FROM bookings WHERE booking_date = v_target_date AND payment_status = 'paid' AND booking_status != 'cancelled') as daily_revenue,
+        (SELECT COALESCE(SUM(total_amount), 0) FROM bookings WHERE MONTH(booking_date) = MONTH(v_target_date) AND YEAR(booking_date) = YEAR(v_target_date) AND payment_status = 'paid' AND booking_status != 'cancelled') as monthly_revenue;
+END //
+DELIMITER ;
+
+-- Preview booking series: every matching date with availability (dry run)
+DELIMITER //
+CREATE PROCEDURE sp_preview_booking_series(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_weekdays VARCHAR(20),
+    IN p_start_date DATE,
+    IN p_end_date DATE
+)
+BEGIN
+    WITH RECURSIVE series_dates (booking_date) AS (
+        SELECT p_start_date
+        UNION ALL
+        SELECT DATE_ADD(booking_date, INTERVAL 1 DAY)
+        FROM series_dates
+        WHERE booking_date < p_end_date
+    )
+    SELECT 
+        sd.booking_date,
+        WEEKDAY(sd.booking_date) + 1 as weekday,
+        CASE WHEN b.booking_id IS NULL THEN 1 ELSE 0 END as is_available,
+        b.booking_id as conflict_booking_id,
+        b.customer_name as conflict_customer_name
+    FROM series_dates sd
+    LEFT JOIN bookings b ON (
+        b.court_id = p_court_id
+        AND b.slot_id = p_slot_id
+        AND b.booking_date = sd.booking_date
+        AND b.booking_status != 'cancelled'
+    )
+    WHERE FIND_IN_SET(WEEKDAY(sd.booking_date) + 1, p_weekdays) > 0
+    ORDER BY sd.booking_date ASC;
+END //
+DELIMITER ;
+
+-- Create booking series and all its occurrences in one transaction
+-- p_skip_conflicts = TRUE skips taken dates, FALSE aborts the whole series
+DELIMITER //
+CREATE PROCEDURE sp_create_booking_series(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_weekdays VARCHAR(20),
+    IN p_start_date DATE,
+    IN p_end_date DATE,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_payment_status ENUM('paid', 'unpaid', 'partial'),
+    IN p_notes TEXT,
+    IN p_skip_conflicts BOOLEAN,
+    IN p_created_by INT
+)
+BEGIN
+    DECLARE v_price DECIMAL(10,2) DEFAULT NULL;
+    DECLARE v_series_id INT;
+    DECLARE v_date DATE;
+    DECLARE v_created INT DEFAULT 0;
+    DECLARE v_skipped INT DEFAULT 0;
+    DECLARE v_skipped_dates TEXT DEFAULT NULL;
+    DECLARE v_message VARCHAR(255);
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+
+    START TRANSACTION;
+    
+    SELECT price_per_session INTO v_price
+    FROM courts 
+    WHERE court_id = p_court_id AND status = 'active';
+    
+    IF v_price IS NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+    END IF;
+    
+    INSERT INTO booking_series (
+        court_id, slot_id, weekdays, start_date, end_date,
+        customer_name, customer_phone, notes, created_by
+    ) VALUES (
+        p_court_id, p_slot_id, p_weekdays, p_start_date, p_end_date,
+        p_customer_name, p_customer_phone, p_notes, p_created_by
+    );
+    
+    SET v_series_id = LAST_INSERT_ID();
+    SET v_date = p_start_date;
+    
+    WHILE v_date <= p_end_date DO
+        IF FIND_IN_SET(WEEKDAY(v_date) + 1, p_weekdays) > 0 THEN
+            IF is_slot_available(p_court_id, p_slot_id, v_date) THEN
+                INSERT INTO bookings (
+                    court_id, slot_id, booking_date, customer_name, customer_phone,
+                    total_amount, payment_status, notes, created_by, series_id
+                ) VALUES (
+                    p_court_id, p_slot_id, v_date, p_customer_name, p_customer_phone,
+                    get_booking_price(p_court_id, p_slot_id, v_date), p_payment_status, p_notes, p_created_by, v_series_id
+                );
+                SET v_created = v_created + 1;
+            ELSEIF p_skip_conflicts THEN
+                SET v_skipped = v_skipped + 1;
+                SET v_skipped_dates = CONCAT_WS(',', v_skipped_dates, DATE_FORMAT(v_date, '%Y-%m-%d'));
+            ELSE
+                SET v_message = CONCAT('Slot sudah dibooking untuk tanggal ', DATE_FORMAT(v_date, '%Y-%m-%d'));
+                SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message, MYSQL_ERRNO = 45001;
+            END IF;
+        END IF;
+        SET v_date = DATE_ADD(v_date, INTERVAL 1 DAY);
+    END WHILE;
+    
+    IF v_created = 0 THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Tidak ada tanggal yang tersedia untuk series ini', MYSQL_ERRNO = 45011;
+    END IF;
+    
+    COMMIT;
+    
+    SELECT v_series_id AS series_id, v_created AS created_count, v_skipped AS skipped_count,
+           v_skipped_dates AS skipped_dates, 'success' AS status, 'Booking series berhasil dibuat' AS message;
+END //
+DELIMITER ;
+
+-- Get booking series with its occurrences (two result sets)
+DELIMITER //
+CREATE PROCEDURE sp_get_booking_series_by_id(IN p_series_id INT)
+BEGIN
+    SELECT s.series_id, s.court_id, c.court_name, s.slot_id, ts.slot_name,
+           s.weekdays, s.start_date, s.end_date, s.customer_name, s.customer_phone,
+           s.notes, s.status, a.full_name as created_by_name, s.created_at, s.updated_at
+    FROM booking_series s
+    JOIN courts c ON s.court_id = c.court_id
+    JOIN time_slots ts ON s.slot_id = ts.slot_id
+    JOIN admins a ON s.created_by = a.admin_id
+    WHERE s.series_id = p_series_id;
+    
+    SELECT b.booking_id, b.court_id, b.slot_id, b.booking_date, b.total_amount,
+           b.payment_status, b.booking_status
+    FROM bookings b
+    WHERE b.series_id = p_series_id
+    ORDER BY b.booking_date ASC;
+END //
+DELIMITER ;
+
+-- List booking series (optionally by status)
+DELIMITER //
+CREATE PROCEDURE sp_get_booking_series(IN p_status VARCHAR(20))
+BEGIN
+    SELECT s.series_id, c.court_name, ts.slot_name, s.weekdays, s.start_date, s.end_date,
+           s.customer_name, s.customer_phone, s.status,
+           (SELECT COUNT(*) FROM bookings b 
+             WHERE b.series_id = s.series_id AND b.booking_status = 'confirmed') as remaining_occurrences,
+           s.created_at
+    FROM booking_series s
+    JOIN courts c ON s.court_id = c.court_id
+    JOIN time_slots ts ON s.slot_id = ts.slot_id
+    WHERE p_status IS NULL OR s.status = p_status
+    ORDER BY s.start_date DESC, s.series_id DESC;
+END //
+DELIMITER ;
+
+-- Edit remaining occurrences of a series (from p_from_date onwards)
+-- Moving to another court/slot aborts when any remaining date is taken
+DELIMITER //
+CREATE PROCEDURE sp_update_booking_series(
+    IN p_series_id INT,
+    IN p_from_date DATE,
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_notes TEXT,
+    IN p_updated_by INT
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    DECLARE v_court_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE v_price DECIMAL(10,2) DEFAULT NULL;
+    DECLARE v_conflicts INT DEFAULT 0;
+    DECLARE v_updated INT DEFAULT 0;
+    DECLARE v_from_date DATE DEFAULT COALESCE(p_from_date, CURDATE());
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    SELECT COUNT(*) INTO v_exists 
+    FROM booking_series WHERE series_id = p_series_id AND status = 'active';
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' AS status, 'SERIES_NOT_FOUND' AS code, 'Booking series tidak ditemukan atau sudah dibatalkan' AS message;
+    ELSE
+        START TRANSACTION;
+        
+        SELECT COALESCE(p_court_id, court_id), COALESCE(p_slot_id, slot_id)
+        INTO v_court_id, v_slot_id
+        FROM booking_series WHERE series_id = p_series_id
+        FOR UPDATE;
+        
+        SELECT price_per_session INTO v_price
+        FROM courts WHERE court_id = v_court_id AND status = 'active';
+        
+        IF v_price IS NULL THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+        END IF;
+        
+        IF p_court_id IS NOT NULL OR p_slot_id IS NOT NULL THEN
+            SELECT COUNT(*) INTO v_conflicts
+            FROM bookings own
+            JOIN bookings other ON (
+                other.court_id = v_court_id
+                AND other.slot_id = v_slot_id
+                AND other.booking_date = own.booking_date
+                AND other.booking_id != own.booking_id
+                AND other.booking_status != 'cancelled'
+                AND (other.series_id IS NULL OR other.series_id != p_series_id)
+            )
+            WHERE own.series_id = p_series_id
+              AND own.booking_status = 'confirmed'
+              AND own.booking_date >= v_from_date;
+            
+            IF v_conflicts > 0 THEN
+                SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk sebagian tanggal series', MYSQL_ERRNO = 45001;
+            END IF;
+        END IF;
+        
+        UPDATE bookings
+        SET 
+            court_id = v_court_id,
+            slot_id = v_slot_id,
+            total_amount = IF(p_court_id IS NOT NULL OR p_slot_id IS NOT NULL,
+                              get_booking_price(v_court_id, v_slot_id, booking_date), total_amount),
+            customer_name = COALESCE(p_customer_name, customer_name),
+            customer_phone = COALESCE(p_customer_phone, customer_phone),
+            notes = COALESCE(p_notes, notes),
+            updated_by = p_updated_by,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE series_id = p_series_id
+          AND booking_status = 'confirmed'
+          AND booking_date >= v_from_date;
+        
+        SET v_updated = ROW_COUNT();
+        
+        UPDATE booking_series
+        SET 
+            court_id = v_court_id,
+            slot_id = v_slot_id,
+            customer_name = COALESCE(p_customer_name, customer_name),
+            customer_phone = COALESCE(p_customer_phone, customer_phone),
+            notes = COALESCE(p_notes, notes)
+        WHERE series_id = p_series_id;
+        
+        COMMIT;
+        
+        SELECT 'success' AS status, v_updated AS updated_count, 'Booking series berhasil diupdate' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Cancel remaining occurrences of a series (from p_from_date onwards)
+DELIMITER //
+CREATE PROCEDURE sp_cancel_booking_series(
+    IN p_series_id INT,
+    IN p_from_date DATE,
+    IN p_updated_by INT
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    DECLARE v_cancelled INT DEFAULT 0;
+    DECLARE v_from_date DATE DEFAULT COALESCE(p_from_date, CURDATE());
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    SELECT COUNT(*) INTO v_exists 
+    FROM booking_series WHERE series_id = p_series_id AND status = 'active';
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' AS status, 'SERIES_NOT_FOUND' AS code, 'Booking series tidak ditemukan atau sudah dibatalkan' AS message;
+    ELSE
+        START TRANSACTION;
+        
+        UPDATE bookings
+        SET booking_status = 'cancelled', updated_by = p_updated_by, updated_at = CURRENT_TIMESTAMP
+        WHERE series_id = p_series_id
+          AND booking_status = 'confirmed'
+          AND booking_date >= v_from_date;
+        
+        SET v_cancelled = ROW_COUNT();
+        
+        -- Series ends the day before the first cancelled date
+        UPDATE booking_series
+        SET 
+            status = IF(v_from_date <= start_date, 'cancelled', status),
+            end_date = IF(v_from_date <= start_date, end_date, LEAST(end_date, DATE_SUB(v_from_date, INTERVAL 1 DAY)))
+        WHERE series_id = p_series_id;
+        
+        COMMIT;
+        
+        SELECT 'success' AS status, v_cancelled AS cancelled_count, 'Booking series berhasil dibatalkan' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Get change history of a single booking (oldest first)
+DELIMITER //
+CREATE PROCEDURE sp_get_booking_audit(IN p_booking_id INT)
+BEGIN
+    SELECT l.audit_id, l.booking_id, l.action, l.changed_by, a.full_name as changed_by_name,
+           l.old_values, l.new_values, l.created_at
+    FROM booking_audit_log l
+    LEFT JOIN admins a ON l.changed_by = a.admin_id
+    WHERE l.booking_id = p_booking_id
+    ORDER BY l.created_at ASC, l.audit_id ASC;
+END //
+DELIMITER ;
+
+-- Search audit log with optional filters (newest first)
+DELIMITER //
+CREATE PROCEDURE sp_get_audit_log(
+    IN p_booking_id INT,
+    IN p_changed_by INT,
+    IN p_action VARCHAR(20),
+    IN p_customer VARCHAR(100),
+    IN p_start_date DATE,
+    IN p_end_date DATE,
+    IN p_limit INT,
+    IN p_offset INT
+)
+BEGIN
+    SELECT l.audit_id, l.booking_id, b.customer_name, b.booking_date, l.action,
+           l.changed_by, a.full_name as changed_by_name, l.old_values, l.new_values, l.created_at
+    FROM booking_audit_log l
+    LEFT JOIN bookings b ON l.booking_id = b.booking_id
+    LEFT JOIN admins a ON l.changed_by = a.admin_id
+    WHERE (p_booking_id IS NULL OR l.booking_id = p_booking_id)
+      AND (p_changed_by IS NULL OR l.changed_by = p_changed_by)
+      AND (p_action IS NULL OR l.action = p_action)
+      AND (p_customer IS NULL OR b.customer_name LIKE CONCAT('%', p_customer, '%')
+           OR b.customer_phone LIKE CONCAT('%', p_customer, '%'))
+      AND (p_start_date IS NULL OR l.created_at >= p_start_date)
+      AND (p_end_date IS NULL OR l.created_at < DATE_ADD(p_end_date, INTERVAL 1 DAY))
+    ORDER BY l.created_at DESC, l.audit_id DESC
+    LIMIT p_limit OFFSET p_offset;
+END //
+DELIMITER ;
+
+-- Recompute bookings.payment_status from the payments ledger (no result set)
+DELIMITER //
+CREATE PROCEDURE sp_sync_payment_status(
+    IN p_booking_id INT,
+    IN p_updated_by INT
+)
+BEGIN
+    DECLARE v_total DECIMAL(10,2) DEFAULT 0.00;
+    DECLARE v_paid DECIMAL(10,2) DEFAULT 0.00;
+    
+    SELECT total_amount INTO v_total FROM bookings WHERE booking_id = p_booking_id;
+    SET v_paid = get_booking_paid_amount(p_booking_id);
+    
+    UPDATE bookings
+    SET payment_status = CASE
+            WHEN v_paid >= v_total AND v_total > 0 THEN 'paid'
+            WHEN v_paid > 0 THEN 'partial'
+            ELSE 'unpaid'
+        END,
+        updated_by = p_updated_by
+    WHERE booking_id = p_booking_id;
+END //
+DELIMITER ;
+
+-- Record a payment or refund against a booking
+DELIMITER //
+CREATE PROCEDURE sp_record_payment(
+    IN p_booking_id INT,
+    IN p_type ENUM('payment', 'refund'),
+    IN p_amount DECIMAL(10,2),
+    IN p_method ENUM('cash', 'transfer', 'e-wallet'),
+    IN p_reference VARCHAR(100),
+    IN p_notes TEXT,
+    IN p_received_by INT
+)
+BEGIN
+    DECLARE v_total DECIMAL(10,2) DEFAULT NULL;
+    DECLARE v_booking_status VARCHAR(20);
+    DECLARE v_paid DECIMAL(10,2) DEFAULT 0.00;
+    DECLARE v_payment_id INT;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    START TRANSACTION;
+    
+    SELECT total_amount, booking_status INTO v_total, v_booking_status
+    FROM bookings WHERE booking_id = p_booking_id
+    FOR UPDATE;
+    
+    IF v_total IS NULL THEN
+        ROLLBACK;
+        SELECT 'error' as status, 'BOOKING_NOT_FOUND' as code, 'Booking tidak ditemukan' as message;
+    ELSE
+        IF p_amount IS NULL OR p_amount <= 0 THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Jumlah pembayaran harus lebih dari 0', MYSQL_ERRNO = 45012;
+        END IF;
+        
+        SET v_paid = get_booking_paid_amount(p_booking_id);
+        
+        IF p_type = 'payment' THEN
+            IF v_booking_status = 'cancelled' THEN
+                SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Booking yang sudah dibatalkan tidak bisa menerima pembayaran', MYSQL_ERRNO = 45013;
+            END IF;
+            IF v_paid + p_amount > v_total THEN
+                SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Jumlah pembayaran melebihi sisa tagihan', MYSQL_ERRNO = 45014;
+            END IF;
+        ELSEIF p_amount > v_paid THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Jumlah refund melebihi jumlah yang sudah dibayar', MYSQL_ERRNO = 45015;
+        END IF;
+        
+        INSERT INTO payments (booking_id, type, amount, method, reference, notes, received_by)
+        VALUES (p_booking_id, p_type, p_amount, p_method, p_reference, p_notes, p_received_by);
+        
+        SET v_payment_id = LAST_INSERT_ID();
+        
+        CALL sp_sync_payment_status(p_booking_id, p_received_by);
+        
+        COMMIT;
+        
+        SELECT v_payment_id as payment_id, 'success' as status,
+               get_booking_paid_amount(p_booking_id) as paid_amount,
+               v_total - get_booking_paid_amount(p_booking_id) as balance,
+               (SELECT payment_status FROM bookings WHERE booking_id = p_booking_id) as payment_status,
+               IF(p_type = 'payment', 'Pembayaran berhasil dicatat', 'Refund berhasil dicatat') as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Payment summary (first result set) and ledger entries (second result set)
+DELIMITER //
+CREATE PROCEDURE sp_get_booking_payments(IN p_booking_id INT)
+BEGIN
+    SELECT b.booking_id, b.total_amount, b.payment_status, b.booking_status,
+           COALESCE(SUM(CASE WHEN p.type = 'payment' THEN p.amount END), 0.00) as total_paid,
+           COALESCE(SUM(CASE WHEN p.type = 'refund' THEN p.amount END), 0.00) as total_refunded,
+           get_booking_paid_amount(b.booking_id) as net_paid,
+           IF(b.booking_status = 'cancelled', 0.00,
+              b.total_amount - get_booking_paid_amount(b.booking_id)) as outstanding_balance
+    FROM bookings b
+    LEFT JOIN payments p ON p.booking_id = b.booking_id
+    WHERE b.booking_id = p_booking_id
+    GROUP BY b.booking_id, b.total_amount, b.payment_status, b.booking_status;
+    
+    SELECT p.payment_id, p.type, p.amount, p.method, p.reference, p.notes,
+           p.received_by, a.full_name as received_by_name, p.created_at
+    FROM payments p
+    JOIN admins a ON p.received_by = a.admin_id
+    WHERE p.booking_id = p_booking_id
+    ORDER BY p.created_at ASC, p.payment_id ASC;
+END //
+DELIMITER ;
+
+-- Daily cash-up: money taken and refunded per admin and method
+DELIMITER //
+CREATE PROCEDURE sp_get_cash_up(
+    IN p_date DATE,
+    IN p_admin_id INT
+)
+BEGIN
+    DECLARE v_date DATE DEFAULT COALESCE(p_date, CURDATE());
+    
+    SELECT 
+        a.admin_id,
+        a.full_name as admin_name,
+        p.method,
+        COUNT(CASE WHEN p.type = 'payment' THEN 1 END) as payment_count,
+        COALESCE(SUM(CASE WHEN p.type = 'payment' THEN p.amount END), 0.00) as total_received,
+        COUNT(CASE WHEN p.type = 'refund' THEN 1 END) as refund_count,
+        COALESCE(SUM(CASE WHEN p.type = 'refund' THEN p.amount END), 0.00) as total_refunded,
+        COALESCE(SUM(CASE WHEN p.type = 'payment' THEN p.amount ELSE -p.amount END), 0.00) as net_amount
+    FROM payments p
+    JOIN admins a ON p.received_by = a.admin_id
+    WHERE p.created_at >= v_date
+      AND p.created_at < DATE_ADD(v_date, INTERVAL 1 DAY)
+      AND (p_admin_id IS NULL OR p.received_by = p_admin_id)
+    GROUP BY a.admin_id, a.full_name, p.method
+    ORDER BY a.full_name ASC, p.method ASC;
+END //
+DELIMITER ;
+
+-- Get all pricing rules (with court / slot names)
+DELIMITER //
+CREATE PROCEDURE sp_get_pricing_rules()
+BEGIN
+    SELECT r.*, c.court_name, ts.slot_name
+    FROM pricing_rules r
+    LEFT JOIN courts c ON r.court_id = c.court_id
+    LEFT JOIN time_slots ts ON r.slot_id = ts.slot_id
+    ORDER BY r.status ASC, r.priority DESC, r.rule_id ASC;
+END //
+DELIMITER ;
+
+-- Get pricing rule by ID
+DELIMITER //
+CREATE PROCEDURE sp_get_pricing_rule_by_id(IN p_rule_id INT)
+BEGIN
+    SELECT r.*, c.court_name, ts.slot_name
+    FROM pricing_rules r
+    LEFT JOIN courts c ON r.court_id = c.court_id
+    LEFT JOIN time_slots ts ON r.slot_id = ts.slot_id
+    WHERE r.rule_id = p_rule_id;
+END //
+DELIMITER ;
+
+-- Create pricing rule
+DELIMITER //
+CREATE PROCEDURE sp_create_pricing_rule(
+    IN p_rule_name VARCHAR(100),
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_start_time TIME,
+    IN p_end_time TIME,
+    IN p_weekdays VARCHAR(20),
+    IN p_valid_from DATE,
+    IN p_valid_to DATE,
+    IN p_holidays_only BOOLEAN,
+    IN p_price DECIMAL(10,2),
+    IN p_priority INT,
+    IN p_status ENUM('active', 'inactive')
+)
+BEGIN
+    INSERT INTO pricing_rules (
+        rule_name, court_id, slot_id, start_time, end_time, weekdays,
+        valid_from, valid_to, holidays_only, price, priority, status
+    ) VALUES (
+        p_rule_name, p_court_id, p_slot_id, p_start_time, p_end_time, p_weekdays,
+        p_valid_from, p_valid_to, COALESCE(p_holidays_only, FALSE), p_price,
+        COALESCE(p_priority, 0), COALESCE(p_status, 'active')
+    );
+    
+    SELECT LAST_INSERT_ID() as rule_id, 'success' as status, 'Pricing rule created successfully' as message;
+END //
+DELIMITER ;
+
+-- Update pricing rule (full replacement of the criteria)
+DELIMITER //
+CREATE PROCEDURE sp_update_pricing_rule(
+    IN p_rule_id INT,
+    IN p_rule_name VARCHAR(100),
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_start_time TIME,
+    IN p_end_time TIME,
+    IN p_weekdays VARCHAR(20),
+    IN p_valid_from DATE,
+    IN p_valid_to DATE,
+    IN p_holidays_only BOOLEAN,
+    IN p_price DECIMAL(10,2),
+    IN p_priority INT,
+    IN p_status ENUM('active', 'inactive')
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM pricing_rules WHERE rule_id = p_rule_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'PRICING_RULE_NOT_FOUND' as code, 'Pricing rule not found' as message;
+    ELSE
+        UPDATE pricing_rules
+        SET 
+            rule_name = p_rule_name,
+            court_id = p_court_id,
+            slot_id = p_slot_id,
+            start_time = p_start_time,
+            end_time = p_end_time,
+            weekdays = p_weekdays,
+            valid_from = p_valid_from,
+            valid_to = p_valid_to,
+            holidays_only = COALESCE(p_holidays_only, FALSE),
+            price = p_price,
+            priority = COALESCE(p_priority, 0),
+            status = COALESCE(p_status, 'active'),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE rule_id = p_rule_id;
+        
+        SELECT 'success' as status, 'Pricing rule updated successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Delete pricing rule
+DELIMITER //
+CREATE PROCEDURE sp_delete_pricing_rule(IN p_rule_id INT)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM pricing_rules WHERE rule_id = p_rule_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'PRICING_RULE_NOT_FOUND' as code, 'Pricing rule not found' as message;
+    ELSE
+        DELETE FROM pricing_rules WHERE rule_id = p_rule_id;
+        SELECT 'success' as status, 'Pricing rule deleted successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Price quote: base court price, applied rule and final price
+DELIMITER //
+CREATE PROCEDURE sp_get_price_quote(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_booking_date DATE
+)
+BEGIN
+    DECLARE v_rule_id INT DEFAULT get_pricing_rule_id(p_court_id, p_slot_id, p_booking_date);
+    
+    SELECT 
+        c.court_id,
+        c.court_name,
+        ts.slot_id,
+        ts.slot_name,
+        p_booking_date as booking_date,
+        c.price_per_session as base_price,
+        r.rule_id,
+        r.rule_name,
+        COALESCE(r.price, c.price_per_session) as price,
+        (SELECT holiday_name FROM holidays WHERE holiday_date = p_booking_date) as holiday_name
+    FROM courts c
+    JOIN time_slots ts ON ts.slot_id = p_slot_id
+    LEFT JOIN pricing_rules r ON r.rule_id = v_rule_id
+    WHERE c.court_id = p_court_id;
+END //
+DELIMITER ;
+
+-- Get holidays (optionally for one year)
+DELIMITER //
+CREATE PROCEDURE sp_get_holidays(IN p_year INT)
+BEGIN
+    SELECT holiday_date, holiday_name, created_at
+    FROM holidays
+    WHERE p_year IS NULL OR YEAR(holiday_date) = p_year
+    ORDER BY holiday_date ASC;
+END //
+DELIMITER ;
+
+-- Create or rename a holiday
+DELIMITER //
+CREATE PROCEDURE sp_upsert_holiday(
+    IN p_holiday_date DATE,
+    IN p_holiday_name VARCHAR(100)
+)
+BEGIN
+    INSERT INTO holidays (holiday_date, holiday_name)
+    VALUES (p_holiday_date, p_holiday_name)
+    ON DUPLICATE KEY UPDATE holiday_name = VALUES(holiday_name);
+    
+    SELECT 'success' as status, 'Holiday saved successfully' as message;
+END //
+DELIMITER ;
+
+-- Delete holiday
+DELIMITER //
+CREATE PROCEDURE sp_delete_holiday(IN p_holiday_date DATE)
+BEGIN
+    DELETE FROM holidays WHERE holiday_date = p_holiday_date;
+    
+    IF ROW_COUNT() = 0 THEN
+        SELECT 'error' as status, 'HOLIDAY_NOT_FOUND' as code, 'Holiday not found' as message;
+    ELSE
+        SELECT 'success' as status, 'Holiday deleted successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Validate a comma separated list of slot IDs: all exist, are active and
+-- form one contiguous block (each slot ends when the next one starts)
+DELIMITER //
+CREATE PROCEDURE sp_validate_slot_range(IN p_slot_ids VARCHAR(255))
+BEGIN
+    DECLARE v_expected INT DEFAULT 0;
+    DECLARE v_found INT DEFAULT 0;
+    DECLARE v_active INT DEFAULT 0;
+    DECLARE v_gaps INT DEFAULT 0;
+    
+    SET v_expected = LENGTH(p_slot_ids) - LENGTH(REPLACE(p_slot_ids, ',', '')) + 1;
+    
+    SELECT COUNT(*), COALESCE(SUM(status = 'active'), 0) INTO v_found, v_active
+    FROM time_slots WHERE FIND_IN_SET(slot_id, p_slot_ids) > 0;
+    
+    IF v_found != v_expected THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot waktu tidak ditemukan', MYSQL_ERRNO = 45006;
+    END IF;
+    
+    IF v_active != v_expected THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot waktu tidak aktif', MYSQL_ERRNO = 45005;
+    END IF;
+    
+    SELECT COUNT(*) INTO v_gaps
+    FROM (
+        SELECT start_time, LAG(end_time) OVER (ORDER BY start_time) as prev_end
+        FROM time_slots
+        WHERE FIND_IN_SET(slot_id, p_slot_ids) > 0
+    ) ordered_slots
+    WHERE prev_end IS NOT NULL AND prev_end != start_time;
+    
+    IF v_gaps > 0 THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot waktu harus berurutan tanpa jeda', MYSQL_ERRNO = 45007;
+    END IF;
+END //
+DELIMITER ;
+
+-- Create a reservation of consecutive slots (all or nothing)
+DELIMITER //
+CREATE PROCEDURE sp_create_reservation(
+    IN p_court_id INT,
+    IN p_slot_ids VARCHAR(255),
+    IN p_booking_date DATE,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_payment_status ENUM('paid', 'unpaid', 'partial'),
+    IN p_notes TEXT,
+    IN p_created_by INT
+)
+BEGIN
+    DECLARE v_court_status VARCHAR(20) DEFAULT NULL;
+    DECLARE v_reservation_id INT;
+    DECLARE v_ordered TEXT;
+    DECLARE v_slot_id INT;
+    DECLARE v_i INT DEFAULT 1;
+    DECLARE v_count INT DEFAULT 0;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    START TRANSACTION;
+    
+    SELECT status INTO v_court_status FROM courts WHERE court_id = p_court_id;
+    
+    IF v_court_status IS NULL OR v_court_status != 'active' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+    END IF;
+    
+    CALL sp_validate_slot_range(p_slot_ids);
+    
+    SELECT GROUP_CONCAT(slot_id ORDER BY start_time), COUNT(*) INTO v_ordered, v_count
+    FROM time_slots WHERE FIND_IN_SET(slot_id, p_slot_ids) > 0;
+    
+    INSERT INTO reservations (court_id, booking_date, customer_name, customer_phone, notes, created_by)
+    VALUES (p_court_id, p_booking_date, p_customer_name, p_customer_phone, p_notes, p_created_by);
+    
+    SET v_reservation_id = LAST_INSERT_ID();
+    
+    WHILE v_i <= v_count DO
+        SET v_slot_id = CAST(SUBSTRING_INDEX(SUBSTRING_INDEX(v_ordered, ',', v_i), ',', -1) AS UNSIGNED);
+        
+        IF get_closure_id(p_court_id, v_slot_id, p_booking_date) IS NOT NULL THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+        END IF;
+        
+        IF NOT is_slot_available(p_court_id, v_slot_id, p_booking_date) THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk tanggal tersebut', MYSQL_ERRNO = 45001;
+        END IF;
+        
+        INSERT INTO bookings (
+            court_id, slot_id, booking_date, customer_name, customer_phone,
+            total_amount, payment_status, notes, created_by, reservation_id
+        ) VALUES (
+            p_court_id, v_slot_id, p_booking_date, p_customer_name, p_customer_phone,
+            get_booking_price(p_court_id, v_slot_id, p_booking_date), p_payment_status,
+            p_notes, p_created_by, v_reservation_id
+        );
+        
+        SET v_i = v_i + 1;
+    END WHILE;
+    
+    UPDATE reservations
+    SET total_amount = (SELECT SUM(total_amount) FROM bookings WHERE reservation_id = v_reservation_id)
+    WHERE reservation_id = v_reservation_id;
+    
+    COMMIT;
+    
+    SELECT v_reservation_id AS reservation_id,
+           (SELECT total_amount FROM reservations WHERE reservation_id = v_reservation_id) AS total_amount,
+           'success' AS status, 'Reservasi berhasil dibuat' AS message;
+END //
+DELIMITER ;
+
+-- Get reservation (first result set) and its slot bookings (second result set)
+DELIMITER //
+CREATE PROCEDURE sp_get_reservation_by_id(IN p_reservation_id INT)
+BEGIN
+    SELECT r.reservation_id, r.court_id, c.court_name, r.booking_date,
+           MIN(ts.start_time) as start_time, MAX(ts.end_time) as end_time,
+           r.customer_name, r.customer_phone, r.total_amount, r.status, r.notes,
+           a.full_name as created_by_name, r.created_at, r.updated_at
+    FROM reservations r
+    JOIN courts c ON r.court_id = c.court_id
+    JOIN admins a ON r.created_by = a.admin_id
+    LEFT JOIN bookings b ON b.reservation_id = r.reservation_id AND b.booking_status != 'cancelled'
+    LEFT JOIN time_slots ts ON b.slot_id = ts.slot_id
+    WHERE r.reservation_id = p_reservation_id
+    GROUP BY r.reservation_id, r.court_id, c.court_name, r.booking_date, r.customer_name,
+             r.customer_phone, r.total_amount, r.status, r.notes, a.full_name, r.created_at, r.updated_at;
+    
+    SELECT b.booking_id, b.slot_id, ts.slot_name,
+           TIME_FORMAT(ts.start_time, '%H:%i') as start_time,
+           TIME_FORMAT(ts.end_time, '%H:%i') as end_time,
+           b.total_amount, b.payment_status, b.booking_status
+    FROM bookings b
+    JOIN time_slots ts ON b.slot_id = ts.slot_id
+    WHERE b.reservation_id = p_reservation_id
+    ORDER BY b.booking_status = 'cancelled', ts.start_time ASC;
+END //
+DELIMITER ;
+
+-- Cancel every slot of a reservation
+DELIMITER //
+CREATE PROCEDURE sp_cancel_reservation(
+    IN p_reservation_id INT,
+    IN p_updated_by INT
+)
+BEGIN
+    DECLARE v_status VARCHAR(20) DEFAULT NULL;
+    DECLARE v_cancelled INT DEFAULT 0;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    SELECT status INTO v_status FROM reservations WHERE reservation_id = p_reservation_id;
+    
+    IF v_status IS NULL THEN
+        SELECT 'error' AS status, 'RESERVATION_NOT_FOUND' AS code, 'Reservasi tidak ditemukan' AS message;
+    ELSEIF v_status = 'cancelled' THEN
+        SELECT 'error' AS status, 'RESERVATION_CANCELLED' AS code, 'Reservasi sudah dibatalkan' AS message;
+    ELSE
+        START TRANSACTION;
+        
+        UPDATE bookings
+        SET booking_status = 'cancelled', updated_by = p_updated_by, updated_at = CURRENT_TIMESTAMP
+        WHERE reservation_id = p_reservation_id AND booking_status = 'confirmed';
+        
+        SET v_cancelled = ROW_COUNT();
+        
+        UPDATE reservations SET status = 'cancelled' WHERE reservation_id = p_reservation_id;
+        
+        COMMIT;
+        
+        SELECT 'success' AS status, v_cancelled AS cancelled_count, 'Reservasi berhasil dibatalkan' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Move a reservation to another date / court / block of slots (same length)
+DELIMITER //
+CREATE PROCEDURE sp_reschedule_reservation(
+    IN p_reservation_id INT,
+    IN p_booking_date DATE,
+    IN p_court_id INT,
+    IN p_slot_ids VARCHAR(255),
+    IN p_updated_by INT
+)
+BEGIN
+    DECLARE v_status VARCHAR(20) DEFAULT NULL;
+    DECLARE v_old_court_id INT;
+    DECLARE v_old_date DATE;
+    DECLARE v_court_id INT;
+    DECLARE v_date DATE;
+    DECLARE v_court_status VARCHAR(20);
+    DECLARE v_old_bookings TEXT;
+    DECLARE v_old_slots TEXT;
+    DECLARE v_new_slots TEXT;
+    DECLARE v_count INT DEFAULT 0;
+    DECLARE v_new_count INT DEFAULT 0;
+    DECLARE v_conflicts INT DEFAULT 0;
+    DECLARE v_i INT;
+    DECLARE v_step INT;
+    DECLARE v_booking_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    SELECT status, court_id, booking_date INTO v_status, v_old_court_id, v_old_date
+    FROM reservations WHERE reservation_id = p_reservation_id;
+    
+    IF v_status IS NULL THEN
+        SELECT 'error' AS status, 'RESERVATION_NOT_FOUND' AS code, 'Reservasi tidak ditemukan' AS message;
+    ELSEIF v_status = 'cancelled' THEN
+        SELECT 'error' AS status, 'RESERVATION_CANCELLED' AS code, 'Reservasi sudah dibatalkan' AS message;
+    ELSE
+        START TRANSACTION;
+        
+        SET v_court_id = COALESCE(p_court_id, v_old_court_id);
+        SET v_date = COALESCE(p_booking_date, v_old_date);
+        
+        IF v_date < CURDATE() THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Tanggal booking tidak boleh tanggal lampau', MYSQL_ERRNO = 45004;
+        END IF;
+        
+        SELECT status INTO v_court_status FROM courts WHERE court_id = v_court_id;
+        IF v_court_status IS NULL OR v_court_status != 'active' THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+        END IF;
+        
+        -- Current slots, in time order
+        SELECT GROUP_CONCAT(b.booking_id ORDER BY ts.start_time),
+               GROUP_CONCAT(b.slot_id ORDER BY ts.start_time),
+               COUNT(*)
+        INTO v_old_bookings, v_old_slots, v_count
+        FROM bookings b
+        JOIN time_slots ts ON b.slot_id = ts.slot_id
+        WHERE b.reservation_id = p_reservation_id AND b.booking_status = 'confirmed';
+        
+        -- New slots default to the current ones
+        SET v_new_slots = COALESCE(p_slot_ids, v_old_slots);
+        CALL sp_validate_slot_range(v_new_slots);
+        
+        SELECT GROUP_CONCAT(slot_id ORDER BY start_time), COUNT(*) INTO v_new_slots, v_new_count
+        FROM time_slots WHERE FIND_IN_SET(slot_id, v_new_slots) > 0;
+        
+        IF v_new_count != v_count THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Jumlah slot baru harus sama dengan jumlah slot reservasi', MYSQL_ERRNO = 45008;
+        END IF;
+        
+        SELECT COUNT(*) INTO v_conflicts
+        FROM bookings
+        WHERE court_id = v_court_id
+          AND booking_date = v_date
+          AND FIND_IN_SET(slot_id, v_new_slots) > 0
+          AND booking_status != 'cancelled'
+          AND (reservation_id IS NULL OR reservation_id != p_reservation_id);
+        
+        IF v_conflicts > 0 THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk tanggal tersebut', MYSQL_ERRNO = 45001;
+        END IF;
+        
+        -- Shifting later on the same court/date: move the last slot first so a
+        -- booking never lands on a slot still held by its own reservation
+        IF v_court_id = v_old_court_id AND v_date = v_old_date
+           AND (SELECT start_time FROM time_slots WHERE slot_id = CAST(SUBSTRING_INDEX(v_new_slots, ',', 1) AS UNSIGNED))
+             > (SELECT start_time FROM time_slots WHERE slot_id = CAST(SUBSTRING_INDEX(v_old_slots, ',', 1) AS UNSIGNED)) THEN
+            SET v_i = v_count;
+            SET v_step = -1;
+        ELSE
+            SET v_i = 1;
+            SET v_step = 1;
+        END IF;
+        
+        WHILE v_i >= 1 AND v_i <= v_count DO
+            SET v_booking_id = CAST(SUBSTRING_INDEX(SUBSTRING_INDEX(v_old_bookings, ',', v_i), ',', -1) AS UNSIGNED);
+            SET v_slot_id = CAST(SUBSTRING_INDEX(SUBSTRING_INDEX(v_new_slots, ',', v_i), ',', -1) AS UNSIGNED);
+            
+            UPDATE bookings
+            SET court_id = v_court_id,
+                slot_id = v_slot_id,
+                booking_date = v_date,
+                total_amount = get_booking_price(v_court_id, v_slot_id, v_date),
+                updated_by = p_updated_by,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE booking_id = v_booking_id;
+            
+            SET v_i = v_i + v_step;
+        END WHILE;
+        
+        UPDATE reservations
+        SET court_id = v_court_id,
+            booking_date = v_date,
+            total_amount = (SELECT SUM(total_amount) FROM bookings
+                            WHERE reservation_id = p_reservation_id AND booking_status = 'confirmed')
+        WHERE reservation_id = p_reservation_id;
+        
+        COMMIT;
+        
+        SELECT 'success' AS status,
+               (SELECT total_amount FROM reservations WHERE reservation_id = p_reservation_id) AS total_amount,
+               'Reservasi berhasil dijadwalkan ulang' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Search customers by name or phone fragment (NULL = all)
+DELIMITER //
+CREATE PROCEDURE sp_search_customers(
+    IN p_search VARCHAR(100),
+    IN p_limit INT,
+    IN p_offset INT
+)
+BEGIN
+    SELECT c.customer_id, c.full_name, c.phone, c.email, c.notes,
+           (SELECT COUNT(*) FROM bookings b WHERE b.customer_id = c.customer_id) as total_bookings,
+           (SELECT MAX(b.booking_date) FROM bookings b
+             WHERE b.customer_id = c.customer_id AND b.booking_status != 'cancelled') as last_booking_date,
+           c.created_at, c.updated_at
+    FROM customers c
+    WHERE p_search IS NULL
+       OR c.full_name LIKE CONCAT('%', p_search, '%')
+       OR c.phone LIKE CONCAT('%', p_search, '%')
+    ORDER BY c.full_name ASC, c.customer_id ASC
+    LIMIT p_limit OFFSET p_offset;
+END //
+DELIMITER ;
+
+-- Get customer by ID
+DELIMITER //
+CREATE PROCEDURE sp_get_customer_by_id(IN p_customer_id INT)
+BEGIN
+    SELECT customer_id, full_name, phone, email, notes, created_at, updated_at
+    FROM customers
+    WHERE customer_id = p_customer_id;
+END //
+DELIMITER ;
+
+-- Create customer
+DELIMITER //
+CREATE PROCEDURE sp_create_customer(
+    IN p_full_name VARCHAR(100),
+    IN p_phone VARCHAR(20),
+    IN p_email VARCHAR(100),
+    IN p_notes TEXT
+)
+BEGIN
+    INSERT INTO customers (full_name, phone, email, notes)
+    VALUES (p_full_name, p_phone, p_email, p_notes);
+    
+    SELECT LAST_INSERT_ID() as customer_id, 'success' as status, 'Customer created successfully' as message;
+END //
+DELIMITER ;
+
+-- Find customer by phone, creating it when missing (used by booking flows)
+DELIMITER //
+CREATE PROCEDURE sp_find_or_create_customer(
+    IN p_full_name VARCHAR(100),
+    IN p_phone VARCHAR(20)
+)
+BEGIN
+    INSERT INTO customers (full_name, phone)
+    VALUES (p_full_name, p_phone)
+    ON DUPLICATE KEY UPDATE customer_id = LAST_INSERT_ID(customer_id);
+    
+    SELECT customer_id, full_name, phone
+    FROM customers WHERE customer_id = LAST_INSERT_ID();
+END //
+DELIMITER ;
+
+-- Update customer (partial); keeps linked bookings' phone in sync
+DELIMITER //
+CREATE PROCEDURE sp_update_customer(
+    IN p_customer_id INT,
+    IN p_full_name VARCHAR(100),
+    IN p_phone VARCHAR(20),
+    IN p_email VARCHAR(100),
+    IN p_notes TEXT
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM customers WHERE customer_id = p_customer_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'CUSTOMER_NOT_FOUND' as code, 'Customer not found' as message;
+    ELSE
+        UPDATE customers
+        SET 
+            full_name = COALESCE(p_full_name, full_name),
+            phone = COALESCE(p_phone, phone),
+            email = COALESCE(p_email, email),
+            notes = COALESCE(p_notes, notes),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id = p_customer_id;
+        
+        SELECT 'success' as status, 'Customer updated successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Delete customer (bookings keep their free-text name/phone)
+DELIMITER //
+CREATE PROCEDURE sp_delete_customer(IN p_customer_id INT)
+BEGIN
+    DELETE FROM customers WHERE customer_id = p_customer_id;
+    
+    IF ROW_COUNT() = 0 THEN
+        SELECT 'error' as status, 'CUSTOMER_NOT_FOUND' as code, 'Customer not found' as message;
+    ELSE
+        SELECT 'success' as status, 'Customer deleted successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Merge a duplicate customer into another one (bookings move to the target)
+DELIMITER //
+CREATE PROCEDURE sp_merge_customers(
+    IN p_target_id INT,
+    IN p_source_id INT
+)
+BEGIN
+    DECLARE v_found INT DEFAULT 0;
+    DECLARE v_moved INT DEFAULT 0;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    SELECT COUNT(*) INTO v_found FROM customers WHERE customer_id IN (p_target_id, p_source_id);
+    
+    IF p_target_id = p_source_id THEN
+        SELECT 'error' as status, 'CUSTOMER_MERGE_INTO_SELF' as code, 'Cannot merge a customer into itself' as message;
+    ELSEIF v_found < 2 THEN
+        SELECT 'error' as status, 'CUSTOMER_NOT_FOUND' as code, 'Customer not found' as message;
+    ELSE
+        START TRANSACTION;
+        
+        UPDATE bookings SET customer_id = p_target_id WHERE customer_id = p_source_id;
+        SET v_moved = ROW_COUNT();
+        
+        -- Keep notes from both records
+        UPDATE customers target
+        JOIN customers source ON source.customer_id = p_source_id
+        SET target.notes = NULLIF(CONCAT_WS('\n', target.notes, source.notes), ''),
+            target.email = COALESCE(target.email, source.email)
+        WHERE target.customer_id = p_target_id;
+        
+        DELETE FROM customers WHERE customer_id = p_source_id;
+        
+        COMMIT;
+        
+        SELECT 'success' as status, v_moved as moved_bookings, 'Customers merged successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Customer statistics (first result set) and booking history (second result set)
+-- A no-show is flagged 'no_show' by the no-show job, or a past booking still 'confirmed' and unpaid
+DELIMITER //
+CREATE PROCEDURE sp_get_customer_bookings(
+    IN p_customer_id INT,
+    IN p_limit INT,
+    IN p_offset INT
+)
+BEGIN
+    SELECT 
+        c.customer_id,
+        c.full_name,
+        c.phone,
+        COUNT(b.booking_id) as total_bookings,
+        COUNT(CASE WHEN b.booking_status = 'completed'
+                     OR (b.booking_status = 'confirmed' AND b.booking_date < CURDATE() AND b.payment_status != 'unpaid')
+                   THEN 1 END) as visits,
+        COUNT(CASE WHEN b.booking_status = 'confirmed' AND b.booking_date >= CURDATE() THEN 1 END) as upcoming,
+        COUNT(CASE WHEN b.booking_status = 'cancelled' THEN 1 END) as cancellations,
+        COUNT(CASE WHEN b.booking_status = 'no_show'
+                     OR (b.booking_status = 'confirmed' AND b.booking_date < CURDATE() AND b.payment_status = 'unpaid')
+                   THEN 1 END) as no_shows,
+        COALESCE(SUM(CASE WHEN b.booking_status != 'cancelled'
+                          THEN GREATEST(get_booking_paid_amount(b.booking_id),
+                                        IF(b.payment_status = 'paid', b.total_amount, 0))
+                     END), 0.00) as total_spent,
+        MIN(b.booking_date) as first_booking_date,
+        MAX(CASE WHEN b.booking_status != 'cancelled' THEN b.booking_date END) as last_booking_date
+    FROM customers c
+    LEFT JOIN bookings b ON b.customer_id = c.customer_id
+    WHERE c.customer_id = p_customer_id
+    GROUP BY c.customer_id, c.full_name, c.phone;
+    
+    SELECT b.booking_id, b.booking_date, c.court_name, ts.slot_name,
+           TIME_FORMAT(ts.start_time, '%H:%i') as start_time,
+           TIME_FORMAT(ts.end_time, '%H:%i') as end_time,
+           b.total_amount, b.payment_status, b.booking_status, b.notes, b.created_at
+    FROM bookings b
+    JOIN courts c ON b.court_id = c.court_id
+    JOIN time_slots ts ON b.slot_id = ts.slot_id
+    WHERE b.customer_id = p_customer_id
+    ORDER BY b.booking_date DESC, ts.start_time DESC
+    LIMIT p_limit OFFSET p_offset;
+END //
+DELIMITER ;
+
+-- Availability grid: one row per court x active slot x date in the range
+-- (same booking join as sp_get_court_slot_booking_status, set-based for many courts/dates)
+-- p_court_ids: comma separated court ids, NULL = every court that is not inactive
+DELIMITER //
+CREATE PROCEDURE sp_get_availability_grid(
+    IN p_start_date DATE,
+    IN p_end_date DATE,
+    IN p_court_ids VARCHAR(255)
+)
+BEGIN
+    WITH RECURSIVE grid_dates (booking_date) AS (
+        SELECT p_start_date
+        UNION ALL
+        SELECT DATE_ADD(booking_date, INTERVAL 1 DAY)
+        FROM grid_dates
+        WHERE booking_date < p_end_date
+    )
+    SELECT 
+        c.court_id,
+        c.court_name,
+        c.status as court_status,
+        gd.booking_date,
+        ts.slot_id,
+        ts.slot_name,
+        TIME_FORMAT(ts.start_time, '%H:%i') as start_time,
+        TIME_FORMAT(ts.end_time, '%H:%i') as end_time,
+        CASE WHEN b.booking_id IS NOT NULL THEN 1 ELSE 0 END as is_booked,
+        b.booking_id,
+        b.reservation_id,
+        b.series_id,
+        b.customer_id,
+        b.customer_name,
+        b.customer_phone,
+        b.payment_status,
+        b.booking_status,
+        cc.closure_id,
+        cc.reason as closure_reason
+    FROM courts c
+    CROSS JOIN grid_dates gd
+    CROSS JOIN time_slots ts
+    LEFT JOIN bookings b ON (
+        b.court_id = c.court_id
+        AND b.slot_id = ts.slot_id
+        AND b.booking_date = gd.booking_date
+        AND b.booking_status != 'cancelled'
+    )
+    LEFT JOIN court_closures cc ON cc.closure_id = (
+        SELECT cx.closure_id
+        FROM court_closures cx
+        WHERE (cx.court_id IS NULL OR cx.court_id = c.court_id)
+          AND cx.start_datetime < TIMESTAMP(gd.booking_date, ts.end_time)
+          AND cx.end_datetime > TIMESTAMP(gd.booking_date, ts.start_time)
+        ORDER BY cx.start_datetime ASC, cx.closure_id ASC
+        LIMIT 1
+    )
+    WHERE ts.status = 'active'
+      AND (
+          (p_court_ids IS NULL AND c.status != 'inactive')
+          OR FIND_IN_SET(c.court_id, p_court_ids) > 0
+      )
+    ORDER BY c.court_name ASC, gd.booking_date ASC, ts.start_time ASC;
+END //
+DELIMITER ;
+
+-- Closures overlapping a date range (NULL dates = no bound)
+-- p_court_id filters to one court and includes venue-wide closures
+DELIMITER //
+CREATE PROCEDURE sp_get_closures(
+    IN p_court_id INT,
+    IN p_start_date DATE,
+    IN p_end_date DATE
+)
+BEGIN
+    SELECT cc.closure_id, cc.court_id, c.court_name,
+           cc.start_datetime, cc.end_datetime, cc.reason,
+           cc.created_by, a.full_name as created_by_name, cc.created_at
+    FROM court_closures cc
+    LEFT JOIN courts c ON cc.court_id = c.court_id
+    LEFT JOIN admins a ON cc.created_by = a.admin_id
+    WHERE (p_court_id IS NULL OR cc.court_id IS NULL OR cc.court_id = p_court_id)
+      AND (p_start_date IS NULL OR cc.end_datetime > TIMESTAMP(p_start_date))
+      AND (p_end_date IS NULL OR cc.start_datetime < TIMESTAMP(DATE_ADD(p_end_date, INTERVAL 1 DAY)))
+    ORDER BY cc.start_datetime ASC, cc.closure_id ASC;
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE PROCEDURE sp_get_closure_by_id(IN p_closure_id INT)
+BEGIN
+    SELECT cc.closure_id, cc.court_id, c.court_name,
+           cc.start_datetime, cc.end_datetime, cc.reason,
+           cc.created_by, a.full_name as created_by_name, cc.created_at
+    FROM court_closures cc
+    LEFT JOIN courts c ON cc.court_id = c.court_id
+    LEFT JOIN admins a ON cc.created_by = a.admin_id
+    WHERE cc.closure_id = p_closure_id;
+END //
+DELIMITER ;
+
+-- Create a closure; existing bookings are kept (see sp_get_closure_conflicts)
+DELIMITER //
+CREATE PROCEDURE sp_create_closure(
+    IN p_court_id INT,
+    IN p_start_datetime DATETIME,
+    IN p_end_datetime DATETIME,
+    IN p_reason VARCHAR(255),
+    IN p_created_by INT
+)
+BEGIN
+    IF p_court_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM courts WHERE court_id = p_court_id) THEN
+        SELECT 'error' as status, 'COURT_NOT_FOUND' as code, 'Court not found' as message;
+    ELSEIF p_end_datetime <= p_start_datetime THEN
+        SELECT 'error' as status, 'INVALID_TIME_RANGE' as code, 'end_datetime must be after start_datetime' as message;
+    ELSE
+        INSERT INTO court_closures (court_id, start_datetime, end_datetime, reason, created_by)
+        VALUES (p_court_id, p_start_datetime, p_end_datetime, p_reason, p_created_by);
+        
+        SELECT LAST_INSERT_ID() as closure_id, 'success' as status, 'Closure created successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE PROCEDURE sp_delete_closure(IN p_closure_id INT)
+BEGIN
+    DELETE FROM court_closures WHERE closure_id = p_closure_id;
+    
+    IF ROW_COUNT() = 0 THEN
+        SELECT 'error' as status, 'CLOSURE_NOT_FOUND' as code, 'Closure not found' as message;
+    ELSE
+        SELECT 'success' as status, 'Closure deleted successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Active bookings whose slot overlaps a closure (customers to contact)
+DELIMITER //
+CREATE PROCEDURE sp_get_closure_conflicts(IN p_closure_id INT)
+BEGIN
+    SELECT b.booking_id, b.reservation_id, b.series_id,
+           b.court_id, c.court_name, b.booking_date,
+           b.slot_id, ts.slot_name,
+           TIME_FORMAT(ts.start_time, '%H:%i') as start_time,
+           TIME_FORMAT(ts.end_time, '%H:%i') as end_time,
+           b.customer_id, b.customer_name, b.customer_phone,
+           b.payment_status, b.booking_status, b.total_amount
+    FROM court_closures cc
+    JOIN bookings b ON (cc.court_id IS NULL OR b.court_id = cc.court_id)
+    JOIN time_slots ts ON b.slot_id = ts.slot_id
+    JOIN courts c ON b.court_id = c.court_id
+    WHERE cc.closure_id = p_closure_id
+      AND b.booking_status != 'cancelled'
+      AND b.booking_date BETWEEN DATE(cc.start_datetime) AND DATE(cc.end_datetime)
+      AND TIMESTAMP(b.booking_date, ts.start_time) < cc.end_datetime
+      AND TIMESTAMP(b.booking_date, ts.end_time) > cc.start_datetime
+    ORDER BY b.booking_date ASC, ts.start_time ASC, c.court_name ASC;
+END //
+DELIMITER ;
+
+-- Offer a free court slot to the next waiting entry (oldest first).
+-- No result set: also called from tr_booking_status_update on cancellation.
+DELIMITER //
+CREATE PROCEDURE sp_offer_waitlist_slot(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_booking_date DATE
+)
+BEGIN
+    DECLARE v_waitlist_id INT DEFAULT NULL;
+    
+    IF p_booking_date >= CURDATE()
+       AND is_slot_available(p_court_id, p_slot_id, p_booking_date)
+       AND (SELECT status FROM courts WHERE court_id = p_court_id) = 'active'
+       AND NOT EXISTS (
+           SELECT 1 FROM waitlist_entries
+           WHERE status = 'offered' AND offered_court_id = p_court_id
+             AND slot_id = p_slot_id AND booking_date = p_booking_date
+       ) THEN
+        SELECT waitlist_id INTO v_waitlist_id
+        FROM waitlist_entries
+        WHERE status = 'waiting'
+          AND slot_id = p_slot_id
+          AND booking_date = p_booking_date
+          AND (court_id IS NULL OR court_id = p_court_id)
+        ORDER BY created_at ASC, waitlist_id ASC
+        LIMIT 1
+        FOR UPDATE;
+        
+        IF v_waitlist_id IS NOT NULL THEN
+            UPDATE waitlist_entries
+            SET status = 'offered',
+                offered_court_id = p_court_id,
+                offered_at = NOW(),
+                offer_expires_at = DATE_ADD(NOW(), INTERVAL offer_minutes MINUTE)
+            WHERE waitlist_id = v_waitlist_id;
+        END IF;
+    END IF;
+END //
+DELIMITER ;
+
+-- Expire offers past their time limit and pass each slot to the next entry
+DELIMITER //
+CREATE PROCEDURE sp_expire_waitlist_offers(OUT p_expired_count INT)
+BEGIN
+    DECLARE v_waitlist_id INT;
+    DECLARE v_court_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE v_date DATE;
+    
+    SET p_expired_count = 0;
+    
+    expire_loop: LOOP
+        SET v_waitlist_id = NULL;
+        
+        SELECT waitlist_id, offered_court_id, slot_id, booking_date
+        INTO v_waitlist_id, v_court_id, v_slot_id, v_date
+        FROM waitlist_entries
+        WHERE status = 'offered' AND offer_expires_at <= NOW()
+        ORDER BY offer_expires_at ASC, waitlist_id ASC
+        LIMIT 1;
+        
+        IF v_waitlist_id IS NULL THEN
+            LEAVE expire_loop;
+        END IF;
+        
+        UPDATE waitlist_entries SET status = 'expired' WHERE waitlist_id = v_waitlist_id;
+        SET p_expired_count = p_expired_count + 1;
+        
+        CALL sp_offer_waitlist_slot(v_court_id, v_slot_id, v_date);
+    END LOOP;
+END //
+DELIMITER ;
+
+-- Join the waitlist for a taken slot (court_id NULL = any court)
+DELIMITER //
+CREATE PROCEDURE sp_create_waitlist_entry(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_booking_date DATE,
+    IN p_customer_id INT,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_notes TEXT,
+    IN p_offer_minutes INT,
+    IN p_created_by INT
+)
+BEGIN
+    DECLARE v_free_courts INT DEFAULT 0;
+    
+    IF p_booking_date < CURDATE() THEN
+        SELECT 'error' as status, 'BOOKING_DATE_IN_PAST' as code, 'Tanggal booking tidak boleh tanggal lampau' as message;
+    ELSEIF NOT EXISTS (SELECT 1 FROM time_slots WHERE slot_id = p_slot_id AND status = 'active') THEN
+        SELECT 'error' as status, 'SLOT_INACTIVE' as code, 'Slot waktu tidak ditemukan atau tidak aktif' as message;
+    ELSEIF p_court_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM courts WHERE court_id = p_court_id) THEN
+        SELECT 'error' as status, 'COURT_NOT_FOUND' as code, 'Lapangan tidak ditemukan' as message;
+    ELSEIF EXISTS (
+        SELECT 1 FROM waitlist_entries
+        WHERE customer_phone = p_customer_phone AND slot_id = p_slot_id
+          AND booking_date = p_booking_date AND court_id <=> p_court_id
+          AND status IN ('waiting', 'offered')
+    ) THEN
+        SELECT 'error' as status, 'ALREADY_ON_WAITLIST' as code, 'Customer sudah ada di waitlist slot ini' as message;
+    ELSE
+        SELECT COUNT(*) INTO v_free_courts
+        FROM courts c
+        WHERE c.status = 'active'
+          AND (p_court_id IS NULL OR c.court_id = p_court_id)
+          AND is_slot_available(c.court_id, p_slot_id, p_booking_date);
+        
+        IF v_free_courts > 0 THEN
+            SELECT 'error' as status, 'SLOT_STILL_AVAILABLE' as code, 'Slot masih tersedia, silakan booking langsung' as message;
+        ELSE
+            INSERT INTO waitlist_entries (
+                court_id, slot_id, booking_date, customer_id, customer_name,
+                customer_phone, notes, offer_minutes, created_by
+            ) VALUES (
+                p_court_id, p_slot_id, p_booking_date, p_customer_id, p_customer_name,
+                p_customer_phone, p_notes, p_offer_minutes, p_created_by
+            );
+            
+            SELECT LAST_INSERT_ID() as waitlist_id,
+                   (SELECT COUNT(*) FROM waitlist_entries
+                    WHERE status = 'waiting' AND slot_id = p_slot_id AND booking_date = p_booking_date
+                      AND (court_id IS NULL OR p_court_id IS NULL OR court_id = p_court_id)) as position,
+                   'success' as status, 'Customer ditambahkan ke waitlist' as message;
+        END IF;
+    END IF;
+END //
+DELIMITER ;
+
+-- Waitlist with optional filters; expired offers are processed first
+-- position = place in the queue for waiting entries
+DELIMITER //
+CREATE PROCEDURE sp_get_waitlist(
+    IN p_booking_date DATE,
+    IN p_slot_id INT,
+    IN p_court_id INT,
+    IN p_status VARCHAR(20)
+)
+BEGIN
+    CALL sp_expire_waitlist_offers(@expired_count);
+    
+    SELECT w.waitlist_id, w.court_id, c.court_name, w.slot_id, ts.slot_name,
+           TIME_FORMAT(ts.start_time, '%H:%i') as start_time,
+           TIME_FORMAT(ts.end_time, '%H:%i') as end_time,
+           w.booking_date, w.customer_id, w.customer_name, w.customer_phone, w.notes,
+           w.status, w.offered_court_id, oc.court_name as offered_court_name,
+           w.offered_at, w.offer_expires_at, w.booking_id,
+           CASE WHEN w.status = 'waiting' THEN (
+               SELECT COUNT(*) FROM waitlist_entries q
+               WHERE q.status = 'waiting' AND q.slot_id = w.slot_id AND q.booking_date = w.booking_date
+                 AND (q.created_at < w.created_at OR (q.created_at = w.created_at AND q.waitlist_id <= w.waitlist_id))
+           ) END as position,
+           w.created_by, w.created_at
+    FROM waitlist_entries w
+    JOIN time_slots ts ON w.slot_id = ts.slot_id
+    LEFT JOIN courts c ON w.court_id = c.court_id
+    LEFT JOIN courts oc ON w.offered_court_id = oc.court_id
+    WHERE (p_booking_date IS NULL OR w.booking_date = p_booking_date)
+      AND (p_slot_id IS NULL OR w.slot_id = p_slot_id)
+      AND (p_court_id IS NULL OR w.court_id IS NULL OR w.court_id = p_court_id)
+      AND (p_status IS NULL OR w.status = p_status)
+    ORDER BY w.booking_date ASC, ts.start_time ASC, w.created_at ASC, w.waitlist_id ASC;
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE PROCEDURE sp_get_waitlist_entry_by_id(IN p_waitlist_id INT)
+BEGIN
+    CALL sp_expire_waitlist_offers(@expired_count);
+    
+    SELECT w.waitlist_id, w.court_id, c.court_name, w.slot_id, ts.slot_name,
+           w.booking_date, w.customer_id, w.customer_name, w.customer_phone, w.notes,
+           w.offer_minutes, w.status, w.offered_court_id, oc.court_name as offered_court_name,
+           w.offered_at, w.offer_expires_at, w.booking_id, w.created_by, w.created_at, w.updated_at
+    FROM waitlist_entries w
+    JOIN time_slots ts ON w.slot_id = ts.slot_id
+    LEFT JOIN courts c ON w.court_id = c.court_id
+    LEFT JOIN courts oc ON w.offered_court_id = oc.court_id
+    WHERE w.waitlist_id = p_waitlist_id;
+END //
+DELIMITER ;
+
+-- Convert an open offer into a booking on the offered court
+DELIMITER //
+CREATE PROCEDURE sp_accept_waitlist_offer(
+    IN p_waitlist_id INT,
+    IN p_payment_status ENUM('paid', 'unpaid', 'partial'),
+    IN p_created_by INT
+)
+BEGIN
+    DECLARE v_status VARCHAR(20) DEFAULT NULL;
+    DECLARE v_court_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE v_date DATE;
+    DECLARE v_booking_id INT;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    CALL sp_expire_waitlist_offers(@expired_count);
+    
+    START TRANSACTION;
+    
+    SELECT status, offered_court_id, slot_id, booking_date
+    INTO v_status, v_court_id, v_slot_id, v_date
+    FROM waitlist_entries
+    WHERE waitlist_id = p_waitlist_id
+    FOR UPDATE;
+    
+    IF v_status IS NULL THEN
+        ROLLBACK;
+        SELECT 'error' as status, 'WAITLIST_ENTRY_NOT_FOUND' as code, 'Waitlist tidak ditemukan' as message;
+    ELSEIF v_status != 'offered' THEN
+        ROLLBACK;
+        SELECT 'error' as status, 'NO_ACTIVE_OFFER' as code, CONCAT('Tidak ada penawaran aktif (status: ', v_status, ')') as message;
+    ELSE
+        IF NOT is_slot_available(v_court_id, v_slot_id, v_date) THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk tanggal tersebut', MYSQL_ERRNO = 45001;
+        END IF;
+        
+        INSERT INTO bookings (
+            court_id, slot_id, booking_date, customer_id, customer_name, customer_phone,
+            total_amount, payment_status, notes, created_by
+        )
+        SELECT v_court_id, v_slot_id, v_date, customer_id, customer_name, customer_phone,
+               get_booking_price(v_court_id, v_slot_id, v_date), p_payment_status, notes, p_created_by
+        FROM waitlist_entries
+        WHERE waitlist_id = p_waitlist_id;
+        
+        SET v_booking_id = LAST_INSERT_ID();
+        
+        UPDATE waitlist_entries
+        SET status = 'booked', booking_id = v_booking_id
+        WHERE waitlist_id = p_waitlist_id;
+        
+        COMMIT;
+        
+        SELECT v_booking_id as booking_id,
+               (SELECT total_amount FROM bookings WHERE booking_id = v_booking_id) as total_amount,
+               'success' as status, 'Penawaran waitlist diterima, booking dibuat' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Decline an offer or leave the waitlist; a declined/withdrawn offer
+-- passes to the next waiting entry
+DELIMITER //
+CREATE PROCEDURE sp_close_waitlist_entry(
+    IN p_waitlist_id INT,
+    IN p_new_status ENUM('declined', 'cancelled')
+)
+BEGIN
+    DECLARE v_status VARCHAR(20) DEFAULT NULL;
+    DECLARE v_court_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE v_date DATE;
+    
+    CALL sp_expire_waitlist_offers(@expired_count);
+    
+    SELECT status, offered_court_id, slot_id, booking_date
+    INTO v_status, v_court_id, v_slot_id, v_date
+    FROM waitlist_entries WHERE waitlist_id = p_waitlist_id;
+    
+    IF v_status IS NULL THEN
+        SELECT 'error' as status, 'WAITLIST_ENTRY_NOT_FOUND' as code, 'Waitlist tidak ditemukan' as message;
+    ELSEIF p_new_status = 'declined' AND v_status != 'offered' THEN
+        SELECT 'error' as status, 'NO_ACTIVE_OFFER' as code, CONCAT('Tidak ada penawaran aktif (status: ', v_status, ')') as message;
+    ELSEIF v_status NOT IN ('waiting', 'offered') THEN
+        SELECT 'error' as status, 'WAITLIST_ENTRY_CLOSED' as code, CONCAT('Waitlist sudah ditutup (status: ', v_status, ')') as message;
+    ELSE
+        UPDATE waitlist_entries SET status = p_new_status WHERE waitlist_id = p_waitlist_id;
+        
+        IF v_status = 'offered' THEN
+            CALL sp_offer_waitlist_slot(v_court_id, v_slot_id, v_date);
+        END IF;
+        
+        SELECT 'success' as status,
+               IF(p_new_status = 'declined', 'Penawaran waitlist ditolak', 'Waitlist dibatalkan') as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Everything a booking message template needs (customer contact, court, slot, amounts)
+DELIMITER //
+CREATE PROCEDURE sp_get_booking_notification_data(IN p_booking_id INT)
+BEGIN
+    SELECT b.booking_id, b.customer_id, b.customer_name, b.customer_phone,
+           cu.email as customer_email,
+           c.court_name, ts.slot_name,
+           DATE_FORMAT(b.booking_date, '%d-%m-%Y') as booking_date,
+           TIME_FORMAT(ts.start_time, '%H:%i') as start_time,
+           TIME_FORMAT(ts.end_time, '%H:%i') as end_time,
+           b.total_amount, b.payment_status, b.booking_status,
+           get_booking_paid_amount(b.booking_id) as paid_amount
+    FROM bookings b
+    JOIN courts c ON b.court_id = c.court_id
+    JOIN time_slots ts ON b.slot_id = ts.slot_id
+    LEFT JOIN customers cu ON b.customer_id = cu.customer_id
+    WHERE b.booking_id = p_booking_id;
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE PROCEDURE sp_enqueue_notification(
+    IN p_booking_id INT,
+    IN p_customer_id INT,
+    IN p_template VARCHAR(50),
+    IN p_channel ENUM('email', 'whatsapp', 'sms'),
+    IN p_recipient VARCHAR(255),
+    IN p_subject VARCHAR(255),
+    IN p_body TEXT
+)
+BEGIN
+    INSERT INTO notifications (booking_id, customer_id, template, channel, recipient, subject, body)
+    VALUES (p_booking_id, p_customer_id, p_template, p_channel, p_recipient, p_subject, p_body);
+    
+    SELECT LAST_INSERT_ID() as notification_id, 'success' as status, 'Notification queued' as message;
+END //
+DELIMITER ;
+
+-- Claim due notifications for sending (also reclaims ones stuck in 'sending'
+-- for 10 minutes, e.g. after a crash), so concurrent dispatchers never overlap
+DELIMITER //
+CREATE PROCEDURE sp_claim_notifications(IN p_limit INT)
+BEGIN
+    DECLARE v_token CHAR(36) DEFAULT UUID();
+    
+    UPDATE notifications
+    SET status = 'sending', claim_token = v_token
+    WHERE (status = 'pending' AND next_attempt_at <= NOW())
+       OR (status = 'sending' AND updated_at < NOW() - INTERVAL 10 MINUTE)
+    ORDER BY next_attempt_at ASC, notification_id ASC
+    LIMIT p_limit;
+    
+    SELECT notification_id, booking_id, customer_id, template, channel,
+           recipient, subject, body, attempts
+    FROM notifications
+    WHERE claim_token = v_token AND status = 'sending'
+    ORDER BY next_attempt_at ASC, notification_id ASC;
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE PROCEDURE sp_mark_notification_sent(IN p_notification_id INT)
+BEGIN
+    UPDATE notifications
+    SET status = 'sent', attempts = attempts + 1, last_error = NULL,
+        claim_token = NULL, sent_at = NOW()
+    WHERE notification_id = p_notification_id;
+END //
+DELIMITER ;
+
+-- Failed attempt: retry after p_retry_minutes * 2^(attempts - 1), or give up
+-- once p_max_attempts is reached
+DELIMITER //
+CREATE PROCEDURE sp_mark_notification_failed(
+    IN p_notification_id INT,
+    IN p_error TEXT,
+    IN p_max_attempts INT,
+    IN p_retry_minutes INT
+)
+BEGIN
+    UPDATE notifications
+    SET attempts = attempts + 1,
+        last_error = p_error,
+        claim_token = NULL,
+        status = IF(attempts >= p_max_attempts, 'failed', 'pending'),
+        next_attempt_at = DATE_ADD(NOW(), INTERVAL p_retry_minutes * POW(2, attempts - 1) MINUTE)
+    WHERE notification_id = p_notification_id;
+    
+    SELECT status, attempts, next_attempt_at FROM notifications WHERE notification_id = p_notification_id;
+END //
+DELIMITER ;
+
+-- Outbox listing. Filters are optional
+DELIMITER //
+CREATE PROCEDURE sp_get_notifications(
+    IN p_status VARCHAR(20),
+    IN p_booking_id INT,
+    IN p_template VARCHAR(50),
+    IN p_limit INT,
+    IN p_offset INT
+)
+BEGIN
+    SELECT notification_id, booking_id, customer_id, template, channel, recipient,
+           subject, body, status, attempts, last_error, next_attempt_at, sent_at,
+           created_at, updated_at
+    FROM notifications
+    WHERE (p_status IS NULL OR status = p_status)
+      AND (p_booking_id IS NULL OR booking_id = p_booking_id)
+      AND (p_template IS NULL OR template = p_template)
+    ORDER BY created_at DESC, notification_id DESC
+    LIMIT p_limit OFFSET p_offset;
+END //
+DELIMITER ;
+
+-- Put a failed notification back in the queue with a fresh attempt budget
+DELIMITER //
+CREATE PROCEDURE sp_retry_notification(IN p_notification_id INT)
+BEGIN
+    DECLARE v_status VARCHAR(20) DEFAULT NULL;
+    
+    SELECT status INTO v_status FROM notifications WHERE notification_id = p_notification_id;
+    
+    IF v_status IS NULL THEN
+        SELECT 'error' as status, 'NOTIFICATION_NOT_FOUND' as code, 'Notification not found' as message;
+    ELSEIF v_status != 'failed' THEN
+        SELECT 'error' as status, 'NOTIFICATION_NOT_FAILED' as code, 'Only failed notifications can be retried' as message;
+    ELSE
+        UPDATE notifications
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+        WHERE notification_id = p_notification_id;
+        
+        SELECT 'success' as status, 'Notification queued for retry' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Confirmed bookings starting within the next p_hours that have no reminder yet
+DELIMITER //
+CREATE PROCEDURE sp_get_bookings_due_reminder(IN p_hours INT)
+BEGIN
+    SELECT b.booking_id
+    FROM bookings b
+    JOIN time_slots ts ON b.slot_id = ts.slot_id
+    WHERE b.booking_status = 'confirmed'
+      AND b.booking_date BETWEEN CURDATE() AND DATE(NOW() + INTERVAL p_hours HOUR)
+      AND TIMESTAMP(b.booking_date, ts.start_time) BETWEEN NOW() AND NOW() + INTERVAL p_hours HOUR
+      AND NOT EXISTS (
+          SELECT 1 FROM notifications n
+          WHERE n.booking_id = b.booking_id AND n.template = 'reminder'
+      )
+    ORDER BY b.booking_date ASC, ts.start_time ASC;
+END //
+DELIMITER ;
+
+-- Job: confirmed bookings whose slot has ended become 'completed'.
+-- Unpaid ones are left to sp_process_no_shows. updated_by NULL = system change
+DELIMITER //
+CREATE PROCEDURE sp_complete_finished_bookings()
+BEGIN
+    UPDATE bookings b
+    JOIN time_slots ts ON b.slot_id = ts.slot_id
+    SET b.booking_status = 'completed', b.updated_by = NULL
+    WHERE b.booking_status = 'confirmed'
+      AND b.payment_status != 'unpaid'
+      AND b.booking_date <= CURDATE()
+      AND TIMESTAMP(b.booking_date, ts.end_time) <= NOW();
+    
+    SELECT ROW_COUNT() as completed_count;
+END //
+DELIMITER ;
+
+-- Job: unpaid confirmed bookings p_grace_minutes past their start time are
+-- flagged 'no_show' or cancelled (which releases the slot to the waitlist)
+DELIMITER //
+CREATE PROCEDURE sp_process_no_shows(
+    IN p_grace_minutes INT,
+    IN p_action ENUM('flag', 'cancel')
+)
+BEGIN
+    UPDATE bookings b
+    JOIN time_slots ts ON b.slot_id = ts.slot_id
+    SET b.booking_status = IF(p_action = 'cancel', 'cancelled', 'no_show'),
+        b.updated_by = NULL
+    WHERE b.booking_status = 'confirmed'
+      AND b.payment_status = 'unpaid'
+      AND b.booking_date <= CURDATE()
+      AND TIMESTAMP(b.booking_date, ts.start_time) + INTERVAL p_grace_minutes MINUTE <= NOW();
+    
+    SELECT ROW_COUNT() as no_show_count, p_action as action;
+END //
+DELIMITER ;
+
+-- Job: expire waitlist offers (result-set wrapper around sp_expire_waitlist_offers)
+DELIMITER //
+CREATE PROCEDURE sp_run_waitlist_expiry()
+BEGIN
+    DECLARE v_expired_count INT DEFAULT 0;
+    
+    CALL sp_expire_waitlist_offers(v_expired_count);
+    SELECT v_expired_count as expired_count;
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE PROCEDURE sp_start_job_run(
+    IN p_job_name VARCHAR(50),
+    IN p_triggered_by ENUM('scheduler', 'cli', 'api')
+)
+BEGIN
+    INSERT INTO job_runs (job_name, triggered_by) VALUES (p_job_name, p_triggered_by);
+    SELECT LAST_INSERT_ID() as run_id;
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE PROCEDURE sp_finish_job_run(
+    IN p_run_id BIGINT,
+    IN p_status ENUM('success', 'failed'),
+    IN p_result JSON,
+    IN p_error TEXT
+)
+BEGIN
+    UPDATE job_runs
+    SET status = p_status, result = p_result, error = p_error, finished_at = NOW()
+    WHERE run_id = p_run_id;
+END //
+DELIMITER ;
+
+-- Run history, newest first. Filters are optional
+DELIMITER //
+CREATE PROCEDURE sp_get_job_runs(
+    IN p_job_name VARCHAR(50),
+    IN p_status VARCHAR(20),
+    IN p_limit INT,
+    IN p_offset INT
+)
+BEGIN
+    SELECT run_id, job_name, triggered_by, status, result, error, started_at, finished_at,
+           TIMESTAMPDIFF(SECOND, started_at, COALESCE(finished_at, NOW())) as duration_seconds
+    FROM job_runs
+    WHERE (p_job_name IS NULL OR job_name = p_job_name)
+      AND (p_status IS NULL OR status = p_status)
+    ORDER BY started_at DESC, run_id DESC
+    LIMIT p_limit OFFSET p_offset;
+END //
+DELIMITER ;
+
+-- Most recent run of every job
+DELIMITER //
+CREATE PROCEDURE sp_get_latest_job_runs()
+BEGIN
+    SELECT r.run_id, r.job_name, r.triggered_by, r.status, r.result, r.error,
+           r.started_at, r.finished_at
+    FROM job_runs r
+    JOIN (
+        SELECT job_name, MAX(run_id) as run_id FROM job_runs GROUP BY job_name
+    ) latest ON latest.run_id = r.run_id
+    ORDER BY r.job_name ASC;
+END //
+DELIMITER ;
+
+-- Calendar events for a court, a customer phone or a single booking (one filter
+-- is enough). Cancelled bookings are included so calendars remove them.
+-- Times are venue-local; a slot ending at/before its start ends the next day.
+DELIMITER //
+CREATE PROCEDURE sp_get_calendar_bookings(
+    IN p_court_id INT,
+    IN p_customer_phone VARCHAR(20),
+    IN p_booking_id INT,
+    IN p_start_date DATE,
+    IN p_end_date DATE
+)
+BEGIN
+    SELECT b.booking_id, b.court_id, c.court_name, ts.slot_name,
+           b.customer_name, b.customer_phone, b.booking_status, b.payment_status, b.notes,
+           DATE_FORMAT(TIMESTAMP(b.booking_date, ts.start_time), '%Y%m%dT%H%i%s') as dtstart,
+           DATE_FORMAT(TIMESTAMP(b.booking_date, ts.end_time)
+                       + INTERVAL IF(ts.end_time <= ts.start_time, 1, 0) DAY, '%Y%m%dT%H%i%s') as dtend,
+           DATE_FORMAT(CONVERT_TZ(b.updated_at, @@session.time_zone, '+00:00'), '%Y%m%dT%H%i%sZ') as dtstamp,
+           TIMESTAMPDIFF(SECOND, b.created_at, b.updated_at) as sequence
+    FROM bookings b
+    JOIN courts c ON b.court_id = c.court_id
+    JOIN time_slots ts ON b.slot_id = ts.slot_id
+    WHERE (p_court_id IS NULL OR b.court_id = p_court_id)
+      AND (p_customer_phone IS NULL OR b.customer_phone = p_customer_phone)
+      AND (p_booking_id IS NULL OR b.booking_id = p_booking_id)
+      AND (p_start_date IS NULL OR b.booking_date >= p_start_date)
+      AND (p_end_date IS NULL OR b.booking_date <= p_end_date)
+    ORDER BY b.booking_date ASC, ts.start_time ASC, b.booking_id ASC;
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE PROCEDURE sp_create_calendar_feed(
+    IN p_feed_type ENUM('court', 'customer'),
+    IN p_court_id INT,
+    IN p_customer_phone VARCHAR(20),
+    IN p_label VARCHAR(100),
+    IN p_token_hash CHAR(64),
+    IN p_created_by INT
+)
+BEGIN
+    IF p_feed_type = 'court' AND NOT EXISTS (SELECT 1 FROM courts WHERE court_id = p_court_id) THEN
+        SELECT 'error' as status, 'COURT_NOT_FOUND' as code, 'Court not found' as message;
+    ELSE
+        INSERT INTO calendar_feeds (feed_type, court_id, customer_phone, label, token_hash, created_by)
+        VALUES (p_feed_type, p_court_id, p_customer_phone, p_label, p_token_hash, p_created_by);
+        
+        SELECT LAST_INSERT_ID() as feed_id, 'success' as status, 'Calendar feed created successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE PROCEDURE sp_get_calendar_feeds(IN p_status VARCHAR(20))
+BEGIN
+    SELECT f.feed_id, f.feed_type, f.court_id, c.court_name, f.customer_phone, f.label,
+           f.status, f.created_by, a.full_name as created_by_name, f.created_at, f.last_accessed_at
+    FROM calendar_feeds f
+    LEFT JOIN courts c ON f.court_id = c.court_id
+    LEFT JOIN admins a ON f.created_by = a.admin_id
+    WHERE p_status IS NULL OR f.status = p_status
+    ORDER BY f.created_at DESC, f.feed_id DESC;
+END //
+DELIMITER ;
+
+-- Resolve an active feed from its token hash and record the access
+DELIMITER //
+CREATE PROCEDURE sp_get_calendar_feed_by_token(IN p_token_hash CHAR(64))
+BEGIN
+    UPDATE calendar_feeds SET last_accessed_at = NOW()
+    WHERE token_hash = p_token_hash AND status = 'active';
+    
+    SELECT f.feed_id, f.feed_type, f.court_id, c.court_name, f.customer_phone, f.label
+    FROM calendar_feeds f
+    LEFT JOIN courts c ON f.court_id = c.court_id
+    WHERE f.token_hash = p_token_hash AND f.status = 'active';
+END //
+DELIMITER ;
+
+DELIMITER //
+CREATE PROCEDURE sp_revoke_calendar_feed(IN p_feed_id INT)
+BEGIN
+    UPDATE calendar_feeds SET status = 'revoked'
+    WHERE feed_id = p_feed_id AND status = 'active';
+    
+    IF ROW_COUNT() = 0 THEN
+        SELECT 'error' as status, 'CALENDAR_FEED_NOT_FOUND' as code, 'Calendar feed not found or already revoked' as message;
+    ELSE
+        SELECT 'success' as status, 'Calendar feed revoked successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- =============================================
+-- TRIGGERS
+-- =============================================
+
+-- Trigger: Validate booking before insert
+DELIMITER //
+CREATE TRIGGER tr_validate_booking_insert
+    BEFORE INSERT ON bookings
+    FOR EACH ROW
+BEGIN
+    -- Validate booking date (tidak boleh tanggal lampau)
+    IF NEW.booking_date < CURDATE() THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Tanggal booking tidak boleh tanggal lampau', MYSQL_ERRNO = 45004;
+    END IF;
+    
+    -- Validate court status
+    IF (SELECT status FROM courts WHERE court_id = NEW.court_id) != 'active' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak aktif', MYSQL_ERRNO = 45002;
+    END IF;
+    
+    -- Validate time slot status
+    IF (SELECT status FROM time_slots WHERE slot_id = NEW.slot_id) != 'active' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot waktu tidak aktif', MYSQL_ERRNO = 45005;
+    END IF;
+    
+    -- Validate scheduled closures
+    IF get_closure_id(NEW.court_id, NEW.slot_id, NEW.booking_date) IS NOT NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+    END IF;
+    
+    -- Validate customer name
+    IF NEW.customer_name IS NULL OR TRIM(NEW.customer_name) = '' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Nama customer harus diisi', MYSQL_ERRNO = 45016;
+    END IF;
+    
+    -- Link to customer record by (normalised) phone
+    IF NEW.customer_id IS NULL AND NEW.customer_phone IS NOT NULL THEN
+        SET NEW.customer_id = (SELECT customer_id FROM customers WHERE phone = NEW.customer_phone);
+    END IF;
+    
+    -- Set total amount based on court price if not provided
+    IF NEW.total_amount = 0.00 THEN
+        SET NEW.total_amount = (SELECT price_per_session FROM courts WHERE court_id = NEW.court_id);
+    END IF;
+END //
+DELIMITER ;
+
+-- Trigger: Validate moved bookings (reschedules, series edits) against closures
+DELIMITER //
+CREATE TRIGGER tr_validate_booking_update
+    BEFORE UPDATE ON bookings
+    FOR EACH ROW
+BEGIN
+    IF NEW.booking_status != 'cancelled'
+       AND (NEW.court_id != OLD.court_id OR NEW.slot_id != OLD.slot_id OR NEW.booking_date != OLD.booking_date)
+       AND get_closure_id(NEW.court_id, NEW.slot_id, NEW.booking_date) IS NOT NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+    END IF;
+END //
+DELIMITER ;
+
+-- Trigger: Log booking creation
+DELIMITER //
+CREATE TRIGGER tr_booking_audit_insert
+    AFTER INSERT ON bookings
+    FOR EACH ROW
+BEGIN
+    INSERT INTO booking_audit_log (booking_id, action, changed_by, old_values, new_values)
+    VALUES (
+        NEW.booking_id, 'create', NEW.created_by, NULL,
+        JSON_OBJECT(
+            'court_id', NEW.court_id, 'slot_id', NEW.slot_id, 'booking_date', NEW.booking_date,
+            'customer_name', NEW.customer_name, 'customer_phone', NEW.customer_phone,
+            'total_amount', NEW.total_amount, 'payment_status', NEW.payment_status,
+            'booking_status', NEW.booking_status, 'notes', NEW.notes
+        )
+    );
+END //
+DELIMITER ;
+
+-- Trigger: Log booking updates
+DELIMITER //
+CREATE TRIGGER tr_booking_status_update
+    AFTER UPDATE ON bookings
+    FOR EACH ROW
+BEGIN
+    DECLARE v_action VARCHAR(20) DEFAULT NULL;
+    
+    -- Validate status transitions
+    IF OLD.booking_status = 'cancelled' AND NEW.booking_status != 'cancelled' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Booking yang sudah dibatalkan tidak bisa diubah statusnya', MYSQL_ERRNO = 45013;
+    END IF;
+    
+    -- Classify the change (most significant first); no-op updates are not logged
+    IF NEW.booking_status = 'cancelled' AND OLD.booking_status != 'cancelled' THEN
+        SET v_action = 'cancel';
+    ELSEIF NOT (NEW.court_id <=> OLD.court_id AND NEW.slot_id <=> OLD.slot_id
+                AND NEW.booking_date <=> OLD.booking_date) THEN
+        SET v_action = 'reschedule';
+    ELSEIF NOT (NEW.booking_status <=> OLD.booking_status
+                AND NEW.payment_status <=> OLD.payment_status
+                AND NEW.total_amount <=> OLD.total_amount) THEN
+        SET v_action = 'status_change';
+    ELSEIF NOT (NEW.customer_name <=> OLD.customer_name
+                AND NEW.customer_phone <=> OLD.customer_phone
+                AND NEW.notes <=> OLD.notes) THEN
+        SET v_action = 'detail_edit';
+    END IF;
+    
+    IF v_action IS NOT NULL THEN
+        INSERT INTO booking_audit_log (booking_id, action, changed_by, old_values, new_values)
+        VALUES (
+            NEW.booking_id, v_action, NEW.updated_by,
+            JSON_OBJECT(
+                'court_id', OLD.court_id, 'slot_id', OLD.slot_id, 'booking_date', OLD.booking_date,
+                'customer_name', OLD.customer_name, 'customer_phone', OLD.customer_phone,
+                'total_amount', OLD.total_amount, 'payment_status', OLD.payment_status,
+                'booking_status', OLD.booking_status, 'notes', OLD.notes
+            ),
+            JSON_OBJECT(
+                'court_id', NEW.court_id, 'slot_id', NEW.slot_id, 'booking_date', NEW.booking_date,
+                'customer_name', NEW.customer_name, 'customer_phone', NEW.customer_phone,
+                'total_amount', NEW.total_amount, 'payment_status', NEW.payment_status,
+                'booking_status', NEW.booking_status, 'notes', NEW.notes
+            )
+        );
+    END IF;
+    
+    -- A cancelled slot goes to the next customer on the waitlist
+    IF v_action = 'cancel' THEN
+        CALL sp_offer_waitlist_slot(OLD.court_id, OLD.slot_id, OLD.booking_date);
+    END IF;
+END //
+DELIMITER ;
+
+-- =============================================
+-- VIEWS
+-- =============================================
+
+-- View: Daily Booking Summary
+CREATE VIEW v_daily_booking_summary AS
+SELECT 
+    b.booking_date,
+    c.court_name,
+    COUNT(*) as total_bookings,
+    SUM(CASE WHEN b.payment_status = 'paid' THEN 1 ELSE 0 END) as paid_bookings,
+    SUM(CASE WHEN b.payment_status = 'unpaid' THEN 1 ELSE 0 END) as unpaid_bookings,
+    SUM(CASE WHEN b.booking_status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_bookings,
+    SUM(CASE WHEN b.payment_status = 'paid' AND b.booking_status != 'cancelled' THEN b.total_amount ELSE 0 END) as daily_revenue
+FROM bookings b
+JOIN courts c ON b.court_id = c.court_id
+GROUP BY b.booking_date, b.court_id, c.court_name
+ORDER BY b.booking_date DESC, c.court_name;
+
+-- View: Court Utilization
+CREATE VIEW v_court_utilization AS
+SELECT 
+    c.court_id,
+    c.court_name,
+    c.status as court_status,
+    COUNT(CASE WHEN b.booking_date >= DATE_SUB(CURDATE(), INTERVAL 30 DAY) AND b.booking_status != 'cancelled' THEN 1 END) as bookings_last_30_days,
+    COUNT(CASE WHEN b.booking_date = CURDATE() AND b.booking_status != 'cancelled' THEN 1 END) as today_bookings,
+    (SELECT COUNT(*) FROM time_slots WHERE status = 'active') as total_available_slots,
+    get_available_slots_count(c.court_id, CURDATE()) as available_slots_today,
+    get_court_revenue(c.court_id, DATE_SUB(CURDATE(), INTERVAL 30 DAY), CURDATE()) as revenue_last_30_days
+FROM courts c
+LEFT JOIN bookings b ON c.court_id = b.court_id
+GROUP BY c.court_id, c.court_name, c.status
+ORDER BY c.court_name;
+
+-- View: Booking Details (for reports)
+CREATE VIEW v_booking_details AS
+SELECT 
+    b.booking_id,
+    b.booking_date,
+    c.court_name,
+    CONCAT(ts.slot_name, ' (', TIME_FORMAT(ts.start_time, '%H:%i'), ' - ', TIME_FORMAT(ts.end_time, '%H:%i'), ')') as time_slot_info,
+    b.customer_name,
+    b.customer_phone,
+    b.total_amount,
+    b.payment_status,
+    b.booking_status,
+    b.notes,
+    a.full_name as admin_name,
+    b.created_at,
+    b.updated_at,
+    CASE 
+        WHEN b.booking_date < CURDATE() AND b.booking_status = 'confirmed' THEN 'completed'
+        ELSE b.booking_status
+    END as actual_status
+FROM bookings b
+JOIN courts c ON b.court_id = c.court_id
+JOIN time_slots ts ON b.slot_id = ts.slot_id
+JOIN admins a ON b.created_by = a.admin_id
+ORDER BY b.booking_date DESC, ts.start_time ASC;
+
+-- View: Revenue Summary
+CREATE VIEW v_revenue_summary AS
+SELECT 
+    DATE_FORMAT(b.booking_date, '%Y-%m') as month_year,
+    c.court_name,
+    COUNT(CASE WHEN b.booking_status != 'cancelled' THEN 1 END) as total_bookings,
+    SUM(CASE WHEN b.payment_status = 'paid' AND b.booking_status != 'cancelled' THEN b.total_amount ELSE 0 END) as paid_revenue,
+    SUM(CASE WHEN b.payment_status = 'unpaid' AND b.booking_status != 'cancelled' THEN b.total_amount ELSE 0 END) as outstanding_revenue,
+    SUM(CASE WHEN b.payment_status = 'partial' AND b.booking_status != 'cancelled' THEN b.total_amount ELSE 0 END) as partial_revenue
+FROM bookings b
+JOIN courts c ON b.court_id = c.court_id
+GROUP BY DATE_FORMAT(b.booking_date, '%Y-%m'), b.court_id, c.court_name
+ORDER BY month_year DESC, c.court_name;
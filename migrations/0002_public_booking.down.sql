@@ -0,0 +1,6 @@
+-- The online_booking account stays: deleting it would cascade to the
+-- bookings it created.
+DROP PROCEDURE IF EXISTS sp_cancel_public_booking;
+DROP PROCEDURE IF EXISTS sp_get_public_booking;
+DROP PROCEDURE IF EXISTS sp_create_public_booking;
+DROP TABLE IF EXISTS public_bookings;
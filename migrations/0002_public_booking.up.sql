@@ -0,0 +1,152 @@
+-- Public self-booking: bookings customers make themselves through /public,
+-- attributed to the `online_booking` system account and looked up by a
+-- confirmation code (stored as a SHA-256 hash, like calendar feed tokens).
+
+-- System account of online bookings. Inactive with an unusable password, so
+-- it can never log in.
+INSERT IGNORE INTO admins (username, password, full_name, email, role, status)
+VALUES ('online_booking', '!', 'Online Booking', 'online-booking@system.invalid', 'cashier', 'inactive');
+
+CREATE TABLE IF NOT EXISTS public_bookings (
+    booking_id INT PRIMARY KEY,
+    code_hash CHAR(64) NOT NULL UNIQUE,
+    client_ip VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (booking_id) REFERENCES bookings(booking_id) ON DELETE CASCADE
+);
+
+-- Procedure: Create a booking from the public API.
+-- A phone may hold at most p_max_active upcoming confirmed online bookings.
+DROP PROCEDURE IF EXISTS sp_create_public_booking;
+DELIMITER //
+CREATE PROCEDURE sp_create_public_booking(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_booking_date DATE,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_code_hash CHAR(64),
+    IN p_client_ip VARCHAR(45),
+    IN p_max_active INT
+)
+BEGIN
+    DECLARE v_admin_id INT DEFAULT NULL;
+    DECLARE v_active INT DEFAULT 0;
+    DECLARE v_price DECIMAL(10,2) DEFAULT NULL;
+    DECLARE v_booking_id INT;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+
+    SELECT admin_id INTO v_admin_id FROM admins WHERE username = 'online_booking';
+
+    SELECT COUNT(*) INTO v_active
+    FROM bookings b
+    JOIN public_bookings pb ON pb.booking_id = b.booking_id
+    WHERE b.customer_phone = p_customer_phone
+      AND b.booking_status = 'confirmed'
+      AND b.booking_date >= CURDATE();
+
+    IF v_active >= p_max_active THEN
+        SELECT 'error' AS status, 'PUBLIC_BOOKING_LIMIT' AS code, 'Terlalu banyak booking online aktif untuk nomor ini' AS message;
+    ELSE
+        START TRANSACTION;
+
+        IF get_closure_id(p_court_id, p_slot_id, p_booking_date) IS NOT NULL THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+        END IF;
+
+        IF NOT is_slot_available(p_court_id, p_slot_id, p_booking_date) THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk tanggal tersebut', MYSQL_ERRNO = 45001;
+        END IF;
+
+        SELECT price_per_session INTO v_price
+        FROM courts
+        WHERE court_id = p_court_id AND status = 'active';
+
+        IF v_price IS NULL THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+        END IF;
+
+        SET v_price = get_booking_price(p_court_id, p_slot_id, p_booking_date);
+
+        INSERT INTO bookings (
+            court_id, slot_id, booking_date, customer_name, customer_phone,
+            total_amount, payment_status, notes, created_by
+        ) VALUES (
+            p_court_id, p_slot_id, p_booking_date, p_customer_name, p_customer_phone,
+            v_price, 'unpaid', 'Booking online', v_admin_id
+        );
+
+        SET v_booking_id = LAST_INSERT_ID();
+
+        INSERT INTO public_bookings (booking_id, code_hash, client_ip)
+        VALUES (v_booking_id, p_code_hash, p_client_ip);
+
+        COMMIT;
+
+        SELECT v_booking_id AS booking_id, v_price AS total_amount, 'success' AS status, 'Booking berhasil dibuat' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Procedure: Online booking by confirmation code (customer view, no phone)
+DROP PROCEDURE IF EXISTS sp_get_public_booking;
+DELIMITER //
+CREATE PROCEDURE sp_get_public_booking(IN p_code_hash CHAR(64))
+BEGIN
+    SELECT b.booking_id, b.booking_date, c.court_name, ts.slot_name,
+           ts.start_time, ts.end_time, b.customer_name, b.total_amount,
+           b.payment_status, b.booking_status, b.created_at
+    FROM public_bookings pb
+    JOIN bookings b ON pb.booking_id = b.booking_id
+    JOIN courts c ON b.court_id = c.court_id
+    JOIN time_slots ts ON b.slot_id = ts.slot_id
+    WHERE pb.code_hash = p_code_hash;
+END //
+DELIMITER ;
+
+-- Procedure: Cancel an online booking by confirmation code.
+-- Allowed until p_notice_minutes before the slot starts and only while
+-- nothing has been paid (refunds go through the front desk).
+DROP PROCEDURE IF EXISTS sp_cancel_public_booking;
+DELIMITER //
+CREATE PROCEDURE sp_cancel_public_booking(
+    IN p_code_hash CHAR(64),
+    IN p_notice_minutes INT
+)
+BEGIN
+    DECLARE v_booking_id INT DEFAULT NULL;
+    DECLARE v_status VARCHAR(20);
+    DECLARE v_start DATETIME;
+    DECLARE v_admin_id INT DEFAULT NULL;
+
+    SELECT b.booking_id, b.booking_status, TIMESTAMP(b.booking_date, ts.start_time)
+    INTO v_booking_id, v_status, v_start
+    FROM public_bookings pb
+    JOIN bookings b ON pb.booking_id = b.booking_id
+    JOIN time_slots ts ON b.slot_id = ts.slot_id
+    WHERE pb.code_hash = p_code_hash;
+
+    IF v_booking_id IS NULL THEN
+        SELECT 'error' AS status, 'BOOKING_NOT_FOUND' AS code, 'Booking tidak ditemukan' AS message;
+    ELSEIF v_status = 'cancelled' THEN
+        SELECT 'error' AS status, 'BOOKING_CANCELLED' AS code, 'Booking sudah dibatalkan' AS message;
+    ELSEIF v_status != 'confirmed' OR v_start < NOW() + INTERVAL p_notice_minutes MINUTE THEN
+        SELECT 'error' AS status, 'CANCELLATION_CLOSED' AS code, 'Booking tidak bisa dibatalkan lagi' AS message;
+    ELSEIF get_booking_paid_amount(v_booking_id) > 0 THEN
+        SELECT 'error' AS status, 'BOOKING_HAS_PAYMENTS' AS code, 'Booking sudah dibayar, hubungi front desk untuk pembatalan' AS message;
+    ELSE
+        SELECT admin_id INTO v_admin_id FROM admins WHERE username = 'online_booking';
+
+        UPDATE bookings
+        SET booking_status = 'cancelled', updated_by = v_admin_id, updated_at = CURRENT_TIMESTAMP
+        WHERE booking_id = v_booking_id;
+
+        SELECT 'success' AS status, v_booking_id AS booking_id, 'Booking berhasil dibatalkan' AS message;
+    END IF;
+END //
+DELIMITER ;
@@ -0,0 +1,377 @@
+-- Slot holds: a court slot reserved for a few minutes while a customer or
+-- the desk fills in the booking. Active, unexpired holds make the slot
+-- unavailable to everyone else (is_slot_available); only the hold token can
+-- turn it into a booking. Tokens are stored as SHA-256 hashes.
+
+CREATE TABLE IF NOT EXISTS slot_holds (
+    hold_id INT AUTO_INCREMENT PRIMARY KEY,
+    court_id INT NOT NULL,
+    slot_id INT NOT NULL,
+    booking_date DATE NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    status ENUM('active', 'converted', 'released', 'expired') NOT NULL DEFAULT 'active',
+    expires_at DATETIME NOT NULL,
+    booking_id INT NULL,
+    created_by INT NULL, -- NULL = held through the public API
+    client_ip VARCHAR(45) NULL,
+    -- 1 while active, NULL otherwise (NULLs never collide in unique_active_hold)
+    active_hold TINYINT GENERATED ALWAYS AS (IF(status = 'active', 1, NULL)) STORED,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (court_id) REFERENCES courts(court_id) ON DELETE CASCADE,
+    FOREIGN KEY (slot_id) REFERENCES time_slots(slot_id) ON DELETE CASCADE,
+    FOREIGN KEY (booking_id) REFERENCES bookings(booking_id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES admins(admin_id) ON DELETE SET NULL,
+
+    -- One active hold per court slot and date
+    UNIQUE KEY unique_active_hold (court_id, slot_id, booking_date, active_hold),
+    INDEX idx_hold_expiry (status, expires_at)
+);
+
+-- Function: Slot held by an active, unexpired hold
+DROP FUNCTION IF EXISTS is_slot_held;
+DELIMITER //
+CREATE FUNCTION is_slot_held(
+    p_court_id INT,
+    p_slot_id INT,
+    p_booking_date DATE
+) RETURNS BOOLEAN
+READS SQL DATA
+NOT DETERMINISTIC
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM slot_holds
+        WHERE court_id = p_court_id
+          AND slot_id = p_slot_id
+          AND booking_date = p_booking_date
+          AND status = 'active'
+          AND expires_at > NOW()
+    );
+END //
+DELIMITER ;
+
+-- Held slots are no longer available (bookings, series, reservations,
+-- waitlist offers and availability listings all go through this function)
+DROP FUNCTION IF EXISTS is_slot_available;
+DELIMITER //
+CREATE FUNCTION is_slot_available(
+    p_court_id INT,
+    p_slot_id INT,
+    p_booking_date DATE
+) RETURNS BOOLEAN
+READS SQL DATA
+DETERMINISTIC
+BEGIN
+    DECLARE slot_count INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO slot_count
+    FROM bookings 
+    WHERE court_id = p_court_id 
+      AND slot_id = p_slot_id 
+      AND booking_date = p_booking_date
+      AND booking_status != 'cancelled';
+      
+    RETURN (slot_count = 0
+            AND get_closure_id(p_court_id, p_slot_id, p_booking_date) IS NULL
+            AND NOT is_slot_held(p_court_id, p_slot_id, p_booking_date));
+END //
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS sp_get_available_time_slots;
+DELIMITER //
+CREATE PROCEDURE sp_get_available_time_slots(
+    IN p_court_id INT,
+    IN p_booking_date DATE
+)
+BEGIN
+    SELECT ts.slot_id, ts.start_time, ts.end_time, ts.slot_name,
+           is_slot_available(p_court_id, ts.slot_id, p_booking_date) as is_available,
+           is_slot_held(p_court_id, ts.slot_id, p_booking_date) as is_held,
+           cc.closure_id,
+           cc.reason as closure_reason
+    FROM time_slots ts 
+    LEFT JOIN court_closures cc ON cc.closure_id = get_closure_id(p_court_id, ts.slot_id, p_booking_date)
+    WHERE ts.status = 'active'
+    ORDER BY ts.start_time ASC;
+END //
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS sp_get_availability_grid;
+DELIMITER //
+CREATE PROCEDURE sp_get_availability_grid(
+    IN p_start_date DATE,
+    IN p_end_date DATE,
+    IN p_court_ids VARCHAR(255)
+)
+BEGIN
+    WITH RECURSIVE grid_dates (booking_date) AS (
+        SELECT p_start_date
+        UNION ALL
+        SELECT DATE_ADD(booking_date, INTERVAL 1 DAY)
+        FROM grid_dates
+        WHERE booking_date < p_end_date
+    )
+    SELECT 
+        c.court_id,
+        c.court_name,
+        c.status as court_status,
+        gd.booking_date,
+        ts.slot_id,
+        ts.slot_name,
+        TIME_FORMAT(ts.start_time, '%H:%i') as start_time,
+        TIME_FORMAT(ts.end_time, '%H:%i') as end_time,
+        CASE WHEN b.booking_id IS NOT NULL THEN 1 ELSE 0 END as is_booked,
+        b.booking_id,
+        b.reservation_id,
+        b.series_id,
+        b.customer_id,
+        b.customer_name,
+        b.customer_phone,
+        b.payment_status,
+        b.booking_status,
+        cc.closure_id,
+        cc.reason as closure_reason,
+        is_slot_held(c.court_id, ts.slot_id, gd.booking_date) as is_held
+    FROM courts c
+    CROSS JOIN grid_dates gd
+    CROSS JOIN time_slots ts
+    LEFT JOIN bookings b ON (
+        b.court_id = c.court_id
+        AND b.slot_id = ts.slot_id
+        AND b.booking_date = gd.booking_date
+        AND b.booking_status != 'cancelled'
+    )
+    LEFT JOIN court_closures cc ON cc.closure_id = (
+        SELECT cx.closure_id
+        FROM court_closures cx
+        WHERE (cx.court_id IS NULL OR cx.court_id = c.court_id)
+          AND cx.start_datetime < TIMESTAMP(gd.booking_date, ts.end_time)
+          AND cx.end_datetime > TIMESTAMP(gd.booking_date, ts.start_time)
+        ORDER BY cx.start_datetime ASC, cx.closure_id ASC
+        LIMIT 1
+    )
+    WHERE ts.status = 'active'
+      AND (
+          (p_court_ids IS NULL AND c.status != 'inactive')
+          OR FIND_IN_SET(c.court_id, p_court_ids) > 0
+      )
+    ORDER BY c.court_name ASC, gd.booking_date ASC, ts.start_time ASC;
+END //
+DELIMITER ;
+
+-- Procedure: Hold a free slot for p_minutes
+DROP PROCEDURE IF EXISTS sp_create_slot_hold;
+DELIMITER //
+CREATE PROCEDURE sp_create_slot_hold(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_booking_date DATE,
+    IN p_minutes INT,
+    IN p_token_hash CHAR(64),
+    IN p_created_by INT,
+    IN p_client_ip VARCHAR(45)
+)
+BEGIN
+    DECLARE v_hold_id INT;
+    DECLARE v_expires_at DATETIME DEFAULT NOW() + INTERVAL p_minutes MINUTE;
+
+    -- Expired holds of this slot give way (the release job may not have run yet)
+    UPDATE slot_holds
+    SET status = 'expired'
+    WHERE court_id = p_court_id AND slot_id = p_slot_id AND booking_date = p_booking_date
+      AND status = 'active' AND expires_at <= NOW();
+
+    IF NOT EXISTS (SELECT 1 FROM courts WHERE court_id = p_court_id AND status = 'active') THEN
+        SELECT 'error' AS status, 'COURT_INACTIVE' AS code, 'Lapangan tidak ditemukan atau tidak aktif' AS message;
+    ELSEIF NOT EXISTS (SELECT 1 FROM time_slots WHERE slot_id = p_slot_id AND status = 'active') THEN
+        SELECT 'error' AS status, 'SLOT_INACTIVE' AS code, 'Slot waktu tidak ditemukan atau tidak aktif' AS message;
+    ELSEIF p_booking_date < CURDATE() THEN
+        SELECT 'error' AS status, 'BOOKING_DATE_IN_PAST' AS code, 'Tanggal booking tidak boleh tanggal lampau' AS message;
+    ELSEIF get_closure_id(p_court_id, p_slot_id, p_booking_date) IS NOT NULL THEN
+        SELECT 'error' AS status, 'COURT_CLOSED' AS code, 'Lapangan ditutup pada waktu tersebut' AS message;
+    ELSEIF is_slot_held(p_court_id, p_slot_id, p_booking_date) THEN
+        SELECT 'error' AS status, 'SLOT_HELD' AS code, 'Slot sedang ditahan oleh pemesan lain' AS message;
+    ELSEIF NOT is_slot_available(p_court_id, p_slot_id, p_booking_date) THEN
+        SELECT 'error' AS status, 'SLOT_ALREADY_BOOKED' AS code, 'Slot sudah dibooking untuk tanggal tersebut' AS message;
+    ELSE
+        INSERT INTO slot_holds (court_id, slot_id, booking_date, token_hash, expires_at, created_by, client_ip)
+        VALUES (p_court_id, p_slot_id, p_booking_date, p_token_hash, v_expires_at, p_created_by, p_client_ip);
+
+        SET v_hold_id = LAST_INSERT_ID();
+
+        SELECT 'success' AS status, v_hold_id AS hold_id, v_expires_at AS expires_at, 'Slot berhasil ditahan' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Procedure: Hold by token (any status)
+DROP PROCEDURE IF EXISTS sp_get_slot_hold;
+DELIMITER //
+CREATE PROCEDURE sp_get_slot_hold(IN p_token_hash CHAR(64))
+BEGIN
+    SELECT h.hold_id, h.court_id, c.court_name, h.slot_id, ts.slot_name,
+           ts.start_time, ts.end_time, h.booking_date, h.booking_id,
+           IF(h.status = 'active' AND h.expires_at <= NOW(), 'expired', h.status) AS status,
+           h.expires_at, h.created_at
+    FROM slot_holds h
+    JOIN courts c ON h.court_id = c.court_id
+    JOIN time_slots ts ON h.slot_id = ts.slot_id
+    WHERE h.token_hash = p_token_hash;
+END //
+DELIMITER ;
+
+-- Procedure: Give a held slot back before the hold expires
+DROP PROCEDURE IF EXISTS sp_release_slot_hold;
+DELIMITER //
+CREATE PROCEDURE sp_release_slot_hold(IN p_token_hash CHAR(64))
+BEGIN
+    DECLARE v_hold_id INT DEFAULT NULL;
+    DECLARE v_court_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE v_date DATE;
+
+    SELECT hold_id, court_id, slot_id, booking_date
+    INTO v_hold_id, v_court_id, v_slot_id, v_date
+    FROM slot_holds
+    WHERE token_hash = p_token_hash AND status = 'active' AND expires_at > NOW();
+
+    IF v_hold_id IS NULL THEN
+        SELECT 'error' AS status, 'HOLD_NOT_FOUND' AS code, 'Hold tidak ditemukan atau sudah berakhir' AS message;
+    ELSE
+        UPDATE slot_holds SET status = 'released' WHERE hold_id = v_hold_id;
+        CALL sp_offer_waitlist_slot(v_court_id, v_slot_id, v_date);
+
+        SELECT 'success' AS status, v_hold_id AS hold_id, 'Hold berhasil dilepas' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Procedure: Turn a hold into a booking.
+-- The hold keeps the slot free of other bookings, so only an unknown,
+-- used or expired hold (or the online booking limit) can stop it.
+-- p_code_hash given = online booking: booked by the online_booking account,
+-- confirmation code recorded and p_max_active upcoming bookings per phone.
+DROP PROCEDURE IF EXISTS sp_create_booking_from_hold;
+DELIMITER //
+CREATE PROCEDURE sp_create_booking_from_hold(
+    IN p_token_hash CHAR(64),
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_payment_status ENUM('paid', 'unpaid', 'partial'),
+    IN p_notes TEXT,
+    IN p_created_by INT,
+    IN p_code_hash CHAR(64),
+    IN p_client_ip VARCHAR(45),
+    IN p_max_active INT
+)
+BEGIN
+    DECLARE v_hold_id INT DEFAULT NULL;
+    DECLARE v_court_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE v_date DATE;
+    DECLARE v_status VARCHAR(20);
+    DECLARE v_expires_at DATETIME;
+    DECLARE v_created_by INT DEFAULT p_created_by;
+    DECLARE v_active INT DEFAULT 0;
+    DECLARE v_price DECIMAL(10,2);
+    DECLARE v_booking_id INT;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+
+    IF p_code_hash IS NOT NULL THEN
+        SELECT admin_id INTO v_created_by FROM admins WHERE username = 'online_booking';
+
+        SELECT COUNT(*) INTO v_active
+        FROM bookings b
+        JOIN public_bookings pb ON pb.booking_id = b.booking_id
+        WHERE b.customer_phone = p_customer_phone
+          AND b.booking_status = 'confirmed'
+          AND b.booking_date >= CURDATE();
+    END IF;
+
+    START TRANSACTION;
+
+    SELECT hold_id, court_id, slot_id, booking_date, status, expires_at
+    INTO v_hold_id, v_court_id, v_slot_id, v_date, v_status, v_expires_at
+    FROM slot_holds
+    WHERE token_hash = p_token_hash
+    FOR UPDATE;
+
+    IF v_hold_id IS NULL OR v_status != 'active' THEN
+        ROLLBACK;
+        SELECT 'error' AS status, 'HOLD_NOT_FOUND' AS code, 'Hold tidak ditemukan atau sudah dipakai' AS message;
+    ELSEIF v_expires_at <= NOW() THEN
+        UPDATE slot_holds SET status = 'expired' WHERE hold_id = v_hold_id;
+        COMMIT;
+        SELECT 'error' AS status, 'HOLD_EXPIRED' AS code, 'Waktu hold sudah habis' AS message;
+    ELSEIF p_code_hash IS NOT NULL AND v_active >= p_max_active THEN
+        ROLLBACK;
+        SELECT 'error' AS status, 'PUBLIC_BOOKING_LIMIT' AS code, 'Terlalu banyak booking online aktif untuk nomor ini' AS message;
+    ELSE
+        -- Converted first: the slot must not look held to the insert below
+        UPDATE slot_holds SET status = 'converted' WHERE hold_id = v_hold_id;
+
+        SET v_price = get_booking_price(v_court_id, v_slot_id, v_date);
+
+        INSERT INTO bookings (
+            court_id, slot_id, booking_date, customer_name, customer_phone,
+            total_amount, payment_status, notes, created_by
+        ) VALUES (
+            v_court_id, v_slot_id, v_date, p_customer_name, p_customer_phone,
+            v_price, p_payment_status, p_notes, v_created_by
+        );
+
+        SET v_booking_id = LAST_INSERT_ID();
+
+        UPDATE slot_holds SET booking_id = v_booking_id WHERE hold_id = v_hold_id;
+
+        IF p_code_hash IS NOT NULL THEN
+            INSERT INTO public_bookings (booking_id, code_hash, client_ip)
+            VALUES (v_booking_id, p_code_hash, p_client_ip);
+        END IF;
+
+        COMMIT;
+
+        SELECT v_booking_id AS booking_id, v_price AS total_amount, 'success' AS status, 'Booking berhasil dibuat' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Procedure: Expire holds past their time and offer the freed slots to the
+-- waitlist (release-expired-holds job)
+DROP PROCEDURE IF EXISTS sp_release_expired_holds;
+DELIMITER //
+CREATE PROCEDURE sp_release_expired_holds()
+BEGIN
+    DECLARE v_hold_id INT;
+    DECLARE v_court_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE v_date DATE;
+    DECLARE v_expired INT DEFAULT 0;
+
+    expire_loop: LOOP
+        SET v_hold_id = NULL;
+
+        SELECT hold_id, court_id, slot_id, booking_date
+        INTO v_hold_id, v_court_id, v_slot_id, v_date
+        FROM slot_holds
+        WHERE status = 'active' AND expires_at <= NOW()
+        ORDER BY expires_at ASC, hold_id ASC
+        LIMIT 1;
+
+        IF v_hold_id IS NULL THEN
+            LEAVE expire_loop;
+        END IF;
+
+        UPDATE slot_holds SET status = 'expired' WHERE hold_id = v_hold_id;
+        SET v_expired = v_expired + 1;
+
+        CALL sp_offer_waitlist_slot(v_court_id, v_slot_id, v_date);
+    END LOOP;
+
+    SELECT v_expired AS expired_count;
+END //
+DELIMITER ;
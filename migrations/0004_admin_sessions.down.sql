@@ -0,0 +1,8 @@
+DROP PROCEDURE IF EXISTS sp_revoke_session_by_token;
+DROP PROCEDURE IF EXISTS sp_revoke_admin_sessions;
+DROP PROCEDURE IF EXISTS sp_revoke_admin_session;
+DROP PROCEDURE IF EXISTS sp_get_admin_sessions;
+DROP PROCEDURE IF EXISTS sp_rotate_admin_session;
+DROP PROCEDURE IF EXISTS sp_touch_admin_session;
+DROP PROCEDURE IF EXISTS sp_create_admin_session;
+DROP TABLE IF EXISTS admin_sessions;
@@ -0,0 +1,196 @@
+-- Server-side login sessions. A login opens a session; the access token
+-- (short-lived JWT) names the session and every request checks that it is
+-- still open and its admin still active. The refresh token rotates on every
+-- use and is stored as a SHA-256 hash; presenting a rotated-out token again
+-- means it was copied, so the session is revoked.
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    session_id INT AUTO_INCREMENT PRIMARY KEY,
+    admin_id INT NOT NULL,
+    refresh_hash CHAR(64) NOT NULL UNIQUE,
+    previous_hash CHAR(64) NULL, -- refresh token replaced by the last rotation
+    user_agent VARCHAR(255) NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME NOT NULL,
+    expires_at DATETIME NOT NULL, -- moved forward by every refresh
+    revoked_at DATETIME NULL,
+
+    FOREIGN KEY (admin_id) REFERENCES admins(admin_id) ON DELETE CASCADE,
+    INDEX idx_session_admin (admin_id, revoked_at),
+    INDEX idx_session_previous (previous_hash)
+);
+
+-- Procedure: Open a session at login
+DROP PROCEDURE IF EXISTS sp_create_admin_session;
+DELIMITER //
+CREATE PROCEDURE sp_create_admin_session(
+    IN p_admin_id INT,
+    IN p_refresh_hash CHAR(64),
+    IN p_user_agent VARCHAR(255),
+    IN p_ip_address VARCHAR(45),
+    IN p_lifetime_minutes INT
+)
+BEGIN
+    DECLARE v_expires_at DATETIME DEFAULT NOW() + INTERVAL p_lifetime_minutes MINUTE;
+
+    INSERT INTO admin_sessions (admin_id, refresh_hash, user_agent, ip_address, last_seen_at, expires_at)
+    VALUES (p_admin_id, p_refresh_hash, LEFT(p_user_agent, 255), p_ip_address, NOW(), v_expires_at);
+
+    SELECT 'success' AS status, LAST_INSERT_ID() AS session_id, v_expires_at AS expires_at;
+END //
+DELIMITER ;
+
+-- Procedure: Open session with its admin, for authenticating a request.
+-- No row when the session is revoked or expired or the admin is inactive.
+-- last_seen_at / ip_address are refreshed at most once a minute.
+DROP PROCEDURE IF EXISTS sp_touch_admin_session;
+DELIMITER //
+CREATE PROCEDURE sp_touch_admin_session(
+    IN p_session_id INT,
+    IN p_ip_address VARCHAR(45)
+)
+BEGIN
+    UPDATE admin_sessions
+    SET last_seen_at = NOW(), ip_address = COALESCE(p_ip_address, ip_address)
+    WHERE session_id = p_session_id
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+      AND last_seen_at < NOW() - INTERVAL 1 MINUTE;
+
+    SELECT s.session_id, a.admin_id, a.username, a.full_name, a.email, a.role, a.locale
+    FROM admin_sessions s
+    JOIN admins a ON a.admin_id = s.admin_id
+    WHERE s.session_id = p_session_id
+      AND s.revoked_at IS NULL
+      AND s.expires_at > NOW()
+      AND a.status = 'active';
+END //
+DELIMITER ;
+
+-- Procedure: Swap a refresh token for a new one and extend the session.
+-- Returns the session with its admin like sp_touch_admin_session.
+DROP PROCEDURE IF EXISTS sp_rotate_admin_session;
+DELIMITER //
+CREATE PROCEDURE sp_rotate_admin_session(
+    IN p_refresh_hash CHAR(64),
+    IN p_new_refresh_hash CHAR(64),
+    IN p_user_agent VARCHAR(255),
+    IN p_ip_address VARCHAR(45),
+    IN p_lifetime_minutes INT
+)
+BEGIN
+    DECLARE v_session_id INT DEFAULT NULL;
+    DECLARE v_revoked_at DATETIME;
+    DECLARE v_expires_at DATETIME;
+    DECLARE v_admin_status VARCHAR(20);
+
+    SELECT s.session_id, s.revoked_at, s.expires_at, a.status
+    INTO v_session_id, v_revoked_at, v_expires_at, v_admin_status
+    FROM admin_sessions s
+    JOIN admins a ON a.admin_id = s.admin_id
+    WHERE s.refresh_hash = p_refresh_hash;
+
+    IF v_session_id IS NULL THEN
+        SELECT session_id INTO v_session_id
+        FROM admin_sessions
+        WHERE previous_hash = p_refresh_hash
+        LIMIT 1;
+
+        IF v_session_id IS NULL THEN
+            SELECT 'error' AS status, 'REFRESH_TOKEN_INVALID' AS code, 'Refresh token tidak valid' AS message;
+        ELSE
+            -- A replaced token came back: someone else holds a copy
+            UPDATE admin_sessions SET revoked_at = COALESCE(revoked_at, NOW()) WHERE session_id = v_session_id;
+            SELECT 'error' AS status, 'SESSION_REVOKED' AS code, 'Sesi sudah berakhir, silakan login kembali' AS message;
+        END IF;
+    ELSEIF v_revoked_at IS NOT NULL OR v_expires_at <= NOW() OR v_admin_status != 'active' THEN
+        SELECT 'error' AS status, 'SESSION_REVOKED' AS code, 'Sesi sudah berakhir, silakan login kembali' AS message;
+    ELSE
+        UPDATE admin_sessions
+        SET refresh_hash = p_new_refresh_hash,
+            previous_hash = p_refresh_hash,
+            user_agent = COALESCE(LEFT(p_user_agent, 255), user_agent),
+            ip_address = COALESCE(p_ip_address, ip_address),
+            last_seen_at = NOW(),
+            expires_at = NOW() + INTERVAL p_lifetime_minutes MINUTE
+        WHERE session_id = v_session_id AND refresh_hash = p_refresh_hash;
+
+        IF ROW_COUNT() = 0 THEN
+            -- Rotated by a concurrent request in the meantime
+            SELECT 'error' AS status, 'REFRESH_TOKEN_INVALID' AS code, 'Refresh token tidak valid' AS message;
+        ELSE
+            SELECT 'success' AS status, s.session_id, a.admin_id, a.username, a.full_name, a.email, a.role, a.locale
+            FROM admin_sessions s
+            JOIN admins a ON a.admin_id = s.admin_id
+            WHERE s.session_id = v_session_id;
+        END IF;
+    END IF;
+END //
+DELIMITER ;
+
+-- Procedure: Open sessions of an admin, most recently used first
+DROP PROCEDURE IF EXISTS sp_get_admin_sessions;
+DELIMITER //
+CREATE PROCEDURE sp_get_admin_sessions(IN p_admin_id INT)
+BEGIN
+    SELECT session_id, user_agent, ip_address, created_at, last_seen_at, expires_at
+    FROM admin_sessions
+    WHERE admin_id = p_admin_id
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+    ORDER BY last_seen_at DESC, session_id DESC;
+END //
+DELIMITER ;
+
+-- Procedure: Revoke one open session of an admin
+DROP PROCEDURE IF EXISTS sp_revoke_admin_session;
+DELIMITER //
+CREATE PROCEDURE sp_revoke_admin_session(
+    IN p_session_id INT,
+    IN p_admin_id INT
+)
+BEGIN
+    UPDATE admin_sessions
+    SET revoked_at = NOW()
+    WHERE session_id = p_session_id
+      AND admin_id = p_admin_id
+      AND revoked_at IS NULL
+      AND expires_at > NOW();
+
+    IF ROW_COUNT() = 0 THEN
+        SELECT 'error' AS status, 'SESSION_NOT_FOUND' AS code, 'Sesi tidak ditemukan' AS message;
+    ELSE
+        SELECT 'success' AS status, p_session_id AS session_id, 'Sesi berhasil diakhiri' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Procedure: Revoke every open session of an admin ("log out everywhere")
+DROP PROCEDURE IF EXISTS sp_revoke_admin_sessions;
+DELIMITER //
+CREATE PROCEDURE sp_revoke_admin_sessions(IN p_admin_id INT)
+BEGIN
+    UPDATE admin_sessions
+    SET revoked_at = NOW()
+    WHERE admin_id = p_admin_id
+      AND revoked_at IS NULL
+      AND expires_at > NOW();
+
+    SELECT ROW_COUNT() AS revoked_count;
+END //
+DELIMITER ;
+
+-- Procedure: Revoke the session of a refresh token (logout)
+DROP PROCEDURE IF EXISTS sp_revoke_session_by_token;
+DELIMITER //
+CREATE PROCEDURE sp_revoke_session_by_token(IN p_refresh_hash CHAR(64))
+BEGIN
+    UPDATE admin_sessions
+    SET revoked_at = NOW()
+    WHERE refresh_hash = p_refresh_hash
+      AND revoked_at IS NULL;
+
+    SELECT ROW_COUNT() AS revoked_count;
+END //
+DELIMITER ;
@@ -0,0 +1,7 @@
+DROP PROCEDURE IF EXISTS sp_get_login_attempts;
+DROP PROCEDURE IF EXISTS sp_unlock_login;
+DROP PROCEDURE IF EXISTS sp_lock_login;
+DROP PROCEDURE IF EXISTS sp_get_login_guard_state;
+DROP PROCEDURE IF EXISTS sp_record_login_attempt;
+DROP TABLE IF EXISTS login_lockouts;
+DROP TABLE IF EXISTS login_attempts;
@@ -0,0 +1,166 @@
+-- Login brute-force protection: every login attempt is recorded, failures
+-- per username and per client IP slow down further attempts and lock the
+-- username or IP for a while past a threshold (see services/loginGuard.js).
+-- Owners unlock accounts through POST /admins/:id/unlock, which is
+-- recorded as an 'unlocked' attempt.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    attempt_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    username VARCHAR(50) NOT NULL, -- as typed, lower-cased
+    admin_id INT NULL, -- the matching account, when there is one
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    -- success / invalid_credentials: the password was checked
+    -- throttled / locked: rejected before checking the password
+    -- unlocked: an owner lifted the lockout (failures before it no longer count)
+    result ENUM('success', 'invalid_credentials', 'throttled', 'locked', 'unlocked') NOT NULL,
+    created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    FOREIGN KEY (admin_id) REFERENCES admins(admin_id) ON DELETE SET NULL,
+    INDEX idx_attempt_username (username, created_at),
+    INDEX idx_attempt_ip (ip_address, created_at),
+    INDEX idx_attempt_created (created_at)
+);
+
+CREATE TABLE IF NOT EXISTS login_lockouts (
+    lockout_id INT AUTO_INCREMENT PRIMARY KEY,
+    scope ENUM('username', 'ip') NOT NULL,
+    subject VARCHAR(50) NOT NULL, -- lower-cased username or IP address
+    locked_until DATETIME(3) NOT NULL,
+    unlocked_at DATETIME(3) NULL,
+    unlocked_by INT NULL,
+    created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    FOREIGN KEY (unlocked_by) REFERENCES admins(admin_id) ON DELETE SET NULL,
+    INDEX idx_lockout_subject (scope, subject, locked_until)
+);
+
+-- Procedure: Record a login attempt
+DROP PROCEDURE IF EXISTS sp_record_login_attempt;
+DELIMITER //
+CREATE PROCEDURE sp_record_login_attempt(
+    IN p_username VARCHAR(50),
+    IN p_admin_id INT,
+    IN p_ip_address VARCHAR(45),
+    IN p_user_agent VARCHAR(255),
+    IN p_result VARCHAR(20)
+)
+BEGIN
+    INSERT INTO login_attempts (username, admin_id, ip_address, user_agent, result)
+    VALUES (LEFT(p_username, 50), p_admin_id, p_ip_address, LEFT(p_user_agent, 255), p_result);
+
+    SELECT LAST_INSERT_ID() AS attempt_id;
+END //
+DELIMITER ;
+
+-- Procedure: Failures and lockouts of a username and an IP address.
+-- Failures count within the last p_window_minutes; for the username only
+-- since its last successful login or unlock. Ages and lock times are in
+-- seconds from now (NULL when there is none).
+DROP PROCEDURE IF EXISTS sp_get_login_guard_state;
+DELIMITER //
+CREATE PROCEDURE sp_get_login_guard_state(
+    IN p_username VARCHAR(50),
+    IN p_ip_address VARCHAR(45),
+    IN p_window_minutes INT
+)
+BEGIN
+    DECLARE v_since DATETIME(3) DEFAULT NOW(3) - INTERVAL p_window_minutes MINUTE;
+    DECLARE v_username_since DATETIME(3);
+
+    SELECT GREATEST(v_since, COALESCE(MAX(created_at), v_since))
+    INTO v_username_since
+    FROM login_attempts
+    WHERE username = p_username AND result IN ('success', 'unlocked');
+
+    SELECT
+        (SELECT COUNT(*) FROM login_attempts
+         WHERE username = p_username AND result = 'invalid_credentials'
+           AND created_at > v_username_since) AS username_failures,
+        (SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW(3)) FROM login_attempts
+         WHERE username = p_username AND result = 'invalid_credentials'
+           AND created_at > v_username_since) AS username_failure_age,
+        (SELECT COUNT(*) FROM login_attempts
+         WHERE ip_address = p_ip_address AND result = 'invalid_credentials'
+           AND created_at > v_since) AS ip_failures,
+        (SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW(3)) FROM login_attempts
+         WHERE ip_address = p_ip_address AND result = 'invalid_credentials'
+           AND created_at > v_since) AS ip_failure_age,
+        (SELECT TIMESTAMPDIFF(SECOND, NOW(3), MAX(locked_until)) FROM login_lockouts
+         WHERE scope = 'username' AND subject = p_username
+           AND unlocked_at IS NULL AND locked_until > NOW(3)) AS username_locked_seconds,
+        (SELECT TIMESTAMPDIFF(SECOND, NOW(3), MAX(locked_until)) FROM login_lockouts
+         WHERE scope = 'ip' AND subject = p_ip_address
+           AND unlocked_at IS NULL AND locked_until > NOW(3)) AS ip_locked_seconds;
+END //
+DELIMITER ;
+
+-- Procedure: Lock a username or IP address for p_minutes
+DROP PROCEDURE IF EXISTS sp_lock_login;
+DELIMITER //
+CREATE PROCEDURE sp_lock_login(
+    IN p_scope VARCHAR(10),
+    IN p_subject VARCHAR(50),
+    IN p_minutes INT
+)
+BEGIN
+    DECLARE v_locked_until DATETIME(3) DEFAULT NOW(3) + INTERVAL p_minutes MINUTE;
+
+    INSERT INTO login_lockouts (scope, subject, locked_until)
+    VALUES (p_scope, p_subject, v_locked_until);
+
+    SELECT LAST_INSERT_ID() AS lockout_id, v_locked_until AS locked_until;
+END //
+DELIMITER ;
+
+-- Procedure: Lift the lockout of a username and reset its failure count
+DROP PROCEDURE IF EXISTS sp_unlock_login;
+DELIMITER //
+CREATE PROCEDURE sp_unlock_login(
+    IN p_username VARCHAR(50),
+    IN p_admin_id INT,
+    IN p_unlocked_by INT,
+    IN p_ip_address VARCHAR(45),
+    IN p_user_agent VARCHAR(255)
+)
+BEGIN
+    DECLARE v_unlocked INT DEFAULT 0;
+
+    UPDATE login_lockouts
+    SET unlocked_at = NOW(3), unlocked_by = p_unlocked_by
+    WHERE scope = 'username' AND subject = p_username
+      AND unlocked_at IS NULL AND locked_until > NOW(3);
+
+    SET v_unlocked = ROW_COUNT();
+
+    INSERT INTO login_attempts (username, admin_id, ip_address, user_agent, result)
+    VALUES (p_username, p_admin_id, p_ip_address, LEFT(p_user_agent, 255), 'unlocked');
+
+    SELECT v_unlocked AS unlocked_count;
+END //
+DELIMITER ;
+
+-- Procedure: Login attempts, newest first
+DROP PROCEDURE IF EXISTS sp_get_login_attempts;
+DELIMITER //
+CREATE PROCEDURE sp_get_login_attempts(
+    IN p_username VARCHAR(50),
+    IN p_ip_address VARCHAR(45),
+    IN p_result VARCHAR(20),
+    IN p_start_date DATE,
+    IN p_end_date DATE,
+    IN p_limit INT,
+    IN p_offset INT
+)
+BEGIN
+    SELECT attempt_id, username, admin_id, ip_address, user_agent, result, created_at
+    FROM login_attempts
+    WHERE (p_username IS NULL OR username = p_username)
+      AND (p_ip_address IS NULL OR ip_address = p_ip_address)
+      AND (p_result IS NULL OR result = p_result)
+      AND (p_start_date IS NULL OR created_at >= p_start_date)
+      AND (p_end_date IS NULL OR created_at < p_end_date + INTERVAL 1 DAY)
+    ORDER BY created_at DESC, attempt_id DESC
+    LIMIT p_limit OFFSET p_offset;
+END //
+DELIMITER ;
@@ -0,0 +1,6 @@
+DROP PROCEDURE IF EXISTS sp_revoke_api_keys;
+DROP PROCEDURE IF EXISTS sp_revoke_api_key;
+DROP PROCEDURE IF EXISTS sp_get_api_keys;
+DROP PROCEDURE IF EXISTS sp_touch_api_key;
+DROP PROCEDURE IF EXISTS sp_create_api_key;
+DROP TABLE IF EXISTS api_keys;
@@ -0,0 +1,122 @@
+-- API keys for integrations (POS terminals, scripts). An admin mints a named
+-- key with scopes (permission names, see config/permissions.js) and an
+-- expiry; it is sent as "Authorization: Bearer <key>" and only ever stored
+-- as its SHA-256 hash. A key acts as its admin, limited to its scopes, and
+-- stops working when it expires, is revoked or the admin is deactivated.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    key_id INT AUTO_INCREMENT PRIMARY KEY,
+    admin_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL, -- first characters of the key, to tell keys apart
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes JSON NOT NULL, -- e.g. ["bookings:read", "bookings:write"]
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    last_used_at DATETIME NULL,
+    last_used_ip VARCHAR(45) NULL,
+    revoked_at DATETIME NULL,
+
+    FOREIGN KEY (admin_id) REFERENCES admins(admin_id) ON DELETE CASCADE,
+    INDEX idx_api_key_admin (admin_id, revoked_at)
+);
+
+-- Procedure: Mint an API key
+DROP PROCEDURE IF EXISTS sp_create_api_key;
+DELIMITER //
+CREATE PROCEDURE sp_create_api_key(
+    IN p_admin_id INT,
+    IN p_name VARCHAR(100),
+    IN p_key_prefix VARCHAR(16),
+    IN p_key_hash CHAR(64),
+    IN p_scopes JSON,
+    IN p_lifetime_days INT
+)
+BEGIN
+    DECLARE v_expires_at DATETIME DEFAULT NOW() + INTERVAL p_lifetime_days DAY;
+
+    INSERT INTO api_keys (admin_id, name, key_prefix, key_hash, scopes, expires_at)
+    VALUES (p_admin_id, p_name, p_key_prefix, p_key_hash, p_scopes, v_expires_at);
+
+    SELECT 'success' AS status, LAST_INSERT_ID() AS key_id, v_expires_at AS expires_at;
+END //
+DELIMITER ;
+
+-- Procedure: Usable key with its admin, for authenticating a request.
+-- No row when the key is revoked or expired or the admin is inactive.
+-- last_used_at / last_used_ip are refreshed at most once a minute.
+DROP PROCEDURE IF EXISTS sp_touch_api_key;
+DELIMITER //
+CREATE PROCEDURE sp_touch_api_key(
+    IN p_key_hash CHAR(64),
+    IN p_ip_address VARCHAR(45)
+)
+BEGIN
+    UPDATE api_keys
+    SET last_used_at = NOW(), last_used_ip = COALESCE(p_ip_address, last_used_ip)
+    WHERE key_hash = p_key_hash
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+      AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL 1 MINUTE);
+
+    SELECT k.key_id, k.key_prefix, k.name AS key_name, k.scopes,
+           a.admin_id, a.username, a.full_name, a.email, a.role, a.locale
+    FROM api_keys k
+    JOIN admins a ON a.admin_id = k.admin_id
+    WHERE k.key_hash = p_key_hash
+      AND k.revoked_at IS NULL
+      AND k.expires_at > NOW()
+      AND a.status = 'active';
+END //
+DELIMITER ;
+
+-- Procedure: Keys of an admin that are not revoked (expired ones included),
+-- newest first
+DROP PROCEDURE IF EXISTS sp_get_api_keys;
+DELIMITER //
+CREATE PROCEDURE sp_get_api_keys(IN p_admin_id INT)
+BEGIN
+    SELECT key_id, name, key_prefix, scopes, created_at, expires_at,
+           last_used_at, last_used_ip
+    FROM api_keys
+    WHERE admin_id = p_admin_id
+      AND revoked_at IS NULL
+    ORDER BY created_at DESC, key_id DESC;
+END //
+DELIMITER ;
+
+-- Procedure: Revoke one key of an admin
+DROP PROCEDURE IF EXISTS sp_revoke_api_key;
+DELIMITER //
+CREATE PROCEDURE sp_revoke_api_key(
+    IN p_key_id INT,
+    IN p_admin_id INT
+)
+BEGIN
+    UPDATE api_keys
+    SET revoked_at = NOW()
+    WHERE key_id = p_key_id
+      AND admin_id = p_admin_id
+      AND revoked_at IS NULL;
+
+    IF ROW_COUNT() = 0 THEN
+        SELECT 'error' AS status, 'API_KEY_NOT_FOUND' AS code, 'API key tidak ditemukan' AS message;
+    ELSE
+        SELECT 'success' AS status, p_key_id AS key_id, 'API key berhasil dicabut' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Procedure: Revoke every key of an admin
+DROP PROCEDURE IF EXISTS sp_revoke_api_keys;
+DELIMITER //
+CREATE PROCEDURE sp_revoke_api_keys(IN p_admin_id INT)
+BEGIN
+    UPDATE api_keys
+    SET revoked_at = NOW()
+    WHERE admin_id = p_admin_id
+      AND revoked_at IS NULL;
+
+    SELECT ROW_COUNT() AS revoked_count;
+END //
+DELIMITER ;
@@ -0,0 +1,580 @@
+-- Holds and bookings of the same slot can no longer both succeed: every
+-- procedure that books or holds a slot locks its court row (FOR UPDATE)
+-- before checking availability, so concurrent calls for one court run one
+-- after the other. Booking a held slot directly fails with its own error
+-- (45017 SLOT_HELD), and sp_create_booking_from_hold inserts the booking
+-- before it marks the hold converted, in the same transaction.
+-- is_slot_available() reads tables and is therefore NOT DETERMINISTIC.
+
+-- Function: Slot free of bookings, closures and holds
+DROP FUNCTION IF EXISTS is_slot_available;
+DELIMITER //
+CREATE FUNCTION is_slot_available(
+    p_court_id INT,
+    p_slot_id INT,
+    p_booking_date DATE
+) RETURNS BOOLEAN
+NOT DETERMINISTIC
+READS SQL DATA
+BEGIN
+    DECLARE slot_count INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO slot_count
+    FROM bookings 
+    WHERE court_id = p_court_id 
+      AND slot_id = p_slot_id 
+      AND booking_date = p_booking_date
+      AND booking_status != 'cancelled';
+      
+    RETURN (slot_count = 0
+            AND get_closure_id(p_court_id, p_slot_id, p_booking_date) IS NULL
+            AND NOT is_slot_held(p_court_id, p_slot_id, p_booking_date));
+END //
+DELIMITER ;
+
+-- Procedure: Create New Booking
+DROP PROCEDURE IF EXISTS sp_create_booking;
+DELIMITER //
+CREATE PROCEDURE sp_create_booking(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_booking_date DATE,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_notes TEXT,
+    IN p_created_by INT
+)
+BEGIN
+    DECLARE v_price DECIMAL(10,2) DEFAULT NULL;
+    DECLARE v_booking_id INT;
+    DECLARE v_locked_court INT;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+
+    START TRANSACTION;
+    
+    -- Bookings and holds of one court wait for each other here
+    SELECT court_id INTO v_locked_court FROM courts WHERE court_id = p_court_id FOR UPDATE;
+    
+    -- Check scheduled closures before bookings
+    IF get_closure_id(p_court_id, p_slot_id, p_booking_date) IS NOT NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+    END IF;
+    
+    -- Check if slot is held (only its hold token can book it)
+    IF is_slot_held(p_court_id, p_slot_id, p_booking_date) THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sedang ditahan oleh pemesan lain', MYSQL_ERRNO = 45017;
+    END IF;
+    
+    -- Check if slot is available
+    IF NOT is_slot_available(p_court_id, p_slot_id, p_booking_date) THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk tanggal tersebut', MYSQL_ERRNO = 45001;
+    END IF;
+    
+    -- Get court price
+    SELECT price_per_session INTO v_price
+    FROM courts 
+    WHERE court_id = p_court_id AND status = 'active';
+    
+    IF v_price IS NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+    END IF;
+    
+    -- Apply pricing rules (peak, weekend, holiday...) over the court price
+    SET v_price = get_booking_price(p_court_id, p_slot_id, p_booking_date);
+    
+    -- Insert booking
+    INSERT INTO bookings (
+        court_id, slot_id, booking_date, customer_name, customer_phone,
+        total_amount, notes, created_by
+    ) VALUES (
+        p_court_id, p_slot_id, p_booking_date, p_customer_name, p_customer_phone,
+        v_price, p_notes, p_created_by
+    );
+    
+    SET v_booking_id = LAST_INSERT_ID();
+    
+    COMMIT;
+    
+    SELECT v_booking_id AS booking_id, v_price AS total_amount, 'success' AS status, 'Booking berhasil dibuat' AS message;
+END //
+DELIMITER ;
+
+-- Procedure: Create a booking from the public API.
+-- A phone may hold at most p_max_active upcoming confirmed online bookings.
+DROP PROCEDURE IF EXISTS sp_create_public_booking;
+DELIMITER //
+CREATE PROCEDURE sp_create_public_booking(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_booking_date DATE,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_code_hash CHAR(64),
+    IN p_client_ip VARCHAR(45),
+    IN p_max_active INT
+)
+BEGIN
+    DECLARE v_admin_id INT DEFAULT NULL;
+    DECLARE v_active INT DEFAULT 0;
+    DECLARE v_price DECIMAL(10,2) DEFAULT NULL;
+    DECLARE v_booking_id INT;
+    DECLARE v_locked_court INT;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+
+    SELECT admin_id INTO v_admin_id FROM admins WHERE username = 'online_booking';
+
+    SELECT COUNT(*) INTO v_active
+    FROM bookings b
+    JOIN public_bookings pb ON pb.booking_id = b.booking_id
+    WHERE b.customer_phone = p_customer_phone
+      AND b.booking_status = 'confirmed'
+      AND b.booking_date >= CURDATE();
+
+    IF v_active >= p_max_active THEN
+        SELECT 'error' AS status, 'PUBLIC_BOOKING_LIMIT' AS code, 'Terlalu banyak booking online aktif untuk nomor ini' AS message;
+    ELSE
+        START TRANSACTION;
+
+        -- Bookings and holds of one court wait for each other here
+        SELECT court_id INTO v_locked_court FROM courts WHERE court_id = p_court_id FOR UPDATE;
+
+        IF get_closure_id(p_court_id, p_slot_id, p_booking_date) IS NOT NULL THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+        END IF;
+
+        IF is_slot_held(p_court_id, p_slot_id, p_booking_date) THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sedang ditahan oleh pemesan lain', MYSQL_ERRNO = 45017;
+        END IF;
+
+        IF NOT is_slot_available(p_court_id, p_slot_id, p_booking_date) THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk tanggal tersebut', MYSQL_ERRNO = 45001;
+        END IF;
+
+        SELECT price_per_session INTO v_price
+        FROM courts
+        WHERE court_id = p_court_id AND status = 'active';
+
+        IF v_price IS NULL THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+        END IF;
+
+        SET v_price = get_booking_price(p_court_id, p_slot_id, p_booking_date);
+
+        INSERT INTO bookings (
+            court_id, slot_id, booking_date, customer_name, customer_phone,
+            total_amount, payment_status, notes, created_by
+        ) VALUES (
+            p_court_id, p_slot_id, p_booking_date, p_customer_name, p_customer_phone,
+            v_price, 'unpaid', 'Booking online', v_admin_id
+        );
+
+        SET v_booking_id = LAST_INSERT_ID();
+
+        INSERT INTO public_bookings (booking_id, code_hash, client_ip)
+        VALUES (v_booking_id, p_code_hash, p_client_ip);
+
+        COMMIT;
+
+        SELECT v_booking_id AS booking_id, v_price AS total_amount, 'success' AS status, 'Booking berhasil dibuat' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Create booking series and all its occurrences in one transaction
+-- p_skip_conflicts = TRUE skips taken dates, FALSE aborts the whole series
+DROP PROCEDURE IF EXISTS sp_create_booking_series;
+DELIMITER //
+CREATE PROCEDURE sp_create_booking_series(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_weekdays VARCHAR(20),
+    IN p_start_date DATE,
+    IN p_end_date DATE,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_notes TEXT,
+    IN p_skip_conflicts BOOLEAN,
+    IN p_created_by INT
+)
+BEGIN
+    DECLARE v_price DECIMAL(10,2) DEFAULT NULL;
+    DECLARE v_series_id INT;
+    DECLARE v_date DATE;
+    DECLARE v_created INT DEFAULT 0;
+    DECLARE v_skipped INT DEFAULT 0;
+    DECLARE v_skipped_dates TEXT DEFAULT NULL;
+    DECLARE v_message VARCHAR(255);
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+
+    START TRANSACTION;
+    
+    -- Locks the court against concurrent bookings and holds
+    SELECT price_per_session INTO v_price
+    FROM courts 
+    WHERE court_id = p_court_id AND status = 'active'
+    FOR UPDATE;
+    
+    IF v_price IS NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+    END IF;
+    
+    INSERT INTO booking_series (
+        court_id, slot_id, weekdays, start_date, end_date,
+        customer_name, customer_phone, notes, created_by
+    ) VALUES (
+        p_court_id, p_slot_id, p_weekdays, p_start_date, p_end_date,
+        p_customer_name, p_customer_phone, p_notes, p_created_by
+    );
+    
+    SET v_series_id = LAST_INSERT_ID();
+    SET v_date = p_start_date;
+    
+    WHILE v_date <= p_end_date DO
+        IF FIND_IN_SET(WEEKDAY(v_date) + 1, p_weekdays) > 0 THEN
+            IF is_slot_available(p_court_id, p_slot_id, v_date) THEN
+                INSERT INTO bookings (
+                    court_id, slot_id, booking_date, customer_name, customer_phone,
+                    total_amount, notes, created_by, series_id
+                ) VALUES (
+                    p_court_id, p_slot_id, v_date, p_customer_name, p_customer_phone,
+                    get_booking_price(p_court_id, p_slot_id, v_date), p_notes, p_created_by, v_series_id
+                );
+                SET v_created = v_created + 1;
+            ELSEIF p_skip_conflicts THEN
+                SET v_skipped = v_skipped + 1;
+                SET v_skipped_dates = CONCAT_WS(',', v_skipped_dates, DATE_FORMAT(v_date, '%Y-%m-%d'));
+            ELSE
+                SET v_message = CONCAT('Slot sudah dibooking untuk tanggal ', DATE_FORMAT(v_date, '%Y-%m-%d'));
+                SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = v_message, MYSQL_ERRNO = 45001;
+            END IF;
+        END IF;
+        SET v_date = DATE_ADD(v_date, INTERVAL 1 DAY);
+    END WHILE;
+    
+    IF v_created = 0 THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Tidak ada tanggal yang tersedia untuk series ini', MYSQL_ERRNO = 45011;
+    END IF;
+    
+    COMMIT;
+    
+    SELECT v_series_id AS series_id, v_created AS created_count, v_skipped AS skipped_count,
+           v_skipped_dates AS skipped_dates, 'success' AS status, 'Booking series berhasil dibuat' AS message;
+END //
+DELIMITER ;
+
+-- Create a reservation of consecutive slots (all or nothing)
+DROP PROCEDURE IF EXISTS sp_create_reservation;
+DELIMITER //
+CREATE PROCEDURE sp_create_reservation(
+    IN p_court_id INT,
+    IN p_slot_ids VARCHAR(255),
+    IN p_booking_date DATE,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_notes TEXT,
+    IN p_created_by INT
+)
+BEGIN
+    DECLARE v_court_status VARCHAR(20) DEFAULT NULL;
+    DECLARE v_reservation_id INT;
+    DECLARE v_ordered TEXT;
+    DECLARE v_slot_id INT;
+    DECLARE v_i INT DEFAULT 1;
+    DECLARE v_count INT DEFAULT 0;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    START TRANSACTION;
+    
+    -- Locks the court against concurrent bookings and holds
+    SELECT status INTO v_court_status FROM courts WHERE court_id = p_court_id FOR UPDATE;
+    
+    IF v_court_status IS NULL OR v_court_status != 'active' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+    END IF;
+    
+    CALL sp_validate_slot_range(p_slot_ids);
+    
+    SELECT GROUP_CONCAT(slot_id ORDER BY start_time), COUNT(*) INTO v_ordered, v_count
+    FROM time_slots WHERE FIND_IN_SET(slot_id, p_slot_ids) > 0;
+    
+    INSERT INTO reservations (court_id, booking_date, customer_name, customer_phone, notes, created_by)
+    VALUES (p_court_id, p_booking_date, p_customer_name, p_customer_phone, p_notes, p_created_by);
+    
+    SET v_reservation_id = LAST_INSERT_ID();
+    
+    WHILE v_i <= v_count DO
+        SET v_slot_id = CAST(SUBSTRING_INDEX(SUBSTRING_INDEX(v_ordered, ',', v_i), ',', -1) AS UNSIGNED);
+        
+        IF get_closure_id(p_court_id, v_slot_id, p_booking_date) IS NOT NULL THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+        END IF;
+        
+        IF NOT is_slot_available(p_court_id, v_slot_id, p_booking_date) THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk tanggal tersebut', MYSQL_ERRNO = 45001;
+        END IF;
+        
+        INSERT INTO bookings (
+            court_id, slot_id, booking_date, customer_name, customer_phone,
+            total_amount, notes, created_by, reservation_id
+        ) VALUES (
+            p_court_id, v_slot_id, p_booking_date, p_customer_name, p_customer_phone,
+            get_booking_price(p_court_id, v_slot_id, p_booking_date),
+            p_notes, p_created_by, v_reservation_id
+        );
+        
+        SET v_i = v_i + 1;
+    END WHILE;
+    
+    UPDATE reservations
+    SET total_amount = (SELECT SUM(total_amount) FROM bookings WHERE reservation_id = v_reservation_id)
+    WHERE reservation_id = v_reservation_id;
+    
+    COMMIT;
+    
+    SELECT v_reservation_id AS reservation_id,
+           (SELECT total_amount FROM reservations WHERE reservation_id = v_reservation_id) AS total_amount,
+           'success' AS status, 'Reservasi berhasil dibuat' AS message;
+END //
+DELIMITER ;
+
+-- Convert an open offer into a booking on the offered court
+DROP PROCEDURE IF EXISTS sp_accept_waitlist_offer;
+DELIMITER //
+CREATE PROCEDURE sp_accept_waitlist_offer(
+    IN p_waitlist_id INT,
+    IN p_created_by INT
+)
+BEGIN
+    DECLARE v_status VARCHAR(20) DEFAULT NULL;
+    DECLARE v_court_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE v_date DATE;
+    DECLARE v_booking_id INT;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    CALL sp_expire_waitlist_offers(@expired_count);
+    
+    START TRANSACTION;
+    
+    SELECT status, offered_court_id, slot_id, booking_date
+    INTO v_status, v_court_id, v_slot_id, v_date
+    FROM waitlist_entries
+    WHERE waitlist_id = p_waitlist_id
+    FOR UPDATE;
+    
+    IF v_status IS NULL THEN
+        ROLLBACK;
+        SELECT 'error' as status, 'WAITLIST_ENTRY_NOT_FOUND' as code, 'Waitlist tidak ditemukan' as message;
+    ELSEIF v_status != 'offered' THEN
+        ROLLBACK;
+        SELECT 'error' as status, 'NO_ACTIVE_OFFER' as code, CONCAT('Tidak ada penawaran aktif (status: ', v_status, ')') as message;
+    ELSE
+        -- Locks the offered court against concurrent bookings and holds
+        SELECT court_id INTO v_court_id FROM courts WHERE court_id = v_court_id FOR UPDATE;
+        
+        IF NOT is_slot_available(v_court_id, v_slot_id, v_date) THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk tanggal tersebut', MYSQL_ERRNO = 45001;
+        END IF;
+        
+        INSERT INTO bookings (
+            court_id, slot_id, booking_date, customer_id, customer_name, customer_phone,
+            total_amount, notes, created_by
+        )
+        SELECT v_court_id, v_slot_id, v_date, customer_id, customer_name, customer_phone,
+               get_booking_price(v_court_id, v_slot_id, v_date), notes, p_created_by
+        FROM waitlist_entries
+        WHERE waitlist_id = p_waitlist_id;
+        
+        SET v_booking_id = LAST_INSERT_ID();
+        
+        UPDATE waitlist_entries
+        SET status = 'booked', booking_id = v_booking_id
+        WHERE waitlist_id = p_waitlist_id;
+        
+        COMMIT;
+        
+        SELECT v_booking_id as booking_id,
+               (SELECT total_amount FROM bookings WHERE booking_id = v_booking_id) as total_amount,
+               'success' as status, 'Penawaran waitlist diterima, booking dibuat' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Procedure: Hold a free slot for p_minutes
+DROP PROCEDURE IF EXISTS sp_create_slot_hold;
+DELIMITER //
+CREATE PROCEDURE sp_create_slot_hold(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_booking_date DATE,
+    IN p_minutes INT,
+    IN p_token_hash CHAR(64),
+    IN p_created_by INT,
+    IN p_client_ip VARCHAR(45)
+)
+BEGIN
+    DECLARE v_hold_id INT;
+    DECLARE v_expires_at DATETIME DEFAULT NOW() + INTERVAL p_minutes MINUTE;
+    DECLARE v_locked_court INT;
+    DECLARE v_code VARCHAR(30) DEFAULT NULL;
+    DECLARE v_message VARCHAR(255);
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+
+    START TRANSACTION;
+
+    -- Bookings and holds of one court wait for each other here
+    SELECT court_id INTO v_locked_court FROM courts WHERE court_id = p_court_id FOR UPDATE;
+
+    -- Expired holds of this slot give way (the release job may not have run yet)
+    UPDATE slot_holds
+    SET status = 'expired'
+    WHERE court_id = p_court_id AND slot_id = p_slot_id AND booking_date = p_booking_date
+      AND status = 'active' AND expires_at <= NOW();
+
+    IF NOT EXISTS (SELECT 1 FROM courts WHERE court_id = p_court_id AND status = 'active') THEN
+        SET v_code = 'COURT_INACTIVE', v_message = 'Lapangan tidak ditemukan atau tidak aktif';
+    ELSEIF NOT EXISTS (SELECT 1 FROM time_slots WHERE slot_id = p_slot_id AND status = 'active') THEN
+        SET v_code = 'SLOT_INACTIVE', v_message = 'Slot waktu tidak ditemukan atau tidak aktif';
+    ELSEIF p_booking_date < CURDATE() THEN
+        SET v_code = 'BOOKING_DATE_IN_PAST', v_message = 'Tanggal booking tidak boleh tanggal lampau';
+    ELSEIF get_closure_id(p_court_id, p_slot_id, p_booking_date) IS NOT NULL THEN
+        SET v_code = 'COURT_CLOSED', v_message = 'Lapangan ditutup pada waktu tersebut';
+    ELSEIF is_slot_held(p_court_id, p_slot_id, p_booking_date) THEN
+        SET v_code = 'SLOT_HELD', v_message = 'Slot sedang ditahan oleh pemesan lain';
+    ELSEIF NOT is_slot_available(p_court_id, p_slot_id, p_booking_date) THEN
+        SET v_code = 'SLOT_ALREADY_BOOKED', v_message = 'Slot sudah dibooking untuk tanggal tersebut';
+    ELSE
+        INSERT INTO slot_holds (court_id, slot_id, booking_date, token_hash, expires_at, created_by, client_ip)
+        VALUES (p_court_id, p_slot_id, p_booking_date, p_token_hash, v_expires_at, p_created_by, p_client_ip);
+
+        SET v_hold_id = LAST_INSERT_ID();
+    END IF;
+
+    -- Also keeps the expired holds given way above
+    COMMIT;
+
+    IF v_code IS NOT NULL THEN
+        SELECT 'error' AS status, v_code AS code, v_message AS message;
+    ELSE
+        SELECT 'success' AS status, v_hold_id AS hold_id, v_expires_at AS expires_at, 'Slot berhasil ditahan' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Procedure: Turn a hold into a booking.
+-- The hold keeps the slot free of other bookings, so only an unknown,
+-- used or expired hold (or the online booking limit) can stop it.
+-- p_code_hash given = online booking: booked by the online_booking account,
+-- confirmation code recorded and p_max_active upcoming bookings per phone.
+DROP PROCEDURE IF EXISTS sp_create_booking_from_hold;
+DELIMITER //
+CREATE PROCEDURE sp_create_booking_from_hold(
+    IN p_token_hash CHAR(64),
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_notes TEXT,
+    IN p_created_by INT,
+    IN p_code_hash CHAR(64),
+    IN p_client_ip VARCHAR(45),
+    IN p_max_active INT
+)
+BEGIN
+    DECLARE v_hold_id INT DEFAULT NULL;
+    DECLARE v_court_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE v_date DATE;
+    DECLARE v_status VARCHAR(20);
+    DECLARE v_expires_at DATETIME;
+    DECLARE v_created_by INT DEFAULT p_created_by;
+    DECLARE v_active INT DEFAULT 0;
+    DECLARE v_price DECIMAL(10,2);
+    DECLARE v_booking_id INT;
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+
+    IF p_code_hash IS NOT NULL THEN
+        SELECT admin_id INTO v_created_by FROM admins WHERE username = 'online_booking';
+
+        SELECT COUNT(*) INTO v_active
+        FROM bookings b
+        JOIN public_bookings pb ON pb.booking_id = b.booking_id
+        WHERE b.customer_phone = p_customer_phone
+          AND b.booking_status = 'confirmed'
+          AND b.booking_date >= CURDATE();
+    END IF;
+
+    START TRANSACTION;
+
+    SELECT hold_id, court_id, slot_id, booking_date, status, expires_at
+    INTO v_hold_id, v_court_id, v_slot_id, v_date, v_status, v_expires_at
+    FROM slot_holds
+    WHERE token_hash = p_token_hash
+    FOR UPDATE;
+
+    IF v_hold_id IS NULL OR v_status != 'active' THEN
+        ROLLBACK;
+        SELECT 'error' AS status, 'HOLD_NOT_FOUND' AS code, 'Hold tidak ditemukan atau sudah dipakai' AS message;
+    ELSEIF v_expires_at <= NOW() THEN
+        UPDATE slot_holds SET status = 'expired' WHERE hold_id = v_hold_id;
+        COMMIT;
+        SELECT 'error' AS status, 'HOLD_EXPIRED' AS code, 'Waktu hold sudah habis' AS message;
+    ELSEIF p_code_hash IS NOT NULL AND v_active >= p_max_active THEN
+        ROLLBACK;
+        SELECT 'error' AS status, 'PUBLIC_BOOKING_LIMIT' AS code, 'Terlalu banyak booking online aktif untuk nomor ini' AS message;
+    ELSE
+        SET v_price = get_booking_price(v_court_id, v_slot_id, v_date);
+
+        INSERT INTO bookings (
+            court_id, slot_id, booking_date, customer_name, customer_phone,
+            total_amount, notes, created_by
+        ) VALUES (
+            v_court_id, v_slot_id, v_date, p_customer_name, p_customer_phone,
+            v_price, p_notes, v_created_by
+        );
+
+        SET v_booking_id = LAST_INSERT_ID();
+
+        -- Converted only once the booking exists; a failed insert rolls back
+        -- and leaves the hold active
+        UPDATE slot_holds
+        SET status = 'converted', booking_id = v_booking_id
+        WHERE hold_id = v_hold_id;
+
+        IF p_code_hash IS NOT NULL THEN
+            INSERT INTO public_bookings (booking_id, code_hash, client_ip)
+            VALUES (v_booking_id, p_code_hash, p_client_ip);
+        END IF;
+
+        COMMIT;
+
+        SELECT v_booking_id AS booking_id, v_price AS total_amount, 'success' AS status, 'Booking berhasil dibuat' AS message;
+    END IF;
+END //
+DELIMITER ;
@@ -0,0 +1,44 @@
+-- Restores the trigger that replaced a 0.00 total_amount with the court price
+
+DROP TRIGGER IF EXISTS tr_validate_booking_insert;
+DELIMITER //
+CREATE TRIGGER tr_validate_booking_insert
+    BEFORE INSERT ON bookings
+    FOR EACH ROW
+BEGIN
+    -- Validate booking date (tidak boleh tanggal lampau)
+    IF NEW.booking_date < CURDATE() THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Tanggal booking tidak boleh tanggal lampau', MYSQL_ERRNO = 45004;
+    END IF;
+    
+    -- Validate court status
+    IF (SELECT status FROM courts WHERE court_id = NEW.court_id) != 'active' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak aktif', MYSQL_ERRNO = 45002;
+    END IF;
+    
+    -- Validate time slot status
+    IF (SELECT status FROM time_slots WHERE slot_id = NEW.slot_id) != 'active' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot waktu tidak aktif', MYSQL_ERRNO = 45005;
+    END IF;
+    
+    -- Validate scheduled closures
+    IF get_closure_id(NEW.court_id, NEW.slot_id, NEW.booking_date) IS NOT NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+    END IF;
+    
+    -- Validate customer name
+    IF NEW.customer_name IS NULL OR TRIM(NEW.customer_name) = '' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Nama customer harus diisi', MYSQL_ERRNO = 45016;
+    END IF;
+    
+    -- Link to customer record by (normalised) phone
+    IF NEW.customer_id IS NULL AND NEW.customer_phone IS NOT NULL THEN
+        SET NEW.customer_id = (SELECT customer_id FROM customers WHERE phone = NEW.customer_phone);
+    END IF;
+    
+    -- Set total amount based on court price if not provided
+    IF NEW.total_amount = 0.00 THEN
+        SET NEW.total_amount = (SELECT price_per_session FROM courts WHERE court_id = NEW.court_id);
+    END IF;
+END //
+DELIMITER ;
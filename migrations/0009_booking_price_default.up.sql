@@ -0,0 +1,50 @@
+-- tr_validate_booking_insert only prices a booking inserted with a NULL
+-- total_amount. It used to replace 0.00 with the court price, overriding
+-- free bookings priced by get_booking_price(). Every procedure that inserts
+-- bookings passes get_booking_price() itself; an insert that leaves
+-- total_amount out still gets the column default.
+
+-- Trigger: Validate booking before insert
+DROP TRIGGER IF EXISTS tr_validate_booking_insert;
+DELIMITER //
+CREATE TRIGGER tr_validate_booking_insert
+    BEFORE INSERT ON bookings
+    FOR EACH ROW
+BEGIN
+    -- Validate booking date (tidak boleh tanggal lampau)
+    IF NEW.booking_date < CURDATE() THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Tanggal booking tidak boleh tanggal lampau', MYSQL_ERRNO = 45004;
+    END IF;
+    
+    -- Validate court status
+    IF (SELECT status FROM courts WHERE court_id = NEW.court_id) != 'active' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak aktif', MYSQL_ERRNO = 45002;
+    END IF;
+    
+    -- Validate time slot status
+    IF (SELECT status FROM time_slots WHERE slot_id = NEW.slot_id) != 'active' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot waktu tidak aktif', MYSQL_ERRNO = 45005;
+    END IF;
+    
+    -- Validate scheduled closures
+    IF get_closure_id(NEW.court_id, NEW.slot_id, NEW.booking_date) IS NOT NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+    END IF;
+    
+    -- Validate customer name
+    IF NEW.customer_name IS NULL OR TRIM(NEW.customer_name) = '' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Nama customer harus diisi', MYSQL_ERRNO = 45016;
+    END IF;
+    
+    -- Link to customer record by (normalised) phone
+    IF NEW.customer_id IS NULL AND NEW.customer_phone IS NOT NULL THEN
+        SET NEW.customer_id = (SELECT customer_id FROM customers WHERE phone = NEW.customer_phone);
+    END IF;
+    
+    -- Price the booking (court price and pricing rules) only when no amount
+    -- is given; 0.00 is a valid price
+    IF NEW.total_amount IS NULL THEN
+        SET NEW.total_amount = get_booking_price(NEW.court_id, NEW.slot_id, NEW.booking_date);
+    END IF;
+END //
+DELIMITER ;
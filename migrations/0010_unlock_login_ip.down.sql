@@ -0,0 +1,65 @@
+-- Restores the unlock that only covered usernames
+
+DROP PROCEDURE IF EXISTS sp_get_login_guard_state;
+DELIMITER //
+CREATE PROCEDURE sp_get_login_guard_state(
+    IN p_username VARCHAR(50),
+    IN p_ip_address VARCHAR(45),
+    IN p_window_minutes INT
+)
+BEGIN
+    DECLARE v_since DATETIME(3) DEFAULT NOW(3) - INTERVAL p_window_minutes MINUTE;
+    DECLARE v_username_since DATETIME(3);
+
+    SELECT GREATEST(v_since, COALESCE(MAX(created_at), v_since))
+    INTO v_username_since
+    FROM login_attempts
+    WHERE username = p_username AND result IN ('success', 'unlocked');
+
+    SELECT
+        (SELECT COUNT(*) FROM login_attempts
+         WHERE username = p_username AND result = 'invalid_credentials'
+           AND created_at > v_username_since) AS username_failures,
+        (SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW(3)) FROM login_attempts
+         WHERE username = p_username AND result = 'invalid_credentials'
+           AND created_at > v_username_since) AS username_failure_age,
+        (SELECT COUNT(*) FROM login_attempts
+         WHERE ip_address = p_ip_address AND result = 'invalid_credentials'
+           AND created_at > v_since) AS ip_failures,
+        (SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW(3)) FROM login_attempts
+         WHERE ip_address = p_ip_address AND result = 'invalid_credentials'
+           AND created_at > v_since) AS ip_failure_age,
+        (SELECT TIMESTAMPDIFF(SECOND, NOW(3), MAX(locked_until)) FROM login_lockouts
+         WHERE scope = 'username' AND subject = p_username
+           AND unlocked_at IS NULL AND locked_until > NOW(3)) AS username_locked_seconds,
+        (SELECT TIMESTAMPDIFF(SECOND, NOW(3), MAX(locked_until)) FROM login_lockouts
+         WHERE scope = 'ip' AND subject = p_ip_address
+           AND unlocked_at IS NULL AND locked_until > NOW(3)) AS ip_locked_seconds;
+END //
+DELIMITER ;
+
+DROP PROCEDURE IF EXISTS sp_unlock_login;
+DELIMITER //
+CREATE PROCEDURE sp_unlock_login(
+    IN p_username VARCHAR(50),
+    IN p_admin_id INT,
+    IN p_unlocked_by INT,
+    IN p_ip_address VARCHAR(45),
+    IN p_user_agent VARCHAR(255)
+)
+BEGIN
+    DECLARE v_unlocked INT DEFAULT 0;
+
+    UPDATE login_lockouts
+    SET unlocked_at = NOW(3), unlocked_by = p_unlocked_by
+    WHERE scope = 'username' AND subject = p_username
+      AND unlocked_at IS NULL AND locked_until > NOW(3);
+
+    SET v_unlocked = ROW_COUNT();
+
+    INSERT INTO login_attempts (username, admin_id, ip_address, user_agent, result)
+    VALUES (p_username, p_admin_id, p_ip_address, LEFT(p_user_agent, 255), 'unlocked');
+
+    SELECT v_unlocked AS unlocked_count;
+END //
+DELIMITER ;
@@ -0,0 +1,100 @@
+-- Unlocking an admin can also reset the client IP its failed logins came
+-- from (POST /admins/:id/unlock with ip_address): the IP's lockout is lifted
+-- and its failures before that no longer count, like a username's failures
+-- before an unlock.
+
+-- Procedure: Failures and lockouts of a username and an IP address.
+-- Failures count within the last p_window_minutes; for the username only
+-- since its last successful login or unlock, for the IP only since its last
+-- lifted lockout. Ages and lock times are in seconds from now (NULL when
+-- there is none).
+DROP PROCEDURE IF EXISTS sp_get_login_guard_state;
+DELIMITER //
+CREATE PROCEDURE sp_get_login_guard_state(
+    IN p_username VARCHAR(50),
+    IN p_ip_address VARCHAR(45),
+    IN p_window_minutes INT
+)
+BEGIN
+    DECLARE v_since DATETIME(3) DEFAULT NOW(3) - INTERVAL p_window_minutes MINUTE;
+    DECLARE v_username_since DATETIME(3);
+    DECLARE v_ip_since DATETIME(3);
+
+    SELECT GREATEST(v_since, COALESCE(MAX(created_at), v_since))
+    INTO v_username_since
+    FROM login_attempts
+    WHERE username = p_username AND result IN ('success', 'unlocked');
+
+    SELECT GREATEST(v_since, COALESCE(MAX(unlocked_at), v_since))
+    INTO v_ip_since
+    FROM login_lockouts
+    WHERE scope = 'ip' AND subject = p_ip_address AND unlocked_at IS NOT NULL;
+
+    SELECT
+        (SELECT COUNT(*) FROM login_attempts
+         WHERE username = p_username AND result = 'invalid_credentials'
+           AND created_at > v_username_since) AS username_failures,
+        (SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW(3)) FROM login_attempts
+         WHERE username = p_username AND result = 'invalid_credentials'
+           AND created_at > v_username_since) AS username_failure_age,
+        (SELECT COUNT(*) FROM login_attempts
+         WHERE ip_address = p_ip_address AND result = 'invalid_credentials'
+           AND created_at > v_ip_since) AS ip_failures,
+        (SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW(3)) FROM login_attempts
+         WHERE ip_address = p_ip_address AND result = 'invalid_credentials'
+           AND created_at > v_ip_since) AS ip_failure_age,
+        (SELECT TIMESTAMPDIFF(SECOND, NOW(3), MAX(locked_until)) FROM login_lockouts
+         WHERE scope = 'username' AND subject = p_username
+           AND unlocked_at IS NULL AND locked_until > NOW(3)) AS username_locked_seconds,
+        (SELECT TIMESTAMPDIFF(SECOND, NOW(3), MAX(locked_until)) FROM login_lockouts
+         WHERE scope = 'ip' AND subject = p_ip_address
+           AND unlocked_at IS NULL AND locked_until > NOW(3)) AS ip_locked_seconds;
+END //
+DELIMITER ;
+
+-- Procedure: Lift the lockout of a username and reset its failure count;
+-- p_reset_ip given: the same for that IP address
+DROP PROCEDURE IF EXISTS sp_unlock_login;
+DELIMITER //
+CREATE PROCEDURE sp_unlock_login(
+    IN p_username VARCHAR(50),
+    IN p_admin_id INT,
+    IN p_unlocked_by INT,
+    IN p_ip_address VARCHAR(45),
+    IN p_user_agent VARCHAR(255),
+    IN p_reset_ip VARCHAR(45)
+)
+BEGIN
+    DECLARE v_unlocked INT DEFAULT 0;
+    DECLARE v_ip_unlocked INT DEFAULT 0;
+
+    UPDATE login_lockouts
+    SET unlocked_at = NOW(3), unlocked_by = p_unlocked_by
+    WHERE scope = 'username' AND subject = p_username
+      AND unlocked_at IS NULL AND locked_until > NOW(3);
+
+    SET v_unlocked = ROW_COUNT();
+
+    IF p_reset_ip IS NOT NULL THEN
+        UPDATE login_lockouts
+        SET unlocked_at = NOW(3), unlocked_by = p_unlocked_by
+        WHERE scope = 'ip' AND subject = p_reset_ip
+          AND unlocked_at IS NULL AND locked_until > NOW(3);
+
+        SET v_ip_unlocked = ROW_COUNT();
+        SET v_unlocked = v_unlocked + v_ip_unlocked;
+
+        -- A throttled IP that was not locked yet gets a lockout lifted at
+        -- once: IP failures count from the last lifted lockout
+        IF v_ip_unlocked = 0 THEN
+            INSERT INTO login_lockouts (scope, subject, locked_until, unlocked_at, unlocked_by)
+            VALUES ('ip', p_reset_ip, NOW(3), NOW(3), p_unlocked_by);
+        END IF;
+    END IF;
+
+    INSERT INTO login_attempts (username, admin_id, ip_address, user_agent, result)
+    VALUES (p_username, p_admin_id, p_ip_address, LEFT(p_user_agent, 255), 'unlocked');
+
+    SELECT v_unlocked AS unlocked_count;
+END //
+DELIMITER ;
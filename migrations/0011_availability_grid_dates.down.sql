@@ -0,0 +1,64 @@
+-- Restores the grid that returned raw DATE values
+
+DROP PROCEDURE IF EXISTS sp_get_availability_grid;
+DELIMITER //
+CREATE PROCEDURE sp_get_availability_grid(
+    IN p_start_date DATE,
+    IN p_end_date DATE,
+    IN p_court_ids VARCHAR(255)
+)
+BEGIN
+    WITH RECURSIVE grid_dates (booking_date) AS (
+        SELECT p_start_date
+        UNION ALL
+        SELECT DATE_ADD(booking_date, INTERVAL 1 DAY)
+        FROM grid_dates
+        WHERE booking_date < p_end_date
+    )
+    SELECT 
+        c.court_id,
+        c.court_name,
+        c.status as court_status,
+        gd.booking_date,
+        ts.slot_id,
+        ts.slot_name,
+        TIME_FORMAT(ts.start_time, '%H:%i') as start_time,
+        TIME_FORMAT(ts.end_time, '%H:%i') as end_time,
+        CASE WHEN b.booking_id IS NOT NULL THEN 1 ELSE 0 END as is_booked,
+        b.booking_id,
+        b.reservation_id,
+        b.series_id,
+        b.customer_id,
+        b.customer_name,
+        b.customer_phone,
+        b.payment_status,
+        b.booking_status,
+        cc.closure_id,
+        cc.reason as closure_reason,
+        is_slot_held(c.court_id, ts.slot_id, gd.booking_date) as is_held
+    FROM courts c
+    CROSS JOIN grid_dates gd
+    CROSS JOIN time_slots ts
+    LEFT JOIN bookings b ON (
+        b.court_id = c.court_id
+        AND b.slot_id = ts.slot_id
+        AND b.booking_date = gd.booking_date
+        AND b.booking_status != 'cancelled'
+    )
+    LEFT JOIN court_closures cc ON cc.closure_id = (
+        SELECT cx.closure_id
+        FROM court_closures cx
+        WHERE (cx.court_id IS NULL OR cx.court_id = c.court_id)
+          AND cx.start_datetime < TIMESTAMP(gd.booking_date, ts.end_time)
+          AND cx.end_datetime > TIMESTAMP(gd.booking_date, ts.start_time)
+        ORDER BY cx.start_datetime ASC, cx.closure_id ASC
+        LIMIT 1
+    )
+    WHERE ts.status = 'active'
+      AND (
+          (p_court_ids IS NULL AND c.status != 'inactive')
+          OR FIND_IN_SET(c.court_id, p_court_ids) > 0
+      )
+    ORDER BY c.court_name ASC, gd.booking_date ASC, ts.start_time ASC;
+END //
+DELIMITER ;
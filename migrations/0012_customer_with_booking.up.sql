@@ -0,0 +1,280 @@
+-- Customers are created by the statement that books them instead of ahead
+-- of it: tr_validate_booking_insert creates the customer of a booking it
+-- links by phone, and sp_create_waitlist_entry, sp_update_booking_details
+-- and sp_update_booking_series do the same for the entry or details they
+-- write. A rejected booking no longer leaves a customer without bookings.
+-- sp_update_booking_series now also links its bookings to that customer.
+-- sp_get_customer_by_phone looks the customer up afterwards.
+
+DROP TRIGGER IF EXISTS tr_validate_booking_insert;
+DELIMITER //
+CREATE TRIGGER tr_validate_booking_insert
+    BEFORE INSERT ON bookings
+    FOR EACH ROW
+BEGIN
+    -- Validate booking date (tidak boleh tanggal lampau)
+    IF NEW.booking_date < CURDATE() THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Tanggal booking tidak boleh tanggal lampau', MYSQL_ERRNO = 45004;
+    END IF;
+    
+    -- Validate court status
+    IF (SELECT status FROM courts WHERE court_id = NEW.court_id) != 'active' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak aktif', MYSQL_ERRNO = 45002;
+    END IF;
+    
+    -- Validate time slot status
+    IF (SELECT status FROM time_slots WHERE slot_id = NEW.slot_id) != 'active' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot waktu tidak aktif', MYSQL_ERRNO = 45005;
+    END IF;
+    
+    -- Validate scheduled closures
+    IF get_closure_id(NEW.court_id, NEW.slot_id, NEW.booking_date) IS NOT NULL THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan ditutup pada waktu tersebut', MYSQL_ERRNO = 45003;
+    END IF;
+    
+    -- Validate customer name
+    IF NEW.customer_name IS NULL OR TRIM(NEW.customer_name) = '' THEN
+        SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Nama customer harus diisi', MYSQL_ERRNO = 45016;
+    END IF;
+    
+    -- Link to the customer record by (normalised) phone, creating it when
+    -- missing; a booking that is not inserted takes it back with it
+    IF NEW.customer_id IS NULL AND NEW.customer_phone IS NOT NULL THEN
+        INSERT INTO customers (full_name, phone)
+        VALUES (NEW.customer_name, NEW.customer_phone)
+        ON DUPLICATE KEY UPDATE customer_id = customer_id;
+        SET NEW.customer_id = (SELECT customer_id FROM customers WHERE phone = NEW.customer_phone);
+    END IF;
+    
+    -- Price the booking (court price and pricing rules) only when no amount
+    -- is given; 0.00 is a valid price
+    IF NEW.total_amount IS NULL THEN
+        SET NEW.total_amount = get_booking_price(NEW.court_id, NEW.slot_id, NEW.booking_date);
+    END IF;
+END //
+DELIMITER ;
+
+-- Join the waitlist for a taken slot (court_id NULL = any court)
+DROP PROCEDURE IF EXISTS sp_create_waitlist_entry;
+DELIMITER //
+CREATE PROCEDURE sp_create_waitlist_entry(
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_booking_date DATE,
+    IN p_customer_id INT,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_notes TEXT,
+    IN p_offer_minutes INT,
+    IN p_created_by INT
+)
+BEGIN
+    DECLARE v_free_courts INT DEFAULT 0;
+    DECLARE v_customer_id INT DEFAULT p_customer_id;
+    
+    IF p_booking_date < CURDATE() THEN
+        SELECT 'error' as status, 'BOOKING_DATE_IN_PAST' as code, 'Tanggal booking tidak boleh tanggal lampau' as message;
+    ELSEIF NOT EXISTS (SELECT 1 FROM time_slots WHERE slot_id = p_slot_id AND status = 'active') THEN
+        SELECT 'error' as status, 'SLOT_INACTIVE' as code, 'Slot waktu tidak ditemukan atau tidak aktif' as message;
+    ELSEIF p_court_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM courts WHERE court_id = p_court_id) THEN
+        SELECT 'error' as status, 'COURT_NOT_FOUND' as code, 'Lapangan tidak ditemukan' as message;
+    ELSEIF EXISTS (
+        SELECT 1 FROM waitlist_entries
+        WHERE customer_phone = p_customer_phone AND slot_id = p_slot_id
+          AND booking_date = p_booking_date AND court_id <=> p_court_id
+          AND status IN ('waiting', 'offered')
+    ) THEN
+        SELECT 'error' as status, 'ALREADY_ON_WAITLIST' as code, 'Customer sudah ada di waitlist slot ini' as message;
+    ELSE
+        SELECT COUNT(*) INTO v_free_courts
+        FROM courts c
+        WHERE c.status = 'active'
+          AND (p_court_id IS NULL OR c.court_id = p_court_id)
+          AND is_slot_available(c.court_id, p_slot_id, p_booking_date);
+        
+        IF v_free_courts > 0 THEN
+            SELECT 'error' as status, 'SLOT_STILL_AVAILABLE' as code, 'Slot masih tersedia, silakan booking langsung' as message;
+        ELSE
+            IF v_customer_id IS NULL THEN
+                INSERT INTO customers (full_name, phone)
+                VALUES (p_customer_name, p_customer_phone)
+                ON DUPLICATE KEY UPDATE customer_id = customer_id;
+                SELECT customer_id INTO v_customer_id
+                FROM customers WHERE phone = p_customer_phone;
+            END IF;
+            
+            INSERT INTO waitlist_entries (
+                court_id, slot_id, booking_date, customer_id, customer_name,
+                customer_phone, notes, offer_minutes, created_by
+            ) VALUES (
+                p_court_id, p_slot_id, p_booking_date, v_customer_id, p_customer_name,
+                p_customer_phone, p_notes, p_offer_minutes, p_created_by
+            );
+            
+            SELECT LAST_INSERT_ID() as waitlist_id,
+                   (SELECT COUNT(*) FROM waitlist_entries
+                    WHERE status = 'waiting' AND slot_id = p_slot_id AND booking_date = p_booking_date
+                      AND (court_id IS NULL OR p_court_id IS NULL OR court_id = p_court_id)) as position,
+                   'success' as status, 'Customer ditambahkan ke waitlist' as message;
+        END IF;
+    END IF;
+END //
+DELIMITER ;
+
+-- Update booking details (not status)
+DROP PROCEDURE IF EXISTS sp_update_booking_details;
+DELIMITER //
+CREATE PROCEDURE sp_update_booking_details(
+    IN p_booking_id INT,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_notes TEXT,
+    IN p_updated_by INT
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    
+    SELECT COUNT(*) INTO v_exists FROM bookings WHERE booking_id = p_booking_id;
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' as status, 'BOOKING_NOT_FOUND' as code, 'Booking not found' as message;
+    ELSE
+        IF p_customer_name IS NOT NULL AND p_customer_phone IS NOT NULL THEN
+            INSERT INTO customers (full_name, phone)
+            VALUES (p_customer_name, p_customer_phone)
+            ON DUPLICATE KEY UPDATE customer_id = customer_id;
+        END IF;
+        
+        UPDATE bookings 
+        SET 
+            customer_name = COALESCE(p_customer_name, customer_name),
+            customer_phone = COALESCE(p_customer_phone, customer_phone),
+            customer_id = COALESCE((SELECT customer_id FROM customers WHERE phone = p_customer_phone), customer_id),
+            notes = COALESCE(p_notes, notes),
+            updated_by = p_updated_by,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE booking_id = p_booking_id;
+        
+        SELECT 'success' as status, 'Booking updated successfully' as message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Edit remaining occurrences of a series (from p_from_date onwards)
+-- Moving to another court/slot aborts when any remaining date is taken
+DROP PROCEDURE IF EXISTS sp_update_booking_series;
+DELIMITER //
+CREATE PROCEDURE sp_update_booking_series(
+    IN p_series_id INT,
+    IN p_from_date DATE,
+    IN p_court_id INT,
+    IN p_slot_id INT,
+    IN p_customer_name VARCHAR(100),
+    IN p_customer_phone VARCHAR(20),
+    IN p_notes TEXT,
+    IN p_updated_by INT
+)
+BEGIN
+    DECLARE v_exists INT DEFAULT 0;
+    DECLARE v_court_id INT;
+    DECLARE v_slot_id INT;
+    DECLARE v_price DECIMAL(10,2) DEFAULT NULL;
+    DECLARE v_conflicts INT DEFAULT 0;
+    DECLARE v_updated INT DEFAULT 0;
+    DECLARE v_from_date DATE DEFAULT COALESCE(p_from_date, CURDATE());
+    DECLARE EXIT HANDLER FOR SQLEXCEPTION
+    BEGIN
+        ROLLBACK;
+        RESIGNAL;
+    END;
+    
+    SELECT COUNT(*) INTO v_exists 
+    FROM booking_series WHERE series_id = p_series_id AND status = 'active';
+    
+    IF v_exists = 0 THEN
+        SELECT 'error' AS status, 'SERIES_NOT_FOUND' AS code, 'Booking series tidak ditemukan atau sudah dibatalkan' AS message;
+    ELSE
+        START TRANSACTION;
+        
+        SELECT COALESCE(p_court_id, court_id), COALESCE(p_slot_id, slot_id)
+        INTO v_court_id, v_slot_id
+        FROM booking_series WHERE series_id = p_series_id
+        FOR UPDATE;
+        
+        SELECT price_per_session INTO v_price
+        FROM courts WHERE court_id = v_court_id AND status = 'active';
+        
+        IF v_price IS NULL THEN
+            SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Lapangan tidak ditemukan atau tidak aktif', MYSQL_ERRNO = 45002;
+        END IF;
+        
+        IF p_court_id IS NOT NULL OR p_slot_id IS NOT NULL THEN
+            SELECT COUNT(*) INTO v_conflicts
+            FROM bookings own
+            JOIN bookings other ON (
+                other.court_id = v_court_id
+                AND other.slot_id = v_slot_id
+                AND other.booking_date = own.booking_date
+                AND other.booking_id != own.booking_id
+                AND other.booking_status != 'cancelled'
+                AND (other.series_id IS NULL OR other.series_id != p_series_id)
+            )
+            WHERE own.series_id = p_series_id
+              AND own.booking_status = 'confirmed'
+              AND own.booking_date >= v_from_date;
+            
+            IF v_conflicts > 0 THEN
+                SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Slot sudah dibooking untuk sebagian tanggal series', MYSQL_ERRNO = 45001;
+            END IF;
+        END IF;
+        
+        IF p_customer_name IS NOT NULL AND p_customer_phone IS NOT NULL THEN
+            INSERT INTO customers (full_name, phone)
+            VALUES (p_customer_name, p_customer_phone)
+            ON DUPLICATE KEY UPDATE customer_id = customer_id;
+        END IF;
+        
+        UPDATE bookings
+        SET 
+            court_id = v_court_id,
+            slot_id = v_slot_id,
+            total_amount = IF(p_court_id IS NOT NULL OR p_slot_id IS NOT NULL,
+                              get_booking_price(v_court_id, v_slot_id, booking_date), total_amount),
+            customer_name = COALESCE(p_customer_name, customer_name),
+            customer_phone = COALESCE(p_customer_phone, customer_phone),
+            customer_id = COALESCE((SELECT customer_id FROM customers WHERE phone = p_customer_phone), customer_id),
+            notes = COALESCE(p_notes, notes),
+            updated_by = p_updated_by,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE series_id = p_series_id
+          AND booking_status = 'confirmed'
+          AND booking_date >= v_from_date;
+        
+        SET v_updated = ROW_COUNT();
+        
+        UPDATE booking_series
+        SET 
+            court_id = v_court_id,
+            slot_id = v_slot_id,
+            customer_name = COALESCE(p_customer_name, customer_name),
+            customer_phone = COALESCE(p_customer_phone, customer_phone),
+            notes = COALESCE(p_notes, notes)
+        WHERE series_id = p_series_id;
+        
+        COMMIT;
+        
+        SELECT 'success' AS status, v_updated AS updated_count, 'Booking series berhasil diupdate' AS message;
+    END IF;
+END //
+DELIMITER ;
+
+-- Customer by (normalised) phone
+DROP PROCEDURE IF EXISTS sp_get_customer_by_phone;
+DELIMITER //
+CREATE PROCEDURE sp_get_customer_by_phone(IN p_phone VARCHAR(20))
+BEGIN
+    SELECT customer_id, full_name, phone, email, notes, created_at, updated_at
+    FROM customers
+    WHERE phone = p_phone;
+END //
+DELIMITER ;
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Manage the database schema:
+//   npm run migrate -- status
+//   npm run migrate -- up [n]       apply pending migrations (all, or n)
+//   npm run migrate -- down [n]     revert the last n migrations (default 1)
+//   npm run migrate -- baseline     mark 0001 as applied on an existing database
+//                                   that already has everything 0001 creates
+//   npm run migrate -- seed         load the development sample data
+//   npm run migrate -- create <name>
+const db = require("../config/db");
+const runner = require("./runner");
+
+function printUsage() {
+  console.log(
+    "Usage: node migrations/cli.js status | up [n] | down [n] | baseline | seed | create <name>"
+  );
+}
+
+// Optional positive count argument; undefined when absent, null when invalid
+function parseCount(value) {
+  if (value === undefined) return undefined;
+  const count = Number(value);
+  return Number.isInteger(count) && count > 0 ? count : null;
+}
+
+const describe = (migration) => `${migration.version}_${migration.name}`;
+
+async function main(args) {
+  const [command, arg] = args;
+  const count = parseCount(arg);
+
+  if (command === "status") {
+    for (const row of await runner.status()) {
+      const appliedAt = row.applied_at ? row.applied_at.toISOString() : "";
+      console.log(
+        `${describe(row).padEnd(32)} ${row.state.padEnd(9)} ${appliedAt}`
+      );
+    }
+    return 0;
+  }
+
+  if ((command === "up" || command === "down") && count !== null) {
+    const migrate = command === "up" ? runner.migrateUp : runner.migrateDown;
+    const done = await migrate(count === undefined ? {} : { count });
+    if (done.length === 0) console.log("Nothing to do");
+    for (const migration of done)
+      console.log(`${command} ${describe(migration)}`);
+    return 0;
+  }
+
+  if (command === "baseline") {
+    const baseline = await runner.markBaseline();
+    console.log(
+      baseline
+        ? `Marked ${describe(baseline)} as applied`
+        : "Baseline already recorded"
+    );
+    return 0;
+  }
+
+  if (command === "seed") {
+    await runner.seed();
+    console.log("Sample data loaded");
+    return 0;
+  }
+
+  if (command === "create" && arg) {
+    for (const file of runner.createMigration(arg)) console.log(file);
+    return 0;
+  }
+
+  printUsage();
+  return 1;
+}
+
+main(process.argv.slice(2))
+  .catch((error) => {
+    console.error(error.sqlMessage || error.message);
+    return 1;
+  })
+  .then(async (code) => {
+    await db.close();
+    process.exit(code);
+  });
@@ -0,0 +1,331 @@
+// Versioned schema migrations.
+// Each change is a pair of scripts in this directory:
+//   <version>_<name>.up.sql    applies it
+//   <version>_<name>.down.sql  reverts it
+// Versions are applied in numeric order and recorded in schema_migrations
+// together with a checksum of the up script, so edits to an applied script
+// show up as "modified" in the status.
+// Scripts are split into statements like the mysql client does, including
+// DELIMITER blocks for procedures, functions and triggers. MySQL commits DDL
+// implicitly: a script that fails halfway keeps its earlier statements, so
+// write them to be re-runnable (IF EXISTS / IF NOT EXISTS, DROP before CREATE).
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const db = require("../config/db");
+
+const MIGRATIONS_DIR = __dirname;
+const FILE_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+const SEED_FILE = path.join(MIGRATIONS_DIR, "seed.sql");
+
+// SQL script -> statements. A statement ends on a line ending with the
+// current delimiter; `DELIMITER //` switches it. Comment lines between
+// statements are dropped.
+function splitStatements(sql) {
+  const statements = [];
+  let delimiter = ";";
+  let lines = [];
+  for (const line of sql.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const directive = trimmed.match(/^DELIMITER\s+(\S+)$/i);
+    if (directive) {
+      delimiter = directive[1];
+      continue;
+    }
+    const isComment = trimmed.startsWith("--");
+    if (lines.length === 0 && (trimmed === "" || isComment)) continue;
+    lines.push(line);
+    if (!isComment && trimmed.endsWith(delimiter)) {
+      const statement = lines.join("\n").trim();
+      statements.push(statement.slice(0, -delimiter.length).trim());
+      lines = [];
+    }
+  }
+  const rest = lines.join("\n").trim();
+  if (rest) statements.push(rest);
+  return statements.filter(Boolean);
+}
+
+const checksum = (sql) => crypto.createHash("sha256").update(sql).digest("hex");
+
+// Migrations on disk, oldest first: { version, name, up, down, checksum }
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has two names: ${file}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), "utf8");
+    migrations.set(version, migration);
+  }
+  return [...migrations.values()]
+    .map((migration) => {
+      if (migration.up === undefined || migration.down === undefined) {
+        throw new Error(
+          `Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql script`
+        );
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureTable(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// version -> schema_migrations row
+async function appliedVersions(connection) {
+  await ensureTable(connection);
+  const [rows] = await connection.query(
+    "SELECT version, name, checksum, applied_at FROM schema_migrations"
+  );
+  return new Map(rows.map((row) => [row.version, row]));
+}
+
+async function runScript(connection, sql) {
+  for (const statement of splitStatements(sql)) {
+    await connection.query(statement);
+  }
+}
+
+// Every known version with its state:
+//   applied | pending | modified (up script changed after it ran) |
+//   missing (recorded in the database, no script on disk)
+async function status(dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+  const applied = await db.withConnection(appliedVersions);
+  const rows = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    let state = "pending";
+    if (row)
+      state = row.checksum === migration.checksum ? "applied" : "modified";
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      applied_at: row ? row.applied_at : null,
+    };
+  });
+  for (const row of applied.values()) {
+    if (!migrations.some((migration) => migration.version === row.version)) {
+      rows.push({ ...row, state: "missing" });
+    }
+  }
+  return rows.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// Apply pending migrations in order (all, or the first `count`).
+// Returns the applied migrations.
+async function migrateUp({ count = Infinity, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  return db.withConnection(async (connection) => {
+    const applied = await appliedVersions(connection);
+    const pending = migrations
+      .filter((migration) => !applied.has(migration.version))
+      .slice(0, count);
+    for (const migration of pending) {
+      await runScript(connection, migration.up);
+      await connection.query(
+        "INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)",
+        [migration.version, migration.name, migration.checksum]
+      );
+    }
+    return pending;
+  });
+}
+
+// Revert the most recently applied migrations (default: the last one).
+// Returns the reverted migrations.
+async function migrateDown({ count = 1, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  return db.withConnection(async (connection) => {
+    const applied = await appliedVersions(connection);
+    const targets = [...applied.keys()]
+      .sort((a, b) => Number(b) - Number(a))
+      .slice(0, count)
+      .map((version) => {
+        const migration = migrations.find((item) => item.version === version);
+        if (!migration) {
+          throw new Error(`No scripts for applied migration ${version}`);
+        }
+        return migration;
+      });
+    for (const migration of targets) {
+      await runScript(connection, migration.down);
+      await connection.query(
+        "DELETE FROM schema_migrations WHERE version = ?",
+        [migration.version]
+      );
+    }
+    return targets;
+  });
+}
+
+// Text between the parenthesis at `start` and its match, split on the
+// commas outside nested parentheses (DECIMAL(10,2), ENUM('a', 'b'))
+function splitParenthesized(sql, start) {
+  const parts = [];
+  let depth = 0;
+  let part = "";
+  for (const char of sql.slice(start)) {
+    if (char === "(" && depth++ === 0) continue;
+    if (char === ")" && --depth === 0) break;
+    if (char === "," && depth === 1) {
+      parts.push(part.trim());
+      part = "";
+    } else {
+      part += char;
+    }
+  }
+  return [...parts, part.trim()].filter(Boolean);
+}
+
+const TABLE_CONSTRAINT =
+  /^(PRIMARY|FOREIGN|UNIQUE|INDEX|KEY|CONSTRAINT|CHECK|FULLTEXT)\b/i;
+
+// Objects a script creates, as comparable descriptions:
+//   "table bookings", "column bookings.series_id", "view v_booking_details",
+//   "trigger tr_booking_audit_insert",
+//   "procedure sp_create_booking(p_court_id, p_slot_id, ...)"
+function schemaObjects(sql) {
+  const objects = [];
+  for (const statement of splitStatements(sql)) {
+    const code = statement.replace(/--.*$/gm, "");
+    const match = code.match(
+      /^CREATE\s+(?:OR\s+REPLACE\s+)?(TABLE|VIEW|PROCEDURE|FUNCTION|TRIGGER)\s+(?:IF\s+NOT\s+EXISTS\s+)?`?(\w+)`?/i
+    );
+    if (!match) continue;
+    const type = match[1].toLowerCase();
+    const name = match[2].toLowerCase();
+    const open = code.indexOf("(", match[0].length);
+    if (type === "table") {
+      objects.push(`table ${name}`);
+      for (const column of splitParenthesized(code, open)) {
+        if (TABLE_CONSTRAINT.test(column)) continue;
+        const [columnName] = column.replace(/`/g, "").split(/\s+/);
+        objects.push(`column ${name}.${columnName.toLowerCase()}`);
+      }
+    } else if (type === "procedure" || type === "function") {
+      const params = splitParenthesized(code, open).map((param) =>
+        param
+          .replace(/^(IN|OUT|INOUT)\s+/i, "")
+          .split(/\s+/)[0]
+          .toLowerCase()
+      );
+      objects.push(`${type} ${name}(${params.join(", ")})`);
+    } else {
+      objects.push(`${type} ${name}`);
+    }
+  }
+  return objects;
+}
+
+// The same descriptions for what the connected database has
+async function databaseObjects(connection) {
+  const [tables] = await connection.query(
+    `SELECT LOWER(TABLE_NAME) AS name, TABLE_TYPE AS type
+     FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE()`
+  );
+  const [columns] = await connection.query(
+    `SELECT LOWER(TABLE_NAME) AS table_name, LOWER(COLUMN_NAME) AS name
+     FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE()`
+  );
+  const [routines] = await connection.query(
+    `SELECT LOWER(r.ROUTINE_TYPE) AS type, LOWER(r.ROUTINE_NAME) AS name,
+            GROUP_CONCAT(LOWER(p.PARAMETER_NAME) ORDER BY p.ORDINAL_POSITION SEPARATOR ', ') AS params
+     FROM information_schema.ROUTINES r
+     LEFT JOIN information_schema.PARAMETERS p
+       ON p.SPECIFIC_SCHEMA = r.ROUTINE_SCHEMA AND p.SPECIFIC_NAME = r.SPECIFIC_NAME
+      AND p.ROUTINE_TYPE = r.ROUTINE_TYPE AND p.ORDINAL_POSITION > 0
+     WHERE r.ROUTINE_SCHEMA = DATABASE()
+     GROUP BY r.ROUTINE_TYPE, r.ROUTINE_NAME`
+  );
+  const [triggers] = await connection.query(
+    `SELECT LOWER(TRIGGER_NAME) AS name
+     FROM information_schema.TRIGGERS WHERE TRIGGER_SCHEMA = DATABASE()`
+  );
+  return new Set([
+    ...tables.map(
+      (table) => `${table.type === "VIEW" ? "view" : "table"} ${table.name}`
+    ),
+    ...columns.map((column) => `column ${column.table_name}.${column.name}`),
+    ...routines.map(
+      (routine) => `${routine.type} ${routine.name}(${routine.params || ""})`
+    ),
+    ...triggers.map((trigger) => `trigger ${trigger.name}`),
+  ]);
+}
+
+// Record the baseline (first migration) as applied without running it, for
+// databases created from the old SQL dumps. Only done when the database
+// already has every table, column, view, routine (with its parameters) and
+// trigger the baseline creates: a dump from before those changes has to be
+// brought up to date first. Returns it, or null when it was already recorded.
+async function markBaseline({ dir = MIGRATIONS_DIR } = {}) {
+  const [baseline] = loadMigrations(dir);
+  return db.withConnection(async (connection) => {
+    const applied = await appliedVersions(connection);
+    if (applied.has(baseline.version)) return null;
+    const existing = await databaseObjects(connection);
+    const missing = schemaObjects(baseline.up).filter(
+      (object) => !existing.has(object)
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `The database does not match ${baseline.version}_${
+          baseline.name
+        }; missing or different:\n  ${missing.join("\n  ")}`
+      );
+    }
+    await connection.query(
+      "INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)",
+      [baseline.version, baseline.name, baseline.checksum]
+    );
+    return baseline;
+  });
+}
+
+// Load the development sample data (migrations/seed.sql)
+async function seed() {
+  const sql = fs.readFileSync(SEED_FILE, "utf8");
+  await db.withConnection((connection) => runScript(connection, sql));
+}
+
+// Write empty up/down scripts for the next version. Returns their paths.
+function createMigration(name, dir = MIGRATIONS_DIR) {
+  if (!/^\w+$/.test(name)) {
+    throw new Error("Migration names may only use letters, digits and _");
+  }
+  const last = loadMigrations(dir).pop();
+  const version = String(last ? Number(last.version) + 1 : 1).padStart(4, "0");
+  return ["up", "down"].map((direction) => {
+    const file = path.join(dir, `${version}_${name}.${direction}.sql`);
+    fs.writeFileSync(file, `-- ${name} (${direction})\n`, { flag: "wx" });
+    return file;
+  });
+}
+
+module.exports = {
+  splitStatements,
+  loadMigrations,
+  schemaObjects,
+  status,
+  migrateUp,
+  migrateDown,
+  markBaseline,
+  seed,
+  createMigration,
+};
@@ -0,0 +1,58 @@
+-- Sample data for a development database: two admins (admin/admin123 and
+-- manager/manager123), courts, time slots, pricing rules, customers,
+-- bookings and their payments. Loaded with `npm run migrate -- seed` after
+-- the migrations.
+
+-- Insert sample admins (password: admin123 dan manager123)
+-- Seeded as legacy MD5 hashes; upgraded to scrypt on first successful login
+INSERT INTO admins (username, password, full_name, email, role) VALUES
+('admin', MD5('admin123'), 'Administrator', 'admin@badminton.com', 'owner'),
+('manager', MD5('manager123'), 'Court Manager', 'manager@badminton.com', 'manager');
+
+-- Insert sample courts
+INSERT INTO courts (court_name, description, price_per_session, status) VALUES
+('Lapangan 1', 'Lapangan indoor dengan lantai vinyl premium', 50000.00, 'active'),
+('Lapangan 2', 'Lapangan indoor standar', 45000.00, 'active'),
+('Lapangan 3', 'Lapangan semi-outdoor', 40000.00, 'active');
+
+-- Insert time slots (8 AM to 10 PM, every 2 hours)
+INSERT INTO time_slots (start_time, end_time, slot_name, status) VALUES
+('08:00:00', '10:00:00', 'Pagi 1 (08:00-10:00)', 'active'),
+('10:00:00', '12:00:00', 'Pagi 2 (10:00-12:00)', 'active'),
+('12:00:00', '14:00:00', 'Siang 1 (12:00-14:00)', 'active'),
+('14:00:00', '16:00:00', 'Siang 2 (14:00-16:00)', 'active'),
+('16:00:00', '18:00:00', 'Sore 1 (16:00-18:00)', 'active'),
+('18:00:00', '20:00:00', 'Sore 2 (18:00-20:00)', 'active'),
+('20:00:00', '22:00:00', 'Malam (20:00-22:00)', 'active');
+
+-- Insert sample pricing rules (evening peak and weekend surcharge)
+INSERT INTO pricing_rules (rule_name, start_time, end_time, price, priority) VALUES
+('Peak malam (18:00-22:00)', '18:00:00', '22:00:00', 65000.00, 0);
+INSERT INTO pricing_rules (rule_name, weekdays, price, priority) VALUES
+('Akhir pekan', '6,7', 60000.00, 0);
+
+-- Insert sample customers (phones normalised to +62...)
+INSERT INTO customers (full_name, phone) VALUES
+('Iqmal Rahman', '+6281234567890'),
+('Budi Santoso', '+6281234567891'),
+('Siti Nurhaliza', '+6281234567892'),
+('Agus Wijaya', '+6281234567893'),
+('Dewi Lestari', '+6281234567894'),
+('Rudi Hartono', '+6281234567895');
+
+-- Insert sample bookings (linked to customers by phone in tr_validate_booking_insert)
+INSERT INTO bookings (court_id, slot_id, booking_date, customer_name, customer_phone, total_amount, payment_status, booking_status, created_by) VALUES
+(1, 1, CURDATE(), 'Iqmal Rahman', '+6281234567890', 50000.00, 'paid', 'confirmed', 1),
+(2, 2, CURDATE(), 'Budi Santoso', '+6281234567891', 45000.00, 'unpaid', 'confirmed', 1),
+(1, 3, DATE_ADD(CURDATE(), INTERVAL 1 DAY), 'Siti Nurhaliza', '+6281234567892', 50000.00, 'paid', 'confirmed', 2),
+(3, 1, DATE_ADD(CURDATE(), INTERVAL 1 DAY), 'Agus Wijaya', '+6281234567893', 40000.00, 'partial', 'confirmed', 1),
+(2, 4, DATE_ADD(CURDATE(), INTERVAL 2 DAY), 'Dewi Lestari', '+6281234567894', 45000.00, 'paid', 'confirmed', 1),
+(1, 5, DATE_ADD(CURDATE(), INTERVAL 2 DAY), 'Rudi Hartono', '+6281234567895', 50000.00, 'unpaid', 'confirmed', 2);
+
+-- Insert the payments behind the seeded payment statuses (payment_status
+-- follows the ledger: bookings 1, 3 and 5 paid in full, 4 partly)
+INSERT INTO payments (booking_id, amount, method, received_by) VALUES
+(1, 50000.00, 'cash', 1),
+(3, 50000.00, 'transfer', 2),
+(4, 20000.00, 'cash', 1),
+(5, 45000.00, 'e-wallet', 1);
@@ -0,0 +1,27 @@
+// Data access for every domain of the API: courts, time slots, bookings
+// (desk, online, holds, series, reservations, waitlist), admins and their
+// sessions and keys, customers, pricing, closures, reports, the audit log,
+// notifications, job runs and calendar feeds.
+// Controllers call repositories() instead of stored procedures directly:
+//   const { courts } = repositories(); await courts.findById(id);
+// Lookups return null when nothing matches; business rule violations are
+// thrown as DomainErrors (utils/errors.js) carrying an ERROR_STATUS code.
+//
+// Adapters:
+//   mysql  - stored procedures of the MySQL schema (default)
+//   memory - in-process store with the same rules, used by the tests
+//            (createMemoryRepositories in ./memory)
+
+let current = null;
+
+function repositories() {
+  if (!current) current = require("./mysql");
+  return current;
+}
+
+// Install another adapter, e.g. useRepositories(createMemoryRepositories(seed))
+function useRepositories(adapter) {
+  current = adapter;
+}
+
+module.exports = { repositories, useRepositories };
@@ -0,0 +1,3851 @@
+// In-memory repositories with the business rules of the MySQL schema:
+// double-booking, past dates, inactive courts/slots, closures, slot overlaps,
+// payment ledger limits and the booking audit trail (see the procedures and
+// triggers in the SQL script). Used by the tests; nothing is persisted.
+//
+// const repos = createMemoryRepositories(
+//   { admins: [...], courts: [...], timeSlots: [...], closures: [...] },
+//   { today: () => "2030-01-01" }
+// );
+
+const crypto = require("crypto");
+const { DomainError } = require("../utils/errors");
+const { localDate } = require("../utils/dateRange");
+
+// "8:00" / "08:00" -> "08:00:00"
+function toTime(value) {
+  const [hours, minutes = "00", seconds = "00"] = String(value).split(":");
+  return [hours.padStart(2, "0"), minutes, seconds].join(":");
+}
+
+// "2030-01-01T08:00" / "2030-01-01 08:00" -> "2030-01-01 08:00:00"
+function toDateTime(value) {
+  const [date, time = "00:00:00"] = String(value).split(/[T ]/);
+  return `${date} ${toTime(time)}`;
+}
+
+// DECIMAL columns come back from mysql2 as strings
+const money = (value) => Number(value).toFixed(2);
+
+const given = (value) => value !== undefined && value !== null;
+const coalesce = (value, fallback) => (given(value) ? value : fallback);
+
+// LIKE '%term%' (case-insensitive, like the schema's collation)
+const contains = (value, term) =>
+  given(value) &&
+  String(value).toLowerCase().includes(String(term).toLowerCase());
+
+// "08:00:00" -> "08:00", like TIME_FORMAT(..., '%H:%i')
+const hhmm = (time) => time.slice(0, 5);
+
+// ISO weekday (1 = Monday ... 7 = Sunday), like WEEKDAY() + 1
+const isoWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+
+// "2030-01-01", "08:00:00" -> that local time, like TIMESTAMP(date, time)
+const localDateTime = (date, time) => new Date(`${date}T${time}`);
+
+// "2030-01-01", "08:00:00" -> "20300101T080000"
+const icalTime = (date, time) =>
+  `${date.replace(/-/g, "")}T${time.replace(/:/g, "")}`;
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+const nextDay = (date) => addDays(date, 1);
+
+function createTable(idField, rows = [], defaults = () => ({})) {
+  const items = rows.map((row) => ({ ...defaults(), ...row }));
+  let nextId = items.reduce((max, row) => Math.max(max, row[idField]), 0) + 1;
+  return {
+    rows: items,
+    find: (id) => items.find((row) => row[idField] === Number(id)),
+    insert(row) {
+      const inserted = { ...defaults(), ...row, [idField]: nextId++ };
+      items.push(inserted);
+      return inserted;
+    },
+    removeWhere(predicate) {
+      for (let i = items.length - 1; i >= 0; i--) {
+        if (predicate(items[i])) items.splice(i, 1);
+      }
+    },
+  };
+}
+
+const timestamps = () => ({ created_at: new Date(), updated_at: new Date() });
+
+// Booking columns copied into booking_audit_log old/new values
+const AUDITED_FIELDS = [
+  "court_id",
+  "slot_id",
+  "booking_date",
+  "customer_name",
+  "customer_phone",
+  "total_amount",
+  "payment_status",
+  "booking_status",
+  "notes",
+];
+
+// Login attempts and lockouts (migration 0005). Also the in-process store of
+// services/loginGuard.js (LOGIN_GUARD_STORE=memory), which caps the number
+// of attempts kept with maxAttempts.
+function createMemoryLoginAttempts(seed = {}, { maxAttempts = Infinity } = {}) {
+  const attempts = createTable("attempt_id", seed.loginAttempts, () => ({
+    admin_id: null,
+    ip_address: null,
+    user_agent: null,
+    created_at: new Date(),
+  }));
+  const lockouts = createTable("lockout_id", seed.loginLockouts, () => ({
+    unlocked_at: null,
+    unlocked_by: null,
+    created_at: new Date(),
+  }));
+  const secondsSince = (date) => Math.floor((Date.now() - date) / 1000);
+  const latest = (rows) =>
+    rows.reduce(
+      (max, row) =>
+        max === null || row.created_at > max ? row.created_at : max,
+      null
+    );
+
+  // Failures after `since` with the age of the last one
+  function failures(predicate, since) {
+    const rows = attempts.rows.filter(
+      (row) =>
+        predicate(row) &&
+        row.result === "invalid_credentials" &&
+        row.created_at > since
+    );
+    const last = latest(rows);
+    return [rows.length, last === null ? null : secondsSince(last)];
+  }
+
+  const activeLocks = (scope, subject) =>
+    lockouts.rows.filter(
+      (lock) =>
+        lock.scope === scope &&
+        lock.subject === subject &&
+        lock.unlocked_at === null &&
+        lock.locked_until > new Date()
+    );
+
+  function lockedSeconds(scope, subject) {
+    const locks = activeLocks(scope, subject);
+    if (locks.length === 0) return null;
+    const until = Math.max(...locks.map((lock) => lock.locked_until));
+    return Math.floor((until - Date.now()) / 1000);
+  }
+
+  return {
+    // sp_record_login_attempt
+    record: async (attempt) => {
+      attempts.insert({
+        username: attempt.username,
+        admin_id: coalesce(attempt.admin_id, null),
+        ip_address: coalesce(attempt.ip_address, null),
+        user_agent: coalesce(attempt.user_agent, null),
+        result: attempt.result,
+      });
+      if (attempts.rows.length > maxAttempts) attempts.rows.shift();
+    },
+
+    // sp_get_login_guard_state
+    guardState: async ({ username, ip_address, window_minutes }) => {
+      const since = new Date(Date.now() - window_minutes * 60 * 1000);
+      const reset = latest(
+        attempts.rows.filter(
+          (row) =>
+            row.username === username &&
+            ["success", "unlocked"].includes(row.result)
+        )
+      );
+      const [usernameFailures, usernameAge] = failures(
+        (row) => row.username === username,
+        reset !== null && reset > since ? reset : since
+      );
+      // IP failures count from its last lifted lockout
+      const ipReset = lockouts.rows
+        .filter(
+          (lock) =>
+            lock.scope === "ip" &&
+            lock.subject === ip_address &&
+            lock.unlocked_at !== null
+        )
+        .reduce(
+          (max, lock) =>
+            max === null || lock.unlocked_at > max ? lock.unlocked_at : max,
+          null
+        );
+      const [ipFailures, ipAge] = failures(
+        (row) => row.ip_address === ip_address,
+        ipReset !== null && ipReset > since ? ipReset : since
+      );
+      return {
+        username_failures: usernameFailures,
+        username_failure_age: usernameAge,
+        ip_failures: ipFailures,
+        ip_failure_age: ipAge,
+        username_locked_seconds: lockedSeconds("username", username),
+        ip_locked_seconds: lockedSeconds("ip", ip_address),
+      };
+    },
+
+    // sp_lock_login
+    lock: async (scope, subject, minutes) => {
+      lockouts.insert({
+        scope,
+        subject,
+        locked_until: new Date(Date.now() + minutes * 60 * 1000),
+      });
+    },
+
+    // sp_unlock_login
+    unlock: async (unlock) => {
+      const locks = activeLocks("username", unlock.username);
+      const ipLocks = given(unlock.reset_ip)
+        ? activeLocks("ip", unlock.reset_ip)
+        : [];
+      for (const lock of [...locks, ...ipLocks]) {
+        Object.assign(lock, {
+          unlocked_at: new Date(),
+          unlocked_by: unlock.unlocked_by,
+        });
+      }
+      // A throttled IP that was not locked yet gets a lockout lifted at once
+      if (given(unlock.reset_ip) && ipLocks.length === 0) {
+        lockouts.insert({
+          scope: "ip",
+          subject: unlock.reset_ip,
+          locked_until: new Date(),
+          unlocked_at: new Date(),
+          unlocked_by: unlock.unlocked_by,
+        });
+      }
+      attempts.insert({
+        username: unlock.username,
+        admin_id: unlock.admin_id,
+        ip_address: coalesce(unlock.ip_address, null),
+        user_agent: coalesce(unlock.user_agent, null),
+        result: "unlocked",
+      });
+      return locks.length + ipLocks.length;
+    },
+
+    // sp_get_login_attempts
+    findAll: async (filters) =>
+      attempts.rows
+        .filter(
+          (row) =>
+            (!given(filters.username) || row.username === filters.username) &&
+            (!given(filters.ip_address) ||
+              row.ip_address === filters.ip_address) &&
+            (!given(filters.result) || row.result === filters.result) &&
+            (!given(filters.start_date) ||
+              localDate(row.created_at) >= filters.start_date) &&
+            (!given(filters.end_date) ||
+              localDate(row.created_at) <= filters.end_date)
+        )
+        .sort(
+          (a, b) => b.created_at - a.created_at || b.attempt_id - a.attempt_id
+        )
+        .slice(filters.offset, filters.offset + filters.limit)
+        .map((row) => ({ ...row })),
+  };
+}
+
+function createMemoryRepositories(seed = {}, { today = localDate } = {}) {
+  const tables = {
+    admins: createTable("admin_id", seed.admins, () => ({
+      role: "cashier",
+      status: "active",
+      locale: null,
+      ...timestamps(),
+    })),
+    courts: createTable("court_id", seed.courts, () => ({
+      description: null,
+      price_per_session: 0,
+      status: "active",
+      ...timestamps(),
+    })),
+    timeSlots: createTable("slot_id", seed.timeSlots, () => ({
+      status: "active",
+      created_at: new Date(),
+    })),
+    customers: createTable("customer_id", seed.customers, () => ({
+      email: null,
+      notes: null,
+      ...timestamps(),
+    })),
+    closures: createTable("closure_id", seed.closures, () => ({
+      court_id: null,
+      created_at: new Date(),
+    })),
+    bookings: createTable("booking_id", seed.bookings, () => ({
+      customer_phone: null,
+      customer_id: null,
+      payment_status: "unpaid",
+      booking_status: "confirmed",
+      notes: null,
+      updated_by: null,
+      series_id: null,
+      reservation_id: null,
+      ...timestamps(),
+    })),
+    payments: createTable("payment_id", seed.payments, () => ({
+      type: "payment",
+      reference: null,
+      notes: null,
+      created_at: new Date(),
+    })),
+    audit: createTable("audit_id", [], () => ({ created_at: new Date() })),
+    // public_bookings: { booking_id, code_hash, client_ip, created_at }
+    publicBookings: [],
+    sessions: createTable("session_id", seed.sessions, () => ({
+      previous_hash: null,
+      user_agent: null,
+      ip_address: null,
+      created_at: new Date(),
+      last_seen_at: new Date(),
+      revoked_at: null,
+    })),
+    apiKeys: createTable("key_id", seed.apiKeys, () => ({
+      created_at: new Date(),
+      last_used_at: null,
+      last_used_ip: null,
+      revoked_at: null,
+    })),
+    pricingRules: createTable("rule_id", seed.pricingRules, () => ({
+      court_id: null,
+      slot_id: null,
+      start_time: null,
+      end_time: null,
+      weekdays: null,
+      valid_from: null,
+      valid_to: null,
+      holidays_only: false,
+      priority: 0,
+      status: "active",
+      ...timestamps(),
+    })),
+    // holidays: { holiday_date, holiday_name, created_at }
+    holidays: (seed.holidays || []).map((holiday) => ({
+      created_at: new Date(),
+      ...holiday,
+    })),
+    reservations: createTable("reservation_id", seed.reservations, () => ({
+      customer_phone: null,
+      total_amount: 0,
+      status: "confirmed",
+      notes: null,
+      ...timestamps(),
+    })),
+    waitlist: createTable("waitlist_id", seed.waitlist, () => ({
+      court_id: null,
+      customer_id: null,
+      customer_phone: null,
+      notes: null,
+      offer_minutes: 30,
+      status: "waiting",
+      offered_court_id: null,
+      offered_at: null,
+      offer_expires_at: null,
+      booking_id: null,
+      ...timestamps(),
+    })),
+    notifications: createTable("notification_id", seed.notifications, () => ({
+      booking_id: null,
+      customer_id: null,
+      subject: null,
+      status: "pending",
+      attempts: 0,
+      last_error: null,
+      claim_token: null,
+      next_attempt_at: new Date(),
+      sent_at: null,
+      ...timestamps(),
+    })),
+    jobRuns: createTable("run_id", seed.jobRuns, () => ({
+      status: "running",
+      result: null,
+      error: null,
+      started_at: new Date(),
+      finished_at: null,
+    })),
+    calendarFeeds: createTable("feed_id", seed.calendarFeeds, () => ({
+      court_id: null,
+      customer_phone: null,
+      label: null,
+      status: "active",
+      created_at: new Date(),
+      last_accessed_at: null,
+    })),
+    series: createTable("series_id", seed.series, () => ({
+      customer_phone: null,
+      notes: null,
+      status: "active",
+      ...timestamps(),
+    })),
+    holds: createTable("hold_id", seed.holds, () => ({
+      status: "active",
+      booking_id: null,
+      created_by: null,
+      client_ip: null,
+      created_at: new Date(),
+    })),
+  };
+  for (const slot of tables.timeSlots.rows) {
+    slot.start_time = toTime(slot.start_time);
+    slot.end_time = toTime(slot.end_time);
+  }
+  for (const rule of tables.pricingRules.rows) {
+    if (rule.start_time) rule.start_time = toTime(rule.start_time);
+    if (rule.end_time) rule.end_time = toTime(rule.end_time);
+  }
+  for (const closure of tables.closures.rows) {
+    closure.start_datetime = toDateTime(closure.start_datetime);
+    closure.end_datetime = toDateTime(closure.end_datetime);
+  }
+
+  const adminName = (adminId) => {
+    const admin = tables.admins.find(adminId);
+    return admin ? admin.full_name : null;
+  };
+
+  // get_closure_id(): first closure overlapping the slot on that date
+  function findClosure(courtId, slotId, bookingDate) {
+    const slot = tables.timeSlots.find(slotId);
+    if (!slot) return null;
+    const start = `${bookingDate} ${slot.start_time}`;
+    const end = `${bookingDate} ${slot.end_time}`;
+    return (
+      tables.closures.rows
+        .filter(
+          (closure) =>
+            (closure.court_id === null ||
+              closure.court_id === Number(courtId)) &&
+            closure.start_datetime < end &&
+            closure.end_datetime > start
+        )
+        .sort(
+          (a, b) =>
+            a.start_datetime.localeCompare(b.start_datetime) ||
+            a.closure_id - b.closure_id
+        )[0] || null
+    );
+  }
+
+  // The booking holding a court slot (not cancelled), or undefined
+  const activeBooking = (courtId, slotId, bookingDate) =>
+    tables.bookings.rows.find(
+      (booking) =>
+        booking.court_id === Number(courtId) &&
+        booking.slot_id === Number(slotId) &&
+        booking.booking_date === bookingDate &&
+        booking.booking_status !== "cancelled"
+    );
+
+  // Bookings in the time order of their slots
+  const bySlotTime = (a, b) =>
+    tables.timeSlots
+      .find(a.slot_id)
+      .start_time.localeCompare(tables.timeSlots.find(b.slot_id).start_time);
+
+  const isBooked = (courtId, slotId, bookingDate) =>
+    Boolean(activeBooking(courtId, slotId, bookingDate));
+
+  const kept = (booking) => booking.booking_status !== "cancelled";
+  const paidAndKept = (booking) =>
+    booking.payment_status === "paid" && kept(booking);
+
+  // is_slot_held(): an active hold that has not expired
+  const isHeld = (courtId, slotId, bookingDate) =>
+    tables.holds.rows.some(
+      (hold) =>
+        hold.court_id === Number(courtId) &&
+        hold.slot_id === Number(slotId) &&
+        hold.booking_date === bookingDate &&
+        hold.status === "active" &&
+        hold.expires_at > new Date()
+    );
+
+  // is_slot_available()
+  const isSlotAvailable = (courtId, slotId, bookingDate) =>
+    !isBooked(courtId, slotId, bookingDate) &&
+    !findClosure(courtId, slotId, bookingDate) &&
+    !isHeld(courtId, slotId, bookingDate);
+
+  // Waiting entries in queue order
+  const byQueue = (a, b) =>
+    a.created_at - b.created_at || a.waitlist_id - b.waitlist_id;
+
+  // sp_offer_waitlist_slot(): a free court slot goes to the oldest waiting
+  // entry, unless it is already on offer
+  function offerWaitlistSlot(courtId, slotId, bookingDate) {
+    const court = tables.courts.find(courtId);
+    const onOffer = tables.waitlist.rows.some(
+      (entry) =>
+        entry.status === "offered" &&
+        entry.offered_court_id === courtId &&
+        entry.slot_id === slotId &&
+        entry.booking_date === bookingDate
+    );
+    if (
+      bookingDate < today() ||
+      !isSlotAvailable(courtId, slotId, bookingDate) ||
+      !court ||
+      court.status !== "active" ||
+      onOffer
+    ) {
+      return;
+    }
+    const [next] = tables.waitlist.rows
+      .filter(
+        (entry) =>
+          entry.status === "waiting" &&
+          entry.slot_id === slotId &&
+          entry.booking_date === bookingDate &&
+          (entry.court_id === null || entry.court_id === courtId)
+      )
+      .sort(byQueue);
+    if (next) {
+      Object.assign(next, {
+        status: "offered",
+        offered_court_id: courtId,
+        offered_at: new Date(),
+        offer_expires_at: new Date(Date.now() + next.offer_minutes * 60000),
+        updated_at: new Date(),
+      });
+    }
+  }
+
+  // sp_expire_waitlist_offers(): returns how many offers expired
+  function expireWaitlistOffers() {
+    let expired = 0;
+    for (;;) {
+      const [overdue] = tables.waitlist.rows
+        .filter(
+          (entry) =>
+            entry.status === "offered" && entry.offer_expires_at <= new Date()
+        )
+        .sort(
+          (a, b) =>
+            a.offer_expires_at - b.offer_expires_at ||
+            a.waitlist_id - b.waitlist_id
+        );
+      if (!overdue) return expired;
+      Object.assign(overdue, { status: "expired", updated_at: new Date() });
+      expired += 1;
+      offerWaitlistSlot(
+        overdue.offered_court_id,
+        overdue.slot_id,
+        overdue.booking_date
+      );
+    }
+  }
+
+  const isHoliday = (date) =>
+    tables.holidays.some((holiday) => holiday.holiday_date === date);
+
+  // get_pricing_rule_id(): the matching active rule with the highest
+  // priority, then the most specific criteria, then the newest
+  function findPricingRule(courtId, slotId, bookingDate) {
+    const slot = tables.timeSlots.find(slotId);
+    const weekday = isoWeekday(bookingDate);
+    const specificity = (rule) =>
+      (rule.holidays_only ? 2 : 0) +
+      Number(rule.court_id !== null) +
+      Number(rule.slot_id !== null || rule.start_time !== null) +
+      Number(rule.weekdays !== null) +
+      Number(rule.valid_from !== null || rule.valid_to !== null);
+    return (
+      tables.pricingRules.rows
+        .filter(
+          (rule) =>
+            rule.status === "active" &&
+            (rule.court_id === null || rule.court_id === Number(courtId)) &&
+            (rule.slot_id === null || rule.slot_id === Number(slotId)) &&
+            (rule.start_time === null ||
+              (slot &&
+                slot.start_time >= rule.start_time &&
+                slot.start_time < rule.end_time)) &&
+            (rule.weekdays === null ||
+              String(rule.weekdays).split(",").map(Number).includes(weekday)) &&
+            (rule.valid_from === null || bookingDate >= rule.valid_from) &&
+            (rule.valid_to === null || bookingDate <= rule.valid_to) &&
+            (!rule.holidays_only || isHoliday(bookingDate))
+        )
+        .sort(
+          (a, b) =>
+            b.priority - a.priority ||
+            specificity(b) - specificity(a) ||
+            b.rule_id - a.rule_id
+        )[0] || null
+    );
+  }
+
+  // get_booking_price(): the pricing rule's price or the court's
+  function bookingPrice(courtId, slotId, bookingDate) {
+    const rule = findPricingRule(courtId, slotId, bookingDate);
+    return Number(
+      rule ? rule.price : tables.courts.find(courtId).price_per_session
+    );
+  }
+
+  // get_booking_paid_amount(): payments minus refunds
+  const paidAmount = (bookingId) =>
+    tables.payments.rows
+      .filter((payment) => payment.booking_id === bookingId)
+      .reduce(
+        (sum, payment) =>
+          sum + (payment.type === "payment" ? 1 : -1) * Number(payment.amount),
+        0
+      );
+
+  function findBooking(bookingId) {
+    const booking = tables.bookings.find(bookingId);
+    if (!booking)
+      throw new DomainError("BOOKING_NOT_FOUND", "Booking not found");
+    return booking;
+  }
+
+  const snapshot = (booking) =>
+    Object.fromEntries(AUDITED_FIELDS.map((field) => [field, booking[field]]));
+
+  // UPDATE bookings + tr_validate_booking_update + tr_booking_status_update:
+  // validates moves and the status transition, then logs the most
+  // significant change
+  function updateBooking(booking, changes) {
+    const previous = { ...booking };
+    const next = { ...booking, ...changes };
+    const moved = ["court_id", "slot_id", "booking_date"].some(
+      (field) => next[field] !== booking[field]
+    );
+    if (
+      moved &&
+      next.booking_status !== "cancelled" &&
+      findClosure(next.court_id, next.slot_id, next.booking_date)
+    ) {
+      throw new DomainError(
+        "COURT_CLOSED",
+        "Lapangan ditutup pada waktu tersebut"
+      );
+    }
+    if (
+      booking.booking_status === "cancelled" &&
+      next.booking_status !== "cancelled"
+    ) {
+      throw new DomainError(
+        "BOOKING_CANCELLED",
+        "Booking yang sudah dibatalkan tidak bisa diubah statusnya"
+      );
+    }
+    const differs = (fields) =>
+      fields.some((field) => String(next[field]) !== String(booking[field]));
+    let action = null;
+    if (
+      next.booking_status === "cancelled" &&
+      booking.booking_status !== "cancelled"
+    ) {
+      action = "cancel";
+    } else if (differs(["court_id", "slot_id", "booking_date"])) {
+      action = "reschedule";
+    } else if (differs(["booking_status", "payment_status", "total_amount"])) {
+      action = "status_change";
+    } else if (differs(["customer_name", "customer_phone", "notes"])) {
+      action = "detail_edit";
+    }
+    if (action) {
+      tables.audit.insert({
+        booking_id: booking.booking_id,
+        action,
+        changed_by: next.updated_by,
+        old_values: snapshot(booking),
+        new_values: snapshot(next),
+      });
+    }
+    Object.assign(booking, next, { updated_at: new Date() });
+    if (action === "cancel") {
+      offerWaitlistSlot(
+        previous.court_id,
+        previous.slot_id,
+        previous.booking_date
+      );
+    }
+  }
+
+  // sp_sync_payment_status()
+  function syncPaymentStatus(booking, adminId) {
+    const paid = paidAmount(booking.booking_id);
+    const total = Number(booking.total_amount);
+    let paymentStatus = "unpaid";
+    if (paid >= total && total > 0) paymentStatus = "paid";
+    else if (paid > 0) paymentStatus = "partial";
+    updateBooking(booking, {
+      payment_status: paymentStatus,
+      updated_by: adminId,
+    });
+  }
+
+  function assertSlotTimes(slotId, startTime, endTime) {
+    const overlaps = tables.timeSlots.rows.some(
+      (slot) =>
+        slot.slot_id !== slotId &&
+        slot.status === "active" &&
+        ((startTime >= slot.start_time && startTime < slot.end_time) ||
+          (endTime > slot.start_time && endTime <= slot.end_time) ||
+          (startTime <= slot.start_time && endTime >= slot.end_time))
+    );
+    if (overlaps) {
+      throw new DomainError(
+        "TIME_SLOT_OVERLAP",
+        "Time slot overlaps with existing active slot"
+      );
+    }
+    if (startTime >= endTime) {
+      throw new DomainError(
+        "INVALID_TIME_RANGE",
+        "Start time must be before end time"
+      );
+    }
+  }
+
+  function assertUnique(table, field, value, except) {
+    if (table.rows.some((row) => row !== except && row[field] === value)) {
+      throw new DomainError("DUPLICATE_ENTRY", `Duplicate ${field}`);
+    }
+  }
+
+  const courtRow = (court) => ({
+    court_id: court.court_id,
+    court_name: court.court_name,
+    description: court.description,
+    price_per_session: money(court.price_per_session),
+    status: court.status,
+    created_at: court.created_at,
+    updated_at: court.updated_at,
+  });
+
+  const slotRow = (slot) => ({
+    slot_id: slot.slot_id,
+    start_time: slot.start_time,
+    end_time: slot.end_time,
+    slot_name: slot.slot_name,
+    status: slot.status,
+    created_at: slot.created_at,
+  });
+
+  const adminRow = (admin) => ({
+    admin_id: admin.admin_id,
+    username: admin.username,
+    full_name: admin.full_name,
+    email: admin.email,
+    role: admin.role,
+    status: admin.status,
+    locale: admin.locale,
+    created_at: admin.created_at,
+    updated_at: admin.updated_at,
+  });
+
+  const courts = {
+    findAll: async () =>
+      [...tables.courts.rows]
+        .sort((a, b) => a.court_name.localeCompare(b.court_name))
+        .map(courtRow),
+
+    findById: async (courtId) => {
+      const court = tables.courts.find(courtId);
+      return court ? courtRow(court) : null;
+    },
+
+    create: async ({ court_name, description, price_per_session, status }) => {
+      assertUnique(tables.courts, "court_name", court_name);
+      return tables.courts.insert({
+        court_name,
+        description: coalesce(description, null),
+        price_per_session: Number(price_per_session),
+        status: coalesce(status, "active"),
+      }).court_id;
+    },
+
+    update: async (courtId, fields) => {
+      const court = tables.courts.find(courtId);
+      if (!court) throw new DomainError("COURT_NOT_FOUND", "Court not found");
+      if (given(fields.court_name)) {
+        assertUnique(tables.courts, "court_name", fields.court_name, court);
+      }
+      Object.assign(court, {
+        court_name: coalesce(fields.court_name, court.court_name),
+        description: coalesce(fields.description, court.description),
+        price_per_session: Number(
+          coalesce(fields.price_per_session, court.price_per_session)
+        ),
+        status: coalesce(fields.status, court.status),
+        updated_at: new Date(),
+      });
+    },
+
+    remove: async (courtId) => {
+      const court = tables.courts.find(courtId);
+      if (!court) throw new DomainError("COURT_NOT_FOUND", "Court not found");
+      const bookings = tables.bookings.rows.filter(
+        (booking) => booking.court_id === court.court_id
+      );
+      if (bookings.some((booking) => booking.booking_status !== "cancelled")) {
+        throw new DomainError(
+          "COURT_HAS_BOOKINGS",
+          "Cannot delete court with active bookings"
+        );
+      }
+      // ON DELETE CASCADE
+      const bookingIds = bookings.map((booking) => booking.booking_id);
+      tables.payments.removeWhere((payment) =>
+        bookingIds.includes(payment.booking_id)
+      );
+      tables.publicBookings = tables.publicBookings.filter(
+        (entry) => !bookingIds.includes(entry.booking_id)
+      );
+      tables.bookings.removeWhere(
+        (booking) => booking.court_id === court.court_id
+      );
+      tables.closures.removeWhere(
+        (closure) => closure.court_id === court.court_id
+      );
+      tables.holds.removeWhere((hold) => hold.court_id === court.court_id);
+      tables.courts.removeWhere((row) => row === court);
+    },
+  };
+
+  const timeSlots = {
+    findAll: async () =>
+      [...tables.timeSlots.rows]
+        .sort((a, b) => a.start_time.localeCompare(b.start_time))
+        .map(slotRow),
+
+    findById: async (slotId) => {
+      const slot = tables.timeSlots.find(slotId);
+      return slot ? slotRow(slot) : null;
+    },
+
+    findAvailable: async (courtId, bookingDate) =>
+      tables.timeSlots.rows
+        .filter((slot) => slot.status === "active")
+        .sort((a, b) => a.start_time.localeCompare(b.start_time))
+        .map((slot) => {
+          const closure = findClosure(courtId, slot.slot_id, bookingDate);
+          return {
+            slot_id: slot.slot_id,
+            start_time: slot.start_time,
+            end_time: slot.end_time,
+            slot_name: slot.slot_name,
+            is_available: isSlotAvailable(courtId, slot.slot_id, bookingDate),
+            is_held: isHeld(courtId, slot.slot_id, bookingDate),
+            closure_id: closure ? closure.closure_id : null,
+            closure_reason: closure ? closure.reason : null,
+          };
+        }),
+
+    create: async ({ start_time, end_time, slot_name, status }) => {
+      const startTime = toTime(start_time);
+      const endTime = toTime(end_time);
+      assertSlotTimes(null, startTime, endTime);
+      if (
+        tables.timeSlots.rows.some(
+          (slot) => slot.start_time === startTime && slot.end_time === endTime
+        )
+      ) {
+        throw new DomainError("DUPLICATE_ENTRY", "Duplicate time slot");
+      }
+      return tables.timeSlots.insert({
+        start_time: startTime,
+        end_time: endTime,
+        slot_name,
+        status: coalesce(status, "active"),
+      }).slot_id;
+    },
+
+    update: async (slotId, fields) => {
+      const slot = tables.timeSlots.find(slotId);
+      if (!slot) throw new DomainError("SLOT_NOT_FOUND", "Time slot not found");
+      const hasFutureBookings = tables.bookings.rows.some(
+        (booking) =>
+          booking.slot_id === slot.slot_id &&
+          booking.booking_status !== "cancelled" &&
+          booking.booking_date >= today()
+      );
+      if (
+        (given(fields.start_time) ||
+          given(fields.end_time) ||
+          fields.status === "inactive") &&
+        hasFutureBookings
+      ) {
+        throw new DomainError(
+          "SLOT_HAS_BOOKINGS",
+          "Cannot modify time slot with future active bookings"
+        );
+      }
+      // Times only change when both are given (as in sp_update_time_slot)
+      if (given(fields.start_time) && given(fields.end_time)) {
+        const startTime = toTime(fields.start_time);
+        const endTime = toTime(fields.end_time);
+        if (startTime >= endTime) {
+          throw new DomainError(
+            "INVALID_TIME_RANGE",
+            "Start time must be before end time"
+          );
+        }
+        assertSlotTimes(slot.slot_id, startTime, endTime);
+        Object.assign(slot, { start_time: startTime, end_time: endTime });
+      }
+      Object.assign(slot, {
+        slot_name: coalesce(fields.slot_name, slot.slot_name),
+        status: coalesce(fields.status, slot.status),
+      });
+    },
+
+    remove: async (slotId) => {
+      const slot = tables.timeSlots.find(slotId);
+      if (!slot) throw new DomainError("SLOT_NOT_FOUND", "Time slot not found");
+      if (
+        tables.bookings.rows.some((booking) => booking.slot_id === slot.slot_id)
+      ) {
+        throw new DomainError(
+          "SLOT_HAS_BOOKINGS",
+          "Cannot delete time slot with existing bookings. Set status to inactive instead."
+        );
+      }
+      tables.holds.removeWhere((hold) => hold.slot_id === slot.slot_id);
+      tables.timeSlots.removeWhere((row) => row === slot);
+    },
+  };
+
+  // INSERT INTO customers ... ON DUPLICATE KEY UPDATE, as the booking and
+  // waitlist procedures do: the customer with this phone, created if missing
+  function customerFor(fullName, phone) {
+    return (
+      tables.customers.rows.find((row) => row.phone === phone) ||
+      tables.customers.insert({ full_name: fullName, phone })
+    );
+  }
+
+  // INSERT INTO bookings: tr_validate_booking_insert, then the "create"
+  // entry of tr_booking_audit_insert. Returns the new row
+  function insertBooking(booking) {
+    const { court_id, slot_id, booking_date } = booking;
+    if (booking_date < today()) {
+      throw new DomainError(
+        "BOOKING_DATE_IN_PAST",
+        "Tanggal booking tidak boleh tanggal lampau"
+      );
+    }
+    const court = tables.courts.find(court_id);
+    if (!court || court.status !== "active") {
+      throw new DomainError("COURT_INACTIVE", "Lapangan tidak aktif");
+    }
+    const slot = tables.timeSlots.find(slot_id);
+    if (!slot) {
+      throw new DomainError(
+        "REFERENCED_RECORD_NOT_FOUND",
+        "Cannot add or update a child row: a foreign key constraint fails"
+      );
+    }
+    if (slot.status !== "active") {
+      throw new DomainError("SLOT_INACTIVE", "Slot waktu tidak aktif");
+    }
+    if (findClosure(court_id, slot_id, booking_date)) {
+      throw new DomainError(
+        "COURT_CLOSED",
+        "Lapangan ditutup pada waktu tersebut"
+      );
+    }
+    if (!booking.customer_name || !booking.customer_name.trim()) {
+      throw new DomainError(
+        "CUSTOMER_NAME_REQUIRED",
+        "Nama customer harus diisi"
+      );
+    }
+    const customer =
+      !given(booking.customer_id) && given(booking.customer_phone)
+        ? customerFor(booking.customer_name, booking.customer_phone)
+        : null;
+    const created = tables.bookings.insert({
+      court_id: court.court_id,
+      slot_id: slot.slot_id,
+      booking_date,
+      customer_name: booking.customer_name,
+      customer_phone: coalesce(booking.customer_phone, null),
+      customer_id: coalesce(
+        booking.customer_id,
+        customer ? customer.customer_id : null
+      ),
+      // tr_validate_booking_insert: priced only when no amount is given
+      total_amount: coalesce(
+        booking.total_amount,
+        bookingPrice(court_id, slot_id, booking_date)
+      ),
+      // Column default; only the payments ledger changes it
+      payment_status: "unpaid",
+      notes: coalesce(booking.notes, null),
+      created_by: booking.created_by,
+      series_id: coalesce(booking.series_id, null),
+      reservation_id: coalesce(booking.reservation_id, null),
+    });
+    tables.audit.insert({
+      booking_id: created.booking_id,
+      action: "create",
+      changed_by: created.created_by,
+      old_values: null,
+      new_values: snapshot(created),
+    });
+    return created;
+  }
+
+  // Run fn like a procedure's transaction: when it throws, every table is
+  // put back as it was (ids are not reused, like AUTO_INCREMENT)
+  async function transaction(fn) {
+    const saved = Object.values(tables).map((table) => {
+      const rows = Array.isArray(table) ? table : table.rows;
+      return [rows, rows.map((row) => [row, { ...row }])];
+    });
+    try {
+      return await fn();
+    } catch (error) {
+      for (const [rows, copies] of saved) {
+        rows.length = 0;
+        for (const [row, copy] of copies) {
+          for (const key of Object.keys(row)) delete row[key];
+          rows.push(Object.assign(row, copy));
+        }
+      }
+      throw error;
+    }
+  }
+
+  // sp_get_calendar_bookings row; a slot ending at or before its start
+  // ends the next day
+  function calendarEvent(booking) {
+    const court = tables.courts.find(booking.court_id);
+    const slot = tables.timeSlots.find(booking.slot_id);
+    const endDate =
+      slot.end_time <= slot.start_time
+        ? nextDay(booking.booking_date)
+        : booking.booking_date;
+    return {
+      booking_id: booking.booking_id,
+      court_id: booking.court_id,
+      court_name: court.court_name,
+      slot_name: slot.slot_name,
+      customer_name: booking.customer_name,
+      customer_phone: booking.customer_phone,
+      booking_status: booking.booking_status,
+      payment_status: booking.payment_status,
+      notes: booking.notes,
+      dtstart: icalTime(booking.booking_date, slot.start_time),
+      dtend: icalTime(endDate, slot.end_time),
+      dtstamp: `${booking.updated_at
+        .toISOString()
+        .slice(0, 19)
+        .replace(/[-:]/g, "")}Z`,
+      sequence: Math.floor((booking.updated_at - booking.created_at) / 1000),
+    };
+  }
+
+  const bookings = {
+    // sp_create_booking
+    create: async (booking) => {
+      const { court_id, slot_id, booking_date } = booking;
+      if (findClosure(court_id, slot_id, booking_date)) {
+        throw new DomainError(
+          "COURT_CLOSED",
+          "Lapangan ditutup pada waktu tersebut"
+        );
+      }
+      if (isHeld(court_id, slot_id, booking_date)) {
+        throw new DomainError(
+          "SLOT_HELD",
+          "Slot sedang ditahan oleh pemesan lain"
+        );
+      }
+      if (isBooked(court_id, slot_id, booking_date)) {
+        throw new DomainError(
+          "SLOT_ALREADY_BOOKED",
+          "Slot sudah dibooking untuk tanggal tersebut"
+        );
+      }
+      const court = tables.courts.find(court_id);
+      if (!court || court.status !== "active") {
+        throw new DomainError(
+          "COURT_INACTIVE",
+          "Lapangan tidak ditemukan atau tidak aktif"
+        );
+      }
+      const created = insertBooking({
+        ...booking,
+        total_amount: bookingPrice(court_id, slot_id, booking_date),
+      });
+      return {
+        booking_id: created.booking_id,
+        total_amount: money(created.total_amount),
+      };
+    },
+
+    // sp_create_booking_from_hold
+    createFromHold: async (tokenHash, booking) =>
+      convertHold(findActiveHold(tokenHash), booking),
+
+    // v_booking_details
+    findById: async (bookingId) => {
+      const booking = tables.bookings.find(bookingId);
+      if (!booking) return null;
+      const court = tables.courts.find(booking.court_id);
+      const slot = tables.timeSlots.find(booking.slot_id);
+      return {
+        booking_id: booking.booking_id,
+        booking_date: booking.booking_date,
+        court_name: court.court_name,
+        time_slot_info: `${slot.slot_name} (${slot.start_time.slice(
+          0,
+          5
+        )} - ${slot.end_time.slice(0, 5)})`,
+        customer_name: booking.customer_name,
+        customer_phone: booking.customer_phone,
+        total_amount: money(booking.total_amount),
+        payment_status: booking.payment_status,
+        booking_status: booking.booking_status,
+        notes: booking.notes,
+        admin_name: adminName(booking.created_by),
+        created_at: booking.created_at,
+        updated_at: booking.updated_at,
+        actual_status:
+          booking.booking_date < today() &&
+          booking.booking_status === "confirmed"
+            ? "completed"
+            : booking.booking_status,
+      };
+    },
+
+    findCalendarEvent: async (bookingId) => {
+      const booking = tables.bookings.find(bookingId);
+      return booking ? calendarEvent(booking) : null;
+    },
+
+    // sp_get_calendar_bookings
+    findCalendarEvents: async ({
+      court_id,
+      customer_phone,
+      start_date,
+      end_date,
+    }) =>
+      tables.bookings.rows
+        .filter(
+          (booking) =>
+            (!given(court_id) || booking.court_id === court_id) &&
+            (!given(customer_phone) ||
+              booking.customer_phone === customer_phone) &&
+            (!given(start_date) || booking.booking_date >= start_date) &&
+            (!given(end_date) || booking.booking_date <= end_date)
+        )
+        .sort(
+          (a, b) =>
+            a.booking_date.localeCompare(b.booking_date) ||
+            bySlotTime(a, b) ||
+            a.booking_id - b.booking_id
+        )
+        .map(calendarEvent),
+
+    findHistory: async ({ court_id, start_date, end_date, limit, offset }) => {
+      const rows = tables.bookings.rows
+        .filter(
+          (booking) =>
+            (!given(court_id) || booking.court_id === Number(court_id)) &&
+            (!given(start_date) || booking.booking_date >= start_date) &&
+            (!given(end_date) || booking.booking_date <= end_date)
+        )
+        .map((booking) => ({
+          booking,
+          court: tables.courts.find(booking.court_id),
+          slot: tables.timeSlots.find(booking.slot_id),
+        }))
+        .sort(
+          (a, b) =>
+            b.booking.booking_date.localeCompare(a.booking.booking_date) ||
+            a.slot.start_time.localeCompare(b.slot.start_time)
+        )
+        .map(({ booking, court, slot }) => ({
+          booking_id: booking.booking_id,
+          court_name: court.court_name,
+          slot_name: slot.slot_name,
+          booking_date: booking.booking_date,
+          customer_name: booking.customer_name,
+          customer_phone: booking.customer_phone,
+          total_amount: money(booking.total_amount),
+          payment_status: booking.payment_status,
+          booking_status: booking.booking_status,
+          notes: booking.notes,
+          created_by_name: adminName(booking.created_by),
+          created_at: booking.created_at,
+        }));
+      const start = coalesce(offset, 0);
+      return given(limit) ? rows.slice(start, start + limit) : rows;
+    },
+
+    // sp_update_booking_status: cancelling goes through sp_cancel_booking
+    updateStatus: async (bookingId, { booking_status }, adminId) => {
+      if (booking_status === "cancelled") {
+        await bookings.cancel(bookingId, {}, adminId);
+        return;
+      }
+      const booking = findBooking(bookingId);
+      updateBooking(booking, {
+        booking_status: coalesce(booking_status, booking.booking_status),
+        updated_by: adminId,
+      });
+    },
+
+    updateDetails: async (bookingId, fields, adminId) => {
+      const booking = findBooking(bookingId);
+      if (given(fields.customer_name) && given(fields.customer_phone)) {
+        customerFor(fields.customer_name, fields.customer_phone);
+      }
+      const customer = tables.customers.rows.find(
+        (row) =>
+          given(fields.customer_phone) && row.phone === fields.customer_phone
+      );
+      updateBooking(booking, {
+        customer_name: coalesce(fields.customer_name, booking.customer_name),
+        customer_phone: coalesce(fields.customer_phone, booking.customer_phone),
+        customer_id: customer ? customer.customer_id : booking.customer_id,
+        notes: coalesce(fields.notes, booking.notes),
+        updated_by: adminId,
+      });
+    },
+
+    // Validated before anything changes: the procedure rolls back as a whole
+    cancel: async (bookingId, { refund_amount, refund_method }, adminId) => {
+      const booking = findBooking(bookingId);
+      let refund = 0;
+      if (given(refund_method)) {
+        const paid = paidAmount(booking.booking_id);
+        refund = Number(coalesce(refund_amount, paid));
+        if (refund > paid) {
+          throw new DomainError(
+            "REFUND_EXCEEDS_PAID",
+            "Jumlah refund melebihi jumlah yang sudah dibayar"
+          );
+        }
+      }
+      updateBooking(booking, {
+        booking_status: "cancelled",
+        updated_by: adminId,
+      });
+      if (refund > 0) {
+        tables.payments.insert({
+          booking_id: booking.booking_id,
+          type: "refund",
+          amount: refund,
+          method: refund_method,
+          notes: "Refund pembatalan booking",
+          received_by: adminId,
+        });
+        syncPaymentStatus(booking, adminId);
+      }
+      return { refunded_amount: money(refund) };
+    },
+
+    // sp_complete_finished_bookings
+    completeFinished: async () => {
+      const finished = tables.bookings.rows.filter((booking) => {
+        const slot = tables.timeSlots.find(booking.slot_id);
+        return (
+          booking.booking_status === "confirmed" &&
+          booking.payment_status !== "unpaid" &&
+          localDateTime(booking.booking_date, slot.end_time) <= new Date()
+        );
+      });
+      for (const booking of finished) {
+        updateBooking(booking, {
+          booking_status: "completed",
+          updated_by: null,
+        });
+      }
+      return finished.length;
+    },
+
+    // sp_process_no_shows
+    processNoShows: async (graceMinutes, action) => {
+      const cutoff = new Date(Date.now() - graceMinutes * 60000);
+      const missed = tables.bookings.rows.filter((booking) => {
+        const slot = tables.timeSlots.find(booking.slot_id);
+        return (
+          booking.booking_status === "confirmed" &&
+          booking.payment_status === "unpaid" &&
+          localDateTime(booking.booking_date, slot.start_time) <= cutoff
+        );
+      });
+      for (const booking of missed) {
+        updateBooking(booking, {
+          booking_status: action === "cancel" ? "cancelled" : "no_show",
+          updated_by: null,
+        });
+      }
+      return missed.length;
+    },
+
+    findAuditTrail: async (bookingId) =>
+      tables.audit.rows
+        .filter((entry) => entry.booking_id === Number(bookingId))
+        .map((entry) => ({
+          audit_id: entry.audit_id,
+          booking_id: entry.booking_id,
+          action: entry.action,
+          changed_by: entry.changed_by,
+          changed_by_name: adminName(entry.changed_by),
+          old_values: entry.old_values,
+          new_values: entry.new_values,
+          created_at: entry.created_at,
+        })),
+
+    findPayments: async (bookingId) => {
+      const booking = tables.bookings.find(bookingId);
+      if (!booking) return null;
+      const entries = tables.payments.rows.filter(
+        (payment) => payment.booking_id === booking.booking_id
+      );
+      const sum = (type) =>
+        entries
+          .filter((payment) => payment.type === type)
+          .reduce((total, payment) => total + Number(payment.amount), 0);
+      const netPaid = paidAmount(booking.booking_id);
+      return {
+        summary: {
+          booking_id: booking.booking_id,
+          total_amount: money(booking.total_amount),
+          payment_status: booking.payment_status,
+          booking_status: booking.booking_status,
+          total_paid: money(sum("payment")),
+          total_refunded: money(sum("refund")),
+          net_paid: money(netPaid),
+          outstanding_balance: money(
+            booking.booking_status === "cancelled"
+              ? 0
+              : Number(booking.total_amount) - netPaid
+          ),
+        },
+        entries: entries.map((payment) => ({
+          payment_id: payment.payment_id,
+          type: payment.type,
+          amount: money(payment.amount),
+          method: payment.method,
+          reference: payment.reference,
+          notes: payment.notes,
+          received_by: payment.received_by,
+          received_by_name: adminName(payment.received_by),
+          created_at: payment.created_at,
+        })),
+      };
+    },
+
+    // sp_record_payment
+    recordPayment: async (bookingId, entry, adminId) => {
+      const booking = findBooking(bookingId);
+      const amount = Number(entry.amount);
+      if (!given(entry.amount) || !(amount > 0)) {
+        throw new DomainError(
+          "INVALID_PAYMENT_AMOUNT",
+          "Jumlah pembayaran harus lebih dari 0"
+        );
+      }
+      const paid = paidAmount(booking.booking_id);
+      const total = Number(booking.total_amount);
+      if (entry.type === "payment") {
+        if (booking.booking_status === "cancelled") {
+          throw new DomainError(
+            "BOOKING_CANCELLED",
+            "Booking yang sudah dibatalkan tidak bisa menerima pembayaran"
+          );
+        }
+        if (paid + amount > total) {
+          throw new DomainError(
+            "PAYMENT_EXCEEDS_BALANCE",
+            "Jumlah pembayaran melebihi sisa tagihan"
+          );
+        }
+      } else if (amount > paid) {
+        throw new DomainError(
+          "REFUND_EXCEEDS_PAID",
+          "Jumlah refund melebihi jumlah yang sudah dibayar"
+        );
+      }
+      const payment = tables.payments.insert({
+        booking_id: booking.booking_id,
+        type: entry.type,
+        amount,
+        method: entry.method,
+        reference: coalesce(entry.reference, null),
+        notes: coalesce(entry.notes, null),
+        received_by: adminId,
+      });
+      syncPaymentStatus(booking, adminId);
+      const paidNow = paidAmount(booking.booking_id);
+      return {
+        payment_id: payment.payment_id,
+        paid_amount: money(paidNow),
+        balance: money(total - paidNow),
+        payment_status: booking.payment_status,
+      };
+    },
+  };
+
+  // Hold that can still be converted; an overdue one is marked expired
+  function findActiveHold(tokenHash) {
+    const hold = tables.holds.rows.find((row) => row.token_hash === tokenHash);
+    if (!hold || hold.status !== "active") {
+      throw new DomainError(
+        "HOLD_NOT_FOUND",
+        "Hold tidak ditemukan atau sudah dipakai"
+      );
+    }
+    if (hold.expires_at <= new Date()) {
+      hold.status = "expired";
+      throw new DomainError("HOLD_EXPIRED", "Waktu hold sudah habis");
+    }
+    return hold;
+  }
+
+  // The booking is inserted before the hold is marked converted; a failed
+  // insert leaves the hold active, like the procedure's rollback
+  function convertHold(hold, booking) {
+    return transaction(async () => {
+      const created = insertBooking({
+        ...booking,
+        court_id: hold.court_id,
+        slot_id: hold.slot_id,
+        booking_date: hold.booking_date,
+        total_amount: bookingPrice(
+          hold.court_id,
+          hold.slot_id,
+          hold.booking_date
+        ),
+      });
+      Object.assign(hold, {
+        status: "converted",
+        booking_id: created.booking_id,
+      });
+      return {
+        booking_id: created.booking_id,
+        total_amount: money(created.total_amount),
+      };
+    });
+  }
+
+  const holds = {
+    // sp_create_slot_hold
+    create: async (hold) => {
+      const { court_id, slot_id, booking_date } = hold;
+      for (const row of tables.holds.rows) {
+        if (
+          row.court_id === Number(court_id) &&
+          row.slot_id === Number(slot_id) &&
+          row.booking_date === booking_date &&
+          row.status === "active" &&
+          row.expires_at <= new Date()
+        ) {
+          row.status = "expired";
+        }
+      }
+      const court = tables.courts.find(court_id);
+      if (!court || court.status !== "active") {
+        throw new DomainError(
+          "COURT_INACTIVE",
+          "Lapangan tidak ditemukan atau tidak aktif"
+        );
+      }
+      const slot = tables.timeSlots.find(slot_id);
+      if (!slot || slot.status !== "active") {
+        throw new DomainError(
+          "SLOT_INACTIVE",
+          "Slot waktu tidak ditemukan atau tidak aktif"
+        );
+      }
+      if (booking_date < today()) {
+        throw new DomainError(
+          "BOOKING_DATE_IN_PAST",
+          "Tanggal booking tidak boleh tanggal lampau"
+        );
+      }
+      if (findClosure(court_id, slot_id, booking_date)) {
+        throw new DomainError(
+          "COURT_CLOSED",
+          "Lapangan ditutup pada waktu tersebut"
+        );
+      }
+      if (isHeld(court_id, slot_id, booking_date)) {
+        throw new DomainError(
+          "SLOT_HELD",
+          "Slot sedang ditahan oleh pemesan lain"
+        );
+      }
+      if (isBooked(court_id, slot_id, booking_date)) {
+        throw new DomainError(
+          "SLOT_ALREADY_BOOKED",
+          "Slot sudah dibooking untuk tanggal tersebut"
+        );
+      }
+      if (tables.holds.rows.some((row) => row.token_hash === hold.token_hash)) {
+        throw new DomainError("DUPLICATE_ENTRY", "Duplicate token_hash");
+      }
+      const created = tables.holds.insert({
+        court_id: court.court_id,
+        slot_id: slot.slot_id,
+        booking_date,
+        token_hash: hold.token_hash,
+        expires_at: new Date(Date.now() + hold.minutes * 60 * 1000),
+        created_by: coalesce(hold.created_by, null),
+        client_ip: coalesce(hold.client_ip, null),
+      });
+      return { hold_id: created.hold_id, expires_at: created.expires_at };
+    },
+
+    // sp_get_slot_hold
+    findByToken: async (tokenHash) => {
+      const hold = tables.holds.rows.find(
+        (row) => row.token_hash === tokenHash
+      );
+      if (!hold) return null;
+      const slot = tables.timeSlots.find(hold.slot_id);
+      return {
+        hold_id: hold.hold_id,
+        court_id: hold.court_id,
+        court_name: tables.courts.find(hold.court_id).court_name,
+        slot_id: hold.slot_id,
+        slot_name: slot.slot_name,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        booking_date: hold.booking_date,
+        booking_id: hold.booking_id,
+        status:
+          hold.status === "active" && hold.expires_at <= new Date()
+            ? "expired"
+            : hold.status,
+        expires_at: hold.expires_at,
+        created_at: hold.created_at,
+      };
+    },
+
+    // sp_release_slot_hold
+    release: async (tokenHash) => {
+      const hold = tables.holds.rows.find(
+        (row) => row.token_hash === tokenHash
+      );
+      if (!hold || hold.status !== "active" || hold.expires_at <= new Date()) {
+        throw new DomainError(
+          "HOLD_NOT_FOUND",
+          "Hold tidak ditemukan atau sudah berakhir"
+        );
+      }
+      hold.status = "released";
+      offerWaitlistSlot(hold.court_id, hold.slot_id, hold.booking_date);
+    },
+
+    // sp_release_expired_holds
+    releaseExpired: async () => {
+      const overdue = tables.holds.rows
+        .filter(
+          (hold) => hold.status === "active" && hold.expires_at <= new Date()
+        )
+        .sort((a, b) => a.expires_at - b.expires_at || a.hold_id - b.hold_id);
+      for (const hold of overdue) {
+        hold.status = "expired";
+        offerWaitlistSlot(hold.court_id, hold.slot_id, hold.booking_date);
+      }
+      return overdue.length;
+    },
+  };
+
+  // The online_booking account inserted by migration 0002
+  const systemAdmin = () =>
+    tables.admins.rows.find((admin) => admin.username === "online_booking") ||
+    tables.admins.insert({
+      username: "online_booking",
+      password: "!",
+      full_name: "Online Booking",
+      email: "online-booking@system.invalid",
+      role: "cashier",
+      status: "inactive",
+    });
+
+  // Online booking with the booking and slot rows
+  function findPublicBooking(codeHash) {
+    const entry = tables.publicBookings.find(
+      (row) => row.code_hash === codeHash
+    );
+    if (!entry) return null;
+    const booking = tables.bookings.find(entry.booking_id);
+    return { booking, slot: tables.timeSlots.find(booking.slot_id) };
+  }
+
+  // At most maxActive upcoming confirmed online bookings per phone; codes
+  // are unique
+  function assertPublicLimit(booking, maxActive) {
+    const active = tables.publicBookings.filter((entry) => {
+      const row = tables.bookings.find(entry.booking_id);
+      return (
+        row.customer_phone === booking.customer_phone &&
+        row.booking_status === "confirmed" &&
+        row.booking_date >= today()
+      );
+    });
+    if (active.length >= maxActive) {
+      throw new DomainError(
+        "PUBLIC_BOOKING_LIMIT",
+        "Terlalu banyak booking online aktif untuk nomor ini"
+      );
+    }
+    if (
+      tables.publicBookings.some(
+        (entry) => entry.code_hash === booking.code_hash
+      )
+    ) {
+      throw new DomainError("DUPLICATE_ENTRY", "Duplicate code_hash");
+    }
+  }
+
+  const onlineBooking = (booking) => ({
+    customer_name: booking.customer_name,
+    customer_phone: booking.customer_phone,
+    notes: "Booking online",
+    created_by: systemAdmin().admin_id,
+  });
+
+  function recordPublicBooking(bookingId, booking) {
+    tables.publicBookings.push({
+      booking_id: bookingId,
+      code_hash: booking.code_hash,
+      client_ip: coalesce(booking.client_ip, null),
+      created_at: new Date(),
+    });
+  }
+
+  const publicBookings = {
+    // sp_create_public_booking
+    create: async (booking, { max_active }) => {
+      assertPublicLimit(booking, max_active);
+      const created = await bookings.create({
+        court_id: booking.court_id,
+        slot_id: booking.slot_id,
+        booking_date: booking.booking_date,
+        ...onlineBooking(booking),
+      });
+      recordPublicBooking(created.booking_id, booking);
+      return created;
+    },
+
+    // sp_create_booking_from_hold with a confirmation code
+    createFromHold: async (tokenHash, booking, { max_active }) => {
+      const hold = findActiveHold(tokenHash);
+      assertPublicLimit(booking, max_active);
+      const created = await convertHold(hold, onlineBooking(booking));
+      recordPublicBooking(created.booking_id, booking);
+      return created;
+    },
+
+    // sp_get_public_booking
+    findByCode: async (codeHash) => {
+      const found = findPublicBooking(codeHash);
+      if (!found) return null;
+      const { booking, slot } = found;
+      return {
+        booking_id: booking.booking_id,
+        booking_date: booking.booking_date,
+        court_name: tables.courts.find(booking.court_id).court_name,
+        slot_name: slot.slot_name,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        customer_name: booking.customer_name,
+        total_amount: money(booking.total_amount),
+        payment_status: booking.payment_status,
+        booking_status: booking.booking_status,
+        created_at: booking.created_at,
+      };
+    },
+
+    // sp_cancel_public_booking
+    cancelByCode: async (codeHash, { notice_minutes }) => {
+      const found = findPublicBooking(codeHash);
+      if (!found) {
+        throw new DomainError("BOOKING_NOT_FOUND", "Booking tidak ditemukan");
+      }
+      const { booking, slot } = found;
+      if (booking.booking_status === "cancelled") {
+        throw new DomainError("BOOKING_CANCELLED", "Booking sudah dibatalkan");
+      }
+      const start = new Date(`${booking.booking_date}T${slot.start_time}`);
+      if (
+        booking.booking_status !== "confirmed" ||
+        start.getTime() < Date.now() + notice_minutes * 60 * 1000
+      ) {
+        throw new DomainError(
+          "CANCELLATION_CLOSED",
+          "Booking tidak bisa dibatalkan lagi"
+        );
+      }
+      if (paidAmount(booking.booking_id) > 0) {
+        throw new DomainError(
+          "BOOKING_HAS_PAYMENTS",
+          "Booking sudah dibayar, hubungi front desk untuk pembatalan"
+        );
+      }
+      updateBooking(booking, {
+        booking_status: "cancelled",
+        updated_by: systemAdmin().admin_id,
+      });
+      return booking.booking_id;
+    },
+  };
+
+  function findActiveAdmin(adminId) {
+    const admin = tables.admins.find(adminId);
+    if (!admin || admin.status !== "active") {
+      throw new DomainError("ADMIN_NOT_FOUND", "Admin not found or inactive");
+    }
+    return admin;
+  }
+
+  const admins = {
+    findCredentials: async (username) => {
+      const admin = tables.admins.rows.find((row) => row.username === username);
+      return admin ? { ...adminRow(admin), password: admin.password } : null;
+    },
+
+    findAll: async () =>
+      [...tables.admins.rows]
+        .sort((a, b) => a.username.localeCompare(b.username))
+        .map(adminRow),
+
+    findById: async (adminId) => {
+      const admin = tables.admins.find(adminId);
+      return admin ? adminRow(admin) : null;
+    },
+
+    create: async ({ username, password, full_name, email, role }) => {
+      if (
+        tables.admins.rows.some(
+          (admin) => admin.username === username || admin.email === email
+        )
+      ) {
+        throw new DomainError("ADMIN_ALREADY_EXISTS");
+      }
+      return tables.admins.insert({
+        username,
+        password,
+        full_name,
+        email,
+        role: coalesce(role, "cashier"),
+      }).admin_id;
+    },
+
+    // sp_update_admin, keeping at least one active owner
+    update: async (adminId, fields) => {
+      const admin = tables.admins.find(adminId);
+      if (!admin) throw new DomainError("ADMIN_NOT_FOUND", "Admin not found");
+      const otherOwners = tables.admins.rows.filter(
+        (row) =>
+          row !== admin && row.role === "owner" && row.status === "active"
+      );
+      if (
+        otherOwners.length === 0 &&
+        admin.role === "owner" &&
+        (coalesce(fields.role, "owner") !== "owner" ||
+          coalesce(fields.status, "active") !== "active")
+      ) {
+        throw new DomainError(
+          "LAST_ACTIVE_OWNER",
+          "Cannot demote or deactivate the last active owner"
+        );
+      }
+      if (
+        given(fields.email) &&
+        tables.admins.rows.some(
+          (row) => row !== admin && row.email === fields.email
+        )
+      ) {
+        throw new DomainError("EMAIL_TAKEN");
+      }
+      Object.assign(admin, {
+        full_name: coalesce(fields.full_name, admin.full_name),
+        email: coalesce(fields.email, admin.email),
+        role: coalesce(fields.role, admin.role),
+        status: coalesce(fields.status, admin.status),
+        updated_at: new Date(),
+      });
+    },
+
+    changePassword: async (adminId, passwordHash) => {
+      const admin = findActiveAdmin(adminId);
+      Object.assign(admin, { password: passwordHash, updated_at: new Date() });
+    },
+
+    setLocale: async (adminId, locale) => {
+      const admin = findActiveAdmin(adminId);
+      Object.assign(admin, { locale, updated_at: new Date() });
+    },
+  };
+
+  const isOpen = (session) =>
+    session.revoked_at === null && session.expires_at > new Date();
+  const lifetime = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+  const sessionRows = (adminId) =>
+    tables.sessions.rows.filter(
+      (session) => session.admin_id === Number(adminId) && isOpen(session)
+    );
+
+  // sp_touch_admin_session row: the session with its admin
+  function sessionWithAdmin(session) {
+    const admin = tables.admins.find(session.admin_id);
+    if (!isOpen(session) || !admin || admin.status !== "active") return null;
+    return {
+      session_id: session.session_id,
+      admin_id: admin.admin_id,
+      username: admin.username,
+      full_name: admin.full_name,
+      email: admin.email,
+      role: admin.role,
+      locale: admin.locale,
+    };
+  }
+
+  const sessions = {
+    // sp_create_admin_session
+    create: async (session) => {
+      const created = tables.sessions.insert({
+        admin_id: session.admin_id,
+        refresh_hash: session.refresh_hash,
+        user_agent: coalesce(session.user_agent, null),
+        ip_address: coalesce(session.ip_address, null),
+        expires_at: lifetime(session.lifetime_minutes),
+      });
+      return { session_id: created.session_id, expires_at: created.expires_at };
+    },
+
+    // sp_touch_admin_session
+    findActive: async (sessionId, ipAddress) => {
+      const session = tables.sessions.find(sessionId);
+      const found = session ? sessionWithAdmin(session) : null;
+      if (found) {
+        session.last_seen_at = new Date();
+        session.ip_address = coalesce(ipAddress, session.ip_address);
+      }
+      return found;
+    },
+
+    // sp_rotate_admin_session
+    rotate: async (refreshHash, newRefreshHash, fields) => {
+      const session = tables.sessions.rows.find(
+        (row) => row.refresh_hash === refreshHash
+      );
+      if (!session) {
+        const copied = tables.sessions.rows.find(
+          (row) => row.previous_hash === refreshHash
+        );
+        if (!copied) {
+          throw new DomainError(
+            "REFRESH_TOKEN_INVALID",
+            "Refresh token tidak valid"
+          );
+        }
+        copied.revoked_at = coalesce(copied.revoked_at, new Date());
+      }
+      const found = session ? sessionWithAdmin(session) : null;
+      if (!found) {
+        throw new DomainError(
+          "SESSION_REVOKED",
+          "Sesi sudah berakhir, silakan login kembali"
+        );
+      }
+      Object.assign(session, {
+        refresh_hash: newRefreshHash,
+        previous_hash: refreshHash,
+        user_agent: coalesce(fields.user_agent, session.user_agent),
+        ip_address: coalesce(fields.ip_address, session.ip_address),
+        last_seen_at: new Date(),
+        expires_at: lifetime(fields.lifetime_minutes),
+      });
+      return found;
+    },
+
+    // sp_get_admin_sessions
+    findByAdmin: async (adminId) =>
+      sessionRows(adminId)
+        .sort(
+          (a, b) =>
+            b.last_seen_at - a.last_seen_at || b.session_id - a.session_id
+        )
+        .map((session) => ({
+          session_id: session.session_id,
+          user_agent: session.user_agent,
+          ip_address: session.ip_address,
+          created_at: session.created_at,
+          last_seen_at: session.last_seen_at,
+          expires_at: session.expires_at,
+        })),
+
+    // sp_revoke_admin_session
+    revoke: async (sessionId, adminId) => {
+      const session = sessionRows(adminId).find(
+        (row) => row.session_id === Number(sessionId)
+      );
+      if (!session) {
+        throw new DomainError("SESSION_NOT_FOUND", "Sesi tidak ditemukan");
+      }
+      session.revoked_at = new Date();
+    },
+
+    // sp_revoke_admin_sessions
+    revokeAll: async (adminId) => {
+      const open = sessionRows(adminId);
+      for (const session of open) session.revoked_at = new Date();
+      return open.length;
+    },
+
+    // sp_revoke_session_by_token
+    revokeByToken: async (refreshHash) => {
+      const session = tables.sessions.rows.find(
+        (row) => row.refresh_hash === refreshHash && row.revoked_at === null
+      );
+      if (session) session.revoked_at = new Date();
+    },
+  };
+
+  const keyRows = (adminId) =>
+    tables.apiKeys.rows.filter(
+      (key) => key.admin_id === Number(adminId) && key.revoked_at === null
+    );
+
+  const apiKeys = {
+    // sp_create_api_key
+    create: async (key) => {
+      const created = tables.apiKeys.insert({
+        admin_id: key.admin_id,
+        name: key.name,
+        key_prefix: key.key_prefix,
+        key_hash: key.key_hash,
+        scopes: [...key.scopes],
+        expires_at: lifetime(key.lifetime_days * 24 * 60),
+      });
+      return { key_id: created.key_id, expires_at: created.expires_at };
+    },
+
+    // sp_touch_api_key
+    findActive: async (keyHash, ipAddress) => {
+      const key = tables.apiKeys.rows.find(
+        (row) =>
+          row.key_hash === keyHash &&
+          row.revoked_at === null &&
+          row.expires_at > new Date()
+      );
+      const admin = key && tables.admins.find(key.admin_id);
+      if (!admin || admin.status !== "active") return null;
+      Object.assign(key, {
+        last_used_at: new Date(),
+        last_used_ip: coalesce(ipAddress, key.last_used_ip),
+      });
+      return {
+        key_id: key.key_id,
+        key_prefix: key.key_prefix,
+        key_name: key.name,
+        scopes: [...key.scopes],
+        admin_id: admin.admin_id,
+        username: admin.username,
+        full_name: admin.full_name,
+        email: admin.email,
+        role: admin.role,
+        locale: admin.locale,
+      };
+    },
+
+    // sp_get_api_keys
+    findByAdmin: async (adminId) =>
+      keyRows(adminId)
+        .sort((a, b) => b.created_at - a.created_at || b.key_id - a.key_id)
+        .map((key) => ({
+          key_id: key.key_id,
+          name: key.name,
+          key_prefix: key.key_prefix,
+          scopes: [...key.scopes],
+          created_at: key.created_at,
+          expires_at: key.expires_at,
+          last_used_at: key.last_used_at,
+          last_used_ip: key.last_used_ip,
+        })),
+
+    // sp_revoke_api_key
+    revoke: async (keyId, adminId) => {
+      const key = keyRows(adminId).find((row) => row.key_id === Number(keyId));
+      if (!key) {
+        throw new DomainError("API_KEY_NOT_FOUND", "API key tidak ditemukan");
+      }
+      key.revoked_at = new Date();
+    },
+
+    // sp_revoke_api_keys
+    revokeAll: async (adminId) => {
+      const open = keyRows(adminId);
+      for (const key of open) key.revoked_at = new Date();
+      return open.length;
+    },
+  };
+
+  const customerBookings = (customerId) =>
+    tables.bookings.rows.filter(
+      (booking) => booking.customer_id === customerId
+    );
+
+  function findCustomer(customerId) {
+    const customer = tables.customers.find(customerId);
+    if (!customer) {
+      throw new DomainError("CUSTOMER_NOT_FOUND", "Customer not found");
+    }
+    return customer;
+  }
+
+  function assertPhoneFree(phone, except) {
+    if (
+      tables.customers.rows.some((row) => row !== except && row.phone === phone)
+    ) {
+      throw new DomainError("CUSTOMER_PHONE_TAKEN", "Duplicate phone");
+    }
+  }
+
+  const customers = {
+    // sp_search_customers
+    findAll: async ({ search, limit, offset }) =>
+      tables.customers.rows
+        .filter(
+          (customer) =>
+            !given(search) ||
+            contains(customer.full_name, search) ||
+            contains(customer.phone, search)
+        )
+        .sort(
+          (a, b) =>
+            a.full_name.localeCompare(b.full_name) ||
+            a.customer_id - b.customer_id
+        )
+        .slice(offset, offset + limit)
+        .map((customer) => {
+          const bookings = customerBookings(customer.customer_id);
+          const dates = bookings
+            .filter((booking) => booking.booking_status !== "cancelled")
+            .map((booking) => booking.booking_date)
+            .sort();
+          return {
+            customer_id: customer.customer_id,
+            full_name: customer.full_name,
+            phone: customer.phone,
+            email: customer.email,
+            notes: customer.notes,
+            total_bookings: bookings.length,
+            last_booking_date: dates.length ? dates[dates.length - 1] : null,
+            created_at: customer.created_at,
+            updated_at: customer.updated_at,
+          };
+        }),
+
+    findById: async (customerId) => {
+      const customer = tables.customers.find(customerId);
+      return customer ? { ...customer } : null;
+    },
+
+    findByPhone: async (phone) => {
+      const customer = tables.customers.rows.find((row) => row.phone === phone);
+      return customer ? { ...customer } : null;
+    },
+
+    create: async ({ full_name, phone, email, notes }) => {
+      assertPhoneFree(phone);
+      return tables.customers.insert({
+        full_name,
+        phone,
+        email: coalesce(email, null),
+        notes: coalesce(notes, null),
+      }).customer_id;
+    },
+
+    update: async (customerId, fields) => {
+      const customer = findCustomer(customerId);
+      if (given(fields.phone)) assertPhoneFree(fields.phone, customer);
+      Object.assign(customer, {
+        full_name: coalesce(fields.full_name, customer.full_name),
+        phone: coalesce(fields.phone, customer.phone),
+        email: coalesce(fields.email, customer.email),
+        notes: coalesce(fields.notes, customer.notes),
+        updated_at: new Date(),
+      });
+    },
+
+    // Bookings keep their name/phone; customer_id is set null
+    remove: async (customerId) => {
+      const customer = findCustomer(customerId);
+      for (const booking of customerBookings(customer.customer_id)) {
+        booking.customer_id = null;
+      }
+      tables.customers.removeWhere((row) => row === customer);
+    },
+
+    // sp_merge_customers
+    merge: async (targetId, sourceId) => {
+      if (Number(targetId) === Number(sourceId)) {
+        throw new DomainError(
+          "CUSTOMER_MERGE_INTO_SELF",
+          "Cannot merge a customer into itself"
+        );
+      }
+      const target = findCustomer(targetId);
+      const source = findCustomer(sourceId);
+      const moved = customerBookings(source.customer_id);
+      for (const booking of moved) booking.customer_id = target.customer_id;
+      Object.assign(target, {
+        notes: [target.notes, source.notes].filter(given).join("\n") || null,
+        email: coalesce(target.email, source.email),
+        updated_at: new Date(),
+      });
+      tables.customers.removeWhere((row) => row === source);
+      return moved.length;
+    },
+
+    // sp_get_customer_bookings
+    findBookings: async (customerId, { limit, offset }) => {
+      const customer = tables.customers.find(customerId);
+      if (!customer) return null;
+      const rows = customerBookings(customer.customer_id);
+      const count = (predicate) => rows.filter(predicate).length;
+      const past = (booking) =>
+        booking.booking_status === "confirmed" &&
+        booking.booking_date < today();
+      const active = rows.filter(kept);
+      const dates = (list) =>
+        list.map((booking) => booking.booking_date).sort();
+      const spent = active.reduce(
+        (sum, booking) =>
+          sum +
+          Math.max(
+            paidAmount(booking.booking_id),
+            booking.payment_status === "paid" ? Number(booking.total_amount) : 0
+          ),
+        0
+      );
+      return {
+        stats: {
+          customer_id: customer.customer_id,
+          full_name: customer.full_name,
+          phone: customer.phone,
+          total_bookings: rows.length,
+          visits: count(
+            (booking) =>
+              booking.booking_status === "completed" ||
+              (past(booking) && booking.payment_status !== "unpaid")
+          ),
+          upcoming: count(
+            (booking) =>
+              booking.booking_status === "confirmed" &&
+              booking.booking_date >= today()
+          ),
+          cancellations: count(
+            (booking) => booking.booking_status === "cancelled"
+          ),
+          no_shows: count(
+            (booking) =>
+              booking.booking_status === "no_show" ||
+              (past(booking) && booking.payment_status === "unpaid")
+          ),
+          total_spent: money(spent),
+          first_booking_date: dates(rows)[0] || null,
+          last_booking_date: dates(active).pop() || null,
+        },
+        bookings: rows
+          .map((booking) => ({
+            booking,
+            court: tables.courts.find(booking.court_id),
+            slot: tables.timeSlots.find(booking.slot_id),
+          }))
+          .sort(
+            (a, b) =>
+              b.booking.booking_date.localeCompare(a.booking.booking_date) ||
+              b.slot.start_time.localeCompare(a.slot.start_time)
+          )
+          .slice(offset, offset + limit)
+          .map(({ booking, court, slot }) => ({
+            booking_id: booking.booking_id,
+            booking_date: booking.booking_date,
+            court_name: court.court_name,
+            slot_name: slot.slot_name,
+            start_time: hhmm(slot.start_time),
+            end_time: hhmm(slot.end_time),
+            total_amount: money(booking.total_amount),
+            payment_status: booking.payment_status,
+            booking_status: booking.booking_status,
+            notes: booking.notes,
+            created_at: booking.created_at,
+          })),
+      };
+    },
+  };
+
+  // get_court_revenue(): paid bookings that are not cancelled
+  // sp_validate_slot_range(): the slots of "1,2,3" exist, are active and
+  // form one block; returns them in time order
+  function slotRange(slotIds) {
+    const ids = String(slotIds).split(",").map(Number);
+    const slots = tables.timeSlots.rows.filter((slot) =>
+      ids.includes(slot.slot_id)
+    );
+    if (slots.length !== ids.length) {
+      throw new DomainError("SLOT_NOT_FOUND", "Slot waktu tidak ditemukan");
+    }
+    if (slots.some((slot) => slot.status !== "active")) {
+      throw new DomainError("SLOT_INACTIVE", "Slot waktu tidak aktif");
+    }
+    slots.sort((a, b) => a.start_time.localeCompare(b.start_time));
+    if (
+      slots.some(
+        (slot, i) => i > 0 && slots[i - 1].end_time !== slot.start_time
+      )
+    ) {
+      throw new DomainError(
+        "SLOTS_NOT_CONSECUTIVE",
+        "Slot waktu harus berurutan tanpa jeda"
+      );
+    }
+    return slots;
+  }
+
+  function findOpenReservation(reservationId) {
+    const found = tables.reservations.find(reservationId);
+    if (!found) {
+      throw new DomainError(
+        "RESERVATION_NOT_FOUND",
+        "Reservasi tidak ditemukan"
+      );
+    }
+    if (found.status === "cancelled") {
+      throw new DomainError(
+        "RESERVATION_CANCELLED",
+        "Reservasi sudah dibatalkan"
+      );
+    }
+    return found;
+  }
+
+  const reservationBookings = (reservationId) =>
+    tables.bookings.rows.filter(
+      (booking) => booking.reservation_id === reservationId
+    );
+
+  const reservations = {
+    // sp_create_reservation
+    create: (reservation) =>
+      transaction(async () => {
+        const { court_id, booking_date } = reservation;
+        const court = tables.courts.find(court_id);
+        if (!court || court.status !== "active") {
+          throw new DomainError(
+            "COURT_INACTIVE",
+            "Lapangan tidak ditemukan atau tidak aktif"
+          );
+        }
+        const slots = slotRange(reservation.slot_ids);
+        const created = tables.reservations.insert({
+          court_id,
+          booking_date,
+          customer_name: reservation.customer_name,
+          customer_phone: reservation.customer_phone,
+          notes: coalesce(reservation.notes, null),
+          created_by: reservation.created_by,
+        });
+        for (const slot of slots) {
+          if (findClosure(court_id, slot.slot_id, booking_date)) {
+            throw new DomainError(
+              "COURT_CLOSED",
+              "Lapangan ditutup pada waktu tersebut"
+            );
+          }
+          if (!isSlotAvailable(court_id, slot.slot_id, booking_date)) {
+            throw new DomainError(
+              "SLOT_ALREADY_BOOKED",
+              "Slot sudah dibooking untuk tanggal tersebut"
+            );
+          }
+          insertBooking({
+            ...reservation,
+            slot_id: slot.slot_id,
+            total_amount: bookingPrice(court_id, slot.slot_id, booking_date),
+            reservation_id: created.reservation_id,
+          });
+        }
+        created.total_amount = amountOf(
+          reservationBookings(created.reservation_id),
+          kept
+        );
+        return {
+          reservation_id: created.reservation_id,
+          total_amount: money(created.total_amount),
+        };
+      }),
+
+    // sp_get_reservation_by_id: { reservation, bookings } or null
+    findById: async (reservationId) => {
+      const found = tables.reservations.find(reservationId);
+      if (!found) return null;
+      const bookings = reservationBookings(reservationId).sort(
+        (a, b) =>
+          Number(a.booking_status === "cancelled") -
+            Number(b.booking_status === "cancelled") || bySlotTime(a, b)
+      );
+      const times = bookings
+        .filter(kept)
+        .map((booking) => tables.timeSlots.find(booking.slot_id));
+      return {
+        reservation: {
+          reservation_id: found.reservation_id,
+          court_id: found.court_id,
+          court_name: tables.courts.find(found.court_id).court_name,
+          booking_date: found.booking_date,
+          start_time: times.length
+            ? times.map((slot) => slot.start_time).sort()[0]
+            : null,
+          end_time: times.length
+            ? times.map((slot) => slot.end_time).sort()[times.length - 1]
+            : null,
+          customer_name: found.customer_name,
+          customer_phone: found.customer_phone,
+          total_amount: money(found.total_amount),
+          status: found.status,
+          notes: found.notes,
+          created_by_name: adminName(found.created_by),
+          created_at: found.created_at,
+          updated_at: found.updated_at,
+        },
+        bookings: bookings.map((booking) => {
+          const slot = tables.timeSlots.find(booking.slot_id);
+          return {
+            booking_id: booking.booking_id,
+            slot_id: booking.slot_id,
+            slot_name: slot.slot_name,
+            start_time: hhmm(slot.start_time),
+            end_time: hhmm(slot.end_time),
+            total_amount: money(booking.total_amount),
+            payment_status: booking.payment_status,
+            booking_status: booking.booking_status,
+          };
+        }),
+      };
+    },
+
+    // sp_cancel_reservation; returns how many slots were cancelled
+    cancel: async (reservationId, adminId) => {
+      const found = findOpenReservation(reservationId);
+      const confirmed = reservationBookings(reservationId).filter(
+        (booking) => booking.booking_status === "confirmed"
+      );
+      for (const booking of confirmed) {
+        updateBooking(booking, {
+          booking_status: "cancelled",
+          updated_by: adminId,
+        });
+      }
+      Object.assign(found, { status: "cancelled", updated_at: new Date() });
+      return confirmed.length;
+    },
+
+    // sp_reschedule_reservation: moves the confirmed slots to
+    // { booking_date, court_id, slot_ids } (nulls keep the current ones);
+    // returns the new total
+    reschedule: async (reservationId, move, adminId) => {
+      const found = findOpenReservation(reservationId);
+      return transaction(async () => {
+        const courtId = coalesce(move.court_id, found.court_id);
+        const date = coalesce(move.booking_date, found.booking_date);
+        if (date < today()) {
+          throw new DomainError(
+            "BOOKING_DATE_IN_PAST",
+            "Tanggal booking tidak boleh tanggal lampau"
+          );
+        }
+        const court = tables.courts.find(courtId);
+        if (!court || court.status !== "active") {
+          throw new DomainError(
+            "COURT_INACTIVE",
+            "Lapangan tidak ditemukan atau tidak aktif"
+          );
+        }
+        const current = reservationBookings(reservationId)
+          .filter((booking) => booking.booking_status === "confirmed")
+          .sort(bySlotTime);
+        const slots = slotRange(
+          coalesce(
+            move.slot_ids,
+            current.map((booking) => booking.slot_id).join(",")
+          )
+        );
+        if (slots.length !== current.length) {
+          throw new DomainError(
+            "SLOT_COUNT_MISMATCH",
+            "Jumlah slot baru harus sama dengan jumlah slot reservasi"
+          );
+        }
+        const conflict = slots.some((slot) => {
+          const other = activeBooking(courtId, slot.slot_id, date);
+          return other && other.reservation_id !== reservationId;
+        });
+        if (conflict) {
+          throw new DomainError(
+            "SLOT_ALREADY_BOOKED",
+            "Slot sudah dibooking untuk tanggal tersebut"
+          );
+        }
+        current.forEach((booking, i) =>
+          updateBooking(booking, {
+            court_id: courtId,
+            slot_id: slots[i].slot_id,
+            booking_date: date,
+            total_amount: bookingPrice(courtId, slots[i].slot_id, date),
+            updated_by: adminId,
+          })
+        );
+        Object.assign(found, {
+          court_id: courtId,
+          booking_date: date,
+          total_amount: amountOf(current, kept),
+          updated_at: new Date(),
+        });
+        return money(found.total_amount);
+      });
+    },
+  };
+
+  function findWaitlistEntry(waitlistId) {
+    const entry = tables.waitlist.find(waitlistId);
+    if (!entry) {
+      throw new DomainError(
+        "WAITLIST_ENTRY_NOT_FOUND",
+        "Waitlist tidak ditemukan"
+      );
+    }
+    return entry;
+  }
+
+  const noActiveOffer = (entry) =>
+    new DomainError(
+      "NO_ACTIVE_OFFER",
+      `Tidak ada penawaran aktif (status: ${entry.status})`
+    );
+
+  const courtName = (courtId) =>
+    courtId === null ? null : tables.courts.find(courtId).court_name;
+
+  const waitlist = {
+    // sp_create_waitlist_entry
+    create: async (entry) => {
+      const { court_id, slot_id, booking_date } = entry;
+      const slot = tables.timeSlots.find(slot_id);
+      if (booking_date < today()) {
+        throw new DomainError(
+          "BOOKING_DATE_IN_PAST",
+          "Tanggal booking tidak boleh tanggal lampau"
+        );
+      }
+      if (!slot || slot.status !== "active") {
+        throw new DomainError(
+          "SLOT_INACTIVE",
+          "Slot waktu tidak ditemukan atau tidak aktif"
+        );
+      }
+      if (court_id !== null && !tables.courts.find(court_id)) {
+        throw new DomainError("COURT_NOT_FOUND", "Lapangan tidak ditemukan");
+      }
+      const queued = tables.waitlist.rows.some(
+        (row) =>
+          row.customer_phone === entry.customer_phone &&
+          row.slot_id === slot_id &&
+          row.booking_date === booking_date &&
+          row.court_id === court_id &&
+          ["waiting", "offered"].includes(row.status)
+      );
+      if (queued) {
+        throw new DomainError(
+          "ALREADY_ON_WAITLIST",
+          "Customer sudah ada di waitlist slot ini"
+        );
+      }
+      const free = tables.courts.rows.some(
+        (court) =>
+          court.status === "active" &&
+          (court_id === null || court.court_id === court_id) &&
+          isSlotAvailable(court.court_id, slot_id, booking_date)
+      );
+      if (free) {
+        throw new DomainError(
+          "SLOT_STILL_AVAILABLE",
+          "Slot masih tersedia, silakan booking langsung"
+        );
+      }
+      const customerId = given(entry.customer_id)
+        ? entry.customer_id
+        : customerFor(entry.customer_name, entry.customer_phone).customer_id;
+      const created = tables.waitlist.insert({
+        court_id,
+        slot_id,
+        booking_date,
+        customer_id: customerId,
+        customer_name: entry.customer_name,
+        customer_phone: entry.customer_phone,
+        notes: coalesce(entry.notes, null),
+        offer_minutes: entry.offer_minutes,
+        created_by: entry.created_by,
+      });
+      const position = tables.waitlist.rows.filter(
+        (row) =>
+          row.status === "waiting" &&
+          row.slot_id === slot_id &&
+          row.booking_date === booking_date &&
+          (row.court_id === null ||
+            court_id === null ||
+            row.court_id === court_id)
+      ).length;
+      return { waitlist_id: created.waitlist_id, position };
+    },
+
+    // sp_get_waitlist
+    findAll: async ({ booking_date, slot_id, court_id, status }) => {
+      expireWaitlistOffers();
+      return tables.waitlist.rows
+        .filter(
+          (entry) =>
+            (!given(booking_date) || entry.booking_date === booking_date) &&
+            (!given(slot_id) || entry.slot_id === slot_id) &&
+            (!given(court_id) ||
+              entry.court_id === null ||
+              entry.court_id === court_id) &&
+            (!given(status) || entry.status === status)
+        )
+        .map((entry) => ({ entry, slot: tables.timeSlots.find(entry.slot_id) }))
+        .sort(
+          (a, b) =>
+            a.entry.booking_date.localeCompare(b.entry.booking_date) ||
+            a.slot.start_time.localeCompare(b.slot.start_time) ||
+            byQueue(a.entry, b.entry)
+        )
+        .map(({ entry, slot }) => ({
+          waitlist_id: entry.waitlist_id,
+          court_id: entry.court_id,
+          court_name: courtName(entry.court_id),
+          slot_id: entry.slot_id,
+          slot_name: slot.slot_name,
+          start_time: hhmm(slot.start_time),
+          end_time: hhmm(slot.end_time),
+          booking_date: entry.booking_date,
+          customer_id: entry.customer_id,
+          customer_name: entry.customer_name,
+          customer_phone: entry.customer_phone,
+          notes: entry.notes,
+          status: entry.status,
+          offered_court_id: entry.offered_court_id,
+          offered_court_name: courtName(entry.offered_court_id),
+          offered_at: entry.offered_at,
+          offer_expires_at: entry.offer_expires_at,
+          booking_id: entry.booking_id,
+          position:
+            entry.status === "waiting"
+              ? tables.waitlist.rows.filter(
+                  (queued) =>
+                    queued.status === "waiting" &&
+                    queued.slot_id === entry.slot_id &&
+                    queued.booking_date === entry.booking_date &&
+                    byQueue(queued, entry) <= 0
+                ).length
+              : null,
+          created_by: entry.created_by,
+          created_at: entry.created_at,
+        }));
+    },
+
+    // sp_get_waitlist_entry_by_id
+    findById: async (waitlistId) => {
+      expireWaitlistOffers();
+      const entry = tables.waitlist.find(waitlistId);
+      if (!entry) return null;
+      return {
+        waitlist_id: entry.waitlist_id,
+        court_id: entry.court_id,
+        court_name: courtName(entry.court_id),
+        slot_id: entry.slot_id,
+        slot_name: tables.timeSlots.find(entry.slot_id).slot_name,
+        booking_date: entry.booking_date,
+        customer_id: entry.customer_id,
+        customer_name: entry.customer_name,
+        customer_phone: entry.customer_phone,
+        notes: entry.notes,
+        offer_minutes: entry.offer_minutes,
+        status: entry.status,
+        offered_court_id: entry.offered_court_id,
+        offered_court_name: courtName(entry.offered_court_id),
+        offered_at: entry.offered_at,
+        offer_expires_at: entry.offer_expires_at,
+        booking_id: entry.booking_id,
+        created_by: entry.created_by,
+        created_at: entry.created_at,
+        updated_at: entry.updated_at,
+      };
+    },
+
+    // sp_accept_waitlist_offer
+    acceptOffer: async (waitlistId, adminId) => {
+      expireWaitlistOffers();
+      const entry = findWaitlistEntry(waitlistId);
+      if (entry.status !== "offered") throw noActiveOffer(entry);
+      const courtId = entry.offered_court_id;
+      if (!isSlotAvailable(courtId, entry.slot_id, entry.booking_date)) {
+        throw new DomainError(
+          "SLOT_ALREADY_BOOKED",
+          "Slot sudah dibooking untuk tanggal tersebut"
+        );
+      }
+      const created = insertBooking({
+        court_id: courtId,
+        slot_id: entry.slot_id,
+        booking_date: entry.booking_date,
+        customer_id: entry.customer_id,
+        customer_name: entry.customer_name,
+        customer_phone: entry.customer_phone,
+        total_amount: bookingPrice(courtId, entry.slot_id, entry.booking_date),
+        notes: entry.notes,
+        created_by: adminId,
+      });
+      Object.assign(entry, {
+        status: "booked",
+        booking_id: created.booking_id,
+        updated_at: new Date(),
+      });
+      return {
+        booking_id: created.booking_id,
+        total_amount: money(created.total_amount),
+      };
+    },
+
+    // sp_close_waitlist_entry: a declined or withdrawn offer passes to the
+    // next waiting entry
+    close: async (waitlistId, status) => {
+      expireWaitlistOffers();
+      const entry = findWaitlistEntry(waitlistId);
+      if (status === "declined" && entry.status !== "offered") {
+        throw noActiveOffer(entry);
+      }
+      if (!["waiting", "offered"].includes(entry.status)) {
+        throw new DomainError(
+          "WAITLIST_ENTRY_CLOSED",
+          `Waitlist sudah ditutup (status: ${entry.status})`
+        );
+      }
+      const offered = entry.status === "offered";
+      Object.assign(entry, { status, updated_at: new Date() });
+      if (offered) {
+        offerWaitlistSlot(
+          entry.offered_court_id,
+          entry.slot_id,
+          entry.booking_date
+        );
+      }
+    },
+
+    // sp_run_waitlist_expiry
+    expireOffers: async () => expireWaitlistOffers(),
+  };
+
+  // Dates from startDate to endDate whose ISO weekday is in weekdays ("1,3")
+  function seriesDates(weekdays, startDate, endDate) {
+    const days = String(weekdays).split(",").map(Number);
+    const dates = [];
+    for (let date = startDate; date <= endDate; date = nextDay(date)) {
+      if (days.includes(isoWeekday(date))) dates.push(date);
+    }
+    return dates;
+  }
+
+  function findActiveSeries(seriesId) {
+    const found = tables.series.find(seriesId);
+    if (!found || found.status !== "active") {
+      throw new DomainError(
+        "SERIES_NOT_FOUND",
+        "Booking series tidak ditemukan atau sudah dibatalkan"
+      );
+    }
+    return found;
+  }
+
+  // Confirmed occurrences of a series from fromDate (null = today)
+  const remainingOccurrences = (seriesId, fromDate) =>
+    tables.bookings.rows.filter(
+      (booking) =>
+        booking.series_id === seriesId &&
+        booking.booking_status === "confirmed" &&
+        booking.booking_date >= coalesce(fromDate, today())
+    );
+
+  const seriesRow = (found) => ({
+    series_id: found.series_id,
+    court_name: tables.courts.find(found.court_id).court_name,
+    slot_name: tables.timeSlots.find(found.slot_id).slot_name,
+    weekdays: found.weekdays,
+    start_date: found.start_date,
+    end_date: found.end_date,
+    customer_name: found.customer_name,
+    customer_phone: found.customer_phone,
+    status: found.status,
+    remaining_occurrences: tables.bookings.rows.filter(
+      (booking) =>
+        booking.series_id === found.series_id &&
+        booking.booking_status === "confirmed"
+    ).length,
+    created_at: found.created_at,
+  });
+
+  const series = {
+    // sp_preview_booking_series
+    preview: async ({ court_id, slot_id, weekdays, start_date, end_date }) =>
+      seriesDates(weekdays, start_date, end_date).map((date) => {
+        const conflict = activeBooking(court_id, slot_id, date);
+        return {
+          booking_date: date,
+          weekday: isoWeekday(date),
+          is_available: conflict ? 0 : 1,
+          conflict_booking_id: conflict ? conflict.booking_id : null,
+          conflict_customer_name: conflict ? conflict.customer_name : null,
+        };
+      }),
+
+    // sp_create_booking_series
+    create: (definition) =>
+      transaction(async () => {
+        const { court_id, slot_id } = definition;
+        const court = tables.courts.find(court_id);
+        if (!court || court.status !== "active") {
+          throw new DomainError(
+            "COURT_INACTIVE",
+            "Lapangan tidak ditemukan atau tidak aktif"
+          );
+        }
+        const created = tables.series.insert({
+          court_id,
+          slot_id,
+          weekdays: definition.weekdays,
+          start_date: definition.start_date,
+          end_date: definition.end_date,
+          customer_name: definition.customer_name,
+          customer_phone: definition.customer_phone,
+          notes: coalesce(definition.notes, null),
+          created_by: definition.created_by,
+        });
+        let createdCount = 0;
+        const skipped = [];
+        const dates = seriesDates(
+          definition.weekdays,
+          definition.start_date,
+          definition.end_date
+        );
+        for (const date of dates) {
+          if (isSlotAvailable(court_id, slot_id, date)) {
+            insertBooking({
+              ...definition,
+              booking_date: date,
+              total_amount: bookingPrice(court_id, slot_id, date),
+              series_id: created.series_id,
+            });
+            createdCount += 1;
+          } else if (definition.skip_conflicts) {
+            skipped.push(date);
+          } else {
+            throw new DomainError(
+              "SLOT_ALREADY_BOOKED",
+              `Slot sudah dibooking untuk tanggal ${date}`
+            );
+          }
+        }
+        if (createdCount === 0) {
+          throw new DomainError(
+            "NO_SERIES_DATES_AVAILABLE",
+            "Tidak ada tanggal yang tersedia untuk series ini"
+          );
+        }
+        return {
+          series_id: created.series_id,
+          created_count: createdCount,
+          skipped_count: skipped.length,
+          skipped_dates: skipped.length ? skipped.join(",") : null,
+        };
+      }),
+
+    // sp_get_booking_series
+    findAll: async (status) =>
+      tables.series.rows
+        .filter((found) => !status || found.status === status)
+        .sort(
+          (a, b) =>
+            b.start_date.localeCompare(a.start_date) ||
+            b.series_id - a.series_id
+        )
+        .map(seriesRow),
+
+    // sp_get_booking_series_by_id
+    findById: async (seriesId) => {
+      const found = tables.series.find(seriesId);
+      if (!found) return null;
+      return {
+        series: {
+          series_id: found.series_id,
+          court_id: found.court_id,
+          court_name: tables.courts.find(found.court_id).court_name,
+          slot_id: found.slot_id,
+          slot_name: tables.timeSlots.find(found.slot_id).slot_name,
+          weekdays: found.weekdays,
+          start_date: found.start_date,
+          end_date: found.end_date,
+          customer_name: found.customer_name,
+          customer_phone: found.customer_phone,
+          notes: found.notes,
+          status: found.status,
+          created_by_name: adminName(found.created_by),
+          created_at: found.created_at,
+          updated_at: found.updated_at,
+        },
+        occurrences: tables.bookings.rows
+          .filter((booking) => booking.series_id === seriesId)
+          .sort((a, b) => a.booking_date.localeCompare(b.booking_date))
+          .map((booking) => ({
+            booking_id: booking.booking_id,
+            court_id: booking.court_id,
+            slot_id: booking.slot_id,
+            booking_date: booking.booking_date,
+            total_amount: money(booking.total_amount),
+            payment_status: booking.payment_status,
+            booking_status: booking.booking_status,
+          })),
+      };
+    },
+
+    // sp_update_booking_series
+    update: async (seriesId, fromDate, fields, adminId) => {
+      const found = findActiveSeries(seriesId);
+      return transaction(async () => {
+        const courtId = coalesce(fields.court_id, found.court_id);
+        const slotId = coalesce(fields.slot_id, found.slot_id);
+        const court = tables.courts.find(courtId);
+        if (!court || court.status !== "active") {
+          throw new DomainError(
+            "COURT_INACTIVE",
+            "Lapangan tidak ditemukan atau tidak aktif"
+          );
+        }
+        const occurrences = remainingOccurrences(seriesId, fromDate);
+        const moved = given(fields.court_id) || given(fields.slot_id);
+        if (moved) {
+          const conflict = occurrences.some((own) => {
+            const other = activeBooking(courtId, slotId, own.booking_date);
+            return other && other !== own && other.series_id !== seriesId;
+          });
+          if (conflict) {
+            throw new DomainError(
+              "SLOT_ALREADY_BOOKED",
+              "Slot sudah dibooking untuk sebagian tanggal series"
+            );
+          }
+        }
+        const details = {
+          customer_name: coalesce(fields.customer_name, found.customer_name),
+          customer_phone: coalesce(fields.customer_phone, found.customer_phone),
+          notes: coalesce(fields.notes, found.notes),
+        };
+        if (given(fields.customer_name) && given(fields.customer_phone)) {
+          customerFor(fields.customer_name, fields.customer_phone);
+        }
+        const customer = tables.customers.rows.find(
+          (row) =>
+            given(fields.customer_phone) && row.phone === fields.customer_phone
+        );
+        for (const booking of occurrences) {
+          updateBooking(booking, {
+            court_id: courtId,
+            slot_id: slotId,
+            total_amount: moved
+              ? bookingPrice(courtId, slotId, booking.booking_date)
+              : booking.total_amount,
+            customer_name: coalesce(
+              fields.customer_name,
+              booking.customer_name
+            ),
+            customer_phone: coalesce(
+              fields.customer_phone,
+              booking.customer_phone
+            ),
+            customer_id: customer ? customer.customer_id : booking.customer_id,
+            notes: coalesce(fields.notes, booking.notes),
+            updated_by: adminId,
+          });
+        }
+        Object.assign(found, details, {
+          court_id: courtId,
+          slot_id: slotId,
+          updated_at: new Date(),
+        });
+        return occurrences.length;
+      });
+    },
+
+    // sp_cancel_booking_series: the series ends the day before fromDate
+    cancel: async (seriesId, fromDate, adminId) => {
+      const found = findActiveSeries(seriesId);
+      const from = coalesce(fromDate, today());
+      const occurrences = remainingOccurrences(seriesId, from);
+      for (const booking of occurrences) {
+        updateBooking(booking, {
+          booking_status: "cancelled",
+          updated_by: adminId,
+        });
+      }
+      if (from <= found.start_date) {
+        found.status = "cancelled";
+      } else if (addDays(from, -1) < found.end_date) {
+        found.end_date = addDays(from, -1);
+      }
+      found.updated_at = new Date();
+      return occurrences.length;
+    },
+  };
+
+  const courtRevenue = (courtId, startDate, endDate) =>
+    tables.bookings.rows
+      .filter(
+        (booking) =>
+          booking.court_id === Number(courtId) &&
+          booking.booking_date >= startDate &&
+          booking.booking_date <= endDate &&
+          booking.booking_status !== "cancelled" &&
+          booking.payment_status === "paid"
+      )
+      .reduce((sum, booking) => sum + Number(booking.total_amount), 0);
+
+  // Sum of total_amount over the bookings matching predicate
+  const amountOf = (bookings, predicate) =>
+    bookings
+      .filter(predicate)
+      .reduce((sum, booking) => sum + Number(booking.total_amount), 0);
+
+  // Bookings grouped by key(booking), then court: [{ court, bookings }]
+  function groupByCourt(bookings, key) {
+    const groups = new Map();
+    for (const booking of bookings) {
+      const id = `${key(booking)}|${booking.court_id}`;
+      if (!groups.has(id)) {
+        groups.set(id, {
+          key: key(booking),
+          court: tables.courts.find(booking.court_id),
+          bookings: [],
+        });
+      }
+      groups.get(id).bookings.push(booking);
+    }
+    return [...groups.values()];
+  }
+
+  const activeSlotCount = () =>
+    tables.timeSlots.rows.filter((slot) => slot.status === "active").length;
+
+  const reports = {
+    // sp_get_daily_summary (v_daily_booking_summary)
+    dailySummary: async (startDate, endDate) => {
+      const start = coalesce(startDate, addDays(today(), -7));
+      const end = coalesce(endDate, today());
+      return groupByCourt(
+        tables.bookings.rows.filter(
+          (booking) =>
+            booking.booking_date >= start && booking.booking_date <= end
+        ),
+        (booking) => booking.booking_date
+      )
+        .sort(
+          (a, b) =>
+            b.key.localeCompare(a.key) ||
+            a.court.court_name.localeCompare(b.court.court_name)
+        )
+        .map(({ key, court, bookings }) => ({
+          booking_date: key,
+          court_name: court.court_name,
+          total_bookings: bookings.length,
+          paid_bookings: bookings.filter(
+            (booking) => booking.payment_status === "paid"
+          ).length,
+          unpaid_bookings: bookings.filter(
+            (booking) => booking.payment_status === "unpaid"
+          ).length,
+          cancelled_bookings: bookings.filter((booking) => !kept(booking))
+            .length,
+          daily_revenue: money(amountOf(bookings, paidAndKept)),
+        }));
+    },
+
+    // sp_get_revenue_summary (v_revenue_summary)
+    revenueSummary: async (year, courtId) => {
+      const prefix = `${coalesce(year, today().slice(0, 4))}-`;
+      const withStatus = (status) => (booking) =>
+        booking.payment_status === status && kept(booking);
+      return groupByCourt(
+        tables.bookings.rows.filter(
+          (booking) =>
+            booking.booking_date.startsWith(prefix) &&
+            (!given(courtId) || booking.court_id === Number(courtId))
+        ),
+        (booking) => booking.booking_date.slice(0, 7)
+      )
+        .sort(
+          (a, b) =>
+            b.key.localeCompare(a.key) ||
+            a.court.court_name.localeCompare(b.court.court_name)
+        )
+        .map(({ key, court, bookings }) => ({
+          month_year: key,
+          court_name: court.court_name,
+          total_bookings: bookings.filter(kept).length,
+          paid_revenue: money(amountOf(bookings, withStatus("paid"))),
+          outstanding_revenue: money(amountOf(bookings, withStatus("unpaid"))),
+          partial_revenue: money(amountOf(bookings, withStatus("partial"))),
+        }));
+    },
+
+    // sp_get_court_utilization (v_court_utilization)
+    courtUtilization: async () => {
+      const since = addDays(today(), -30);
+      return tables.courts.rows
+        .slice()
+        .sort((a, b) => a.court_name.localeCompare(b.court_name))
+        .map((court) => {
+          const bookings = tables.bookings.rows.filter(
+            (booking) => booking.court_id === court.court_id && kept(booking)
+          );
+          const todays = bookings.filter(
+            (booking) => booking.booking_date === today()
+          ).length;
+          return {
+            court_id: court.court_id,
+            court_name: court.court_name,
+            court_status: court.status,
+            bookings_last_30_days: bookings.filter(
+              (booking) => booking.booking_date >= since
+            ).length,
+            today_bookings: todays,
+            total_available_slots: activeSlotCount(),
+            available_slots_today: activeSlotCount() - todays,
+            revenue_last_30_days: money(
+              courtRevenue(court.court_id, since, today())
+            ),
+          };
+        });
+    },
+
+    // sp_get_dashboard_stats
+    dashboardStats: async (date) => {
+      const day = coalesce(date, today());
+      const onDay = tables.bookings.rows.filter(
+        (booking) => booking.booking_date === day
+      );
+      const inMonth = tables.bookings.rows.filter(
+        (booking) => booking.booking_date.slice(0, 7) === day.slice(0, 7)
+      );
+      return {
+        total_courts: tables.courts.rows.filter(
+          (court) => court.status === "active"
+        ).length,
+        today_bookings: onDay.filter(kept).length,
+        paid_bookings: onDay.filter(paidAndKept).length,
+        unpaid_bookings: onDay.filter(
+          (booking) =>
+            booking.payment_status === "unpaid" &&
+            !["cancelled", "no_show"].includes(booking.booking_status)
+        ).length,
+        no_show_bookings: onDay.filter(
+          (booking) => booking.booking_status === "no_show"
+        ).length,
+        daily_revenue: money(amountOf(onDay, paidAndKept)),
+        monthly_revenue: money(amountOf(inMonth, paidAndKept)),
+      };
+    },
+
+    courtRevenue: async (courtId, startDate, endDate) =>
+      money(courtRevenue(courtId, startDate, endDate)),
+
+    // sp_get_cash_up
+    cashUp: async (date, adminId) => {
+      const groups = new Map();
+      for (const payment of tables.payments.rows) {
+        if (
+          localDate(payment.created_at) !== date ||
+          (given(adminId) && payment.received_by !== Number(adminId))
+        ) {
+          continue;
+        }
+        const id = `${payment.received_by}|${payment.method}`;
+        if (!groups.has(id)) {
+          groups.set(id, {
+            admin: tables.admins.find(payment.received_by),
+            method: payment.method,
+            payments: [],
+          });
+        }
+        groups.get(id).payments.push(payment);
+      }
+      return [...groups.values()]
+        .sort(
+          (a, b) =>
+            a.admin.full_name.localeCompare(b.admin.full_name) ||
+            a.method.localeCompare(b.method)
+        )
+        .map(({ admin, method, payments }) => {
+          const ofType = (type) =>
+            payments.filter((payment) => payment.type === type);
+          const total = (list) =>
+            list.reduce((sum, payment) => sum + Number(payment.amount), 0);
+          return {
+            admin_id: admin.admin_id,
+            admin_name: admin.full_name,
+            method,
+            payment_count: ofType("payment").length,
+            total_received: money(total(ofType("payment"))),
+            refund_count: ofType("refund").length,
+            total_refunded: money(total(ofType("refund"))),
+            net_amount: money(
+              total(ofType("payment")) - total(ofType("refund"))
+            ),
+          };
+        });
+    },
+  };
+
+  const ruleRow = (rule) => {
+    const court = rule.court_id && tables.courts.find(rule.court_id);
+    const slot = rule.slot_id && tables.timeSlots.find(rule.slot_id);
+    return {
+      ...rule,
+      holidays_only: rule.holidays_only ? 1 : 0,
+      price: money(rule.price),
+      court_name: court ? court.court_name : null,
+      slot_name: slot ? slot.slot_name : null,
+    };
+  };
+
+  // Unknown courts and slots fail like the foreign keys
+  function ruleFields(rule) {
+    if (
+      (given(rule.court_id) && !tables.courts.find(rule.court_id)) ||
+      (given(rule.slot_id) && !tables.timeSlots.find(rule.slot_id))
+    ) {
+      throw new DomainError(
+        "REFERENCED_RECORD_NOT_FOUND",
+        "Cannot add or update a child row: a foreign key constraint fails"
+      );
+    }
+    return {
+      rule_name: rule.rule_name,
+      court_id: coalesce(rule.court_id, null),
+      slot_id: coalesce(rule.slot_id, null),
+      start_time: given(rule.start_time) ? toTime(rule.start_time) : null,
+      end_time: given(rule.end_time) ? toTime(rule.end_time) : null,
+      weekdays: coalesce(rule.weekdays, null),
+      valid_from: coalesce(rule.valid_from, null),
+      valid_to: coalesce(rule.valid_to, null),
+      holidays_only: Boolean(rule.holidays_only),
+      price: Number(rule.price),
+      priority: coalesce(rule.priority, 0),
+      status: coalesce(rule.status, "active"),
+    };
+  }
+
+  function findRule(ruleId) {
+    const rule = tables.pricingRules.find(ruleId);
+    if (!rule) {
+      throw new DomainError("PRICING_RULE_NOT_FOUND", "Pricing rule not found");
+    }
+    return rule;
+  }
+
+  const pricing = {
+    findRules: async () =>
+      tables.pricingRules.rows
+        .slice()
+        .sort(
+          (a, b) =>
+            a.status.localeCompare(b.status) ||
+            b.priority - a.priority ||
+            a.rule_id - b.rule_id
+        )
+        .map(ruleRow),
+
+    findRuleById: async (ruleId) => {
+      const rule = tables.pricingRules.find(ruleId);
+      return rule ? ruleRow(rule) : null;
+    },
+
+    createRule: async (rule) =>
+      tables.pricingRules.insert(ruleFields(rule)).rule_id,
+
+    updateRule: async (ruleId, rule) => {
+      Object.assign(findRule(ruleId), ruleFields(rule), {
+        updated_at: new Date(),
+      });
+    },
+
+    removeRule: async (ruleId) => {
+      const rule = findRule(ruleId);
+      tables.pricingRules.removeWhere((row) => row === rule);
+    },
+
+    // sp_get_price_quote
+    quote: async (courtId, slotId, bookingDate) => {
+      const court = tables.courts.find(courtId);
+      const slot = tables.timeSlots.find(slotId);
+      if (!court || !slot) return null;
+      const rule = findPricingRule(courtId, slotId, bookingDate);
+      const holiday = tables.holidays.find(
+        (row) => row.holiday_date === bookingDate
+      );
+      return {
+        court_id: court.court_id,
+        court_name: court.court_name,
+        slot_id: slot.slot_id,
+        slot_name: slot.slot_name,
+        booking_date: bookingDate,
+        base_price: money(court.price_per_session),
+        rule_id: rule ? rule.rule_id : null,
+        rule_name: rule ? rule.rule_name : null,
+        price: money(bookingPrice(courtId, slotId, bookingDate)),
+        holiday_name: holiday ? holiday.holiday_name : null,
+      };
+    },
+
+    findHolidays: async (year) =>
+      tables.holidays
+        .filter(
+          (holiday) =>
+            !given(year) || holiday.holiday_date.startsWith(`${year}-`)
+        )
+        .sort((a, b) => a.holiday_date.localeCompare(b.holiday_date))
+        .map((holiday) => ({ ...holiday })),
+
+    saveHoliday: async (date, name) => {
+      const holiday = tables.holidays.find((row) => row.holiday_date === date);
+      if (holiday) holiday.holiday_name = name;
+      else {
+        tables.holidays.push({
+          holiday_date: date,
+          holiday_name: name,
+          created_at: new Date(),
+        });
+      }
+    },
+
+    removeHoliday: async (date) => {
+      const index = tables.holidays.findIndex(
+        (row) => row.holiday_date === date
+      );
+      if (index < 0) {
+        throw new DomainError("HOLIDAY_NOT_FOUND", "Holiday not found");
+      }
+      tables.holidays.splice(index, 1);
+    },
+  };
+
+  const closureRow = (closure) => {
+    const court = closure.court_id && tables.courts.find(closure.court_id);
+    return {
+      closure_id: closure.closure_id,
+      court_id: closure.court_id,
+      court_name: court ? court.court_name : null,
+      start_datetime: closure.start_datetime,
+      end_datetime: closure.end_datetime,
+      reason: closure.reason,
+      created_by: closure.created_by,
+      created_by_name: adminName(closure.created_by),
+      created_at: closure.created_at,
+    };
+  };
+
+  const closures = {
+    // sp_get_closures
+    findAll: async ({ court_id, start_date, end_date }) =>
+      tables.closures.rows
+        .filter(
+          (closure) =>
+            (!given(court_id) ||
+              closure.court_id === null ||
+              closure.court_id === Number(court_id)) &&
+            (!given(start_date) ||
+              closure.end_datetime > `${start_date} 00:00:00`) &&
+            (!given(end_date) ||
+              closure.start_datetime < `${nextDay(end_date)} 00:00:00`)
+        )
+        .sort(
+          (a, b) =>
+            a.start_datetime.localeCompare(b.start_datetime) ||
+            a.closure_id - b.closure_id
+        )
+        .map(closureRow),
+
+    findById: async (closureId) => {
+      const closure = tables.closures.find(closureId);
+      return closure ? closureRow(closure) : null;
+    },
+
+    // sp_create_closure; existing bookings are kept
+    create: async (closure) => {
+      if (given(closure.court_id) && !tables.courts.find(closure.court_id)) {
+        throw new DomainError("COURT_NOT_FOUND", "Court not found");
+      }
+      const start = toDateTime(closure.start_datetime);
+      const end = toDateTime(closure.end_datetime);
+      if (end <= start) {
+        throw new DomainError(
+          "INVALID_TIME_RANGE",
+          "end_datetime must be after start_datetime"
+        );
+      }
+      return tables.closures.insert({
+        court_id: coalesce(closure.court_id, null),
+        start_datetime: start,
+        end_datetime: end,
+        reason: closure.reason,
+        created_by: closure.created_by,
+      }).closure_id;
+    },
+
+    remove: async (closureId) => {
+      const closure = tables.closures.find(closureId);
+      if (!closure) {
+        throw new DomainError("CLOSURE_NOT_FOUND", "Closure not found");
+      }
+      tables.closures.removeWhere((row) => row === closure);
+    },
+
+    // sp_get_closure_conflicts
+    findConflicts: async (closureId) => {
+      const closure = tables.closures.find(closureId);
+      if (!closure) return [];
+      return tables.bookings.rows
+        .filter(
+          (booking) =>
+            booking.booking_status !== "cancelled" &&
+            (closure.court_id === null || booking.court_id === closure.court_id)
+        )
+        .map((booking) => ({
+          booking,
+          court: tables.courts.find(booking.court_id),
+          slot: tables.timeSlots.find(booking.slot_id),
+        }))
+        .filter(
+          ({ booking, slot }) =>
+            `${booking.booking_date} ${slot.start_time}` <
+              closure.end_datetime &&
+            `${booking.booking_date} ${slot.end_time}` > closure.start_datetime
+        )
+        .sort(
+          (a, b) =>
+            a.booking.booking_date.localeCompare(b.booking.booking_date) ||
+            a.slot.start_time.localeCompare(b.slot.start_time) ||
+            a.court.court_name.localeCompare(b.court.court_name)
+        )
+        .map(({ booking, court, slot }) => ({
+          booking_id: booking.booking_id,
+          reservation_id: coalesce(booking.reservation_id, null),
+          series_id: coalesce(booking.series_id, null),
+          court_id: booking.court_id,
+          court_name: court.court_name,
+          booking_date: booking.booking_date,
+          slot_id: booking.slot_id,
+          slot_name: slot.slot_name,
+          start_time: hhmm(slot.start_time),
+          end_time: hhmm(slot.end_time),
+          customer_id: booking.customer_id,
+          customer_name: booking.customer_name,
+          customer_phone: booking.customer_phone,
+          payment_status: booking.payment_status,
+          booking_status: booking.booking_status,
+          total_amount: money(booking.total_amount),
+        }));
+    },
+  };
+
+  const audit = {
+    // sp_get_audit_log
+    findAll: async (filters) =>
+      tables.audit.rows
+        .map((entry) => ({
+          entry,
+          booking: tables.bookings.find(entry.booking_id),
+        }))
+        .filter(
+          ({ entry, booking }) =>
+            (!given(filters.booking_id) ||
+              entry.booking_id === Number(filters.booking_id)) &&
+            (!given(filters.changed_by) ||
+              entry.changed_by === Number(filters.changed_by)) &&
+            (!given(filters.action) || entry.action === filters.action) &&
+            (!given(filters.customer) ||
+              (booking &&
+                (contains(booking.customer_name, filters.customer) ||
+                  contains(booking.customer_phone, filters.customer)))) &&
+            (!given(filters.start_date) ||
+              localDate(entry.created_at) >= filters.start_date) &&
+            (!given(filters.end_date) ||
+              localDate(entry.created_at) <= filters.end_date)
+        )
+        .sort(
+          (a, b) =>
+            b.entry.created_at - a.entry.created_at ||
+            b.entry.audit_id - a.entry.audit_id
+        )
+        .slice(filters.offset, filters.offset + filters.limit)
+        .map(({ entry, booking }) => ({
+          audit_id: entry.audit_id,
+          booking_id: entry.booking_id,
+          customer_name: booking ? booking.customer_name : null,
+          booking_date: booking ? booking.booking_date : null,
+          action: entry.action,
+          changed_by: entry.changed_by,
+          changed_by_name: adminName(entry.changed_by),
+          old_values: entry.old_values,
+          new_values: entry.new_values,
+          created_at: entry.created_at,
+        })),
+  };
+
+  const availability = {
+    // sp_get_availability_grid
+    findGrid: async (startDate, endDate, courtIds) => {
+      const ids = given(courtIds) ? courtIds.split(",").map(Number) : null;
+      const dates = [];
+      for (let date = startDate; date <= endDate; date = nextDay(date)) {
+        dates.push(date);
+      }
+      const slots = tables.timeSlots.rows
+        .filter((slot) => slot.status === "active")
+        .sort((a, b) => a.start_time.localeCompare(b.start_time));
+      const rows = [];
+      const courtList = tables.courts.rows
+        .filter((court) =>
+          ids ? ids.includes(court.court_id) : court.status !== "inactive"
+        )
+        .sort((a, b) => a.court_name.localeCompare(b.court_name));
+      for (const court of courtList) {
+        for (const date of dates) {
+          for (const slot of slots) {
+            const booking = activeBooking(court.court_id, slot.slot_id, date);
+            const closure = findClosure(court.court_id, slot.slot_id, date);
+            rows.push({
+              court_id: court.court_id,
+              court_name: court.court_name,
+              court_status: court.status,
+              booking_date: date,
+              slot_id: slot.slot_id,
+              slot_name: slot.slot_name,
+              start_time: hhmm(slot.start_time),
+              end_time: hhmm(slot.end_time),
+              is_booked: booking ? 1 : 0,
+              booking_id: booking ? booking.booking_id : null,
+              reservation_id: booking
+                ? coalesce(booking.reservation_id, null)
+                : null,
+              series_id: booking ? coalesce(booking.series_id, null) : null,
+              customer_id: booking ? booking.customer_id : null,
+              customer_name: booking ? booking.customer_name : null,
+              customer_phone: booking ? booking.customer_phone : null,
+              payment_status: booking ? booking.payment_status : null,
+              booking_status: booking ? booking.booking_status : null,
+              closure_id: closure ? closure.closure_id : null,
+              closure_reason: closure ? closure.reason : null,
+              is_held: isHeld(court.court_id, slot.slot_id, date) ? 1 : 0,
+            });
+          }
+        }
+      }
+      return rows;
+    },
+  };
+
+  // "2030-01-01" -> "01-01-2030", like DATE_FORMAT(..., '%d-%m-%Y')
+  const dmy = (date) => date.split("-").reverse().join("-");
+
+  const notificationRow = (message) => ({
+    notification_id: message.notification_id,
+    booking_id: message.booking_id,
+    customer_id: message.customer_id,
+    template: message.template,
+    channel: message.channel,
+    recipient: message.recipient,
+    subject: message.subject,
+    body: message.body,
+    attempts: message.attempts,
+  });
+
+  const notifications = {
+    // sp_get_booking_notification_data
+    findBookingData: async (bookingId) => {
+      const booking = tables.bookings.find(bookingId);
+      if (!booking) return null;
+      const customer = tables.customers.find(booking.customer_id);
+      const slot = tables.timeSlots.find(booking.slot_id);
+      return {
+        booking_id: booking.booking_id,
+        customer_id: booking.customer_id,
+        customer_name: booking.customer_name,
+        customer_phone: booking.customer_phone,
+        customer_email: customer ? customer.email : null,
+        court_name: tables.courts.find(booking.court_id).court_name,
+        slot_name: slot.slot_name,
+        booking_date: dmy(booking.booking_date),
+        start_time: hhmm(slot.start_time),
+        end_time: hhmm(slot.end_time),
+        total_amount: money(booking.total_amount),
+        payment_status: booking.payment_status,
+        booking_status: booking.booking_status,
+        paid_amount: money(paidAmount(booking.booking_id)),
+      };
+    },
+
+    // sp_enqueue_notification
+    enqueue: async (message) =>
+      tables.notifications.insert({
+        booking_id: message.booking_id,
+        customer_id: message.customer_id,
+        template: message.template,
+        channel: message.channel,
+        recipient: message.recipient,
+        subject: message.subject,
+        body: message.body,
+      }).notification_id,
+
+    // sp_claim_notifications: due messages, and ones stuck in "sending"
+    // for 10 minutes
+    claim: async (limit) => {
+      const now = new Date();
+      const stuck = new Date(now - 10 * 60000);
+      const byDue = (a, b) =>
+        a.next_attempt_at - b.next_attempt_at ||
+        a.notification_id - b.notification_id;
+      const token = crypto.randomUUID();
+      const claimed = tables.notifications.rows
+        .filter(
+          (message) =>
+            (message.status === "pending" && message.next_attempt_at <= now) ||
+            (message.status === "sending" && message.updated_at < stuck)
+        )
+        .sort(byDue)
+        .slice(0, limit);
+      for (const message of claimed) {
+        Object.assign(message, {
+          status: "sending",
+          claim_token: token,
+          updated_at: now,
+        });
+      }
+      return claimed.map(notificationRow);
+    },
+
+    // sp_mark_notification_sent
+    markSent: async (notificationId) => {
+      const message = tables.notifications.find(notificationId);
+      if (!message) return;
+      Object.assign(message, {
+        status: "sent",
+        attempts: message.attempts + 1,
+        last_error: null,
+        claim_token: null,
+        sent_at: new Date(),
+        updated_at: new Date(),
+      });
+    },
+
+    // sp_mark_notification_failed: retry after retry_minutes *
+    // 2^(attempts - 1), or fail once max_attempts is reached
+    markFailed: async (
+      notificationId,
+      error,
+      { max_attempts, retry_minutes }
+    ) => {
+      const message = tables.notifications.find(notificationId);
+      if (!message) return undefined;
+      const attempts = message.attempts + 1;
+      Object.assign(message, {
+        attempts,
+        last_error: error,
+        claim_token: null,
+        status: attempts >= max_attempts ? "failed" : "pending",
+        next_attempt_at: new Date(
+          Date.now() + retry_minutes * 2 ** (attempts - 1) * 60000
+        ),
+        updated_at: new Date(),
+      });
+      return {
+        status: message.status,
+        attempts,
+        next_attempt_at: message.next_attempt_at,
+      };
+    },
+
+    // sp_get_notifications
+    findAll: async ({ status, booking_id, template, limit, offset }) =>
+      tables.notifications.rows
+        .filter(
+          (message) =>
+            (!given(status) || message.status === status) &&
+            (!given(booking_id) || message.booking_id === booking_id) &&
+            (!given(template) || message.template === template)
+        )
+        .sort(
+          (a, b) =>
+            b.created_at - a.created_at || b.notification_id - a.notification_id
+        )
+        .slice(offset, offset + limit)
+        .map((message) => ({
+          ...notificationRow(message),
+          status: message.status,
+          last_error: message.last_error,
+          next_attempt_at: message.next_attempt_at,
+          sent_at: message.sent_at,
+          created_at: message.created_at,
+          updated_at: message.updated_at,
+        })),
+
+    // sp_retry_notification
+    retry: async (notificationId) => {
+      const message = tables.notifications.find(notificationId);
+      if (!message) {
+        throw new DomainError(
+          "NOTIFICATION_NOT_FOUND",
+          "Notification not found"
+        );
+      }
+      if (message.status !== "failed") {
+        throw new DomainError(
+          "NOTIFICATION_NOT_FAILED",
+          "Only failed notifications can be retried"
+        );
+      }
+      Object.assign(message, {
+        status: "pending",
+        attempts: 0,
+        next_attempt_at: new Date(),
+        updated_at: new Date(),
+      });
+    },
+
+    // sp_get_bookings_due_reminder
+    findDueReminders: async (hours) => {
+      const now = new Date();
+      const until = new Date(now.getTime() + hours * 3600000);
+      const reminded = new Set(
+        tables.notifications.rows
+          .filter((message) => message.template === "reminder")
+          .map((message) => message.booking_id)
+      );
+      return tables.bookings.rows
+        .filter((booking) => {
+          const slot = tables.timeSlots.find(booking.slot_id);
+          const start = localDateTime(booking.booking_date, slot.start_time);
+          return (
+            booking.booking_status === "confirmed" &&
+            start >= now &&
+            start <= until &&
+            !reminded.has(booking.booking_id)
+          );
+        })
+        .sort(
+          (a, b) =>
+            a.booking_date.localeCompare(b.booking_date) || bySlotTime(a, b)
+        )
+        .map((booking) => booking.booking_id);
+    },
+  };
+
+  const jobRuns = {
+    // sp_start_job_run
+    start: async (jobName, triggeredBy) =>
+      tables.jobRuns.insert({ job_name: jobName, triggered_by: triggeredBy })
+        .run_id,
+
+    // sp_finish_job_run
+    finish: async (runId, { status, result = null, error = null }) => {
+      Object.assign(tables.jobRuns.find(runId), {
+        status,
+        result,
+        error,
+        finished_at: new Date(),
+      });
+    },
+
+    // sp_get_job_runs
+    findAll: async ({ job_name, status, limit, offset }) =>
+      tables.jobRuns.rows
+        .filter(
+          (run) =>
+            (!given(job_name) || run.job_name === job_name) &&
+            (!given(status) || run.status === status)
+        )
+        .sort((a, b) => b.started_at - a.started_at || b.run_id - a.run_id)
+        .slice(offset, offset + limit)
+        .map((run) => ({
+          ...run,
+          duration_seconds: Math.floor(
+            ((run.finished_at || new Date()) - run.started_at) / 1000
+          ),
+        })),
+
+    // sp_get_latest_job_runs
+    findLatest: async () => {
+      const latest = new Map();
+      for (const run of tables.jobRuns.rows) {
+        const seen = latest.get(run.job_name);
+        if (!seen || run.run_id > seen.run_id) latest.set(run.job_name, run);
+      }
+      return [...latest.values()]
+        .sort((a, b) => a.job_name.localeCompare(b.job_name))
+        .map((run) => ({ ...run }));
+    },
+  };
+
+  const calendarFeeds = {
+    // sp_get_calendar_feeds
+    findAll: async (status) =>
+      tables.calendarFeeds.rows
+        .filter((feed) => !status || feed.status === status)
+        .sort((a, b) => b.created_at - a.created_at || b.feed_id - a.feed_id)
+        .map((feed) => ({
+          feed_id: feed.feed_id,
+          feed_type: feed.feed_type,
+          court_id: feed.court_id,
+          court_name: courtName(feed.court_id),
+          customer_phone: feed.customer_phone,
+          label: feed.label,
+          status: feed.status,
+          created_by: feed.created_by,
+          created_by_name: adminName(feed.created_by),
+          created_at: feed.created_at,
+          last_accessed_at: feed.last_accessed_at,
+        })),
+
+    // sp_get_calendar_feed_by_token
+    findByToken: async (tokenHash) => {
+      const feed = tables.calendarFeeds.rows.find(
+        (row) => row.token_hash === tokenHash && row.status === "active"
+      );
+      if (!feed) return null;
+      feed.last_accessed_at = new Date();
+      return {
+        feed_id: feed.feed_id,
+        feed_type: feed.feed_type,
+        court_id: feed.court_id,
+        court_name: courtName(feed.court_id),
+        customer_phone: feed.customer_phone,
+        label: feed.label,
+      };
+    },
+
+    // sp_create_calendar_feed
+    create: async (feed) => {
+      if (feed.feed_type === "court" && !tables.courts.find(feed.court_id)) {
+        throw new DomainError("COURT_NOT_FOUND", "Court not found");
+      }
+      assertUnique(tables.calendarFeeds, "token_hash", feed.token_hash);
+      return tables.calendarFeeds.insert({
+        feed_type: feed.feed_type,
+        court_id: coalesce(feed.court_id, null),
+        customer_phone: coalesce(feed.customer_phone, null),
+        label: coalesce(feed.label, null),
+        token_hash: feed.token_hash,
+        created_by: feed.created_by,
+      }).feed_id;
+    },
+
+    // sp_revoke_calendar_feed
+    revoke: async (feedId) => {
+      const feed = tables.calendarFeeds.find(feedId);
+      if (!feed || feed.status !== "active") {
+        throw new DomainError(
+          "CALENDAR_FEED_NOT_FOUND",
+          "Calendar feed not found or already revoked"
+        );
+      }
+      feed.status = "revoked";
+    },
+  };
+
+  const system = {
+    health: async () => {
+      const counts = {
+        total_admins: tables.admins.rows.length,
+        total_courts: tables.courts.rows.length,
+        total_time_slots: tables.timeSlots.rows.length,
+        total_bookings: tables.bookings.rows.length,
+        active_bookings_today: tables.bookings.rows.filter(
+          (booking) =>
+            booking.booking_date === today() &&
+            booking.booking_status !== "cancelled"
+        ).length,
+      };
+      return {
+        status: "success",
+        message: "In-memory store ready",
+        server_time: new Date(),
+        database_name: "memory",
+        mysql_version: null,
+        ...counts,
+        system_status:
+          counts.total_courts > 0 &&
+          counts.total_time_slots > 0 &&
+          counts.total_admins > 0
+            ? "ready"
+            : "incomplete_setup",
+      };
+    },
+  };
+
+  return {
+    courts,
+    timeSlots,
+    bookings,
+    publicBookings,
+    holds,
+    admins,
+    sessions,
+    loginAttempts: createMemoryLoginAttempts(seed),
+    apiKeys,
+    customers,
+    reservations,
+    series,
+    waitlist,
+    reports,
+    pricing,
+    closures,
+    audit,
+    availability,
+    notifications,
+    jobRuns,
+    calendarFeeds,
+    system,
+  };
+}
+
+module.exports = {
+  createMemoryRepositories,
+  createMemoryLoginAttempts,
+  localDate,
+};
@@ -0,0 +1,1009 @@
+// Repositories backed by the stored procedures of the MySQL schema.
+// Procedure error rows ({ status: 'error', code, message }) are thrown as
+// DomainErrors; SIGNALs from procedures and triggers are left to mapError.
+// DATE columns come back as "YYYY-MM-DD" strings (dateStrings in
+// config/db.js), the shape the memory repositories return.
+
+const db = require("../config/db");
+const { DomainError } = require("../utils/errors");
+
+// Rows of the first result set
+async function rows(procedure, params) {
+  const results = await db.callProcedure(procedure, params);
+  return results[0];
+}
+
+// First row of the first result set, throwing when it is an error row
+async function row(procedure, params) {
+  const [first] = await rows(procedure, params);
+  if (first && first.status === "error") {
+    throw new DomainError(first.code, first.message);
+  }
+  return first;
+}
+
+// Re-throw a unique key violation as a domain error code
+function duplicateAs(code) {
+  return (error) => {
+    if (error.code === "ER_DUP_ENTRY") throw new DomainError(code);
+    throw error;
+  };
+}
+
+// Re-throw a foreign key violation (unknown court, slot, ...) as
+// REFERENCED_RECORD_NOT_FOUND
+function missingReference(error) {
+  if (error.code === "ER_NO_REFERENCED_ROW_2") {
+    throw new DomainError("REFERENCED_RECORD_NOT_FOUND", error.message);
+  }
+  throw error;
+}
+
+const courts = {
+  findAll: () => rows("sp_get_all_courts"),
+
+  findById: async (courtId) =>
+    (await rows("sp_get_court_by_id", [courtId]))[0] || null,
+
+  create: async ({ court_name, description, price_per_session, status }) => {
+    const result = await row("sp_create_court", [
+      court_name,
+      description,
+      price_per_session,
+      status,
+    ]);
+    return result.court_id;
+  },
+
+  update: async (courtId, fields) => {
+    await row("sp_update_court", [
+      courtId,
+      fields.court_name,
+      fields.description,
+      fields.price_per_session,
+      fields.status,
+    ]);
+  },
+
+  remove: async (courtId) => {
+    await row("sp_delete_court", [courtId]);
+  },
+};
+
+const timeSlots = {
+  findAll: () => rows("sp_get_all_time_slots"),
+
+  findById: async (slotId) =>
+    (await rows("sp_get_time_slot_by_id", [slotId]))[0] || null,
+
+  // Active slots of a court/date with is_available, is_held and the
+  // closing closure
+  findAvailable: async (courtId, bookingDate) =>
+    (await rows("sp_get_available_time_slots", [courtId, bookingDate])).map(
+      (slot) => ({
+        ...slot,
+        is_available: Boolean(slot.is_available),
+        is_held: Boolean(slot.is_held),
+      })
+    ),
+
+  create: async ({ start_time, end_time, slot_name, status }) => {
+    const result = await row("sp_create_time_slot", [
+      start_time,
+      end_time,
+      slot_name,
+      status,
+    ]);
+    return result.slot_id;
+  },
+
+  update: async (slotId, fields) => {
+    await row("sp_update_time_slot", [
+      slotId,
+      fields.start_time,
+      fields.end_time,
+      fields.slot_name,
+      fields.status,
+    ]);
+  },
+
+  remove: async (slotId) => {
+    await row("sp_delete_time_slot", [slotId]);
+  },
+};
+
+const bookings = {
+  // Returns { booking_id, total_amount }
+  create: async (booking) => {
+    const result = await row("sp_create_booking", [
+      booking.court_id,
+      booking.slot_id,
+      booking.booking_date,
+      booking.customer_name,
+      booking.customer_phone,
+      booking.notes,
+      booking.created_by,
+    ]);
+    return {
+      booking_id: result.booking_id,
+      total_amount: result.total_amount,
+    };
+  },
+
+  // Booking for the slot of an active hold (booking: customer_name,
+  // customer_phone, notes, created_by).
+  // Returns { booking_id, total_amount }
+  createFromHold: async (tokenHash, booking) => {
+    const result = await row("sp_create_booking_from_hold", [
+      tokenHash,
+      booking.customer_name,
+      booking.customer_phone,
+      booking.notes,
+      booking.created_by,
+      null,
+      null,
+      null,
+    ]);
+    return {
+      booking_id: result.booking_id,
+      total_amount: result.total_amount,
+    };
+  },
+
+  // Row of v_booking_details
+  findById: async (bookingId) =>
+    (await rows("sp_get_booking_by_id", [bookingId]))[0] || null,
+
+  // Calendar event row (dtstart, dtend, ...) for utils/ical
+  findCalendarEvent: async (bookingId) =>
+    (
+      await rows("sp_get_calendar_bookings", [
+        null,
+        null,
+        bookingId,
+        null,
+        null,
+      ])
+    )[0] || null,
+
+  // Calendar events of a court or a customer phone within a date range;
+  // cancelled bookings are included so calendars remove them
+  findCalendarEvents: ({ court_id, customer_phone, start_date, end_date }) =>
+    rows("sp_get_calendar_bookings", [
+      court_id,
+      customer_phone,
+      null,
+      start_date,
+      end_date,
+    ]),
+
+  // Filters: { court_id, start_date, end_date, limit, offset }
+  findHistory: (filters) =>
+    rows("sp_get_booking_history", [
+      filters.court_id,
+      filters.start_date,
+      filters.end_date,
+      filters.limit,
+      filters.offset,
+    ]),
+
+  // payment_status follows the payments ledger and is not set here
+  updateStatus: async (bookingId, { booking_status }, adminId) => {
+    await row("sp_update_booking_status", [bookingId, booking_status, adminId]);
+  },
+
+  updateDetails: async (bookingId, fields, adminId) => {
+    await row("sp_update_booking_details", [
+      bookingId,
+      fields.customer_name,
+      fields.customer_phone,
+      fields.notes,
+      adminId,
+    ]);
+  },
+
+  // refund_method null = no refund; refund_amount null = everything paid.
+  // Returns { refunded_amount }
+  cancel: async (bookingId, { refund_amount, refund_method }, adminId) => {
+    const result = await row("sp_cancel_booking", [
+      bookingId,
+      adminId,
+      refund_amount,
+      refund_method,
+    ]);
+    return { refunded_amount: result.refunded_amount };
+  },
+
+  // Confirmed, (partly) paid bookings whose slot has ended become
+  // completed; returns how many
+  completeFinished: async () =>
+    (await row("sp_complete_finished_bookings")).completed_count,
+
+  // Unpaid confirmed bookings graceMinutes past their start are flagged
+  // no_show (action "flag") or cancelled ("cancel"); returns how many
+  processNoShows: async (graceMinutes, action) =>
+    (await row("sp_process_no_shows", [graceMinutes, action])).no_show_count,
+
+  // booking_audit_log rows, oldest first
+  findAuditTrail: (bookingId) => rows("sp_get_booking_audit", [bookingId]),
+
+  // { summary, entries } or null when the booking does not exist
+  findPayments: async (bookingId) => {
+    const results = await db.callProcedure("sp_get_booking_payments", [
+      bookingId,
+    ]);
+    const summary = results[0][0];
+    return summary ? { summary, entries: results[1] || [] } : null;
+  },
+
+  // Ledger entry { type: 'payment'|'refund', amount, method, reference, notes }.
+  // Returns { payment_id, paid_amount, balance, payment_status }
+  recordPayment: async (bookingId, entry, adminId) => {
+    const result = await row("sp_record_payment", [
+      bookingId,
+      entry.type,
+      entry.amount,
+      entry.method,
+      entry.reference,
+      entry.notes,
+      adminId,
+    ]);
+    return {
+      payment_id: result.payment_id,
+      paid_amount: result.paid_amount,
+      balance: result.balance,
+      payment_status: result.payment_status,
+    };
+  },
+};
+
+// Short-lived slot reservations (see migration 0003); tokens are stored as
+// their hash
+const holds = {
+  // hold: court_id, slot_id, booking_date, minutes, token_hash, created_by
+  // (null for public holds), client_ip. Returns { hold_id, expires_at }
+  create: async (hold) => {
+    const result = await row("sp_create_slot_hold", [
+      hold.court_id,
+      hold.slot_id,
+      hold.booking_date,
+      hold.minutes,
+      hold.token_hash,
+      hold.created_by,
+      hold.client_ip,
+    ]);
+    return { hold_id: result.hold_id, expires_at: result.expires_at };
+  },
+
+  // Hold with court/slot details; status active | converted | released | expired
+  findByToken: async (tokenHash) =>
+    (await rows("sp_get_slot_hold", [tokenHash]))[0] || null,
+
+  release: async (tokenHash) => {
+    await row("sp_release_slot_hold", [tokenHash]);
+  },
+
+  // Expires overdue holds and offers their slots to the waitlist; returns
+  // how many expired
+  releaseExpired: async () =>
+    (await row("sp_release_expired_holds")).expired_count,
+};
+
+const admins = {
+  // Includes the password hash; only for login
+  findCredentials: async (username) =>
+    (await rows("sp_get_admin_credentials", [username]))[0] || null,
+
+  findAll: () => rows("sp_get_all_admins"),
+
+  findById: async (adminId) =>
+    (await rows("sp_get_admin_by_id", [adminId]))[0] || null,
+
+  create: async ({ username, password, full_name, email, role }) => {
+    const result = await row("sp_create_admin", [
+      username,
+      password,
+      full_name,
+      email,
+      role,
+    ]).catch(duplicateAs("ADMIN_ALREADY_EXISTS"));
+    return result.admin_id;
+  },
+
+  update: async (adminId, fields) => {
+    await row("sp_update_admin", [
+      adminId,
+      fields.full_name,
+      fields.email,
+      fields.role,
+      fields.status,
+    ]).catch(duplicateAs("EMAIL_TAKEN"));
+  },
+
+  changePassword: async (adminId, passwordHash) => {
+    await row("sp_change_admin_password", [adminId, passwordHash]);
+  },
+
+  setLocale: async (adminId, locale) => {
+    await row("sp_set_admin_locale", [adminId, locale]);
+  },
+};
+
+// Login sessions (see migration 0004); refresh tokens are stored as their
+// hash. Session rows carry their admin's profile fields.
+const sessions = {
+  // session: admin_id, refresh_hash, user_agent, ip_address,
+  // lifetime_minutes. Returns { session_id, expires_at }
+  create: async (session) => {
+    const result = await row("sp_create_admin_session", [
+      session.admin_id,
+      session.refresh_hash,
+      session.user_agent,
+      session.ip_address,
+      session.lifetime_minutes,
+    ]);
+    return { session_id: result.session_id, expires_at: result.expires_at };
+  },
+
+  // Open session of an active admin, or null; records the request as seen
+  findActive: async (sessionId, ipAddress) =>
+    (await rows("sp_touch_admin_session", [sessionId, ipAddress]))[0] || null,
+
+  // Replace the refresh token and extend the session. A replaced token
+  // that comes back revokes the session (SESSION_REVOKED).
+  rotate: async (refreshHash, newRefreshHash, session) => {
+    const { status, ...result } = await row("sp_rotate_admin_session", [
+      refreshHash,
+      newRefreshHash,
+      session.user_agent,
+      session.ip_address,
+      session.lifetime_minutes,
+    ]);
+    return result;
+  },
+
+  // Open sessions, most recently used first
+  findByAdmin: (adminId) => rows("sp_get_admin_sessions", [adminId]),
+
+  revoke: async (sessionId, adminId) => {
+    await row("sp_revoke_admin_session", [sessionId, adminId]);
+  },
+
+  // Returns the number of sessions ended
+  revokeAll: async (adminId) =>
+    (await row("sp_revoke_admin_sessions", [adminId])).revoked_count,
+
+  revokeByToken: async (refreshHash) => {
+    await row("sp_revoke_session_by_token", [refreshHash]);
+  },
+};
+
+// Login attempts and lockouts (see migration 0005); policy lives in
+// services/loginGuard.js
+const loginAttempts = {
+  // attempt: username, admin_id, ip_address, user_agent, result
+  record: async (attempt) => {
+    await row("sp_record_login_attempt", [
+      attempt.username,
+      attempt.admin_id,
+      attempt.ip_address,
+      attempt.user_agent,
+      attempt.result,
+    ]);
+  },
+
+  // { username_failures, username_failure_age, ip_failures, ip_failure_age,
+  //   username_locked_seconds, ip_locked_seconds } (ages in seconds)
+  guardState: ({ username, ip_address, window_minutes }) =>
+    row("sp_get_login_guard_state", [username, ip_address, window_minutes]),
+
+  // scope: "username" | "ip"
+  lock: async (scope, subject, minutes) => {
+    await row("sp_lock_login", [scope, subject, minutes]);
+  },
+
+  // reset_ip: also lift the lockout of that IP and reset its failures.
+  // Returns the number of lockouts lifted
+  unlock: async (unlock) =>
+    (
+      await row("sp_unlock_login", [
+        unlock.username,
+        unlock.admin_id,
+        unlock.unlocked_by,
+        unlock.ip_address,
+        unlock.user_agent,
+        unlock.reset_ip,
+      ])
+    ).unlocked_count,
+
+  // Filters: { username, ip_address, result, start_date, end_date, limit, offset }
+  findAll: (filters) =>
+    rows("sp_get_login_attempts", [
+      filters.username,
+      filters.ip_address,
+      filters.result,
+      filters.start_date,
+      filters.end_date,
+      filters.limit,
+      filters.offset,
+    ]),
+};
+
+// API keys (see migration 0006); keys are stored as their hash
+const parseScopes = (key) => ({
+  ...key,
+  scopes: typeof key.scopes === "string" ? JSON.parse(key.scopes) : key.scopes,
+});
+
+const apiKeys = {
+  // key: admin_id, name, key_prefix, key_hash, scopes, lifetime_days.
+  // Returns { key_id, expires_at }
+  create: async (key) => {
+    const result = await row("sp_create_api_key", [
+      key.admin_id,
+      key.name,
+      key.key_prefix,
+      key.key_hash,
+      JSON.stringify(key.scopes),
+      key.lifetime_days,
+    ]);
+    return { key_id: result.key_id, expires_at: result.expires_at };
+  },
+
+  // Usable key with its admin's profile fields, or null; records the use
+  findActive: async (keyHash, ipAddress) => {
+    const [key] = await rows("sp_touch_api_key", [keyHash, ipAddress]);
+    return key ? parseScopes(key) : null;
+  },
+
+  // Keys that are not revoked, newest first
+  findByAdmin: async (adminId) =>
+    (await rows("sp_get_api_keys", [adminId])).map(parseScopes),
+
+  revoke: async (keyId, adminId) => {
+    await row("sp_revoke_api_key", [keyId, adminId]);
+  },
+
+  // Returns the number of keys revoked
+  revokeAll: async (adminId) =>
+    (await row("sp_revoke_api_keys", [adminId])).revoked_count,
+};
+
+const customers = {
+  // Filters: { search (name or phone fragment), limit, offset }
+  findAll: ({ search, limit, offset }) =>
+    rows("sp_search_customers", [search, limit, offset]),
+
+  findById: async (customerId) =>
+    (await rows("sp_get_customer_by_id", [customerId]))[0] || null,
+
+  // Customer with this (normalised) phone. Bookings and waitlist entries
+  // create theirs as they are written
+  findByPhone: async (phone) =>
+    (await rows("sp_get_customer_by_phone", [phone]))[0] || null,
+
+  create: async ({ full_name, phone, email, notes }) => {
+    const result = await row("sp_create_customer", [
+      full_name,
+      phone,
+      email,
+      notes,
+    ]).catch(duplicateAs("CUSTOMER_PHONE_TAKEN"));
+    return result.customer_id;
+  },
+
+  update: async (customerId, fields) => {
+    await row("sp_update_customer", [
+      customerId,
+      fields.full_name,
+      fields.phone,
+      fields.email,
+      fields.notes,
+    ]).catch(duplicateAs("CUSTOMER_PHONE_TAKEN"));
+  },
+
+  remove: async (customerId) => {
+    await row("sp_delete_customer", [customerId]);
+  },
+
+  // Moves the source's bookings to the target and deletes the source.
+  // Returns the number of bookings moved
+  merge: async (targetId, sourceId) =>
+    (await row("sp_merge_customers", [targetId, sourceId])).moved_bookings,
+
+  // { stats, bookings } or null when the customer does not exist
+  findBookings: async (customerId, { limit, offset }) => {
+    const results = await db.callProcedure("sp_get_customer_bookings", [
+      customerId,
+      limit,
+      offset,
+    ]);
+    const stats = results[0][0];
+    return stats ? { stats, bookings: results[1] || [] } : null;
+  },
+};
+
+// Reservations: one booking per slot of a block of consecutive slots
+// (slot_ids "1,2,3"), created, moved and cancelled together
+const reservations = {
+  // { reservation_id, total_amount }
+  create: (reservation) =>
+    row("sp_create_reservation", [
+      reservation.court_id,
+      reservation.slot_ids,
+      reservation.booking_date,
+      reservation.customer_name,
+      reservation.customer_phone,
+      reservation.notes,
+      reservation.created_by,
+    ]),
+
+  // { reservation, bookings } or null
+  findById: async (reservationId) => {
+    const results = await db.callProcedure("sp_get_reservation_by_id", [
+      reservationId,
+    ]);
+    const found = results[0][0];
+    return found ? { reservation: found, bookings: results[1] || [] } : null;
+  },
+
+  // Returns how many slots were cancelled
+  cancel: async (reservationId, adminId) =>
+    (await row("sp_cancel_reservation", [reservationId, adminId]))
+      .cancelled_count,
+
+  // move: { booking_date, court_id, slot_ids } (nulls keep the current
+  // ones); returns the new total
+  reschedule: async (reservationId, move, adminId) =>
+    (
+      await row("sp_reschedule_reservation", [
+        reservationId,
+        move.booking_date,
+        move.court_id,
+        move.slot_ids,
+        adminId,
+      ])
+    ).total_amount,
+};
+
+// Waitlist for taken slots (court_id null = any court). A slot freed by a
+// cancellation, a released hold or an expired offer is offered to the
+// oldest waiting entry; reads expire overdue offers first.
+const waitlist = {
+  // { waitlist_id, position }
+  create: (entry) =>
+    row("sp_create_waitlist_entry", [
+      entry.court_id,
+      entry.slot_id,
+      entry.booking_date,
+      entry.customer_id,
+      entry.customer_name,
+      entry.customer_phone,
+      entry.notes,
+      entry.offer_minutes,
+      entry.created_by,
+    ]),
+
+  findAll: ({ booking_date, slot_id, court_id, status }) =>
+    rows("sp_get_waitlist", [booking_date, slot_id, court_id, status]),
+
+  findById: async (waitlistId) =>
+    (await rows("sp_get_waitlist_entry_by_id", [waitlistId]))[0] || null,
+
+  // Books the offered court; { booking_id, total_amount }
+  acceptOffer: (waitlistId, adminId) =>
+    row("sp_accept_waitlist_offer", [waitlistId, adminId]),
+
+  // status: "declined" (offers only) or "cancelled"
+  close: async (waitlistId, status) => {
+    await row("sp_close_waitlist_entry", [waitlistId, status]);
+  },
+
+  // Expires overdue offers and passes their slots on; returns how many
+  // expired
+  expireOffers: async () => (await row("sp_run_waitlist_expiry")).expired_count,
+};
+
+// Recurring bookings: a series (court, slot, weekdays "1,3" with Monday = 1,
+// date range) and one booking per matching date
+const series = {
+  // Every matching date with is_available and the conflicting booking
+  preview: ({ court_id, slot_id, weekdays, start_date, end_date }) =>
+    rows("sp_preview_booking_series", [
+      court_id,
+      slot_id,
+      weekdays,
+      start_date,
+      end_date,
+    ]),
+
+  // { series_id, created_count, skipped_count, skipped_dates "d1,d2" }
+  create: (definition) =>
+    row("sp_create_booking_series", [
+      definition.court_id,
+      definition.slot_id,
+      definition.weekdays,
+      definition.start_date,
+      definition.end_date,
+      definition.customer_name,
+      definition.customer_phone,
+      definition.notes,
+      definition.skip_conflicts,
+      definition.created_by,
+    ]),
+
+  // status: "active" | "cancelled" | null for all
+  findAll: (status) => rows("sp_get_booking_series", [status]),
+
+  // { series, occurrences } or null
+  findById: async (seriesId) => {
+    const results = await db.callProcedure("sp_get_booking_series_by_id", [
+      seriesId,
+    ]);
+    const found = results[0][0];
+    return found ? { series: found, occurrences: results[1] || [] } : null;
+  },
+
+  // Edits the confirmed occurrences from fromDate (null = today); returns
+  // how many were updated
+  update: async (seriesId, fromDate, fields, adminId) =>
+    (
+      await row("sp_update_booking_series", [
+        seriesId,
+        fromDate,
+        fields.court_id,
+        fields.slot_id,
+        fields.customer_name,
+        fields.customer_phone,
+        fields.notes,
+        adminId,
+      ])
+    ).updated_count,
+
+  // Cancels the confirmed occurrences from fromDate (null = today); returns
+  // how many were cancelled
+  cancel: async (seriesId, fromDate, adminId) =>
+    (await row("sp_cancel_booking_series", [seriesId, fromDate, adminId]))
+      .cancelled_count,
+};
+
+// Summaries for the reports endpoints (views and summary procedures)
+const reports = {
+  // v_daily_booking_summary rows; null dates = the last 7 days
+  dailySummary: (startDate, endDate) =>
+    rows("sp_get_daily_summary", [startDate, endDate]),
+
+  // v_revenue_summary rows (month x court) of a year ("2030"; null = this
+  // year), optionally of one court
+  revenueSummary: (year, courtId) =>
+    rows("sp_get_revenue_summary", [year, courtId]),
+
+  // v_court_utilization rows
+  courtUtilization: () => rows("sp_get_court_utilization"),
+
+  // Counts and revenue of one date (and its month)
+  dashboardStats: async (date) =>
+    (await rows("sp_get_dashboard_stats", [date]))[0] || {},
+
+  // Paid revenue of a court over a date range (get_court_revenue)
+  courtRevenue: (courtId, startDate, endDate) =>
+    db.callFunction("get_court_revenue", [courtId, startDate, endDate]),
+
+  // Payments and refunds of a date per admin and method; adminId null = all
+  cashUp: (date, adminId) => rows("sp_get_cash_up", [date, adminId]),
+};
+
+// Pricing rules and the holidays they can be limited to (see
+// get_booking_price). Rule fields: rule_name, court_id, slot_id, start_time,
+// end_time, weekdays ("1,6"), valid_from, valid_to, holidays_only, price,
+// priority, status
+const ruleParams = (rule) => [
+  rule.rule_name,
+  rule.court_id,
+  rule.slot_id,
+  rule.start_time,
+  rule.end_time,
+  rule.weekdays,
+  rule.valid_from,
+  rule.valid_to,
+  rule.holidays_only,
+  rule.price,
+  rule.priority,
+  rule.status,
+];
+
+const pricing = {
+  // With court_name / slot_name; active first, then by priority
+  findRules: () => rows("sp_get_pricing_rules"),
+
+  findRuleById: async (ruleId) =>
+    (await rows("sp_get_pricing_rule_by_id", [ruleId]))[0] || null,
+
+  // Returns the rule_id
+  createRule: async (rule) =>
+    (
+      await row("sp_create_pricing_rule", ruleParams(rule)).catch(
+        missingReference
+      )
+    ).rule_id,
+
+  // Replaces every field of the rule
+  updateRule: async (ruleId, rule) => {
+    await row("sp_update_pricing_rule", [ruleId, ...ruleParams(rule)]).catch(
+      missingReference
+    );
+  },
+
+  removeRule: async (ruleId) => {
+    await row("sp_delete_pricing_rule", [ruleId]);
+  },
+
+  // { court_id, court_name, slot_id, slot_name, booking_date, base_price,
+  //   rule_id, rule_name, price, holiday_name }, or null when the court or
+  // slot does not exist
+  quote: async (courtId, slotId, bookingDate) =>
+    (await rows("sp_get_price_quote", [courtId, slotId, bookingDate]))[0] ||
+    null,
+
+  // year null = every holiday
+  findHolidays: (year) => rows("sp_get_holidays", [year]),
+
+  // Adds the date or renames it
+  saveHoliday: async (date, name) => {
+    await row("sp_upsert_holiday", [date, name]);
+  },
+
+  removeHoliday: async (date) => {
+    await row("sp_delete_holiday", [date]);
+  },
+};
+
+// Scheduled closures of a court or the whole venue (court_id null)
+const closures = {
+  // Filters: { court_id (venue-wide closures included), start_date, end_date }
+  findAll: ({ court_id, start_date, end_date }) =>
+    rows("sp_get_closures", [court_id, start_date, end_date]),
+
+  findById: async (closureId) =>
+    (await rows("sp_get_closure_by_id", [closureId]))[0] || null,
+
+  // closure: court_id, start_datetime, end_datetime, reason, created_by.
+  // Returns the closure_id
+  create: async (closure) =>
+    (
+      await row("sp_create_closure", [
+        closure.court_id,
+        closure.start_datetime,
+        closure.end_datetime,
+        closure.reason,
+        closure.created_by,
+      ])
+    ).closure_id,
+
+  remove: async (closureId) => {
+    await row("sp_delete_closure", [closureId]);
+  },
+
+  // Bookings that are not cancelled and overlap the closure
+  findConflicts: (closureId) => rows("sp_get_closure_conflicts", [closureId]),
+};
+
+// Changes of every booking (booking_audit_log), newest first
+const audit = {
+  // Filters: { booking_id, changed_by, action, customer (name or phone
+  // fragment), start_date, end_date, limit, offset }
+  findAll: (filters) =>
+    rows("sp_get_audit_log", [
+      filters.booking_id,
+      filters.changed_by,
+      filters.action,
+      filters.customer,
+      filters.start_date,
+      filters.end_date,
+      filters.limit,
+      filters.offset,
+    ]),
+};
+
+const availability = {
+  // One row per court x active slot x date, sorted by court name, date and
+  // start time. courtIds: "1,2" or null for every court that is not inactive
+  findGrid: (startDate, endDate, courtIds) =>
+    rows("sp_get_availability_grid", [startDate, endDate, courtIds]),
+};
+
+// Bookings customers make through /public (see migration 0002)
+const publicBookings = {
+  // Booked by the online_booking account; the confirmation code is only
+  // stored as its hash. Returns { booking_id, total_amount }
+  create: async (booking, { max_active }) => {
+    const result = await row("sp_create_public_booking", [
+      booking.court_id,
+      booking.slot_id,
+      booking.booking_date,
+      booking.customer_name,
+      booking.customer_phone,
+      booking.code_hash,
+      booking.client_ip,
+      max_active,
+    ]);
+    return {
+      booking_id: result.booking_id,
+      total_amount: result.total_amount,
+    };
+  },
+
+  // Same for the slot of an active hold
+  createFromHold: async (tokenHash, booking, { max_active }) => {
+    const result = await row("sp_create_booking_from_hold", [
+      tokenHash,
+      booking.customer_name,
+      booking.customer_phone,
+      "Booking online",
+      null,
+      booking.code_hash,
+      booking.client_ip,
+      max_active,
+    ]);
+    return {
+      booking_id: result.booking_id,
+      total_amount: result.total_amount,
+    };
+  },
+
+  findByCode: async (codeHash) =>
+    (await rows("sp_get_public_booking", [codeHash]))[0] || null,
+
+  // Returns the cancelled booking's id
+  cancelByCode: async (codeHash, { notice_minutes }) =>
+    (await row("sp_cancel_public_booking", [codeHash, notice_minutes]))
+      .booking_id,
+};
+
+// Outbox of rendered customer messages (see services/notifications)
+const notifications = {
+  // Contact, court, slot and amounts of a booking for the templates
+  findBookingData: async (bookingId) =>
+    (await rows("sp_get_booking_notification_data", [bookingId]))[0] || null,
+
+  // message: booking_id, customer_id, template, channel, recipient,
+  // subject, body. Returns the notification_id
+  enqueue: async (message) =>
+    (
+      await row("sp_enqueue_notification", [
+        message.booking_id,
+        message.customer_id,
+        message.template,
+        message.channel,
+        message.recipient,
+        message.subject,
+        message.body,
+      ])
+    ).notification_id,
+
+  // Marks up to limit due messages as sending and returns them
+  claim: (limit) => rows("sp_claim_notifications", [limit]),
+
+  markSent: async (notificationId) => {
+    await db.callProcedure("sp_mark_notification_sent", [notificationId]);
+  },
+
+  // Schedules a retry with backoff, or fails the message after
+  // max_attempts; returns { status, attempts, next_attempt_at }
+  markFailed: async (notificationId, error, { max_attempts, retry_minutes }) =>
+    row("sp_mark_notification_failed", [
+      notificationId,
+      error,
+      max_attempts,
+      retry_minutes,
+    ]),
+
+  // Filters: { status, booking_id, template, limit, offset }
+  findAll: (filters) =>
+    rows("sp_get_notifications", [
+      filters.status,
+      filters.booking_id,
+      filters.template,
+      filters.limit,
+      filters.offset,
+    ]),
+
+  // Requeues a failed message with a fresh attempt budget
+  retry: async (notificationId) => {
+    await row("sp_retry_notification", [notificationId]);
+  },
+
+  // Ids of confirmed bookings starting within hours without a reminder
+  findDueReminders: async (hours) =>
+    (await rows("sp_get_bookings_due_reminder", [hours])).map(
+      (booking) => booking.booking_id
+    ),
+};
+
+// Outcome of each background job run (see jobs/)
+const jobRuns = {
+  // triggeredBy: scheduler | cli | api. Returns the run_id
+  start: async (jobName, triggeredBy) =>
+    (await row("sp_start_job_run", [jobName, triggeredBy])).run_id,
+
+  // outcome: { status: success | failed, result, error }
+  finish: async (runId, { status, result = null, error = null }) => {
+    await db.callProcedure("sp_finish_job_run", [
+      runId,
+      status,
+      result === null ? null : JSON.stringify(result),
+      error,
+    ]);
+  },
+
+  // Filters: { job_name, status, limit, offset }; newest first
+  findAll: (filters) =>
+    rows("sp_get_job_runs", [
+      filters.job_name,
+      filters.status,
+      filters.limit,
+      filters.offset,
+    ]),
+
+  // Most recent run of every job
+  findLatest: () => rows("sp_get_latest_job_runs"),
+};
+
+// Read-only .ics feeds of a court or a customer phone; only the SHA-256 of
+// the feed token is stored
+const calendarFeeds = {
+  // status: active | revoked | null for all
+  findAll: (status) => rows("sp_get_calendar_feeds", [status]),
+
+  // Active feed of a token hash (recording the access), or null
+  findByToken: async (tokenHash) =>
+    (await rows("sp_get_calendar_feed_by_token", [tokenHash]))[0] || null,
+
+  // feed: feed_type, court_id, customer_phone, label, token_hash,
+  // created_by. Returns the feed_id
+  create: async (feed) =>
+    (
+      await row("sp_create_calendar_feed", [
+        feed.feed_type,
+        feed.court_id,
+        feed.customer_phone,
+        feed.label,
+        feed.token_hash,
+        feed.created_by,
+      ])
+    ).feed_id,
+
+  revoke: async (feedId) => {
+    await row("sp_revoke_calendar_feed", [feedId]);
+  },
+};
+
+const system = {
+  // Connection and setup check (sp_test_connection row)
+  health: () => row("sp_test_connection"),
+};
+
+module.exports = {
+  courts,
+  timeSlots,
+  bookings,
+  publicBookings,
+  holds,
+  admins,
+  sessions,
+  loginAttempts,
+  apiKeys,
+  customers,
+  reservations,
+  series,
+  waitlist,
+  reports,
+  pricing,
+  closures,
+  audit,
+  availability,
+  notifications,
+  jobRuns,
+  calendarFeeds,
+  system,
+};
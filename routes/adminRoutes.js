@@ -2,19 +2,165 @@ const express = require("express");
 const {
   testConnection,
   login,
+  refreshSession,
   logout,
   getProfile,
+  updatePreferences,
+  getAllAdmins,
+  getAdminById,
+  createAdmin,
+  updateAdmin,
+  resetAdminPassword,
 } = require("../controllers/adminController");
+const {
+  getMySessions,
+  revokeMySessions,
+  revokeMySession,
+  getAdminSessions,
+  revokeAdminSessions,
+} = require("../controllers/sessionController");
+const {
+  getMyApiKeys,
+  createApiKey,
+  revokeMyApiKey,
+  getAdminApiKeys,
+  revokeAdminApiKeys,
+} = require("../controllers/apiKeyController");
+const {
+  getLoginAttempts,
+  unlockAdmin,
+} = require("../controllers/loginAttemptController");
 const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/admins");
 
 const router = express.Router();
 
 // Health / system test
-router.get("/", testConnection);
+router.get("/", validate(schemas.testConnection), testConnection);
 
 // Auth
-router.post("/login", login);
-router.post("/logout", logout);
-router.get("/me", auth(), getProfile);
+router.post("/login", validate(schemas.login), login);
+router.post("/refresh", validate(schemas.refreshSession), refreshSession);
+router.post("/logout", validate(schemas.logout), logout);
+router.get("/me", auth(), validate(schemas.getProfile), getProfile);
+
+// Managing your own account needs a login session, not an API key
+const sessionOnly = auth({ apiKeys: false });
+router.patch(
+  "/me/preferences",
+  sessionOnly,
+  validate(schemas.updatePreferences),
+  updatePreferences
+);
+
+// Own login sessions; DELETE /me/sessions logs out everywhere
+router.get(
+  "/me/sessions",
+  sessionOnly,
+  validate(schemas.getMySessions),
+  getMySessions
+);
+router.delete(
+  "/me/sessions",
+  sessionOnly,
+  validate(schemas.revokeMySessions),
+  revokeMySessions
+);
+router.delete(
+  "/me/sessions/:id",
+  sessionOnly,
+  validate(schemas.revokeMySession),
+  revokeMySession
+);
+
+// Own API keys
+router.get(
+  "/me/api-keys",
+  sessionOnly,
+  validate(schemas.getMyApiKeys),
+  getMyApiKeys
+);
+router.post(
+  "/me/api-keys",
+  sessionOnly,
+  validate(schemas.createApiKey),
+  createApiKey
+);
+router.delete(
+  "/me/api-keys/:id",
+  sessionOnly,
+  validate(schemas.revokeMyApiKey),
+  revokeMyApiKey
+);
+
+// Admin account management (owners only)
+const manageAdmins = auth({ permissions: ["admins:manage"] });
+router.get(
+  "/admins",
+  manageAdmins,
+  validate(schemas.getAllAdmins),
+  getAllAdmins
+);
+router.post(
+  "/admins",
+  manageAdmins,
+  validate(schemas.createAdmin),
+  createAdmin
+);
+router.get(
+  "/admins/:id",
+  manageAdmins,
+  validate(schemas.getAdminById),
+  getAdminById
+);
+router.patch(
+  "/admins/:id",
+  manageAdmins,
+  validate(schemas.updateAdmin),
+  updateAdmin
+);
+router.post(
+  "/admins/:id/reset-password",
+  manageAdmins,
+  validate(schemas.resetAdminPassword),
+  resetAdminPassword
+);
+router.post(
+  "/admins/:id/unlock",
+  manageAdmins,
+  validate(schemas.unlockAdmin),
+  unlockAdmin
+);
+router.get(
+  "/login-attempts",
+  manageAdmins,
+  validate(schemas.getLoginAttempts),
+  getLoginAttempts
+);
+router.get(
+  "/admins/:id/sessions",
+  manageAdmins,
+  validate(schemas.getAdminSessions),
+  getAdminSessions
+);
+router.delete(
+  "/admins/:id/sessions",
+  manageAdmins,
+  validate(schemas.revokeAdminSessions),
+  revokeAdminSessions
+);
+router.get(
+  "/admins/:id/api-keys",
+  manageAdmins,
+  validate(schemas.getAdminApiKeys),
+  getAdminApiKeys
+);
+router.delete(
+  "/admins/:id/api-keys",
+  manageAdmins,
+  validate(schemas.revokeAdminApiKeys),
+  revokeAdminApiKeys
+);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+const express = require("express");
+const { getAuditLog } = require("../controllers/auditController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/audit");
+
+const router = express.Router();
+
+router.get(
+  "/",
+  auth({ permissions: ["audit:read"] }),
+  validate(schemas.getAuditLog),
+  getAuditLog
+);
+
+module.exports = router;
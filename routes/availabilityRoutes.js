@@ -0,0 +1,19 @@
+const express = require("express");
+const {
+  getAvailabilityGrid,
+} = require("../controllers/availabilityController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/availability");
+
+const router = express.Router();
+
+// Booked cells carry customer details, so bookings:read is required
+router.get(
+  "/",
+  auth({ permissions: ["bookings:read"] }),
+  validate(schemas.getAvailabilityGrid),
+  getAvailabilityGrid
+);
+
+module.exports = router;
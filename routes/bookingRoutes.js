@@ -6,20 +6,78 @@ const {
   updateBookingStatus,
   updateBookingDetails,
   cancelBooking,
+  getBookingAuditHistory,
 } = require("../controllers/bookingController.js");
+const {
+  recordPayment,
+  recordRefund,
+  getBookingPayments,
+} = require("../controllers/paymentController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/bookings");
 
 const router = express.Router();
 
+const canRead = auth({ permissions: ["bookings:read"] });
+const canWrite = auth({ permissions: ["bookings:write"] });
+
 // Create booking
-router.post("/", createBooking);
+router.post("/", canWrite, validate(schemas.createBooking), createBooking);
 
 // Booking history with filters
-router.get("/", getBookingHistory);
+router.get(
+  "/",
+  canRead,
+  validate(schemas.getBookingHistory),
+  getBookingHistory
+);
 
 // Single booking operations
-router.get("/:id", getBookingById);
-router.patch("/:id/status", updateBookingStatus);
-router.patch("/:id/details", updateBookingDetails);
-router.post("/:id/cancel", cancelBooking);
+router.get("/:id", canRead, validate(schemas.getBookingById), getBookingById);
+router.get(
+  "/:id/history",
+  canRead,
+  validate(schemas.getBookingAuditHistory),
+  getBookingAuditHistory
+);
+router.patch(
+  "/:id/status",
+  canWrite,
+  validate(schemas.updateBookingStatus),
+  updateBookingStatus
+);
+router.patch(
+  "/:id/details",
+  canWrite,
+  validate(schemas.updateBookingDetails),
+  updateBookingDetails
+);
+router.post(
+  "/:id/cancel",
+  canWrite,
+  validate(schemas.cancelBooking),
+  cancelBooking
+);
+
+// Payments ledger
+router.get(
+  "/:id/payments",
+  canRead,
+  validate(schemas.getBookingPayments),
+  getBookingPayments
+);
+router.post(
+  "/:id/payments",
+  canWrite,
+  validate(schemas.recordPayment),
+  recordPayment
+);
+router.post(
+  "/:id/refunds",
+  auth({ permissions: ["payments:refund"] }),
+  validate(schemas.recordRefund),
+  recordRefund
+);
 
 module.exports = router;
@@ -0,0 +1,67 @@
+const express = require("express");
+const {
+  previewBookingSeries,
+  createBookingSeries,
+  getAllBookingSeries,
+  getBookingSeriesById,
+  updateBookingSeries,
+  cancelBookingSeries,
+} = require("../controllers/bookingSeriesController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/bookingSeries");
+
+const router = express.Router();
+
+const canRead = auth({ permissions: ["bookings:read"] });
+const canWrite = auth({ permissions: ["bookings:write"] });
+
+// List & create
+router.get(
+  "/",
+  canRead,
+  validate(schemas.getAllBookingSeries),
+  getAllBookingSeries
+);
+router.post(
+  "/",
+  canWrite,
+  validate(schemas.createBookingSeries),
+  createBookingSeries
+);
+
+// Dry run: which dates are free or conflicting
+router.get(
+  "/preview",
+  canRead,
+  validate(schemas.previewBookingSeriesQuery),
+  previewBookingSeries
+);
+router.post(
+  "/preview",
+  canRead,
+  validate(schemas.previewBookingSeries),
+  previewBookingSeries
+);
+
+// Single series operations (apply to remaining occurrences)
+router.get(
+  "/:id",
+  canRead,
+  validate(schemas.getBookingSeriesById),
+  getBookingSeriesById
+);
+router.patch(
+  "/:id",
+  canWrite,
+  validate(schemas.updateBookingSeries),
+  updateBookingSeries
+);
+router.post(
+  "/:id/cancel",
+  canWrite,
+  validate(schemas.cancelBookingSeries),
+  cancelBookingSeries
+);
+
+module.exports = router;
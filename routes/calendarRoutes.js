@@ -0,0 +1,44 @@
+const express = require("express");
+const {
+  getCalendarFeed,
+  getCalendarFeeds,
+  createCalendarFeed,
+  revokeCalendarFeed,
+} = require("../controllers/calendarController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/calendar");
+
+const router = express.Router();
+
+const canRead = auth({ permissions: ["bookings:read"] });
+const canWrite = auth({ permissions: ["bookings:write"] });
+
+// Public: calendar apps subscribe with the token in the URL
+router.get(
+  "/calendar/:token.ics",
+  validate(schemas.getCalendarFeed),
+  getCalendarFeed
+);
+
+// Feed management
+router.get(
+  "/calendar-feeds",
+  canRead,
+  validate(schemas.getCalendarFeeds),
+  getCalendarFeeds
+);
+router.post(
+  "/calendar-feeds",
+  canWrite,
+  validate(schemas.createCalendarFeed),
+  createCalendarFeed
+);
+router.delete(
+  "/calendar-feeds/:id",
+  canWrite,
+  validate(schemas.revokeCalendarFeed),
+  revokeCalendarFeed
+);
+
+module.exports = router;
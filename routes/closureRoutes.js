@@ -0,0 +1,32 @@
+const express = require("express");
+const {
+  getAllClosures,
+  getClosureById,
+  createClosure,
+  deleteClosure,
+  getClosureConflicts,
+} = require("../controllers/closureController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/closures");
+
+const router = express.Router();
+
+const canRead = auth({ permissions: ["courts:read"] });
+const canWrite = auth({ permissions: ["courts:write"] });
+const canReadBookings = auth({ permissions: ["bookings:read"] });
+
+router.get("/", canRead, validate(schemas.getAllClosures), getAllClosures);
+router.post("/", canWrite, validate(schemas.createClosure), createClosure);
+router.get("/:id", canRead, validate(schemas.getClosureById), getClosureById);
+router.delete("/:id", canWrite, validate(schemas.deleteClosure), deleteClosure);
+
+// Bookings inside the closure (customers to contact)
+router.get(
+  "/:id/conflicts",
+  canReadBookings,
+  validate(schemas.getClosureConflicts),
+  getClosureConflicts
+);
+
+module.exports = router;
@@ -6,13 +6,20 @@ const {
   updateCourt,
   deleteCourt,
 } = require("../controllers/courtController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/courts");
 
 const router = express.Router();
 
-router.get("/", getAllCourts);
-router.get("/:id", getCourtById);
-router.post("/", createCourt);
-router.put("/:id", updateCourt);
-router.delete("/:id", deleteCourt);
+const canRead = auth({ permissions: ["courts:read"] });
+const canWrite = auth({ permissions: ["courts:write"] });
+const canDelete = auth({ permissions: ["courts:delete"] });
+
+router.get("/", canRead, validate(schemas.getAllCourts), getAllCourts);
+router.get("/:id", canRead, validate(schemas.getCourtById), getCourtById);
+router.post("/", canWrite, validate(schemas.createCourt), createCourt);
+router.put("/:id", canWrite, validate(schemas.updateCourt), updateCourt);
+router.delete("/:id", canDelete, validate(schemas.deleteCourt), deleteCourt);
 
 module.exports = router;
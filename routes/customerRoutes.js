@@ -0,0 +1,54 @@
+const express = require("express");
+const {
+  getAllCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  mergeCustomers,
+  getCustomerBookings,
+} = require("../controllers/customerController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/customers");
+
+const router = express.Router();
+
+const canRead = auth({ permissions: ["customers:read"] });
+const canWrite = auth({ permissions: ["customers:write"] });
+const canDelete = auth({ permissions: ["customers:delete"] });
+
+// List / search & create
+router.get("/", canRead, validate(schemas.getAllCustomers), getAllCustomers);
+router.post("/", canWrite, validate(schemas.createCustomer), createCustomer);
+
+// Single customer operations
+router.get("/:id", canRead, validate(schemas.getCustomerById), getCustomerById);
+router.patch(
+  "/:id",
+  canWrite,
+  validate(schemas.updateCustomer),
+  updateCustomer
+);
+router.delete(
+  "/:id",
+  canDelete,
+  validate(schemas.deleteCustomer),
+  deleteCustomer
+);
+router.post(
+  "/:id/merge",
+  canDelete,
+  validate(schemas.mergeCustomers),
+  mergeCustomers
+);
+
+// Visits, spend, no-shows and booking history
+router.get(
+  "/:id/bookings",
+  canRead,
+  validate(schemas.getCustomerBookings),
+  getCustomerBookings
+);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require("express");
+const mounts = require("./index");
+const { buildOpenApiSpec } = require("../utils/openapi");
+
+const router = express.Router();
+
+// Routes are registered at startup, so the document is built once
+let spec;
+function getSpec() {
+  if (!spec) spec = buildOpenApiSpec(mounts);
+  return spec;
+}
+
+const SWAGGER_UI = "https://unpkg.com/swagger-ui-dist@5";
+
+const page = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Badminton Booking System API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({
+      url: "openapi.json",
+      dom_id: "#swagger-ui",
+      withCredentials: true,
+    });
+  </script>
+</body>
+</html>`;
+
+// Public API documentation
+router.get("/openapi.json", (req, res) => res.json(getSpec()));
+router.get("/", (req, res) => {
+  // Relative "openapi.json" must resolve under /docs/
+  if (!req.originalUrl.split("?")[0].endsWith("/")) {
+    return res.redirect(301, `${req.baseUrl}/`);
+  }
+  res.type("html").send(page);
+});
+
+module.exports = router;
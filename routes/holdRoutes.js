@@ -0,0 +1,20 @@
+const express = require("express");
+const {
+  createHold,
+  getHold,
+  releaseHold,
+} = require("../controllers/holdController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/holds");
+
+const router = express.Router();
+
+const canRead = auth({ permissions: ["bookings:read"] });
+const canWrite = auth({ permissions: ["bookings:write"] });
+
+router.post("/", canWrite, validate(schemas.createHold), createHold);
+router.get("/:token", canRead, validate(schemas.getHold), getHold);
+router.delete("/:token", canWrite, validate(schemas.releaseHold), releaseHold);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// Every API router with its mount path, in mount order.
+// app.js mounts these and the OpenAPI document (/docs) is generated from them.
+// authenticated: the whole group sits behind auth() (login required).
+module.exports = [
+  // Public routes (test connection + login/logout)
+  { path: "/", router: require("./adminRoutes"), tag: "admins" },
+  // Calendar feeds (.ics by token is public; feed management checks auth itself)
+  { path: "/", router: require("./calendarRoutes"), tag: "calendar" },
+  // Customer self-booking (no login; rate limited, confirmation codes)
+  { path: "/public", router: require("./publicRoutes"), tag: "public" },
+
+  // Protected route groups
+  ...[
+    ["/courts", require("./courtRoutes")],
+    ["/closures", require("./closureRoutes")],
+    ["/time-slots", require("./timeSlotRoutes")],
+    ["/bookings", require("./bookingRoutes")],
+    ["/booking-series", require("./bookingSeriesRoutes")],
+    ["/reservations", require("./reservationRoutes")],
+    ["/holds", require("./holdRoutes")],
+    ["/waitlist", require("./waitlistRoutes")],
+    ["/availability", require("./availabilityRoutes")],
+    ["/pricing", require("./pricingRoutes")],
+    ["/customers", require("./customerRoutes")],
+    ["/reports", require("./reportRoutes")],
+    ["/audit-log", require("./auditRoutes")],
+    ["/notifications", require("./notificationRoutes")],
+    ["/jobs", require("./jobRoutes")],
+  ].map(([path, router]) => ({
+    path,
+    router,
+    tag: path.slice(1),
+    authenticated: true,
+  })),
+];
@@ -0,0 +1,20 @@
+const express = require("express");
+const {
+  getJobs,
+  getJobRuns,
+  runJobNow,
+} = require("../controllers/jobController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/jobs");
+
+const router = express.Router();
+
+// Background jobs are managed by the owner only
+router.use(auth({ permissions: ["jobs:manage"] }));
+
+router.get("/", validate(schemas.getJobs), getJobs);
+router.get("/runs", validate(schemas.getJobRuns), getJobRuns);
+router.post("/:name/run", validate(schemas.runJobNow), runJobNow);
+
+module.exports = router;
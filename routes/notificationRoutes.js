@@ -0,0 +1,37 @@
+const express = require("express");
+const {
+  getNotifications,
+  retryNotification,
+  dispatchNotifications,
+  sendReminders,
+} = require("../controllers/notificationController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/notifications");
+
+const router = express.Router();
+
+const canRead = auth({ permissions: ["notifications:read"] });
+const canSend = auth({ permissions: ["notifications:send"] });
+
+router.get("/", canRead, validate(schemas.getNotifications), getNotifications);
+router.post(
+  "/dispatch",
+  canSend,
+  validate(schemas.dispatchNotifications),
+  dispatchNotifications
+);
+router.post(
+  "/reminders",
+  canSend,
+  validate(schemas.sendReminders),
+  sendReminders
+);
+router.post(
+  "/:id/retry",
+  canSend,
+  validate(schemas.retryNotification),
+  retryNotification
+);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require("express");
+const {
+  getAllPricingRules,
+  getPricingRuleById,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  getPriceQuote,
+  getHolidays,
+  saveHoliday,
+  deleteHoliday,
+} = require("../controllers/pricingController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/pricing");
+
+const router = express.Router();
+
+const canRead = auth({ permissions: ["courts:read"] });
+const canWrite = auth({ permissions: ["pricing:write"] });
+
+// Price quote for a court/slot/date
+router.get("/quote", canRead, validate(schemas.getPriceQuote), getPriceQuote);
+
+// Holidays used by holiday-only rules
+router.get("/holidays", canRead, validate(schemas.getHolidays), getHolidays);
+router.put("/holidays", canWrite, validate(schemas.saveHoliday), saveHoliday);
+router.delete(
+  "/holidays/:date",
+  canWrite,
+  validate(schemas.deleteHoliday),
+  deleteHoliday
+);
+
+// Pricing rules
+router.get(
+  "/rules",
+  canRead,
+  validate(schemas.getAllPricingRules),
+  getAllPricingRules
+);
+router.post(
+  "/rules",
+  canWrite,
+  validate(schemas.createPricingRule),
+  createPricingRule
+);
+router.get(
+  "/rules/:id",
+  canRead,
+  validate(schemas.getPricingRuleById),
+  getPricingRuleById
+);
+router.patch(
+  "/rules/:id",
+  canWrite,
+  validate(schemas.updatePricingRule),
+  updatePricingRule
+);
+router.delete(
+  "/rules/:id",
+  canWrite,
+  validate(schemas.deletePricingRule),
+  deletePricingRule
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require("express");
+const {
+  getPublicCourts,
+  getPublicAvailability,
+  createPublicHold,
+  createPublicBooking,
+  getPublicBooking,
+  cancelPublicBooking,
+} = require("../controllers/publicController");
+const { getHold, releaseHold } = require("../controllers/holdController");
+const validate = require("../middlewares/validate");
+const rateLimit = require("../middlewares/rateLimit");
+const { rateLimits } = require("../config/publicBooking");
+const schemas = require("../schemas/public");
+
+// Customer self-booking: no login, rate limited per client IP
+const router = express.Router();
+
+const browseLimit = rateLimit(rateLimits.browse);
+const holdLimit = rateLimit(rateLimits.hold);
+const bookLimit = rateLimit(rateLimits.book);
+const lookupLimit = rateLimit(rateLimits.lookup);
+
+router.get(
+  "/courts",
+  browseLimit,
+  validate(schemas.getPublicCourts),
+  getPublicCourts
+);
+router.get(
+  "/availability",
+  browseLimit,
+  validate(schemas.getPublicAvailability),
+  getPublicAvailability
+);
+
+// Keep a slot free while the customer fills in their details
+router.post(
+  "/holds",
+  holdLimit,
+  validate(schemas.createPublicHold),
+  createPublicHold
+);
+router.get(
+  "/holds/:token",
+  lookupLimit,
+  validate(schemas.getPublicHold),
+  getHold
+);
+router.delete(
+  "/holds/:token",
+  lookupLimit,
+  validate(schemas.releasePublicHold),
+  releaseHold
+);
+
+router.post(
+  "/bookings",
+  bookLimit,
+  validate(schemas.createPublicBooking),
+  createPublicBooking
+);
+router.get(
+  "/bookings/:code",
+  lookupLimit,
+  validate(schemas.getPublicBooking),
+  getPublicBooking
+);
+router.post(
+  "/bookings/:code/cancel",
+  lookupLimit,
+  validate(schemas.cancelPublicBooking),
+  cancelPublicBooking
+);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require("express");
+const {
+  getDailySummary,
+  getRevenueSummary,
+  getCourtUtilization,
+  getDashboardStats,
+  getCourtRevenue,
+  getCashUp,
+} = require("../controllers/reportController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/reports");
+
+const router = express.Router();
+
+// All reports require the reports:read permission
+router.use(auth({ permissions: ["reports:read"] }));
+
+// All reports accept ?format=csv for a CSV download
+router.get(
+  "/daily-summary",
+  validate(schemas.getDailySummary),
+  getDailySummary
+);
+router.get("/revenue", validate(schemas.getRevenueSummary), getRevenueSummary);
+router.get(
+  "/utilization",
+  validate(schemas.getCourtUtilization),
+  getCourtUtilization
+);
+router.get(
+  "/dashboard",
+  validate(schemas.getDashboardStats),
+  getDashboardStats
+);
+router.get(
+  "/courts/:id/revenue",
+  validate(schemas.getCourtRevenue),
+  getCourtRevenue
+);
+router.get("/cash-up", validate(schemas.getCashUp), getCashUp);
+
+module.exports = router;
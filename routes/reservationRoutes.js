@@ -0,0 +1,43 @@
+const express = require("express");
+const {
+  createReservation,
+  getReservationById,
+  cancelReservation,
+  rescheduleReservation,
+} = require("../controllers/reservationController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/reservations");
+
+const router = express.Router();
+
+const canRead = auth({ permissions: ["bookings:read"] });
+const canWrite = auth({ permissions: ["bookings:write"] });
+
+// Consecutive slots on one court, booked / cancelled / moved as a unit
+router.post(
+  "/",
+  canWrite,
+  validate(schemas.createReservation),
+  createReservation
+);
+router.get(
+  "/:id",
+  canRead,
+  validate(schemas.getReservationById),
+  getReservationById
+);
+router.post(
+  "/:id/cancel",
+  canWrite,
+  validate(schemas.cancelReservation),
+  cancelReservation
+);
+router.post(
+  "/:id/reschedule",
+  canWrite,
+  validate(schemas.rescheduleReservation),
+  rescheduleReservation
+);
+
+module.exports = router;
@@ -7,19 +7,36 @@ const {
   updateTimeSlot,
   deleteTimeSlot,
 } = require("../controllers/timeSlotController.js");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/timeSlots");
 
 const router = express.Router();
 
+const canRead = auth({ permissions: ["time-slots:read"] });
+const canWrite = auth({ permissions: ["time-slots:write"] });
+const canDelete = auth({ permissions: ["time-slots:delete"] });
+
 // List & create
-router.get("/", getAllTimeSlots);
-router.post("/", createTimeSlot);
+router.get("/", canRead, validate(schemas.getAllTimeSlots), getAllTimeSlots);
+router.post("/", canWrite, validate(schemas.createTimeSlot), createTimeSlot);
 
 // Available for a court/date
-router.get("/available", getAvailableTimeSlots);
+router.get(
+  "/available",
+  canRead,
+  validate(schemas.getAvailableTimeSlots),
+  getAvailableTimeSlots
+);
 
 // Single slot operations
-router.get("/:id", getTimeSlotById);
-router.put("/:id", updateTimeSlot);
-router.delete("/:id", deleteTimeSlot);
+router.get("/:id", canRead, validate(schemas.getTimeSlotById), getTimeSlotById);
+router.put("/:id", canWrite, validate(schemas.updateTimeSlot), updateTimeSlot);
+router.delete(
+  "/:id",
+  canDelete,
+  validate(schemas.deleteTimeSlot),
+  deleteTimeSlot
+);
 
 module.exports = router;
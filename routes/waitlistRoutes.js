@@ -0,0 +1,53 @@
+const express = require("express");
+const {
+  createWaitlistEntry,
+  getWaitlist,
+  getWaitlistEntryById,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  cancelWaitlistEntry,
+} = require("../controllers/waitlistController");
+const auth = require("../middlewares/authMiddleware");
+const validate = require("../middlewares/validate");
+const schemas = require("../schemas/waitlist");
+
+const router = express.Router();
+
+const canRead = auth({ permissions: ["bookings:read"] });
+const canWrite = auth({ permissions: ["bookings:write"] });
+
+router.get("/", canRead, validate(schemas.getWaitlist), getWaitlist);
+router.post(
+  "/",
+  canWrite,
+  validate(schemas.createWaitlistEntry),
+  createWaitlistEntry
+);
+router.get(
+  "/:id",
+  canRead,
+  validate(schemas.getWaitlistEntryById),
+  getWaitlistEntryById
+);
+router.delete(
+  "/:id",
+  canWrite,
+  validate(schemas.cancelWaitlistEntry),
+  cancelWaitlistEntry
+);
+
+// Offers made when a booking is cancelled
+router.post(
+  "/:id/accept",
+  canWrite,
+  validate(schemas.acceptWaitlistOffer),
+  acceptWaitlistOffer
+);
+router.post(
+  "/:id/decline",
+  canWrite,
+  validate(schemas.declineWaitlistOffer),
+  declineWaitlistOffer
+);
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const {
+  idParams,
+  text,
+  oneOf,
+  pagination,
+  dateRange,
+  object,
+} = require("./common");
+const { PERMISSIONS, ROLES } = require("../config/permissions");
+const { maxDays } = require("../config/apiKeys");
+
+const role = oneOf(ROLES);
+const email = { type: "string", format: "email", maxLength: 100 };
+const password = { type: "string", minLength: 8 };
+
+module.exports = {
+  testConnection: { summary: "Database health check" },
+  login: {
+    summary: "Log in and receive the session cookies",
+    body: object(
+      { username: text(50), password: { type: "string", minLength: 1 } },
+      ["username", "password"]
+    ),
+  },
+  refreshSession: {
+    summary: "Renew the access token with the refreshToken cookie",
+  },
+  logout: { summary: "End the session and clear its cookies" },
+  getProfile: { summary: "Current admin" },
+  updatePreferences: {
+    summary: "Set the current admin's message language",
+    body: object(
+      {
+        locale: {
+          type: ["string", "null"],
+          enum: ["id", "en", null],
+          description: "null follows the Accept-Language header",
+        },
+      },
+      ["locale"]
+    ),
+  },
+  getMySessions: { summary: "Open login sessions of the current admin" },
+  revokeMySessions: { summary: "Log out everywhere" },
+  revokeMySession: { summary: "End one of your sessions", params: idParams },
+  getMyApiKeys: { summary: "API keys of the current admin" },
+  createApiKey: {
+    summary: "Create an API key; the key is only shown in this response",
+    body: object(
+      {
+        name: text(100),
+        scopes: {
+          type: "array",
+          items: oneOf(PERMISSIONS),
+          minItems: 1,
+          uniqueItems: true,
+          description: "Permissions the key may use, within the admin's role",
+        },
+        expires_in_days: { type: "integer", minimum: 1, maximum: maxDays },
+      },
+      ["name", "scopes"]
+    ),
+  },
+  revokeMyApiKey: { summary: "Revoke one of your API keys", params: idParams },
+  getAllAdmins: { summary: "List admins" },
+  getAdminById: { summary: "Get an admin", params: idParams },
+  createAdmin: {
+    summary: "Create an admin",
+    body: object(
+      {
+        username: text(50),
+        password,
+        full_name: text(100),
+        email,
+        role,
+      },
+      ["username", "password", "full_name", "email"]
+    ),
+  },
+  updateAdmin: {
+    summary: "Update an admin",
+    params: idParams,
+    body: object(
+      {
+        full_name: text(100),
+        email,
+        role,
+        status: oneOf(["active", "inactive"]),
+      },
+      [],
+      { minProperties: 1 }
+    ),
+  },
+  resetAdminPassword: {
+    summary: "Set a new password for an admin",
+    params: idParams,
+    body: object({ new_password: password }, ["new_password"]),
+  },
+  unlockAdmin: {
+    summary: "Lift a lockout after failed logins (and of a client IP)",
+    params: idParams,
+    body: object({ ip_address: text(45) }),
+  },
+  getLoginAttempts: {
+    summary: "Recorded login attempts, newest first",
+    query: object({
+      username: text(50),
+      ip_address: text(45),
+      result: oneOf([
+        "success",
+        "invalid_credentials",
+        "throttled",
+        "locked",
+        "unlocked",
+      ]),
+      ...dateRange,
+      ...pagination,
+    }),
+  },
+  getAdminSessions: {
+    summary: "Open login sessions of an admin",
+    params: idParams,
+  },
+  revokeAdminSessions: {
+    summary: "End every session of an admin",
+    params: idParams,
+  },
+  getAdminApiKeys: { summary: "API keys of an admin", params: idParams },
+  revokeAdminApiKeys: {
+    summary: "Revoke every API key of an admin",
+    params: idParams,
+  },
+};
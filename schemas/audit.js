@@ -0,0 +1,21 @@
+const { id, dateRange, pagination, oneOf, object } = require("./common");
+
+module.exports = {
+  getAuditLog: {
+    summary: "Search booking changes",
+    query: object({
+      booking_id: id,
+      admin_id: id,
+      action: oneOf([
+        "create",
+        "status_change",
+        "detail_edit",
+        "reschedule",
+        "cancel",
+      ]),
+      customer: { type: "string", description: "Name or phone fragment" },
+      ...dateRange,
+      ...pagination,
+    }),
+  },
+};
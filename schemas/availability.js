@@ -0,0 +1,8 @@
+const { idList, dateRange, object } = require("./common");
+
+module.exports = {
+  getAvailabilityGrid: {
+    summary: "Court x slot x date availability (default: 7 days from today)",
+    query: object({ ...dateRange, court_id: idList, court_ids: idList }),
+  },
+};
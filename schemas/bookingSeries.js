@@ -0,0 +1,90 @@
+const {
+  id,
+  idParams,
+  date,
+  nullableText,
+  phone,
+  text,
+  weekdays,
+  customerFields,
+  customerRequired,
+  oneOf,
+  object,
+} = require("./common");
+
+const definition = {
+  court_id: id,
+  slot_id: id,
+  weekdays,
+  start_date: date,
+  end_date: date,
+};
+const definitionRequired = [
+  "court_id",
+  "slot_id",
+  "weekdays",
+  "start_date",
+  "end_date",
+];
+
+module.exports = {
+  getAllBookingSeries: {
+    summary: "List booking series",
+    query: object({ status: oneOf(["active", "cancelled"]) }),
+  },
+  createBookingSeries: {
+    summary: "Create a weekly series and all of its bookings",
+    body: object(
+      {
+        ...definition,
+        ...customerFields,
+        notes: nullableText(),
+        skip_conflicts: { type: "boolean" },
+      },
+      definitionRequired,
+      customerRequired
+    ),
+  },
+  previewBookingSeriesQuery: {
+    summary: "Dry run of a series (query parameters)",
+    query: object(definition, definitionRequired),
+  },
+  previewBookingSeries: {
+    summary: "Dry run of a series",
+    body: object(definition, definitionRequired),
+  },
+  getBookingSeriesById: {
+    summary: "Get a series with its occurrences",
+    params: idParams,
+  },
+  updateBookingSeries: {
+    summary: "Edit the remaining occurrences of a series",
+    params: idParams,
+    body: object(
+      {
+        from_date: date,
+        court_id: id,
+        slot_id: id,
+        customer_name: text(100),
+        customer_phone: phone,
+        notes: nullableText(),
+      },
+      [],
+      // from_date alone changes nothing
+      {
+        anyOf: [
+          "court_id",
+          "slot_id",
+          "customer_name",
+          "customer_phone",
+          "notes",
+        ].map((field) => ({ required: [field] })),
+      }
+    ),
+  },
+  cancelBookingSeries: {
+    summary: "Cancel the remaining occurrences of a series",
+    params: idParams,
+    body: object({ from_date: date }),
+  },
+};
@@ -0,0 +1,104 @@
+const {
+  id,
+  idParams,
+  date,
+  money,
+  nullableText,
+  phone,
+  text,
+  bookingStatus,
+  paymentMethod,
+  customerFields,
+  customerRequired,
+  holdToken,
+  pagination,
+  dateRange,
+  oneOf,
+  object,
+} = require("./common");
+
+const ledgerEntry = {
+  amount: { ...money, exclusiveMinimum: 0 },
+  method: paymentMethod,
+  reference: nullableText(100),
+  notes: nullableText(),
+};
+
+module.exports = {
+  createBooking: {
+    summary: "Create a booking (for a slot, or for the slot of a hold)",
+    body: object(
+      {
+        court_id: id,
+        slot_id: id,
+        booking_date: date,
+        hold_token: holdToken,
+        ...customerFields,
+        notes: nullableText(),
+      },
+      [],
+      {
+        allOf: [
+          customerRequired,
+          {
+            anyOf: [
+              { required: ["court_id", "slot_id", "booking_date"] },
+              { required: ["hold_token"] },
+            ],
+          },
+        ],
+      }
+    ),
+  },
+  getBookingHistory: {
+    summary: "Booking history with filters",
+    query: object({ court_id: id, ...dateRange, ...pagination }),
+  },
+  getBookingById: {
+    summary: "Get a booking (format=ics downloads a calendar event)",
+    params: idParams,
+    query: object({ format: oneOf(["json", "ics"]) }),
+  },
+  getBookingAuditHistory: {
+    summary: "Change history of a booking",
+    params: idParams,
+  },
+  updateBookingStatus: {
+    summary:
+      "Update the booking status (payment status follows the payments ledger)",
+    params: idParams,
+    body: object({ booking_status: bookingStatus }, ["booking_status"]),
+  },
+  updateBookingDetails: {
+    summary: "Update customer details or notes",
+    params: idParams,
+    body: object(
+      {
+        customer_name: text(100),
+        customer_phone: phone,
+        notes: nullableText(),
+      },
+      [],
+      { minProperties: 1 }
+    ),
+  },
+  cancelBooking: {
+    summary: "Cancel a booking, optionally refunding in the same step",
+    params: idParams,
+    body: object({ refund_method: paymentMethod, refund_amount: money }),
+  },
+  getBookingPayments: {
+    summary: "Payments ledger of a booking",
+    params: idParams,
+  },
+  recordPayment: {
+    summary: "Record a payment",
+    params: idParams,
+    body: object(ledgerEntry, ["amount", "method"]),
+  },
+  recordRefund: {
+    summary: "Record a refund (amount defaults to everything paid)",
+    params: idParams,
+    body: object(ledgerEntry, ["method"]),
+  },
+};
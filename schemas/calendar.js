@@ -0,0 +1,31 @@
+const {
+  id,
+  idParams,
+  phone,
+  nullableText,
+  oneOf,
+  object,
+} = require("./common");
+
+module.exports = {
+  getCalendarFeed: {
+    summary: "iCalendar feed (the token in the URL is the credential)",
+    params: object({ token: { type: "string", minLength: 1 } }, ["token"]),
+  },
+  getCalendarFeeds: {
+    summary: "List calendar feeds",
+    query: object({ status: oneOf(["active", "revoked"]) }),
+  },
+  createCalendarFeed: {
+    summary: "Create a feed for a court or a customer phone",
+    body: object(
+      { court_id: id, customer_phone: phone, label: nullableText(100) },
+      [],
+      {
+        description: "Exactly one of court_id or customer_phone",
+        anyOf: [{ required: ["court_id"] }, { required: ["customer_phone"] }],
+      }
+    ),
+  },
+  revokeCalendarFeed: { summary: "Revoke a calendar feed", params: idParams },
+};
@@ -0,0 +1,34 @@
+const {
+  id,
+  nullableId,
+  idParams,
+  dateTime,
+  dateRange,
+  text,
+  object,
+} = require("./common");
+
+module.exports = {
+  getAllClosures: {
+    summary: "List closures (venue-wide closures are always included)",
+    query: object({ court_id: id, ...dateRange }),
+  },
+  createClosure: {
+    summary: "Close a court, or the whole venue when court_id is omitted",
+    body: object(
+      {
+        court_id: nullableId,
+        start_datetime: dateTime,
+        end_datetime: dateTime,
+        reason: text(255),
+      },
+      ["start_datetime", "end_datetime", "reason"]
+    ),
+  },
+  getClosureById: { summary: "Get a closure", params: idParams },
+  deleteClosure: { summary: "Delete a closure", params: idParams },
+  getClosureConflicts: {
+    summary: "Bookings that fall inside a closure",
+    params: idParams,
+  },
+};
@@ -0,0 +1,110 @@
+// Reusable JSON Schema fragments for route schemas
+
+const id = { type: "integer", minimum: 1 };
+const nullableId = { type: ["integer", "null"], minimum: 1 };
+const date = { type: "string", format: "date", description: "YYYY-MM-DD" };
+const nullableDate = { ...date, type: ["string", "null"] };
+const time = {
+  type: "string",
+  pattern: "^([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?$",
+  description: "HH:MM or HH:MM:SS",
+};
+const dateTime = {
+  type: "string",
+  pattern: "^\\d{4}-\\d{2}-\\d{2}([T ]([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?)?$",
+  description: "YYYY-MM-DD HH:MM (a bare date means the whole day)",
+};
+const phone = {
+  type: "string",
+  pattern: "^\\+?[\\d\\s().-]{6,20}$",
+  description: "Indonesian numbers are normalised to +62...",
+};
+const money = { type: "number", minimum: 0 };
+const text = (maxLength) => ({ type: "string", minLength: 1, maxLength });
+const nullableText = (maxLength) => ({ type: ["string", "null"], maxLength });
+const oneOf = (values) => ({ type: "string", enum: values });
+
+const bookingStatus = oneOf(["confirmed", "cancelled", "completed", "no_show"]);
+const paymentMethod = oneOf(["cash", "transfer", "e-wallet"]);
+const weekdays = {
+  anyOf: [
+    { type: "string", minLength: 1 },
+    {
+      type: "array",
+      minItems: 1,
+      items: { type: ["integer", "string"] },
+    },
+  ],
+  description: "ISO weekdays 1-7 or day names, array or comma separated",
+};
+const idList = {
+  anyOf: [
+    { type: "string", pattern: "^\\d+(,\\d+)*$" },
+    { type: "array", minItems: 1, items: id },
+  ],
+  description: "Array of ids or comma separated ids",
+};
+
+// Token returned by POST /holds (24 random bytes, base64url)
+const holdToken = {
+  type: "string",
+  pattern: "^[A-Za-z0-9_-]{32}$",
+  description: "Hold token from POST /holds",
+};
+
+// Customer of a new booking: customer_id, or customer_name + customer_phone
+const customerFields = {
+  customer_id: id,
+  customer_name: text(100),
+  customer_phone: phone,
+};
+const customerRequired = {
+  anyOf: [
+    { required: ["customer_id"] },
+    { required: ["customer_name", "customer_phone"] },
+  ],
+};
+
+const idParams = {
+  type: "object",
+  required: ["id"],
+  properties: { id },
+};
+
+const pagination = {
+  limit: { type: "integer", minimum: 1, maximum: 200 },
+  offset: { type: "integer", minimum: 0 },
+};
+
+const dateRange = { start_date: date, end_date: date };
+const csvFormat = { format: oneOf(["json", "csv"]) };
+
+function object(properties, required = [], extra = {}) {
+  return { type: "object", properties, required, ...extra };
+}
+
+module.exports = {
+  id,
+  nullableId,
+  date,
+  nullableDate,
+  time,
+  dateTime,
+  phone,
+  money,
+  text,
+  nullableText,
+  oneOf,
+  bookingStatus,
+  paymentMethod,
+  weekdays,
+  idList,
+  holdToken,
+  customerFields,
+  customerRequired,
+  idParams,
+  pagination,
+  dateRange,
+  csvFormat,
+  object,
+};
@@ -0,0 +1,42 @@
+const {
+  idParams,
+  text,
+  nullableText,
+  money,
+  oneOf,
+  object,
+} = require("./common");
+
+const courtStatus = oneOf(["active", "maintenance", "inactive"]);
+
+module.exports = {
+  getAllCourts: { summary: "List courts" },
+  getCourtById: { summary: "Get a court", params: idParams },
+  createCourt: {
+    summary: "Create a court",
+    body: object(
+      {
+        court_name: text(50),
+        description: nullableText(),
+        price_per_session: { ...money, exclusiveMinimum: 0 },
+        status: courtStatus,
+      },
+      ["court_name", "price_per_session"]
+    ),
+  },
+  updateCourt: {
+    summary: "Update a court",
+    params: idParams,
+    body: object(
+      {
+        court_name: text(50),
+        description: nullableText(),
+        price_per_session: { ...money, exclusiveMinimum: 0 },
+        status: courtStatus,
+      },
+      [],
+      { minProperties: 1 }
+    ),
+  },
+  deleteCourt: { summary: "Delete a court", params: idParams },
+};
@@ -0,0 +1,56 @@
+const {
+  id,
+  idParams,
+  phone,
+  text,
+  nullableText,
+  pagination,
+  object,
+} = require("./common");
+
+const email = { type: ["string", "null"], format: "email", maxLength: 100 };
+
+module.exports = {
+  getAllCustomers: {
+    summary: "Search customers by name or phone",
+    query: object({ search: { type: "string" }, ...pagination }),
+  },
+  createCustomer: {
+    summary: "Create a customer",
+    body: object(
+      {
+        full_name: text(100),
+        phone,
+        email,
+        notes: nullableText(),
+      },
+      ["full_name", "phone"]
+    ),
+  },
+  getCustomerById: { summary: "Get a customer", params: idParams },
+  updateCustomer: {
+    summary: "Update a customer",
+    params: idParams,
+    body: object(
+      {
+        full_name: text(100),
+        phone,
+        email,
+        notes: nullableText(),
+      },
+      [],
+      { minProperties: 1 }
+    ),
+  },
+  deleteCustomer: { summary: "Delete a customer", params: idParams },
+  mergeCustomers: {
+    summary: "Merge another customer (and its bookings) into this one",
+    params: idParams,
+    body: object({ source_customer_id: id }, ["source_customer_id"]),
+  },
+  getCustomerBookings: {
+    summary: "Bookings of a customer",
+    params: idParams,
+    query: object(pagination),
+  },
+};
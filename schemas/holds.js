@@ -0,0 +1,21 @@
+const { id, date, holdToken, object } = require("./common");
+const { maxMinutes } = require("../config/holds");
+
+const tokenParams = object({ token: holdToken }, ["token"]);
+
+module.exports = {
+  createHold: {
+    summary: "Hold a slot for a few minutes; returns the hold token",
+    body: object(
+      {
+        court_id: id,
+        slot_id: id,
+        booking_date: date,
+        minutes: { type: "integer", minimum: 1, maximum: maxMinutes },
+      },
+      ["court_id", "slot_id", "booking_date"]
+    ),
+  },
+  getHold: { summary: "Hold by token", params: tokenParams },
+  releaseHold: { summary: "Release a hold", params: tokenParams },
+};
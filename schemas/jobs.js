@@ -0,0 +1,19 @@
+const { pagination, oneOf, object } = require("./common");
+
+const jobName = { type: "string", pattern: "^[a-z-]+$" };
+
+module.exports = {
+  getJobs: { summary: "Registered jobs with their most recent run" },
+  getJobRuns: {
+    summary: "Job run history",
+    query: object({
+      job_name: jobName,
+      status: oneOf(["running", "success", "failed"]),
+      ...pagination,
+    }),
+  },
+  runJobNow: {
+    summary: "Run a job now and wait for its outcome",
+    params: object({ name: jobName }, ["name"]),
+  },
+};
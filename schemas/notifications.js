@@ -0,0 +1,22 @@
+const { id, idParams, pagination, oneOf, object } = require("./common");
+
+module.exports = {
+  getNotifications: {
+    summary: "Notification outbox",
+    query: object({
+      status: oneOf(["pending", "sending", "sent", "failed"]),
+      booking_id: id,
+      template: { type: "string", maxLength: 50 },
+      ...pagination,
+    }),
+  },
+  dispatchNotifications: { summary: "Send every notification due now" },
+  sendReminders: {
+    summary: "Queue and send reminders for upcoming bookings",
+    query: object({ hours: { type: "integer", minimum: 1 } }),
+  },
+  retryNotification: {
+    summary: "Requeue a failed notification and send it",
+    params: idParams,
+  },
+};
@@ -0,0 +1,66 @@
+const {
+  id,
+  nullableId,
+  idParams,
+  date,
+  nullableDate,
+  time,
+  money,
+  text,
+  weekdays,
+  oneOf,
+  object,
+} = require("./common");
+
+const nullableTime = { ...time, type: ["string", "null"] };
+const rule = {
+  rule_name: text(100),
+  court_id: nullableId,
+  slot_id: nullableId,
+  start_time: nullableTime,
+  end_time: nullableTime,
+  weekdays: { anyOf: [weekdays, { type: "null" }] },
+  valid_from: nullableDate,
+  valid_to: nullableDate,
+  holidays_only: { type: "boolean" },
+  price: money,
+  priority: { type: "integer" },
+  status: oneOf(["active", "inactive"]),
+};
+
+module.exports = {
+  getPriceQuote: {
+    summary: "Price of a court and slot on a date",
+    query: object({ court_id: id, slot_id: id, booking_date: date }, [
+      "court_id",
+      "slot_id",
+    ]),
+  },
+  getHolidays: {
+    summary: "List holidays",
+    query: object({ year: { type: "string", pattern: "^\\d{4}$" } }),
+  },
+  saveHoliday: {
+    summary: "Add or rename a holiday",
+    body: object({ holiday_date: date, holiday_name: text(100) }, [
+      "holiday_date",
+      "holiday_name",
+    ]),
+  },
+  deleteHoliday: {
+    summary: "Delete a holiday",
+    params: object({ date }, ["date"]),
+  },
+  getAllPricingRules: { summary: "List pricing rules" },
+  createPricingRule: {
+    summary: "Create a pricing rule",
+    body: object(rule, ["rule_name", "price"]),
+  },
+  getPricingRuleById: { summary: "Get a pricing rule", params: idParams },
+  updatePricingRule: {
+    summary: "Update a pricing rule",
+    params: idParams,
+    body: object(rule, [], { minProperties: 1 }),
+  },
+  deletePricingRule: { summary: "Delete a pricing rule", params: idParams },
+};
@@ -0,0 +1,61 @@
+const { id, date, phone, holdToken, object } = require("./common");
+
+const code = {
+  type: "string",
+  pattern: "^[0-9A-Za-z -]{12,20}$",
+  description: "Confirmation code, e.g. 7QK4-M2ZD-9F0C",
+};
+const codeParams = object({ code }, ["code"]);
+const tokenParams = object({ token: holdToken }, ["token"]);
+
+module.exports = {
+  getPublicCourts: { summary: "Active courts with their base price" },
+  getPublicAvailability: {
+    summary: "Free and taken slots of a court on a date",
+    query: object({ court_id: id, date }, ["court_id", "date"]),
+  },
+  createPublicHold: {
+    summary: "Hold a slot while booking; returns the hold token",
+    body: object({ court_id: id, slot_id: id, booking_date: date }, [
+      "court_id",
+      "slot_id",
+      "booking_date",
+    ]),
+  },
+  getPublicHold: { summary: "Hold by token", params: tokenParams },
+  releasePublicHold: { summary: "Release a hold", params: tokenParams },
+  createPublicBooking: {
+    summary: "Book a slot or a held slot; returns the confirmation code",
+    body: object(
+      {
+        court_id: id,
+        slot_id: id,
+        booking_date: date,
+        hold_token: holdToken,
+        customer_name: {
+          type: "string",
+          minLength: 2,
+          maxLength: 100,
+          pattern: "\\p{L}",
+          description: "Must contain letters",
+        },
+        customer_phone: phone,
+      },
+      ["customer_name", "customer_phone"],
+      {
+        anyOf: [
+          { required: ["court_id", "slot_id", "booking_date"] },
+          { required: ["hold_token"] },
+        ],
+      }
+    ),
+  },
+  getPublicBooking: {
+    summary: "Booking by confirmation code",
+    params: codeParams,
+  },
+  cancelPublicBooking: {
+    summary: "Cancel an unpaid booking by confirmation code",
+    params: codeParams,
+  },
+};
@@ -0,0 +1,40 @@
+const {
+  id,
+  idParams,
+  date,
+  dateRange,
+  csvFormat,
+  object,
+} = require("./common");
+
+module.exports = {
+  getDailySummary: {
+    summary: "Daily booking summary per court (default: last 7 days)",
+    query: object({ ...dateRange, ...csvFormat }),
+  },
+  getRevenueSummary: {
+    summary: "Monthly revenue per court",
+    query: object({
+      year: { type: "string", pattern: "^\\d{4}$" },
+      court_id: id,
+      ...csvFormat,
+    }),
+  },
+  getCourtUtilization: {
+    summary: "Court utilization over the last 30 days and today",
+    query: object(csvFormat),
+  },
+  getDashboardStats: {
+    summary: "Dashboard statistics for one date",
+    query: object({ date, ...csvFormat }),
+  },
+  getCourtRevenue: {
+    summary: "Paid revenue of one court over a date range",
+    params: idParams,
+    query: object({ ...dateRange, ...csvFormat }, ["start_date", "end_date"]),
+  },
+  getCashUp: {
+    summary: "Payments and refunds taken per admin and method",
+    query: object({ date, admin_id: id, ...csvFormat }),
+  },
+};
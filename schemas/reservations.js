@@ -0,0 +1,42 @@
+const {
+  id,
+  idParams,
+  date,
+  idList,
+  nullableText,
+  customerFields,
+  customerRequired,
+  object,
+} = require("./common");
+
+module.exports = {
+  createReservation: {
+    summary: "Reserve consecutive slots of one court (all or nothing)",
+    body: object(
+      {
+        court_id: id,
+        slot_ids: idList,
+        booking_date: date,
+        ...customerFields,
+        notes: nullableText(),
+      },
+      ["court_id", "slot_ids", "booking_date"],
+      customerRequired
+    ),
+  },
+  getReservationById: {
+    summary: "Get a reservation with its bookings",
+    params: idParams,
+  },
+  cancelReservation: {
+    summary: "Cancel every booking of a reservation",
+    params: idParams,
+  },
+  rescheduleReservation: {
+    summary: "Move a reservation as a unit",
+    params: idParams,
+    body: object({ booking_date: date, court_id: id, slot_ids: idList }, [], {
+      minProperties: 1,
+    }),
+  },
+};
@@ -0,0 +1,39 @@
+const { id, idParams, date, time, text, oneOf, object } = require("./common");
+
+const slotStatus = oneOf(["active", "inactive"]);
+
+module.exports = {
+  getAllTimeSlots: { summary: "List time slots" },
+  getAvailableTimeSlots: {
+    summary: "Slots of one court on one date with availability",
+    query: object({ court_id: id, booking_date: date }, ["court_id"]),
+  },
+  getTimeSlotById: { summary: "Get a time slot", params: idParams },
+  createTimeSlot: {
+    summary: "Create a time slot",
+    body: object(
+      {
+        start_time: time,
+        end_time: time,
+        slot_name: text(50),
+        status: slotStatus,
+      },
+      ["start_time", "end_time", "slot_name"]
+    ),
+  },
+  updateTimeSlot: {
+    summary: "Update a time slot",
+    params: idParams,
+    body: object(
+      {
+        start_time: time,
+        end_time: time,
+        slot_name: text(50),
+        status: slotStatus,
+      },
+      [],
+      { minProperties: 1 }
+    ),
+  },
+  deleteTimeSlot: { summary: "Delete a time slot", params: idParams },
+};
@@ -0,0 +1,60 @@
+const {
+  id,
+  nullableId,
+  idParams,
+  date,
+  nullableText,
+  customerFields,
+  customerRequired,
+  oneOf,
+  object,
+} = require("./common");
+
+const waitlistStatus = oneOf([
+  "waiting",
+  "offered",
+  "booked",
+  "expired",
+  "declined",
+  "cancelled",
+]);
+
+module.exports = {
+  getWaitlist: {
+    summary: "List waitlist entries",
+    query: object({
+      booking_date: date,
+      slot_id: id,
+      court_id: id,
+      status: waitlistStatus,
+    }),
+  },
+  createWaitlistEntry: {
+    summary: "Join the waitlist of a taken slot (omit court_id for any court)",
+    body: object(
+      {
+        court_id: nullableId,
+        slot_id: id,
+        booking_date: date,
+        ...customerFields,
+        notes: nullableText(),
+        offer_minutes: { type: "integer", minimum: 1 },
+      },
+      ["slot_id", "booking_date"],
+      customerRequired
+    ),
+  },
+  getWaitlistEntryById: { summary: "Get a waitlist entry", params: idParams },
+  cancelWaitlistEntry: {
+    summary: "Remove an entry from the waitlist",
+    params: idParams,
+  },
+  acceptWaitlistOffer: {
+    summary: "Accept an open offer and book the slot",
+    params: idParams,
+  },
+  declineWaitlistOffer: {
+    summary: "Decline an open offer (passes it to the next in line)",
+    params: idParams,
+  },
+};
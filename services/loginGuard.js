@@ -0,0 +1,150 @@
+const config = require("../config/loginGuard");
+const { repositories } = require("../repositories");
+const { createMemoryLoginAttempts } = require("../repositories/memory");
+
+// Login brute-force protection. Failed logins are counted per username and
+// per client IP: past a few failures every further attempt has to wait a
+// doubling delay, past the threshold the username or IP is locked for
+// config.lockMinutes. Every attempt is recorded for owners to review.
+// Attempts live in the loginAttempts repository, or in this process when
+// config.store is "memory".
+
+let processStore = null;
+
+function store() {
+  if (config.store !== "memory") return repositories().loginAttempts;
+  if (!processStore) {
+    processStore = createMemoryLoginAttempts(
+      {},
+      { maxAttempts: config.memoryMaxAttempts }
+    );
+  }
+  return processStore;
+}
+
+// Usernames are matched case-insensitively by MySQL, so they are tracked
+// lower-cased
+const normalizeUsername = (username) =>
+  String(username).trim().toLowerCase().slice(0, 50);
+
+// Seconds to wait after `failures` failures (0 below delayAfter)
+function delaySeconds(failures, { delayAfter }) {
+  if (failures < delayAfter) return 0;
+  return Math.min(
+    config.baseDelaySeconds * 2 ** (failures - delayAfter),
+    config.maxDelaySeconds
+  );
+}
+
+// Seconds left before the next attempt is allowed
+function waitSeconds(failures, age, limits) {
+  if (age === null) return 0;
+  return Math.max(delaySeconds(failures, limits) - age, 0);
+}
+
+// Check an attempt before the password is verified.
+// attempt: { username, ip_address, user_agent }
+// Returns null when it may go ahead, otherwise
+// { code, retryAfter (seconds), params } - the refusal is recorded.
+async function checkAttempt(attempt) {
+  const username = normalizeUsername(attempt.username);
+  const state = await store().guardState({
+    username,
+    ip_address: attempt.ip_address,
+    window_minutes: config.windowMinutes,
+  });
+
+  let refusal = null;
+  if (state.username_locked_seconds !== null) {
+    const retryAfter = Math.max(state.username_locked_seconds, 1);
+    refusal = {
+      result: "locked",
+      code: "ACCOUNT_LOCKED",
+      retryAfter,
+      params: { minutes: Math.ceil(retryAfter / 60) },
+    };
+  } else if (state.ip_locked_seconds !== null) {
+    refusal = {
+      result: "locked",
+      retryAfter: Math.max(state.ip_locked_seconds, 1),
+    };
+  } else {
+    const wait = Math.max(
+      waitSeconds(
+        state.username_failures,
+        state.username_failure_age,
+        config.username
+      ),
+      waitSeconds(state.ip_failures, state.ip_failure_age, config.ip)
+    );
+    if (wait > 0) refusal = { result: "throttled", retryAfter: wait };
+  }
+  if (!refusal) return null;
+
+  await store().record({
+    username,
+    admin_id: null,
+    ip_address: attempt.ip_address,
+    user_agent: attempt.user_agent,
+    result: refusal.result,
+  });
+  return {
+    code: refusal.code || "LOGIN_THROTTLED",
+    retryAfter: refusal.retryAfter,
+    params: refusal.params || { seconds: refusal.retryAfter },
+  };
+}
+
+// Record a verified attempt; failures past the thresholds lock the username
+// and/or the IP. attempt: { username, admin_id, ip_address, user_agent,
+// success }
+async function recordAttempt(attempt) {
+  const username = normalizeUsername(attempt.username);
+  await store().record({
+    username,
+    admin_id: attempt.admin_id,
+    ip_address: attempt.ip_address,
+    user_agent: attempt.user_agent,
+    result: attempt.success ? "success" : "invalid_credentials",
+  });
+  if (attempt.success) return;
+
+  const state = await store().guardState({
+    username,
+    ip_address: attempt.ip_address,
+    window_minutes: config.windowMinutes,
+  });
+  if (
+    state.username_failures >= config.username.lockAfter &&
+    state.username_locked_seconds === null
+  ) {
+    await store().lock("username", username, config.lockMinutes);
+  }
+  if (
+    attempt.ip_address &&
+    state.ip_failures >= config.ip.lockAfter &&
+    state.ip_locked_seconds === null
+  ) {
+    await store().lock("ip", attempt.ip_address, config.lockMinutes);
+  }
+}
+
+// Lift the lockout of an admin's username and reset its failures; with
+// reset_ip, the same for that client IP.
+// unlock: { username, admin_id, unlocked_by, ip_address, user_agent,
+// reset_ip }. Returns the number of lockouts lifted.
+const unlock = (unlock) =>
+  store().unlock({
+    ...unlock,
+    username: normalizeUsername(unlock.username),
+    reset_ip: unlock.reset_ip || null,
+  });
+
+// Filters: { username, ip_address, result, start_date, end_date, limit, offset }
+const findAttempts = (filters) =>
+  store().findAll({
+    ...filters,
+    username: filters.username ? normalizeUsername(filters.username) : null,
+  });
+
+module.exports = { checkAttempt, recordAttempt, unlock, findAttempts };
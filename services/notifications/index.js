@@ -0,0 +1,93 @@
+const { repositories } = require("../../repositories");
+const config = require("../../config/notifications");
+const { render } = require("./templates");
+const { getTransport } = require("./transports");
+
+// Contact used for each channel, or null when the customer has none
+const RECIPIENTS = {
+  email: (data) => data.customer_email,
+  whatsapp: (data) => data.customer_phone,
+  sms: (data) => data.customer_phone,
+};
+
+// Render a template for a booking and queue one message per enabled channel.
+// Returns the queued notification ids.
+async function enqueueBookingNotification(bookingId, template, extra = {}) {
+  const { notifications } = repositories();
+  const data = await notifications.findBookingData(bookingId);
+  if (!data) return [];
+
+  const { subject, body } = render(template, { ...data, ...extra });
+  const ids = [];
+  for (const channel of config.channels) {
+    const recipient = RECIPIENTS[channel] && RECIPIENTS[channel](data);
+    if (!recipient) continue;
+    ids.push(
+      await notifications.enqueue({
+        booking_id: data.booking_id,
+        customer_id: data.customer_id,
+        template,
+        channel,
+        recipient,
+        subject,
+        body,
+      })
+    );
+  }
+  return ids;
+}
+
+// Send everything that is due. Failures are retried with backoff by
+// notifications.markFailed. Returns { sent, failed }.
+async function dispatchPending({ limit = config.batchSize } = {}) {
+  const { notifications } = repositories();
+  const messages = await notifications.claim(limit);
+  const summary = { sent: 0, failed: 0 };
+  for (const message of messages) {
+    try {
+      await getTransport(message.channel).send(message);
+      await notifications.markSent(message.notification_id);
+      summary.sent++;
+    } catch (error) {
+      await notifications.markFailed(
+        message.notification_id,
+        String(error.message || error).slice(0, 1000),
+        { max_attempts: config.maxAttempts, retry_minutes: config.retryMinutes }
+      );
+      summary.failed++;
+    }
+  }
+  return summary;
+}
+
+// Queue reminders for bookings starting within the configured window
+async function queueDueReminders({ hours = config.reminderHours } = {}) {
+  const bookingIds = await repositories().notifications.findDueReminders(hours);
+  let queued = 0;
+  for (const bookingId of bookingIds) {
+    const ids = await enqueueBookingNotification(bookingId, "reminder");
+    queued += ids.length;
+  }
+  return { bookings: bookingIds.length, queued };
+}
+
+// Fire-and-forget entry point for controllers: a notification problem must
+// never fail the booking request that triggered it
+function notifyBooking(bookingId, template, extra) {
+  if (!config.enabled) return;
+  enqueueBookingNotification(bookingId, template, extra)
+    .then(() => dispatchPending())
+    .catch((error) => {
+      console.error(
+        `Notification ${template} for booking ${bookingId} failed:`,
+        error
+      );
+    });
+}
+
+module.exports = {
+  enqueueBookingNotification,
+  dispatchPending,
+  queueDueReminders,
+  notifyBooking,
+};
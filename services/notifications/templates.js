@@ -0,0 +1,56 @@
+// Message templates. {{field}} placeholders are filled from the booking data
+// returned by sp_get_booking_notification_data plus any extra values.
+
+const TEMPLATES = {
+  confirmation: {
+    subject: "Konfirmasi booking #{{booking_id}}",
+    body:
+      "Halo {{customer_name}}, booking Anda di {{court_name}} pada " +
+      "{{booking_date}} pukul {{start_time}}-{{end_time}} sudah terkonfirmasi. " +
+      "Total: {{total_amount}}. Kode booking: #{{booking_id}}.",
+  },
+  reminder: {
+    subject: "Pengingat booking #{{booking_id}}",
+    body:
+      "Halo {{customer_name}}, mengingatkan jadwal bermain Anda di " +
+      "{{court_name}} pada {{booking_date}} pukul {{start_time}}-{{end_time}}. " +
+      "Sampai jumpa!",
+  },
+  cancellation: {
+    subject: "Pembatalan booking #{{booking_id}}",
+    body:
+      "Halo {{customer_name}}, booking Anda di {{court_name}} pada " +
+      "{{booking_date}} pukul {{start_time}}-{{end_time}} telah dibatalkan.",
+  },
+  payment_received: {
+    subject: "Pembayaran booking #{{booking_id}} diterima",
+    body:
+      "Halo {{customer_name}}, pembayaran {{amount}} untuk booking " +
+      "#{{booking_id}} sudah kami terima. Total dibayar: {{paid_amount}} " +
+      "dari {{total_amount}}.",
+  },
+};
+
+const MONEY_FIELDS = ["total_amount", "paid_amount", "amount"];
+
+function formatMoney(value) {
+  return `Rp${Number(value || 0).toLocaleString("id-ID")}`;
+}
+
+// Returns { subject, body }; throws for an unknown template
+function render(template, data) {
+  const definition = TEMPLATES[template];
+  if (!definition)
+    throw new Error(`Unknown notification template: ${template}`);
+  const values = { ...data };
+  for (const field of MONEY_FIELDS) {
+    if (values[field] !== undefined) values[field] = formatMoney(values[field]);
+  }
+  const fill = (text) =>
+    text.replace(/\{\{(\w+)\}\}/g, (_, key) =>
+      values[key] === undefined || values[key] === null ? "" : values[key]
+    );
+  return { subject: fill(definition.subject), body: fill(definition.body) };
+}
+
+module.exports = { TEMPLATES, render };
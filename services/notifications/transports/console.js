@@ -0,0 +1,14 @@
+// Prints messages instead of sending them (local development)
+function createConsoleTransport() {
+  return {
+    async send({ channel, recipient, subject, body }) {
+      console.log(
+        `[notification:${channel}] to ${recipient}` +
+          (subject ? ` | ${subject}` : "") +
+          `\n${body}`
+      );
+    },
+  };
+}
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,15 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Appends each message as one JSON line (local testing / inspection)
+function createFileTransport({ path: filePath }) {
+  return {
+    async send(message) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const line = JSON.stringify({ ...message, sent_at: new Date() });
+      await fs.appendFile(filePath, `${line}\n`);
+    },
+  };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,23 @@
+// WhatsApp / SMS through an HTTP gateway: POST { to, message } as JSON
+function createGatewayTransport({ url, token }) {
+  if (!url) throw new Error("Gateway URL is not configured");
+  return {
+    async send({ recipient, body }) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ to: recipient, message: body }),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) {
+        const text = await response.text().catch(() => "");
+        throw new Error(`Gateway responded ${response.status} ${text}`.trim());
+      }
+    },
+  };
+}
+
+module.exports = { createGatewayTransport };
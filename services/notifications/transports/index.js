@@ -0,0 +1,34 @@
+const config = require("../../../config/notifications");
+const { createConsoleTransport } = require("./console");
+const { createFileTransport } = require("./file");
+const { createSmtpTransport } = require("./smtp");
+const { createGatewayTransport } = require("./gateway");
+
+// name -> factory(channel). registerTransport adds new ones (e.g. in tests)
+const factories = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport(config.file),
+  smtp: () => createSmtpTransport(config.smtp),
+  gateway: (channel) => createGatewayTransport(config.gateways[channel] || {}),
+};
+
+// Transports are created on first use so a misconfigured channel only fails
+// its own messages
+const instances = new Map();
+
+function registerTransport(name, factory) {
+  factories[name] = factory;
+  instances.clear();
+}
+
+function getTransport(channel) {
+  const name = config.transports[channel];
+  if (!name || !factories[name]) {
+    throw new Error(`No transport configured for channel ${channel}`);
+  }
+  const key = `${channel}:${name}`;
+  if (!instances.has(key)) instances.set(key, factories[name](channel));
+  return instances.get(key);
+}
+
+module.exports = { registerTransport, getTransport };
@@ -0,0 +1,19 @@
+const nodemailer = require("nodemailer");
+
+// E-mail over SMTP
+function createSmtpTransport({ host, port, secure, user, password, from }) {
+  if (!host || !from) throw new Error("SMTP_HOST and SMTP_FROM are required");
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+  });
+  return {
+    async send({ recipient, subject, body }) {
+      await mailer.sendMail({ from, to: recipient, subject, text: body });
+    },
+  };
+}
+
+module.exports = { createSmtpTransport };
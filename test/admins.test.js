@@ -0,0 +1,235 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { startServer, PASSWORD, assertError } = require("./helpers");
+
+let server;
+beforeEach(async () => {
+  server = await startServer();
+});
+afterEach(() => server.close());
+
+test("GET / reports system health", async () => {
+  const response = await server.client().get("/");
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.system_health.system_status, "ready");
+  assert.equal(response.body.data.system_health.total_courts, 2);
+});
+
+test("POST /login sets the auth cookie", async () => {
+  const client = server.client();
+  const response = await client.login();
+  assert.match(response.headers.get("set-cookie"), /^authToken=/);
+  assert.equal(response.body.data.role, "owner");
+  assert.equal(response.body.data.password, undefined);
+
+  const profile = await client.get("/me");
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.data.username, "owner");
+});
+
+test("POST /login rejects wrong or inactive credentials", async () => {
+  const client = server.client();
+  assertError(
+    await client.post("/login", { username: "owner", password: "wrong" }),
+    401,
+    "INVALID_CREDENTIALS"
+  );
+  assertError(
+    await client.post("/login", { username: "nobody", password: PASSWORD }),
+    401,
+    "INVALID_CREDENTIALS"
+  );
+
+  const owner = await server.login();
+  await owner.patch("/admins/2", { status: "inactive" });
+  assertError(
+    await client.post("/login", { username: "cashier", password: PASSWORD }),
+    401,
+    "INVALID_CREDENTIALS"
+  );
+});
+
+test("POST /login upgrades legacy MD5 hashes", async () => {
+  await server.close();
+  const md5 = crypto.createHash("md5").update("legacy-pass").digest("hex");
+  server = await startServer({
+    admins: [
+      {
+        admin_id: 1,
+        username: "legacy",
+        full_name: "Legacy",
+        email: "legacy@example.com",
+        role: "owner",
+        password: md5,
+      },
+    ],
+  });
+  const response = await server
+    .client()
+    .post("/login", { username: "legacy", password: "legacy-pass" });
+  assert.equal(response.status, 200);
+  const stored = await server.repos.admins.findCredentials("legacy");
+  assert.match(stored.password, /^scrypt\$/);
+});
+
+test("POST /logout clears the cookie", async () => {
+  const client = await server.login();
+  const response = await client.post("/logout");
+  assert.equal(response.status, 200);
+  assertError(await client.get("/me"), 401, "AUTH_TOKEN_MISSING");
+});
+
+test("GET /me rejects tampered tokens", async () => {
+  const response = await server
+    .client()
+    .get("/me", { Cookie: "authToken=not-a-token" });
+  assertError(response, 401, "AUTH_TOKEN_INVALID");
+});
+
+test("PATCH /me/preferences switches the message language", async () => {
+  const client = await server.login();
+  const response = await client.patch("/me/preferences", { locale: "id" });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.locale, "id");
+
+  // The re-issued cookie carries the preference
+  const missing = await client.get("/courts/99", { "Accept-Language": "en" });
+  assert.equal(missing.body.message, "Lapangan tidak ditemukan");
+
+  const reset = await client.patch("/me/preferences", { locale: null });
+  assert.equal(reset.body.data.locale, null);
+  const english = await client.get("/courts/99");
+  assert.equal(english.body.message, "Court not found");
+});
+
+test("GET /admins lists admins without passwords", async () => {
+  const client = await server.login();
+  const response = await client.get("/admins");
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.data.map((admin) => admin.username),
+    ["cashier", "owner"]
+  );
+  assert.ok(response.body.data.every((admin) => !("password" in admin)));
+
+  const cashier = await server.login("cashier");
+  assertError(await cashier.get("/admins"), 403, "PERMISSION_DENIED");
+});
+
+test("GET /admins/:id returns an admin or ADMIN_NOT_FOUND", async () => {
+  const client = await server.login();
+  const found = await client.get("/admins/2");
+  assert.equal(found.status, 200);
+  assert.equal(found.body.data.role, "cashier");
+  assertError(await client.get("/admins/99"), 404, "ADMIN_NOT_FOUND");
+});
+
+test("POST /admins creates an admin who can log in", async () => {
+  const client = await server.login();
+  const admin = {
+    username: "manager",
+    password: "manager-password",
+    full_name: "Manager",
+    email: "manager@example.com",
+    role: "manager",
+  };
+  const created = await client.post("/admins", admin);
+  assert.equal(created.status, 201);
+  assert.ok(created.body.data.admin_id);
+
+  const login = await server
+    .client()
+    .post("/login", { username: "manager", password: "manager-password" });
+  assert.equal(login.status, 200);
+
+  assertError(
+    await client.post("/admins", { ...admin, email: "other@example.com" }),
+    409,
+    "ADMIN_ALREADY_EXISTS"
+  );
+  assertError(
+    await client.post("/admins", { ...admin, password: "short" }),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
+
+test("PATCH /admins/:id updates an admin", async () => {
+  const client = await server.login();
+  const response = await client.patch("/admins/2", {
+    full_name: "Kasir Utama",
+    role: "manager",
+  });
+  assert.equal(response.status, 200);
+  const admin = (await client.get("/admins/2")).body.data;
+  assert.equal(admin.full_name, "Kasir Utama");
+  assert.equal(admin.role, "manager");
+
+  assertError(
+    await client.patch("/admins/2", { email: "owner@example.com" }),
+    409,
+    "EMAIL_TAKEN"
+  );
+  assertError(
+    await client.patch("/admins/99", { full_name: "x" }),
+    404,
+    "ADMIN_NOT_FOUND"
+  );
+  // Owners cannot lock themselves out
+  assert.equal(
+    (await client.patch("/admins/1", { status: "inactive" })).status,
+    400
+  );
+});
+
+test("PATCH /admins/:id keeps one active owner", async () => {
+  const first = await server.login();
+  await first.post("/admins", {
+    username: "owner2",
+    password: "owner2-password",
+    full_name: "Owner 2",
+    email: "owner2@example.com",
+    role: "owner",
+  });
+  const second = server.client();
+  await second.login("owner2", "owner2-password");
+
+  // Another active owner remains, so the first owner may be demoted
+  const demoted = await second.patch("/admins/1", { role: "manager" });
+  assert.equal(demoted.status, 200);
+  // Roles are loaded per request, so the demotion applies at once
+  assertError(
+    await first.patch("/admins/3", { status: "inactive" }),
+    403,
+    "PERMISSION_DENIED"
+  );
+  // owner2 is now the last one
+  await assert.rejects(server.repos.admins.update(3, { status: "inactive" }), {
+    code: "LAST_ACTIVE_OWNER",
+  });
+});
+
+test("POST /admins/:id/reset-password sets a new password", async () => {
+  const client = await server.login();
+  const response = await client.post("/admins/2/reset-password", {
+    new_password: "new-cashier-password",
+  });
+  assert.equal(response.status, 200);
+
+  const cashier = server.client();
+  assertError(
+    await cashier.post("/login", { username: "cashier", password: PASSWORD }),
+    401,
+    "INVALID_CREDENTIALS"
+  );
+  await cashier.login("cashier", "new-cashier-password");
+
+  assertError(
+    await client.post("/admins/99/reset-password", {
+      new_password: "whatever-password",
+    }),
+    404,
+    "ADMIN_NOT_FOUND"
+  );
+});
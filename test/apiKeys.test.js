@@ -0,0 +1,247 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+const { hashApiKey } = require("../utils/apiKeys");
+const requestLog = require("../middlewares/requestLog");
+
+const EXPIRED_KEY = "bk_expired-key-000000000000000000";
+
+let server;
+beforeEach(async () => {
+  server = await startServer({
+    apiKeys: [
+      {
+        key_id: 1,
+        admin_id: 2,
+        name: "Old terminal",
+        key_prefix: EXPIRED_KEY.slice(0, 11),
+        key_hash: hashApiKey(EXPIRED_KEY),
+        scopes: ["bookings:read"],
+        expires_at: new Date(Date.now() - 60 * 1000),
+      },
+    ],
+  });
+});
+afterEach(() => server.close());
+
+async function createKey(client, fields) {
+  const response = await client.post("/me/api-keys", {
+    name: "POS terminal",
+    scopes: ["bookings:read"],
+    ...fields,
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+test("an API key acts as its admin within its scopes", async () => {
+  const cashier = await server.login("cashier");
+  const created = await createKey(cashier, { expires_in_days: 7 });
+  assert.match(created.key, /^bk_[A-Za-z0-9_-]{32}$/);
+  assert.equal(created.key_prefix, created.key.slice(0, 11));
+  const daysLeft = (new Date(created.expires_at) - Date.now()) / 86400000;
+  assert.ok(daysLeft > 6.9 && daysLeft <= 7, String(daysLeft));
+
+  const terminal = server.client();
+  const auth = bearer(created.key);
+  const bookings = await terminal.get(
+    `/bookings?date=${daysFromToday(1)}`,
+    auth
+  );
+  assert.equal(bookings.status, 200, JSON.stringify(bookings.body));
+  const me = (await terminal.get("/me", auth)).body.data;
+  assert.equal(me.username, "cashier");
+  assert.deepEqual(me.scopes, ["bookings:read"]);
+  assert.equal(me.api_key.name, "POS terminal");
+
+  assertError(
+    await terminal.post("/holds", { court_id: 1, slot_id: 1 }, auth),
+    403,
+    "API_KEY_SCOPE_MISSING"
+  );
+  // The role's other permissions are out of the key's reach
+  assertError(
+    await terminal.get("/courts", auth),
+    403,
+    "API_KEY_SCOPE_MISSING"
+  );
+  // Keys cannot manage keys or sessions
+  assertError(
+    await terminal.post("/me/api-keys", { name: "x", scopes: [] }, auth),
+    403,
+    "API_KEY_NOT_ALLOWED"
+  );
+  assertError(
+    await terminal.get("/me/sessions", auth),
+    403,
+    "API_KEY_NOT_ALLOWED"
+  );
+
+  const [listed] = (await cashier.get("/me/api-keys")).body.data;
+  assert.equal(listed.key_id, created.key_id);
+  assert.equal(listed.last_used_ip, "127.0.0.1");
+  assert.ok(listed.last_used_at);
+  assert.equal(listed.key, undefined);
+  assert.equal(listed.key_hash, undefined);
+});
+
+test("scopes are limited to the admin's role", async () => {
+  const cashier = await server.login("cashier");
+  assertError(
+    await cashier.post("/me/api-keys", {
+      name: "Reports",
+      scopes: ["reports:read"],
+    }),
+    403,
+    "PERMISSION_DENIED"
+  );
+  assertError(
+    await cashier.post("/me/api-keys", {
+      name: "Typo",
+      scopes: ["bookings:reed"],
+    }),
+    400,
+    "VALIDATION_FAILED"
+  );
+
+  const owner = await server.login();
+  const courts = await createKey(owner, { scopes: ["courts:read"] });
+  const script = server.client();
+  const listed = await script.get("/courts", bearer(courts.key));
+  assert.equal(listed.status, 200, JSON.stringify(listed.body));
+  assertError(
+    await script.get("/admins", bearer(courts.key)),
+    403,
+    "API_KEY_SCOPE_MISSING"
+  );
+});
+
+test("revoked, expired and unknown keys are rejected", async () => {
+  const cashier = await server.login("cashier");
+  const created = await createKey(cashier);
+  const terminal = server.client();
+  const auth = bearer(created.key);
+  assert.equal((await terminal.get("/me", auth)).status, 200);
+
+  const revoked = await cashier.delete(`/me/api-keys/${created.key_id}`);
+  assert.equal(revoked.status, 200);
+  assertError(await terminal.get("/me", auth), 401, "API_KEY_INVALID");
+  assertError(
+    await cashier.delete(`/me/api-keys/${created.key_id}`),
+    404,
+    "API_KEY_NOT_FOUND"
+  );
+
+  assertError(
+    await terminal.get("/me", bearer(EXPIRED_KEY)),
+    401,
+    "API_KEY_INVALID"
+  );
+  assertError(
+    await terminal.get("/me", bearer("bk_unknown")),
+    401,
+    "API_KEY_INVALID"
+  );
+  // The expired key is still listed until it is revoked
+  assert.deepEqual(
+    (await cashier.get("/me/api-keys")).body.data.map((key) => key.key_id),
+    [1]
+  );
+});
+
+test("owners can revoke an admin's keys; deactivation revokes them too", async () => {
+  const owner = await server.login();
+  const cashier = await server.login("cashier");
+  const first = await createKey(cashier);
+
+  const listed = await owner.get("/admins/2/api-keys");
+  assert.deepEqual(
+    listed.body.data.map((key) => key.key_id),
+    [first.key_id, 1]
+  );
+  assertError(
+    await cashier.get("/admins/1/api-keys"),
+    403,
+    "PERMISSION_DENIED"
+  );
+
+  const revoked = await owner.delete("/admins/2/api-keys");
+  assert.equal(revoked.body.data.revoked, 2);
+  assertError(
+    await server.client().get("/me", bearer(first.key)),
+    401,
+    "API_KEY_INVALID"
+  );
+
+  const second = await createKey(await server.login("cashier"));
+  await owner.patch("/admins/2", { status: "inactive" });
+  assertError(
+    await server.client().get("/me", bearer(second.key)),
+    401,
+    "API_KEY_INVALID"
+  );
+});
+
+test("a password reset ends the admin's sessions and revokes their keys", async () => {
+  const owner = await server.login();
+  const cashier = await server.login("cashier");
+  const { key } = await createKey(cashier);
+
+  const reset = await owner.post("/admins/2/reset-password", {
+    new_password: "new-cashier-password",
+  });
+  assert.equal(reset.status, 200, JSON.stringify(reset.body));
+  assertError(
+    await server.client().get("/me", bearer(key)),
+    401,
+    "API_KEY_INVALID"
+  );
+  assert.equal((await cashier.get("/me")).status, 401);
+  assertError(
+    await owner.post("/admins/99/reset-password", {
+      new_password: "whatever-password",
+    }),
+    404,
+    "ADMIN_NOT_FOUND"
+  );
+});
+
+test("access tokens are accepted as bearer tokens", async () => {
+  const owner = await server.login();
+  const token = owner.cookies.get("authToken");
+  const me = await server.client().get("/me", bearer(token));
+  assert.equal(me.status, 200);
+  assert.equal(me.body.data.username, "owner");
+  assertError(
+    await server.client().get("/me", bearer("not-a-token")),
+    401,
+    "AUTH_TOKEN_INVALID"
+  );
+});
+
+test("the request log names the API key behind a request", () => {
+  const lines = [];
+  const log = requestLog((line) => lines.push(line));
+  const req = {
+    method: "GET",
+    baseUrl: "/bookings",
+    route: { path: "/:id" },
+    originalUrl: "/bookings/7",
+    ip: "127.0.0.1",
+  };
+  const res = Object.assign(new EventEmitter(), { statusCode: 200 });
+  log(req, res, () => {
+    req.user = {
+      username: "cashier",
+      api_key: { key_id: 3, name: "POS terminal", prefix: "bk_Xy12ab9Q" },
+    };
+  });
+  res.emit("finish");
+  assert.match(
+    lines[0],
+    /^\S+Z GET \/bookings\/:id 200 \d+ms 127\.0\.0\.1 admin=cashier key=3:bk_Xy12ab9Q$/
+  );
+});
@@ -0,0 +1,85 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+const DATE = daysFromToday(2);
+
+let server;
+let owner;
+let cashier;
+beforeEach(async () => {
+  server = await startServer();
+  owner = await server.login();
+  cashier = await server.login("cashier");
+});
+afterEach(() => server.close());
+
+async function book(client, customer_name, customer_phone, slot_id) {
+  const response = await client.post("/bookings", {
+    court_id: 1,
+    slot_id,
+    booking_date: DATE,
+    customer_name,
+    customer_phone,
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data.booking_id;
+}
+
+test("GET /audit-log lists booking changes with the fields that changed", async () => {
+  const budi = await book(cashier, "Budi", "081234567890", 1);
+  const sari = await book(owner, "Sari", "081299990000", 2);
+  await owner.patch(`/bookings/${budi}/details`, { notes: "Brings own net" });
+  await cashier.post(`/bookings/${sari}/cancel`, { reason: "Rain" });
+
+  const response = await owner.get("/audit-log");
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.data.map((entry) => [entry.booking_id, entry.action]),
+    [
+      [sari, "cancel"],
+      [budi, "detail_edit"],
+      [sari, "create"],
+      [budi, "create"],
+    ]
+  );
+  const [cancel, edit] = response.body.data;
+  assert.equal(cancel.changed_by_name, "cashier name");
+  assert.deepEqual(cancel.changes.booking_status, {
+    from: "confirmed",
+    to: "cancelled",
+  });
+  assert.deepEqual(edit.changes.notes, { from: null, to: "Brings own net" });
+});
+
+test("GET /audit-log filters by booking, admin, action and customer", async () => {
+  const budi = await book(cashier, "Budi", "081234567890", 1);
+  const sari = await book(owner, "Sari", "081299990000", 2);
+  await cashier.post(`/bookings/${sari}/cancel`, { reason: "Rain" });
+
+  const ids = async (query) =>
+    (await owner.get(`/audit-log?${query}`)).body.data.map((entry) => [
+      entry.booking_id,
+      entry.action,
+    ]);
+  assert.deepEqual(await ids(`booking_id=${budi}`), [[budi, "create"]]);
+  assert.deepEqual(await ids("admin_id=2"), [
+    [sari, "cancel"],
+    [budi, "create"],
+  ]);
+  assert.deepEqual(await ids("action=cancel"), [[sari, "cancel"]]);
+  assert.deepEqual(await ids("customer=sar"), [
+    [sari, "cancel"],
+    [sari, "create"],
+  ]);
+  assert.deepEqual(await ids(`start_date=${daysFromToday(1)}`), []);
+  const page = await owner.get("/audit-log?limit=1&offset=1");
+  assert.deepEqual(page.body.meta, { limit: 1, offset: 1, count: 1 });
+
+  assertError(
+    await owner.get("/audit-log?action=delete"),
+    400,
+    "VALIDATION_FAILED"
+  );
+  assertError(await cashier.get("/audit-log"), 403, "PERMISSION_DENIED");
+});
@@ -0,0 +1,119 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+const FIRST = daysFromToday(1);
+const SECOND = daysFromToday(2);
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer({
+    bookings: [
+      {
+        booking_id: 1,
+        court_id: 1,
+        slot_id: 1,
+        booking_date: FIRST,
+        customer_name: "Budi",
+        customer_phone: "+6281234567890",
+        total_amount: 50000,
+        created_by: 1,
+      },
+    ],
+    holds: [
+      {
+        hold_id: 1,
+        court_id: 1,
+        slot_id: 2,
+        booking_date: FIRST,
+        token_hash: "held",
+        expires_at: new Date(Date.now() + 10 * 60 * 1000),
+      },
+    ],
+    closures: [
+      {
+        closure_id: 1,
+        court_id: 1,
+        start_datetime: `${SECOND} 00:00:00`,
+        end_datetime: `${daysFromToday(3)} 00:00:00`,
+        reason: "Resurfacing",
+        created_by: 1,
+      },
+    ],
+  });
+  api = await server.login("cashier");
+});
+afterEach(() => server.close());
+
+// "date slot_id" -> state of one court's cells
+const cells = (court) =>
+  Object.fromEntries(
+    court.dates.flatMap((day) =>
+      day.slots.map((slot) => [
+        `${day.booking_date} ${slot.slot_id}`,
+        slot.booking
+          ? `booked:${slot.booking.customer_name}`
+          : slot.closure
+          ? `closed:${slot.closure.reason}`
+          : slot.is_held
+          ? "held"
+          : slot.is_available
+          ? "free"
+          : "unavailable",
+      ])
+    )
+  );
+
+test("GET /availability returns a court x date x slot grid", async () => {
+  const response = await api.get(
+    `/availability?start_date=${FIRST}&end_date=${SECOND}`
+  );
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.deepEqual(response.body.meta, {
+    start_date: FIRST,
+    end_date: SECOND,
+    court_count: 2,
+  });
+  const [courtA, courtB] = response.body.data;
+  assert.deepEqual(cells(courtA), {
+    [`${FIRST} 1`]: "booked:Budi",
+    [`${FIRST} 2`]: "held",
+    [`${SECOND} 1`]: "closed:Resurfacing",
+    [`${SECOND} 2`]: "closed:Resurfacing",
+  });
+  assert.equal(courtA.booked_slots, 1);
+  assert.equal(courtA.available_slots, 0);
+  // Courts under maintenance take no bookings
+  assert.equal(courtB.court_status, "maintenance");
+  assert.equal(courtB.available_slots, 0);
+});
+
+test("GET /availability filters courts and limits the range", async () => {
+  const response = await api.get("/availability?court_ids=2,1&court_id=9");
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.meta, {
+    start_date: daysFromToday(0),
+    end_date: daysFromToday(6),
+    court_count: 2,
+  });
+  assert.equal(response.body.data[0].dates.length, 7);
+
+  const one = await api.get(`/availability?court_id=2&start_date=${FIRST}`);
+  assert.deepEqual(
+    one.body.data.map((court) => court.court_id),
+    [2]
+  );
+  assertError(
+    await api.get(
+      `/availability?start_date=${FIRST}&end_date=${daysFromToday(40)}`
+    ),
+    400,
+    "BAD_REQUEST"
+  );
+  assertError(
+    await api.get("/availability?court_ids=1,x"),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
@@ -0,0 +1,182 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+// Three weekly dates: tomorrow, a week later (taken) and two weeks later
+const FIRST = daysFromToday(1);
+const TAKEN = daysFromToday(8);
+const LAST = daysFromToday(15);
+const WEEKDAY = new Date(`${FIRST}T00:00:00Z`).getUTCDay() || 7;
+
+const definition = {
+  court_id: 1,
+  slot_id: 1,
+  weekdays: [WEEKDAY],
+  start_date: FIRST,
+  end_date: LAST,
+};
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer({
+    bookings: [
+      {
+        booking_id: 1,
+        court_id: 1,
+        slot_id: 1,
+        booking_date: TAKEN,
+        customer_name: "Sari",
+        total_amount: 50000,
+        created_by: 1,
+      },
+    ],
+  });
+  api = await server.login("cashier");
+});
+afterEach(() => server.close());
+
+async function createSeries(fields) {
+  const response = await api.post("/booking-series", {
+    ...definition,
+    customer_name: "Budi",
+    customer_phone: "081234567890",
+    skip_conflicts: true,
+    ...fields,
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+test("GET and POST /booking-series/preview list free and taken dates", async () => {
+  const query = new URLSearchParams({ ...definition, weekdays: WEEKDAY });
+  const preview = await api.get(`/booking-series/preview?${query}`);
+  assert.equal(preview.status, 200, JSON.stringify(preview.body));
+  assert.deepEqual(preview.body.meta, { total: 3, available: 2, conflicts: 1 });
+  assert.deepEqual(
+    preview.body.data.dates.map((date) => [
+      date.booking_date,
+      date.is_available,
+      date.conflict_booking_id,
+    ]),
+    [
+      [FIRST, true, null],
+      [TAKEN, false, 1],
+      [LAST, true, null],
+    ]
+  );
+
+  const posted = await api.post("/booking-series/preview", definition);
+  assert.deepEqual(posted.body.data.weekdays, [WEEKDAY]);
+  assert.equal(posted.body.meta.available, 2);
+
+  assertError(
+    await api.post("/booking-series/preview", {
+      ...definition,
+      start_date: LAST,
+      end_date: FIRST,
+    }),
+    400,
+    "BAD_REQUEST"
+  );
+});
+
+test("POST /booking-series books every free date or none", async () => {
+  assertError(
+    await api.post("/booking-series", {
+      ...definition,
+      customer_name: "Budi",
+      customer_phone: "081234567890",
+    }),
+    409,
+    "SLOT_ALREADY_BOOKED"
+  );
+  // Form values arrive as strings: "false" must not skip conflicts
+  assertError(
+    await api.post("/booking-series", {
+      ...definition,
+      customer_name: "Budi",
+      customer_phone: "081234567890",
+      skip_conflicts: "false",
+    }),
+    409,
+    "SLOT_ALREADY_BOOKED"
+  );
+  assert.deepEqual((await api.get("/booking-series")).body.data, []);
+
+  const created = await createSeries();
+  assert.equal(created.created_count, 2);
+  assert.deepEqual(created.skipped_dates, [TAKEN]);
+
+  const found = (await api.get(`/booking-series/${created.series_id}`)).body
+    .data;
+  assert.equal(found.customer_phone, "+6281234567890");
+  assert.deepEqual(found.weekdays, [WEEKDAY]);
+  assert.deepEqual(
+    found.occurrences.map((booking) => [
+      booking.booking_date,
+      booking.total_amount,
+    ]),
+    [
+      [FIRST, "50000.00"],
+      [LAST, "50000.00"],
+    ]
+  );
+
+  const [listed] = (await api.get("/booking-series?status=active")).body.data;
+  assert.equal(listed.remaining_occurrences, 2);
+  assertError(await api.get("/booking-series/99"), 404, "SERIES_NOT_FOUND");
+});
+
+test("PATCH /booking-series/:id edits the remaining occurrences", async () => {
+  const { series_id } = await createSeries();
+  const moved = await api.patch(`/booking-series/${series_id}`, {
+    from_date: LAST,
+    slot_id: 2,
+    notes: "Moved",
+  });
+  assert.equal(moved.status, 200, JSON.stringify(moved.body));
+  assert.equal(moved.body.data.updated_count, 1);
+
+  const occurrences = (await api.get(`/booking-series/${series_id}`)).body.data
+    .occurrences;
+  assert.deepEqual(
+    occurrences.map((booking) => booking.slot_id),
+    [1, 2]
+  );
+  assertError(
+    await api.patch(`/booking-series/${series_id}`, {}),
+    400,
+    "VALIDATION_FAILED"
+  );
+  assertError(
+    await api.patch(`/booking-series/${series_id}`, { from_date: LAST }),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
+
+test("POST /booking-series/:id/cancel ends the series", async () => {
+  const { series_id } = await createSeries();
+  const partly = await api.post(`/booking-series/${series_id}/cancel`, {
+    from_date: LAST,
+  });
+  assert.equal(partly.body.data.cancelled_count, 1);
+  let found = (await api.get(`/booking-series/${series_id}`)).body.data;
+  assert.equal(found.status, "active");
+  assert.equal(found.end_date, daysFromToday(14));
+
+  const rest = await api.post(`/booking-series/${series_id}/cancel`);
+  assert.equal(rest.body.data.cancelled_count, 1);
+  found = (await api.get(`/booking-series/${series_id}`)).body.data;
+  assert.equal(found.status, "cancelled");
+  assert.deepEqual(
+    found.occurrences.map((booking) => booking.booking_status),
+    ["cancelled", "cancelled"]
+  );
+  assertError(
+    await api.post(`/booking-series/${series_id}/cancel`),
+    404,
+    "SERIES_NOT_FOUND"
+  );
+});
@@ -0,0 +1,430 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer();
+  api = await server.login();
+});
+afterEach(() => server.close());
+
+const booking = (fields) => ({
+  court_id: 1,
+  slot_id: 1,
+  booking_date: daysFromToday(2),
+  customer_name: "Budi",
+  customer_phone: "081234567890",
+  ...fields,
+});
+
+async function createBooking(fields) {
+  const response = await api.post("/bookings", booking(fields));
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data.booking_id;
+}
+
+test("POST /bookings books a slot at the court price", async () => {
+  const response = await api.post("/bookings", booking());
+  assert.equal(response.status, 201);
+  assert.equal(response.body.data.total_amount, "50000.00");
+  assert.ok(response.body.data.customer_id);
+
+  // The same phone resolves to the same customer
+  const again = await api.post("/bookings", booking({ slot_id: 2 }));
+  assert.equal(again.body.data.customer_id, response.body.data.customer_id);
+  const byId = await api.post("/bookings", {
+    court_id: 1,
+    slot_id: 1,
+    booking_date: daysFromToday(3),
+    customer_id: response.body.data.customer_id,
+  });
+  assert.equal(byId.status, 201);
+});
+
+test("POST /bookings rejects double bookings until cancelled", async () => {
+  const id = await createBooking();
+  assertError(
+    await api.post("/bookings", booking({ customer_name: "Sari" })),
+    409,
+    "SLOT_ALREADY_BOOKED"
+  );
+  await api.post(`/bookings/${id}/cancel`);
+  assert.equal((await api.post("/bookings", booking())).status, 201);
+});
+
+test("rejected bookings and edits leave no customer behind", async () => {
+  const id = await createBooking();
+  const newcomer = { customer_name: "Sari", customer_phone: "081377778888" };
+  assertError(
+    await api.post("/bookings", booking(newcomer)),
+    409,
+    "SLOT_ALREADY_BOOKED"
+  );
+  assertError(
+    await api.patch("/bookings/99/details", newcomer),
+    404,
+    "BOOKING_NOT_FOUND"
+  );
+  const search = "/customers?search=081377778888";
+  assert.deepEqual((await api.get(search)).body.data, []);
+
+  await api.patch(`/bookings/${id}/details`, newcomer);
+  const [customer] = (await api.get(search)).body.data;
+  assert.equal(customer.total_bookings, 1);
+});
+
+test("POST /bookings enforces dates, court and slot status", async () => {
+  assertError(
+    await api.post("/bookings", booking({ booking_date: daysFromToday(-1) })),
+    400,
+    "BOOKING_DATE_IN_PAST"
+  );
+  assert.equal(
+    (await api.post("/bookings", booking({ booking_date: daysFromToday(0) })))
+      .status,
+    201
+  );
+  assertError(
+    await api.post("/bookings", booking({ court_id: 2 })),
+    400,
+    "COURT_INACTIVE"
+  );
+  assertError(
+    await api.post("/bookings", booking({ court_id: 99 })),
+    400,
+    "COURT_INACTIVE"
+  );
+  assertError(
+    await api.post("/bookings", booking({ slot_id: 3 })),
+    400,
+    "SLOT_INACTIVE"
+  );
+  assertError(
+    await api.post("/bookings", booking({ customer_id: 99 })),
+    404,
+    "CUSTOMER_NOT_FOUND"
+  );
+  assertError(
+    await api.post("/bookings", { court_id: 1, slot_id: 1 }),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
+
+test("POST /bookings refuses closed courts", async () => {
+  const date = daysFromToday(2);
+  await server.close();
+  server = await startServer({
+    closures: [
+      {
+        closure_id: 1,
+        court_id: null,
+        start_datetime: `${date} 00:00`,
+        end_datetime: `${date} 08:30`,
+        reason: "Turnamen",
+        created_by: 1,
+      },
+    ],
+  });
+  api = await server.login();
+  assertError(await api.post("/bookings", booking()), 409, "COURT_CLOSED");
+  assert.equal(
+    (await api.post("/bookings", booking({ slot_id: 2 }))).status,
+    201
+  );
+});
+
+test("GET /bookings/:id returns booking details", async () => {
+  const id = await createBooking({ notes: "Bawa raket" });
+  const response = await api.get(`/bookings/${id}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.court_name, "Court A");
+  assert.equal(response.body.data.time_slot_info, "Pagi 1 (08:00 - 09:00)");
+  assert.equal(response.body.data.customer_phone, "+6281234567890");
+  assert.equal(response.body.data.actual_status, "confirmed");
+  assert.equal(response.body.data.admin_name, "owner name");
+
+  assertError(await api.get("/bookings/99"), 404, "BOOKING_NOT_FOUND");
+});
+
+test("GET /bookings/:id?format=ics downloads a calendar event", async () => {
+  const id = await createBooking();
+  const response = await api.get(`/bookings/${id}?format=ics`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /text\/calendar/);
+  assert.match(response.body, /BEGIN:VEVENT/);
+  assert.match(
+    response.body,
+    new RegExp(`DTSTART.*${daysFromToday(2).replace(/-/g, "")}T080000`)
+  );
+  assertError(
+    await api.get("/bookings/99?format=ics"),
+    404,
+    "BOOKING_NOT_FOUND"
+  );
+});
+
+test("GET /bookings filters and pages the history", async () => {
+  await createBooking({ booking_date: daysFromToday(1) });
+  await createBooking({ booking_date: daysFromToday(1), slot_id: 2 });
+  await createBooking({ booking_date: daysFromToday(5) });
+
+  const all = await api.get("/bookings");
+  assert.equal(all.status, 200);
+  assert.equal(all.body.meta.count, 3);
+  // Newest date first, then by start time
+  assert.deepEqual(
+    all.body.data.map((row) => [row.booking_date, row.slot_name]),
+    [
+      [daysFromToday(5), "Pagi 1"],
+      [daysFromToday(1), "Pagi 1"],
+      [daysFromToday(1), "Pagi 2"],
+    ]
+  );
+
+  const ranged = await api.get(
+    `/bookings?start_date=${daysFromToday(0)}&end_date=${daysFromToday(2)}`
+  );
+  assert.equal(ranged.body.data.length, 2);
+  const paged = await api.get("/bookings?limit=1&offset=1");
+  assert.equal(paged.body.data.length, 1);
+  assert.equal(paged.body.meta.offset, 1);
+  const otherCourt = await api.get("/bookings?court_id=2");
+  assert.equal(otherCourt.body.data.length, 0);
+});
+
+test("PATCH /bookings/:id/status updates statuses", async () => {
+  const id = await createBooking();
+  const response = await api.patch(`/bookings/${id}/status`, {
+    booking_status: "no_show",
+  });
+  assert.equal(response.status, 200);
+  const updated = (await api.get(`/bookings/${id}`)).body.data;
+  assert.equal(updated.booking_status, "no_show");
+  assert.equal(updated.payment_status, "unpaid");
+
+  // Payment status follows the payments ledger only
+  assertError(
+    await api.patch(`/bookings/${id}/status`, { payment_status: "paid" }),
+    400,
+    "VALIDATION_FAILED"
+  );
+  assertError(
+    await api.patch("/bookings/99/status", { booking_status: "completed" }),
+    404,
+    "BOOKING_NOT_FOUND"
+  );
+});
+
+test("PATCH /bookings/:id/status to cancelled runs the cancel flow", async () => {
+  const id = await createBooking();
+  const response = await api.patch(`/bookings/${id}/status`, {
+    booking_status: "cancelled",
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  const history = (await api.get(`/bookings/${id}/history`)).body.data;
+  assert.deepEqual(
+    history.map((entry) => entry.action),
+    ["create", "cancel"]
+  );
+});
+
+test("PATCH /bookings/:id/status cannot revive a cancelled booking", async () => {
+  const id = await createBooking();
+  await api.post(`/bookings/${id}/cancel`);
+  assertError(
+    await api.patch(`/bookings/${id}/status`, { booking_status: "confirmed" }),
+    409,
+    "BOOKING_CANCELLED"
+  );
+});
+
+test("PATCH /bookings/:id/details edits customer details", async () => {
+  const id = await createBooking();
+  const response = await api.patch(`/bookings/${id}/details`, {
+    customer_name: "Budi Santoso",
+    customer_phone: "0812 9999 0000",
+    notes: "Datang telat",
+  });
+  assert.equal(response.status, 200);
+  const updated = (await api.get(`/bookings/${id}`)).body.data;
+  assert.equal(updated.customer_name, "Budi Santoso");
+  assert.equal(updated.customer_phone, "+6281299990000");
+  assert.equal(updated.notes, "Datang telat");
+
+  assertError(
+    await api.patch("/bookings/99/details", { notes: "x" }),
+    404,
+    "BOOKING_NOT_FOUND"
+  );
+  assertError(
+    await api.patch(`/bookings/${id}/details`, { customer_phone: "123456" }),
+    400,
+    "BAD_REQUEST"
+  );
+});
+
+test("GET /bookings/:id/history lists every change", async () => {
+  const id = await createBooking();
+  await api.post(`/bookings/${id}/payments`, { amount: 20000, method: "cash" });
+  await api.patch(`/bookings/${id}/details`, { notes: "VIP" });
+  await api.post(`/bookings/${id}/cancel`);
+
+  const response = await api.get(`/bookings/${id}/history`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.data.map((entry) => entry.action),
+    ["create", "status_change", "detail_edit", "cancel"]
+  );
+  assert.deepEqual(response.body.data[1].changes, {
+    payment_status: { from: "unpaid", to: "partial" },
+  });
+  assertError(await api.get("/bookings/99/history"), 404, "BOOKING_NOT_FOUND");
+});
+
+test("POST /bookings/:id/cancel refunds what was paid", async () => {
+  const id = await createBooking();
+  await api.post(`/bookings/${id}/payments`, { amount: 20000, method: "cash" });
+
+  assertError(
+    await api.post(`/bookings/${id}/cancel`, {
+      refund_method: "cash",
+      refund_amount: 30000,
+    }),
+    400,
+    "REFUND_EXCEEDS_PAID"
+  );
+  // The failed attempt changed nothing
+  assert.equal(
+    (await api.get(`/bookings/${id}`)).body.data.booking_status,
+    "confirmed"
+  );
+
+  const response = await api.post(`/bookings/${id}/cancel`, {
+    refund_method: "cash",
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.refunded_amount, "20000.00");
+  const payments = (await api.get(`/bookings/${id}/payments`)).body.data;
+  assert.equal(payments.booking_status, "cancelled");
+  assert.equal(payments.net_paid, "0.00");
+  assert.equal(payments.payment_status, "unpaid");
+
+  assertError(await api.post("/bookings/99/cancel"), 404, "BOOKING_NOT_FOUND");
+});
+
+test("POST /bookings/:id/cancel refunds need payments:refund", async () => {
+  const id = await createBooking();
+  const cashier = await server.login("cashier");
+  const refused = await cashier.post(`/bookings/${id}/cancel`, {
+    refund_method: "cash",
+  });
+  assert.equal(refused.status, 403);
+  assert.equal((await cashier.post(`/bookings/${id}/cancel`)).status, 200);
+});
+
+test("POST /bookings/:id/payments keeps the ledger within the total", async () => {
+  const id = await createBooking();
+  const first = await api.post(`/bookings/${id}/payments`, {
+    amount: 20000,
+    method: "transfer",
+    reference: "TRX-1",
+  });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.data.paid_amount, "20000.00");
+  assert.equal(first.body.data.balance, "30000.00");
+  assert.equal(first.body.data.payment_status, "partial");
+
+  assertError(
+    await api.post(`/bookings/${id}/payments`, {
+      amount: 40000,
+      method: "cash",
+    }),
+    400,
+    "PAYMENT_EXCEEDS_BALANCE"
+  );
+  const rest = await api.post(`/bookings/${id}/payments`, {
+    amount: 30000,
+    method: "cash",
+  });
+  assert.equal(rest.body.data.payment_status, "paid");
+
+  assertError(
+    await api.post(`/bookings/${id}/payments`, { amount: 0, method: "cash" }),
+    400,
+    "VALIDATION_FAILED"
+  );
+  assertError(
+    await api.post("/bookings/99/payments", { amount: 1, method: "cash" }),
+    404,
+    "BOOKING_NOT_FOUND"
+  );
+});
+
+test("POST /bookings/:id/payments refuses cancelled bookings", async () => {
+  const id = await createBooking();
+  await api.post(`/bookings/${id}/cancel`);
+  assertError(
+    await api.post(`/bookings/${id}/payments`, {
+      amount: 1000,
+      method: "cash",
+    }),
+    409,
+    "BOOKING_CANCELLED"
+  );
+});
+
+test("POST /bookings/:id/refunds returns money already paid", async () => {
+  const id = await createBooking();
+  await api.post(`/bookings/${id}/payments`, { amount: 50000, method: "cash" });
+
+  assertError(
+    await api.post(`/bookings/${id}/refunds`, {
+      amount: 60000,
+      method: "cash",
+    }),
+    400,
+    "REFUND_EXCEEDS_PAID"
+  );
+  const partial = await api.post(`/bookings/${id}/refunds`, {
+    amount: 10000,
+    method: "cash",
+  });
+  assert.equal(partial.status, 201);
+  assert.equal(partial.body.data.payment_status, "partial");
+
+  // Without an amount everything left is refunded
+  const rest = await api.post(`/bookings/${id}/refunds`, { method: "cash" });
+  assert.equal(rest.body.data.paid_amount, "0.00");
+  assert.equal(rest.body.data.payment_status, "unpaid");
+
+  const cashier = await server.login("cashier");
+  assertError(
+    await cashier.post(`/bookings/${id}/refunds`, { method: "cash" }),
+    403,
+    "PERMISSION_DENIED"
+  );
+});
+
+test("GET /bookings/:id/payments summarises the ledger", async () => {
+  const id = await createBooking();
+  await api.post(`/bookings/${id}/payments`, { amount: 50000, method: "cash" });
+  await api.post(`/bookings/${id}/refunds`, { amount: 5000, method: "cash" });
+
+  const response = await api.get(`/bookings/${id}/payments`);
+  assert.equal(response.status, 200);
+  const summary = response.body.data;
+  assert.equal(summary.total_paid, "50000.00");
+  assert.equal(summary.total_refunded, "5000.00");
+  assert.equal(summary.outstanding_balance, "5000.00");
+  assert.deepEqual(
+    summary.entries.map((entry) => [entry.type, entry.received_by_name]),
+    [
+      ["payment", "owner name"],
+      ["refund", "owner name"],
+    ]
+  );
+  assertError(await api.get("/bookings/99/payments"), 404, "BOOKING_NOT_FOUND");
+});
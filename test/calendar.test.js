@@ -0,0 +1,120 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+const booking = (fields) => ({
+  court_id: 1,
+  slot_id: 1,
+  booking_date: daysFromToday(1),
+  total_amount: 50000,
+  created_by: 1,
+  ...fields,
+});
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer({
+    bookings: [
+      booking({
+        booking_id: 1,
+        customer_name: "Budi",
+        customer_phone: "+6281234567890",
+      }),
+      booking({
+        booking_id: 2,
+        slot_id: 2,
+        customer_name: "Sari",
+        customer_phone: "+6281299990000",
+      }),
+      booking({
+        booking_id: 3,
+        booking_date: daysFromToday(-60),
+        customer_name: "Budi",
+        customer_phone: "+6281234567890",
+      }),
+    ],
+  });
+  api = await server.login("cashier");
+});
+afterEach(() => server.close());
+
+async function createFeed(fields) {
+  const response = await api.post("/calendar-feeds", fields);
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  const { feed_id, url } = response.body.data;
+  return { feed_id, path: new URL(url).pathname };
+}
+
+const uids = (ics) => ics.match(/^UID:.*$/gm);
+
+test("a court feed lists the court's bookings without logging in", async () => {
+  const { path } = await createFeed({ court_id: 1 });
+  assert.match(path, /^\/calendar\/[A-Za-z0-9_-]+\.ics$/);
+
+  const response = await server.client().get(path);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/calendar/);
+  assert.match(response.body, /X-WR-CALNAME:Bookings - Court A/);
+  assert.match(
+    response.body,
+    /BEGIN:VTIMEZONE\r\nTZID:Asia\/Jakarta\r\n(.*\r\n)*TZOFFSETTO:\+0700\r\n/
+  );
+  assert.match(response.body, /DTSTART;TZID=Asia\/Jakarta:\d{8}T\d{6}\r\n/);
+  assert.deepEqual(uids(response.body), [
+    "UID:booking-1@badminton-court",
+    "UID:booking-2@badminton-court",
+  ]);
+});
+
+test("a customer feed only lists that phone's bookings", async () => {
+  const { feed_id, path } = await createFeed({
+    customer_phone: "0812 3456 7890",
+    label: "Budi's games",
+  });
+  const response = await server.client().get(path);
+  assert.match(response.body, /X-WR-CALNAME:Budi's games/);
+  assert.deepEqual(uids(response.body), ["UID:booking-1@badminton-court"]);
+
+  const [listed] = (await api.get("/calendar-feeds?status=active")).body.data;
+  assert.equal(listed.feed_id, feed_id);
+  assert.equal(listed.customer_phone, "+6281234567890");
+  assert.ok(listed.last_accessed_at);
+  assert.equal(listed.token_hash, undefined);
+});
+
+test("revoked and unknown feeds are not found", async () => {
+  const { feed_id, path } = await createFeed({ court_id: 1 });
+  const revoked = await api.delete(`/calendar-feeds/${feed_id}`);
+  assert.equal(revoked.status, 200);
+  assertError(await server.client().get(path), 404, "CALENDAR_FEED_NOT_FOUND");
+  assertError(
+    await api.delete(`/calendar-feeds/${feed_id}`),
+    404,
+    "CALENDAR_FEED_NOT_FOUND"
+  );
+  assertError(
+    await server.client().get("/calendar/unknown.ics"),
+    404,
+    "CALENDAR_FEED_NOT_FOUND"
+  );
+
+  assertError(
+    await api.post("/calendar-feeds", { court_id: 99 }),
+    404,
+    "COURT_NOT_FOUND"
+  );
+  assertError(
+    await api.post("/calendar-feeds", {
+      court_id: 1,
+      customer_phone: "081234567890",
+    }),
+    400,
+    "BAD_REQUEST"
+  );
+  assertError(
+    await api.post("/calendar-feeds", { label: "Nothing" }),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
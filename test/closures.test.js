@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+const DATE = daysFromToday(2);
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer({
+    bookings: [
+      {
+        booking_id: 1,
+        court_id: 1,
+        slot_id: 1,
+        booking_date: DATE,
+        customer_name: "Budi",
+        customer_phone: "+6281234567890",
+        total_amount: 50000,
+        created_by: 1,
+      },
+    ],
+  });
+  api = await server.login();
+});
+afterEach(() => server.close());
+
+const book = (slot_id) =>
+  api.post("/bookings", {
+    court_id: 1,
+    slot_id,
+    booking_date: DATE,
+    customer_name: "Sari",
+    customer_phone: "081299990000",
+  });
+
+test("POST /closures returns the bookings it overlaps", async () => {
+  const created = await api.post("/closures", {
+    court_id: 1,
+    start_datetime: `${DATE} 08:30`,
+    end_datetime: `${DATE} 09:30`,
+    reason: "Net repair",
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const { closure_id, start_datetime, conflicting_bookings } =
+    created.body.data;
+  assert.equal(start_datetime, `${DATE} 08:30:00`);
+  assert.deepEqual(
+    conflicting_bookings.map((booking) => booking.booking_id),
+    [1]
+  );
+
+  const conflicts = await api.get(`/closures/${closure_id}/conflicts`);
+  assert.equal(conflicts.body.meta.count, 1);
+  assert.equal(conflicts.body.meta.closure.reason, "Net repair");
+
+  // New bookings inside the closure are refused
+  assertError(await book(2), 409, "COURT_CLOSED");
+  await api.delete(`/closures/${closure_id}`);
+  assert.equal((await book(2)).status, 201);
+});
+
+test("a bare date closes the whole day; no court_id closes every court", async () => {
+  const created = await api.post("/closures", {
+    start_datetime: DATE,
+    end_datetime: DATE,
+    reason: "Holiday",
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const found = (await api.get(`/closures/${created.body.data.closure_id}`))
+    .body.data;
+  assert.equal(found.court_id, null);
+  assert.equal(found.start_datetime, `${DATE} 00:00:00`);
+  assert.equal(found.end_datetime, `${daysFromToday(3)} 00:00:00`);
+
+  assertError(await book(2), 409, "COURT_CLOSED");
+  // Venue-wide closures show up when filtering by court
+  const listed = await api.get(`/closures?court_id=2&start_date=${DATE}`);
+  assert.deepEqual(
+    listed.body.data.map((closure) => closure.reason),
+    ["Holiday"]
+  );
+  const later = await api.get(`/closures?start_date=${daysFromToday(3)}`);
+  assert.deepEqual(later.body.data, []);
+});
+
+test("closures are validated", async () => {
+  assertError(
+    await api.post("/closures", {
+      court_id: 1,
+      start_datetime: `${DATE} 10:00`,
+      end_datetime: `${DATE} 09:00`,
+      reason: "Backwards",
+    }),
+    400,
+    "INVALID_TIME_RANGE"
+  );
+  assertError(
+    await api.post("/closures", {
+      court_id: 99,
+      start_datetime: DATE,
+      end_datetime: DATE,
+      reason: "Unknown court",
+    }),
+    404,
+    "COURT_NOT_FOUND"
+  );
+  assertError(
+    await api.post("/closures", { start_datetime: DATE, reason: "No end" }),
+    400,
+    "VALIDATION_FAILED"
+  );
+  assertError(await api.get("/closures/99"), 404, "CLOSURE_NOT_FOUND");
+  assertError(await api.delete("/closures/99"), 404, "CLOSURE_NOT_FOUND");
+
+  const cashier = await server.login("cashier");
+  assertError(
+    await cashier.post("/closures", {
+      start_datetime: DATE,
+      end_datetime: DATE,
+      reason: "Holiday",
+    }),
+    403,
+    "PERMISSION_DENIED"
+  );
+});
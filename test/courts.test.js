@@ -0,0 +1,112 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+let server;
+beforeEach(async () => {
+  server = await startServer();
+});
+afterEach(() => server.close());
+
+test("GET /courts requires a login", async () => {
+  const response = await server.client().get("/courts");
+  assertError(response, 401, "AUTH_TOKEN_MISSING");
+});
+
+test("GET /courts lists courts by name", async () => {
+  const api = await server.login("cashier");
+  const response = await api.get("/courts");
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.data.map((court) => court.court_name),
+    ["Court A", "Court B"]
+  );
+});
+
+test("GET /courts/:id returns a court or COURT_NOT_FOUND", async () => {
+  const api = await server.login();
+  const found = await api.get("/courts/1");
+  assert.equal(found.status, 200);
+  assert.equal(found.body.data.court_name, "Court A");
+  assert.equal(found.body.data.price_per_session, "50000.00");
+
+  assertError(await api.get("/courts/99"), 404, "COURT_NOT_FOUND");
+  assertError(await api.get("/courts/abc"), 400, "VALIDATION_FAILED");
+});
+
+test("POST /courts creates a court", async () => {
+  const api = await server.login();
+  const created = await api.post("/courts", {
+    court_name: "Court C",
+    price_per_session: 75000,
+  });
+  assert.equal(created.status, 201);
+
+  const court = await api.get(`/courts/${created.body.data.court_id}`);
+  assert.equal(court.body.data.court_name, "Court C");
+  assert.equal(court.body.data.status, "active");
+});
+
+test("POST /courts rejects duplicates, bad input and cashiers", async () => {
+  const api = await server.login();
+  assertError(
+    await api.post("/courts", { court_name: "Court A", price_per_session: 1 }),
+    409,
+    "DUPLICATE_ENTRY"
+  );
+  assertError(
+    await api.post("/courts", { court_name: "Court C" }),
+    400,
+    "VALIDATION_FAILED"
+  );
+
+  const cashier = await server.login("cashier");
+  assertError(
+    await cashier.post("/courts", {
+      court_name: "Court C",
+      price_per_session: 1,
+    }),
+    403,
+    "PERMISSION_DENIED"
+  );
+});
+
+test("PUT /courts/:id updates only the given fields", async () => {
+  const api = await server.login();
+  const response = await api.put("/courts/2", { status: "active" });
+  assert.equal(response.status, 200);
+
+  const court = (await api.get("/courts/2")).body.data;
+  assert.equal(court.status, "active");
+  assert.equal(court.court_name, "Court B");
+  assert.equal(court.price_per_session, "60000.00");
+
+  assertError(
+    await api.put("/courts/99", { status: "active" }),
+    404,
+    "COURT_NOT_FOUND"
+  );
+});
+
+test("DELETE /courts/:id refuses courts with active bookings", async () => {
+  const api = await server.login();
+  const booking = await api.post("/bookings", {
+    court_id: 1,
+    slot_id: 1,
+    booking_date: daysFromToday(3),
+    customer_name: "Budi",
+    customer_phone: "081234567890",
+  });
+  assertError(await api.delete("/courts/1"), 409, "COURT_HAS_BOOKINGS");
+
+  await api.post(`/bookings/${booking.body.data.booking_id}/cancel`);
+  const deleted = await api.delete("/courts/1");
+  assert.equal(deleted.status, 200);
+  assertError(await api.get("/courts/1"), 404, "COURT_NOT_FOUND");
+  assertError(await api.delete("/courts/1"), 404, "COURT_NOT_FOUND");
+});
+
+test("DELETE /courts/:id needs courts:delete", async () => {
+  const api = await server.login("cashier");
+  assertError(await api.delete("/courts/2"), 403, "PERMISSION_DENIED");
+});
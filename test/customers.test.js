@@ -0,0 +1,171 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+const booking = (fields) => ({
+  court_id: 1,
+  slot_id: 1,
+  total_amount: 50000,
+  created_by: 1,
+  ...fields,
+});
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer({
+    customers: [
+      { customer_id: 1, full_name: "Budi", phone: "+6281234567890" },
+      {
+        customer_id: 2,
+        full_name: "Budi (dup)",
+        phone: "+6281200000000",
+        email: "budi@example.com",
+        notes: "Second number",
+      },
+    ],
+    bookings: [
+      booking({
+        booking_id: 1,
+        customer_id: 1,
+        customer_name: "Budi",
+        customer_phone: "+6281234567890",
+        booking_date: daysFromToday(-7),
+        payment_status: "paid",
+        booking_status: "completed",
+      }),
+      booking({
+        booking_id: 2,
+        customer_id: 2,
+        customer_name: "Budi",
+        customer_phone: "+6281200000000",
+        booking_date: daysFromToday(2),
+      }),
+      booking({
+        booking_id: 3,
+        customer_id: 2,
+        customer_name: "Budi",
+        customer_phone: "+6281200000000",
+        booking_date: daysFromToday(-3),
+        booking_status: "cancelled",
+      }),
+    ],
+  });
+  api = await server.login();
+});
+afterEach(() => server.close());
+
+test("POST /customers normalises the phone and refuses duplicates", async () => {
+  const created = await api.post("/customers", {
+    full_name: "Sari",
+    phone: "0812 9999 0000",
+    email: "sari@example.com",
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.equal(created.body.data.phone, "+6281299990000");
+
+  const found = await api.get(`/customers/${created.body.data.customer_id}`);
+  assert.equal(found.body.data.full_name, "Sari");
+  assertError(
+    await api.post("/customers", {
+      full_name: "Sari 2",
+      phone: "6281299990000",
+    }),
+    409,
+    "CUSTOMER_PHONE_TAKEN"
+  );
+  assertError(
+    await api.post("/customers", { full_name: "Sari", phone: "12" }),
+    400,
+    "VALIDATION_FAILED"
+  );
+  assertError(await api.get("/customers/99"), 404, "CUSTOMER_NOT_FOUND");
+});
+
+test("GET /customers searches by name or phone", async () => {
+  const all = await api.get("/customers");
+  assert.deepEqual(
+    all.body.data.map((customer) => [
+      customer.customer_id,
+      customer.total_bookings,
+    ]),
+    [
+      [1, 1],
+      [2, 2],
+    ]
+  );
+  const byPhone = await api.get("/customers?search=0812000");
+  assert.deepEqual(
+    byPhone.body.data.map((customer) => customer.customer_id),
+    [2]
+  );
+  const byName = await api.get("/customers?search=dup&limit=1");
+  assert.deepEqual(byName.body.meta, { limit: 1, offset: 0, count: 1 });
+});
+
+test("PATCH and DELETE /customers/:id", async () => {
+  const updated = await api.patch("/customers/1", { notes: "Prefers court A" });
+  assert.equal(updated.status, 200);
+  assert.equal(
+    (await api.get("/customers/1")).body.data.notes,
+    "Prefers court A"
+  );
+  assertError(
+    await api.patch("/customers/1", { phone: "081200000000" }),
+    409,
+    "CUSTOMER_PHONE_TAKEN"
+  );
+  assertError(await api.patch("/customers/1", {}), 400, "VALIDATION_FAILED");
+
+  const cashier = await server.login("cashier");
+  assertError(await cashier.delete("/customers/2"), 403, "PERMISSION_DENIED");
+  const removed = await api.delete("/customers/2");
+  assert.equal(removed.status, 200);
+  assertError(await api.get("/customers/2"), 404, "CUSTOMER_NOT_FOUND");
+  // The bookings stay, without a customer
+  const kept = (await api.get("/bookings/2")).body.data;
+  assert.equal(kept.customer_name, "Budi");
+  assertError(await api.delete("/customers/2"), 404, "CUSTOMER_NOT_FOUND");
+});
+
+test("POST /customers/:id/merge moves bookings and notes", async () => {
+  const merged = await api.post("/customers/1/merge", {
+    source_customer_id: 2,
+  });
+  assert.equal(merged.status, 200, JSON.stringify(merged.body));
+  assert.equal(merged.body.data.moved_bookings, 2);
+
+  const target = (await api.get("/customers/1")).body.data;
+  assert.equal(target.email, "budi@example.com");
+  assert.equal(target.notes, "Second number");
+  assertError(await api.get("/customers/2"), 404, "CUSTOMER_NOT_FOUND");
+  assertError(
+    await api.post("/customers/1/merge", { source_customer_id: 1 }),
+    400,
+    "CUSTOMER_MERGE_INTO_SELF"
+  );
+});
+
+test("GET /customers/:id/bookings returns stats and history", async () => {
+  await api.post("/customers/1/merge", { source_customer_id: 2 });
+  const response = await api.get("/customers/1/bookings?limit=2");
+  assert.equal(response.status, 200);
+  const { bookings, ...stats } = response.body.data;
+  assert.equal(stats.total_bookings, 3);
+  assert.equal(stats.visits, 1);
+  assert.equal(stats.upcoming, 1);
+  assert.equal(stats.cancellations, 1);
+  assert.equal(stats.no_shows, 0);
+  assert.equal(stats.total_spent, "50000.00");
+  assert.equal(stats.first_booking_date, daysFromToday(-7));
+  assert.equal(stats.last_booking_date, daysFromToday(2));
+  assert.deepEqual(
+    bookings.map((booking) => booking.booking_id),
+    [2, 3]
+  );
+  assertError(
+    await api.get("/customers/99/bookings"),
+    404,
+    "CUSTOMER_NOT_FOUND"
+  );
+});
@@ -0,0 +1,154 @@
+// Shared setup for the HTTP tests: the app on a random port, backed by the
+// in-memory repositories (no database needed), and a fetch client that
+// keeps the auth cookie between requests.
+
+process.env.NOTIFICATIONS_ENABLED = "false";
+process.env.DEFAULT_LOCALE = "en";
+process.env.REQUEST_LOG = "false";
+
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+const app = require("../app");
+const { useRepositories } = require("../repositories");
+const {
+  createMemoryRepositories,
+  localDate,
+} = require("../repositories/memory");
+const { hashPassword } = require("../utils/password");
+
+const PASSWORD = "correct-horse-battery";
+
+// YYYY-MM-DD relative to today (negative = past)
+function daysFromToday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return localDate(date);
+}
+
+let passwordHash = null;
+
+// Two admins, an active and a maintenance court, two active slots and an
+// inactive one
+async function defaultSeed() {
+  passwordHash = passwordHash || (await hashPassword(PASSWORD));
+  const admin = (admin_id, username, role) => ({
+    admin_id,
+    username,
+    full_name: `${username} name`,
+    email: `${username}@example.com`,
+    role,
+    password: passwordHash,
+  });
+  return {
+    admins: [admin(1, "owner", "owner"), admin(2, "cashier", "cashier")],
+    courts: [
+      { court_id: 1, court_name: "Court A", price_per_session: 50000 },
+      {
+        court_id: 2,
+        court_name: "Court B",
+        price_per_session: 60000,
+        status: "maintenance",
+      },
+    ],
+    timeSlots: [
+      {
+        slot_id: 1,
+        start_time: "08:00",
+        end_time: "09:00",
+        slot_name: "Pagi 1",
+      },
+      {
+        slot_id: 2,
+        start_time: "09:00",
+        end_time: "10:00",
+        slot_name: "Pagi 2",
+      },
+      {
+        slot_id: 3,
+        start_time: "21:00",
+        end_time: "22:00",
+        slot_name: "Malam",
+        status: "inactive",
+      },
+    ],
+  };
+}
+
+function createClient(baseUrl) {
+  // name -> value; cleared cookies come back empty and are dropped
+  const cookies = new Map();
+  const cookieHeader = () =>
+    [...cookies].map(([name, value]) => `${name}=${value}`).join("; ");
+
+  async function request(method, path, body, headers = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(cookies.size > 0 && { Cookie: cookieHeader() }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    for (const setCookie of response.headers.getSetCookie()) {
+      const [pair] = setCookie.split(";");
+      const [name, value] = pair.split("=");
+      if (value) cookies.set(name, value);
+      else cookies.delete(name);
+    }
+    const type = response.headers.get("content-type") || "";
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: type.includes("json")
+        ? await response.json()
+        : await response.text(),
+    };
+  }
+
+  return {
+    get: (path, headers) => request("GET", path, undefined, headers),
+    post: (path, body = {}, headers) => request("POST", path, body, headers),
+    put: (path, body, headers) => request("PUT", path, body, headers),
+    patch: (path, body, headers) => request("PATCH", path, body, headers),
+    delete: (path, headers) => request("DELETE", path, undefined, headers),
+    cookies,
+    async login(username = "owner", password = PASSWORD) {
+      const response = await request("POST", "/login", { username, password });
+      assert.equal(response.status, 200, JSON.stringify(response.body));
+      return response;
+    },
+  };
+}
+
+// Start the app on a fresh in-memory store. seed replaces whole tables of
+// the default seed. Returns { repos, client, login, close }.
+async function startServer(seed = {}) {
+  const repos = createMemoryRepositories({ ...(await defaultSeed()), ...seed });
+  useRepositories(repos);
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    repos,
+    client: () => createClient(baseUrl),
+    // Logged-in client
+    async login(username = "owner") {
+      const client = createClient(baseUrl);
+      await client.login(username);
+      return client;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Assert an error response and return its body
+function assertError(response, status, code) {
+  assert.equal(response.status, status, JSON.stringify(response.body));
+  assert.equal(response.body.success, false);
+  assert.equal(response.body.code, code);
+  return response.body;
+}
+
+module.exports = { PASSWORD, daysFromToday, startServer, assertError };
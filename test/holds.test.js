@@ -0,0 +1,221 @@
+process.env.PUBLIC_HOLD_RATE_LIMIT = "1000";
+process.env.PUBLIC_BOOKING_RATE_LIMIT = "1000";
+process.env.PUBLIC_LOOKUP_RATE_LIMIT = "1000";
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+const { hashHoldToken } = require("../controllers/holdController");
+
+const date = daysFromToday(3);
+const EXPIRED_TOKEN = "expired-hold-token-0000000000000";
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer({
+    // Ran out a minute ago on slot 2; the release job has not run yet
+    holds: [
+      {
+        hold_id: 1,
+        court_id: 1,
+        slot_id: 2,
+        booking_date: date,
+        token_hash: hashHoldToken(EXPIRED_TOKEN),
+        expires_at: new Date(Date.now() - 60 * 1000),
+      },
+    ],
+  });
+  api = await server.login();
+});
+afterEach(() => server.close());
+
+async function hold(fields) {
+  const response = await api.post("/holds", {
+    court_id: 1,
+    slot_id: 1,
+    booking_date: date,
+    ...fields,
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+const customer = { customer_name: "Budi", customer_phone: "081234567890" };
+
+test("POST /holds reserves the slot until it is converted", async () => {
+  const held = await hold({ minutes: 5 });
+  assert.match(held.hold_token, /^[A-Za-z0-9_-]{32}$/);
+  const minutesLeft = (new Date(held.expires_at) - Date.now()) / 60000;
+  assert.ok(minutesLeft > 4 && minutesLeft <= 5, String(minutesLeft));
+
+  assert.equal(
+    (await api.get(`/holds/${held.hold_token}`)).body.data.status,
+    "active"
+  );
+
+  assertError(
+    await api.post("/holds", { court_id: 1, slot_id: 1, booking_date: date }),
+    409,
+    "SLOT_HELD"
+  );
+  assertError(
+    await api.post("/bookings", {
+      court_id: 1,
+      slot_id: 1,
+      booking_date: date,
+      ...customer,
+    }),
+    409,
+    "SLOT_HELD"
+  );
+  assertError(
+    await server.client().post("/public/bookings", {
+      court_id: 1,
+      slot_id: 1,
+      booking_date: date,
+      ...customer,
+    }),
+    409,
+    "SLOT_HELD"
+  );
+  assertError(
+    await api.post("/holds", {
+      court_id: 1,
+      slot_id: 1,
+      booking_date: date,
+      minutes: 500,
+    }),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
+
+test("held slots show as unavailable", async () => {
+  await hold();
+  const slots = (
+    await api.get(`/time-slots/available?court_id=1&booking_date=${date}`)
+  ).body.data.slots;
+  assert.deepEqual(
+    slots.map((slot) => [slot.slot_id, slot.is_available, slot.is_held]),
+    [
+      [1, false, true],
+      [2, true, false],
+    ]
+  );
+
+  const publicSlots = (
+    await server.client().get(`/public/availability?court_id=1&date=${date}`)
+  ).body.data.slots;
+  assert.deepEqual(
+    publicSlots.map((slot) => [slot.slot_id, slot.is_available]),
+    [
+      [1, false],
+      [2, true],
+    ]
+  );
+});
+
+test("a hold converts into a booking once", async () => {
+  const held = await hold();
+  const created = await api.post("/bookings", {
+    hold_token: held.hold_token,
+    ...customer,
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const booking = (await api.get(`/bookings/${created.body.data.booking_id}`))
+    .body.data;
+  assert.equal(booking.booking_date, date);
+  assert.equal(booking.court_name, "Court A");
+  assert.equal(booking.payment_status, "unpaid");
+
+  const status = await api.get(`/holds/${held.hold_token}`);
+  assert.equal(status.body.data.status, "converted");
+  assert.equal(status.body.data.booking_id, created.body.data.booking_id);
+
+  assertError(
+    await api.post("/bookings", { hold_token: held.hold_token, ...customer }),
+    404,
+    "HOLD_NOT_FOUND"
+  );
+  assertError(await api.post("/bookings", customer), 400, "VALIDATION_FAILED");
+});
+
+test("DELETE /holds/:token frees the slot", async () => {
+  const held = await hold();
+  const released = await api.delete(`/holds/${held.hold_token}`);
+  assert.equal(released.status, 200, JSON.stringify(released.body));
+  assert.equal(
+    (await api.get(`/holds/${held.hold_token}`)).body.data.status,
+    "released"
+  );
+  assertError(
+    await api.delete(`/holds/${held.hold_token}`),
+    404,
+    "HOLD_NOT_FOUND"
+  );
+  assertError(
+    await api.post("/bookings", { hold_token: held.hold_token, ...customer }),
+    404,
+    "HOLD_NOT_FOUND"
+  );
+  await hold();
+});
+
+test("expired holds no longer block the slot or convert", async () => {
+  assert.equal(
+    (await api.get(`/holds/${EXPIRED_TOKEN}`)).body.data.status,
+    "expired"
+  );
+  assertError(
+    await api.post("/bookings", { hold_token: EXPIRED_TOKEN, ...customer }),
+    409,
+    "HOLD_EXPIRED"
+  );
+  const created = await api.post("/bookings", {
+    court_id: 1,
+    slot_id: 2,
+    booking_date: date,
+    ...customer,
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+});
+
+test("customers can hold a slot and book it with a confirmation code", async () => {
+  const visitor = server.client();
+  assertError(
+    await visitor.post("/public/holds", {
+      court_id: 1,
+      slot_id: 1,
+      booking_date: daysFromToday(40),
+    }),
+    400,
+    "BOOKING_TOO_FAR_AHEAD"
+  );
+  const held = await visitor.post("/public/holds", {
+    court_id: 1,
+    slot_id: 1,
+    booking_date: date,
+  });
+  assert.equal(held.status, 201, JSON.stringify(held.body));
+  const token = held.body.data.hold_token;
+  assert.equal(
+    (await visitor.get(`/public/holds/${token}`)).body.data.status,
+    "active"
+  );
+
+  const booked = await visitor.post("/public/bookings", {
+    hold_token: token,
+    ...customer,
+  });
+  assert.equal(booked.status, 201, JSON.stringify(booked.body));
+  const code = booked.body.data.confirmation_code;
+  const booking = (await visitor.get(`/public/bookings/${code}`)).body.data;
+  assert.equal(booking.booking_date, date);
+  assert.equal(booking.slot_name, "Pagi 1");
+  assert.equal(
+    (await visitor.get(`/public/holds/${token}`)).body.data.status,
+    "converted"
+  );
+});
@@ -0,0 +1,98 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+const booking = (fields) => ({
+  court_id: 1,
+  slot_id: 1,
+  booking_date: daysFromToday(-1),
+  customer_name: "Budi",
+  customer_phone: "+6281234567890",
+  total_amount: 50000,
+  created_by: 1,
+  ...fields,
+});
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer({
+    bookings: [
+      booking({ booking_id: 1, payment_status: "paid" }),
+      booking({ booking_id: 2, slot_id: 2 }),
+      booking({ booking_id: 3, booking_date: daysFromToday(1) }),
+    ],
+    holds: [
+      {
+        hold_id: 1,
+        court_id: 1,
+        slot_id: 2,
+        booking_date: daysFromToday(1),
+        token_hash: "expired",
+        expires_at: new Date(Date.now() - 60 * 1000),
+      },
+    ],
+    jobRuns: [
+      {
+        run_id: 1,
+        job_name: "send-reminders",
+        triggered_by: "scheduler",
+        status: "failed",
+        error: "Gateway down",
+        started_at: new Date(Date.now() - 60 * 60 * 1000),
+        finished_at: new Date(Date.now() - 60 * 60 * 1000),
+      },
+    ],
+  });
+  api = await server.login();
+});
+afterEach(() => server.close());
+
+const statusOf = async (id) =>
+  (await api.get(`/bookings/${id}`)).body.data.booking_status;
+
+test("GET /jobs lists every job with its last run", async () => {
+  const response = await api.get("/jobs");
+  assert.equal(response.status, 200);
+  const jobs = new Map(response.body.data.map((job) => [job.job_name, job]));
+  assert.equal(jobs.size, 6);
+  assert.equal(jobs.get("send-reminders").last_run.status, "failed");
+  assert.equal(jobs.get("no-shows").last_run, null);
+  assert.equal(jobs.get("no-shows").interval_minutes, 15);
+});
+
+test("POST /jobs/:name/run runs a job and records it", async () => {
+  const completed = await api.post("/jobs/complete-bookings/run");
+  assert.equal(completed.status, 200, JSON.stringify(completed.body));
+  assert.deepEqual(completed.body.data.result, { completed: 1 });
+  assert.equal(await statusOf(1), "completed");
+
+  const noShows = await api.post("/jobs/no-shows/run");
+  assert.equal(noShows.body.data.result.no_shows, 1);
+  assert.equal(noShows.body.data.result.action, "flag");
+  assert.equal(await statusOf(2), "no_show");
+  assert.equal(await statusOf(3), "confirmed");
+
+  const holds = await api.post("/jobs/release-expired-holds/run");
+  assert.deepEqual(holds.body.data.result, { expired: 1 });
+
+  const runs = await api.get("/jobs/runs?status=success");
+  assert.deepEqual(
+    runs.body.data.map((run) => [run.job_name, run.triggered_by]),
+    [
+      ["release-expired-holds", "api"],
+      ["no-shows", "api"],
+      ["complete-bookings", "api"],
+    ]
+  );
+  const failed = await api.get("/jobs/runs?job_name=send-reminders");
+  assert.equal(failed.body.data[0].error, "Gateway down");
+  assert.equal(failed.body.data[0].duration_seconds, 0);
+});
+
+test("unknown jobs and other roles are refused", async () => {
+  assertError(await api.post("/jobs/backup/run"), 404, "JOB_NOT_FOUND");
+  assertError(await api.get("/jobs/runs?job_name=backup"), 400, "BAD_REQUEST");
+  const cashier = await server.login("cashier");
+  assertError(await cashier.get("/jobs"), 403, "PERMISSION_DENIED");
+});
@@ -0,0 +1,116 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, assertError, PASSWORD } = require("./helpers");
+
+let server;
+afterEach(() => server.close());
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Failed logins made long enough ago that their delays have passed
+function failures(count, fields) {
+  return Array.from({ length: count }, (_, index) => ({
+    attempt_id: index + 1,
+    username: "cashier",
+    ip_address: "127.0.0.1",
+    result: "invalid_credentials",
+    created_at: minutesAgo(5),
+    ...fields(index),
+  }));
+}
+
+const login = (client, username, password = "wrong-password") =>
+  client.post("/login", { username, password });
+
+test("failed logins are recorded and slow down further attempts", async () => {
+  server = await startServer();
+  const visitor = server.client();
+  assertError(await login(visitor, "cashier"), 401, "INVALID_CREDENTIALS");
+  assertError(await login(visitor, "cashier"), 401, "INVALID_CREDENTIALS");
+
+  const throttled = assertError(
+    await login(visitor, "cashier", PASSWORD),
+    429,
+    "LOGIN_THROTTLED"
+  );
+  assert.match(throttled.message, /1 second/);
+
+  const owner = await server.login();
+  const attempts = await owner.get("/login-attempts?username=CASHIER");
+  assert.equal(attempts.status, 200);
+  assert.deepEqual(
+    attempts.body.data.map((attempt) => [attempt.result, attempt.admin_id]),
+    [
+      ["throttled", null],
+      ["invalid_credentials", 2],
+      ["invalid_credentials", 2],
+    ]
+  );
+  assert.equal(attempts.body.data[0].ip_address, "127.0.0.1");
+
+  const successes = await owner.get("/login-attempts?result=success");
+  assert.deepEqual(
+    successes.body.data.map((attempt) => attempt.username),
+    ["owner"]
+  );
+  // Once the delay has passed the right password gets through again
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+  assertError(
+    await (await server.login("cashier")).get("/login-attempts"),
+    403,
+    "PERMISSION_DENIED"
+  );
+});
+
+test("too many failures lock the account until an owner unlocks it", async () => {
+  server = await startServer({ loginAttempts: failures(4, () => ({})) });
+  const visitor = server.client();
+  assertError(await login(visitor, "cashier"), 401, "INVALID_CREDENTIALS");
+
+  const locked = await login(visitor, "cashier", PASSWORD);
+  assertError(locked, 429, "ACCOUNT_LOCKED");
+  const retryAfter = Number(locked.headers.get("retry-after"));
+  assert.ok(retryAfter > 14 * 60 && retryAfter <= 15 * 60, String(retryAfter));
+
+  const owner = await server.login();
+  const unlocked = await owner.post("/admins/2/unlock");
+  assert.equal(unlocked.status, 200);
+  assert.equal(unlocked.body.data.unlocked, 1);
+  assertError(await owner.post("/admins/99/unlock"), 404, "ADMIN_NOT_FOUND");
+
+  // Failures before the unlock no longer count
+  assertError(await login(visitor, "cashier"), 401, "INVALID_CREDENTIALS");
+  await server.client().login("cashier");
+});
+
+test("too many failures from one IP lock it for every username", async () => {
+  server = await startServer({
+    loginAttempts: failures(29, (index) => ({ username: `guess${index}` })),
+  });
+  const owner = await server.login();
+  const visitor = server.client();
+  assertError(await login(visitor, "nobody"), 401, "INVALID_CREDENTIALS");
+
+  const locked = await login(visitor, "owner", PASSWORD);
+  assertError(locked, 429, "LOGIN_THROTTLED");
+  const retryAfter = Number(locked.headers.get("retry-after"));
+  assert.ok(retryAfter > 14 * 60 && retryAfter <= 15 * 60, String(retryAfter));
+
+  // Unlocking the admin alone leaves the IP locked
+  await owner.post("/admins/1/unlock");
+  assertError(await login(visitor, "owner", PASSWORD), 429, "LOGIN_THROTTLED");
+  assertError(
+    await owner.post("/admins/1/unlock", { ip_address: "x".repeat(46) }),
+    400,
+    "VALIDATION_FAILED"
+  );
+
+  const unlocked = await owner.post("/admins/1/unlock", {
+    ip_address: "127.0.0.1",
+  });
+  assert.equal(unlocked.status, 200, JSON.stringify(unlocked.body));
+  assert.equal(unlocked.body.data.unlocked, 1);
+  // Its failures before the unlock no longer count either
+  assertError(await login(visitor, "nobody"), 401, "INVALID_CREDENTIALS");
+  await server.client().login("owner");
+});
@@ -0,0 +1,141 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  splitStatements,
+  loadMigrations,
+  schemaObjects,
+  createMigration,
+} = require("../migrations/runner");
+
+function tempDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test("splitStatements splits on the current delimiter", () => {
+  const sql = [
+    "-- header comment",
+    "CREATE TABLE a (id INT);",
+    "",
+    "DELIMITER //",
+    "CREATE PROCEDURE p()",
+    "BEGIN",
+    "    -- inner comment;",
+    "    SELECT 1;",
+    "    SELECT 2;",
+    "END //",
+    "DELIMITER ;",
+    "INSERT INTO a VALUES (1),",
+    "  (2);",
+  ].join("\n");
+
+  const statements = splitStatements(sql);
+  assert.equal(statements.length, 3);
+  assert.equal(statements[0], "CREATE TABLE a (id INT)");
+  assert.match(
+    statements[1],
+    /^CREATE PROCEDURE p\(\)\nBEGIN[\s\S]*SELECT 2;\nEND$/
+  );
+  assert.equal(statements[2], "INSERT INTO a VALUES (1),\n  (2)");
+});
+
+test("the baseline migration creates the whole schema", () => {
+  const [baseline] = loadMigrations();
+  assert.equal(baseline.version, "0001");
+  const up = splitStatements(baseline.up);
+  const count = (pattern) => up.filter((sql) => pattern.test(sql)).length;
+  assert.equal(count(/^CREATE TABLE/), 16);
+  assert.equal(count(/^CREATE PROCEDURE/), 97);
+  assert.equal(count(/^CREATE FUNCTION/), 7);
+  assert.equal(count(/^CREATE TRIGGER/), 4);
+  assert.equal(count(/^CREATE (OR REPLACE )?VIEW/), 4);
+  assert.ok(up.every((sql) => !/^DELIMITER/m.test(sql)));
+
+  const down = splitStatements(baseline.down);
+  assert.ok(down.every((sql) => /^DROP \w+ IF EXISTS/.test(sql)));
+});
+
+test("schemaObjects lists what a script creates, for baseline checks", () => {
+  const sql = [
+    "CREATE TABLE IF NOT EXISTS holds (",
+    "    hold_id INT AUTO_INCREMENT PRIMARY KEY,",
+    "    price DECIMAL(10,2) NOT NULL, -- per session, court price",
+    "    status ENUM('active', 'expired') NOT NULL,",
+    "    UNIQUE KEY unique_hold (hold_id, status),",
+    "    FOREIGN KEY (hold_id) REFERENCES holds(hold_id)",
+    ");",
+    "DELIMITER //",
+    "CREATE PROCEDURE sp_hold(",
+    "    IN p_kind ENUM('a', 'b'),",
+    "    OUT p_price DECIMAL(10,2)",
+    ")",
+    "BEGIN",
+    "    SELECT 1;",
+    "END //",
+    "CREATE FUNCTION is_held(p_id INT) RETURNS BOOLEAN",
+    "READS SQL DATA",
+    "BEGIN",
+    "    RETURN TRUE;",
+    "END //",
+    "CREATE PROCEDURE sp_ping()",
+    "BEGIN",
+    "    SELECT 1;",
+    "END //",
+    "DELIMITER ;",
+    "CREATE VIEW v_holds AS SELECT COUNT(*) FROM holds;",
+    "INSERT INTO holds VALUES (1, 2.00, 'active');",
+  ].join("\n");
+
+  assert.deepEqual(schemaObjects(sql), [
+    "table holds",
+    "column holds.hold_id",
+    "column holds.price",
+    "column holds.status",
+    "procedure sp_hold(p_kind, p_price)",
+    "function is_held(p_id)",
+    "procedure sp_ping()",
+    "view v_holds",
+  ]);
+
+  const baseline = schemaObjects(loadMigrations()[0].up);
+  assert.ok(baseline.includes("column bookings.series_id"));
+  assert.ok(baseline.includes("trigger tr_validate_booking_insert"));
+});
+
+test("loadMigrations orders versions and requires both scripts", () => {
+  const dir = tempDir({
+    "0010_later.up.sql": "SELECT 10;",
+    "0010_later.down.sql": "SELECT -10;",
+    "0002_first.up.sql": "SELECT 2;",
+    "0002_first.down.sql": "SELECT -2;",
+    "notes.txt": "ignored",
+  });
+  const migrations = loadMigrations(dir);
+  assert.deepEqual(
+    migrations.map((migration) => migration.version),
+    ["0002", "0010"]
+  );
+  assert.equal(migrations[0].checksum.length, 64);
+
+  fs.writeFileSync(path.join(dir, "0011_broken.up.sql"), "SELECT 11;");
+  assert.throws(() => loadMigrations(dir), /0011_broken needs both/);
+});
+
+test("createMigration adds the next version", () => {
+  const dir = tempDir({
+    "0001_baseline.up.sql": "",
+    "0001_baseline.down.sql": "",
+  });
+  const files = createMigration("add_holds", dir);
+  assert.deepEqual(
+    files.map((file) => path.basename(file)),
+    ["0002_add_holds.up.sql", "0002_add_holds.down.sql"]
+  );
+  assert.throws(() => createMigration("bad name", dir), /letters, digits/);
+});
@@ -0,0 +1,112 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+const { registerTransport } = require("../services/notifications/transports");
+
+// Messages handed to the transport; set failWith to make it throw
+let sent;
+let failWith;
+registerTransport("console", () => ({
+  send: async (message) => {
+    if (failWith) throw new Error(failWith);
+    sent.push(message);
+  },
+}));
+
+const booking = (booking_id, booking_date) => ({
+  booking_id,
+  court_id: 1,
+  slot_id: 1,
+  booking_date,
+  customer_name: "Budi",
+  customer_phone: "+6281234567890",
+  total_amount: 50000,
+  created_by: 1,
+});
+
+let server;
+let api;
+beforeEach(async () => {
+  sent = [];
+  failWith = null;
+  server = await startServer({
+    bookings: [booking(1, daysFromToday(1)), booking(2, daysFromToday(3))],
+    notifications: [
+      {
+        notification_id: 1,
+        booking_id: 2,
+        template: "confirmation",
+        channel: "whatsapp",
+        recipient: "+6281234567890",
+        body: "Booking confirmed",
+        status: "failed",
+        attempts: 5,
+        last_error: "Gateway down",
+      },
+    ],
+  });
+  api = await server.login();
+});
+afterEach(() => server.close());
+
+test("POST /notifications/reminders queues and sends due reminders once", async () => {
+  const response = await api.post("/notifications/reminders?hours=48");
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.deepEqual(response.body.data, {
+    bookings: 1,
+    queued: 1,
+    sent: 1,
+    failed: 0,
+  });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].booking_id, 1);
+  assert.equal(sent[0].recipient, "+6281234567890");
+  assert.match(sent[0].body, /Court A/);
+
+  const listed = await api.get("/notifications?template=reminder");
+  assert.deepEqual(
+    listed.body.data.map((message) => [message.booking_id, message.status]),
+    [[1, "sent"]]
+  );
+  const again = await api.post("/notifications/reminders?hours=48");
+  assert.equal(again.body.data.queued, 0);
+});
+
+test("failed sends are retried later; POST /:id/retry requeues", async () => {
+  failWith = "Gateway down";
+  await api.post("/notifications/reminders?hours=48");
+  const [pending] = (await api.get("/notifications?status=pending")).body.data;
+  assert.equal(pending.attempts, 1);
+  assert.equal(pending.last_error, "Gateway down");
+  assert.ok(new Date(pending.next_attempt_at) > new Date());
+  // Not due yet
+  const dispatched = await api.post("/notifications/dispatch");
+  assert.deepEqual(dispatched.body.data, { sent: 0, failed: 0 });
+
+  failWith = null;
+  const retried = await api.post("/notifications/1/retry");
+  assert.equal(retried.status, 200, JSON.stringify(retried.body));
+  assert.deepEqual(retried.body.data, { sent: 1, failed: 0 });
+  assert.equal(sent[0].body, "Booking confirmed");
+
+  assertError(
+    await api.post("/notifications/1/retry"),
+    409,
+    "NOTIFICATION_NOT_FAILED"
+  );
+  assertError(
+    await api.post("/notifications/99/retry"),
+    404,
+    "NOTIFICATION_NOT_FOUND"
+  );
+});
+
+test("the outbox needs notifications permissions", async () => {
+  const cashier = await server.login("cashier");
+  assertError(await cashier.get("/notifications"), 403, "PERMISSION_DENIED");
+  assertError(
+    await api.get("/notifications?status=lost"),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
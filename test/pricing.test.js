@@ -0,0 +1,190 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+const DATE = daysFromToday(3);
+const WEEKDAY = new Date(`${DATE}T00:00:00Z`).getUTCDay() || 7;
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer();
+  api = await server.login();
+});
+afterEach(() => server.close());
+
+async function createRule(fields) {
+  const response = await api.post("/pricing/rules", fields);
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data.rule_id;
+}
+
+const quote = async (slot_id) =>
+  (
+    await api.get(
+      `/pricing/quote?court_id=1&slot_id=${slot_id}&booking_date=${DATE}`
+    )
+  ).body.data;
+
+test("rules set the price of matching bookings", async () => {
+  const peak = await createRule({
+    rule_name: "Morning peak",
+    court_id: 1,
+    start_time: "08:00",
+    end_time: "09:00",
+    weekdays: [WEEKDAY],
+    price: 70000,
+  });
+
+  const matched = await quote(1);
+  assert.equal(matched.base_price, "50000.00");
+  assert.equal(matched.price, "70000.00");
+  assert.deepEqual(matched.applied_rule, {
+    rule_id: peak,
+    rule_name: "Morning peak",
+  });
+  const unmatched = await quote(2);
+  assert.equal(unmatched.price, "50000.00");
+  assert.equal(unmatched.applied_rule, null);
+
+  const booked = await api.post("/bookings", {
+    court_id: 1,
+    slot_id: 1,
+    booking_date: DATE,
+    customer_name: "Budi",
+    customer_phone: "081234567890",
+  });
+  assert.equal(booked.body.data.total_amount, "70000.00");
+});
+
+test("a free rule books at 0.00, not the court price", async () => {
+  await createRule({ rule_name: "Free trial", court_id: 1, price: 0 });
+  const booked = await api.post("/bookings", {
+    court_id: 1,
+    slot_id: 1,
+    booking_date: DATE,
+    customer_name: "Budi",
+    customer_phone: "081234567890",
+  });
+  assert.equal(booked.status, 201, JSON.stringify(booked.body));
+  assert.equal(booked.body.data.total_amount, "0.00");
+});
+
+test("holiday rules apply on saved holidays", async () => {
+  await createRule({
+    rule_name: "Holiday",
+    holidays_only: true,
+    price: 90000,
+    priority: 5,
+  });
+  assert.equal((await quote(2)).price, "50000.00");
+
+  const saved = await api.put("/pricing/holidays", {
+    holiday_date: DATE,
+    holiday_name: "Festival",
+  });
+  assert.equal(saved.status, 200);
+  const holiday = await quote(2);
+  assert.equal(holiday.price, "90000.00");
+  assert.equal(holiday.holiday_name, "Festival");
+
+  const year = DATE.slice(0, 4);
+  const listed = await api.get(`/pricing/holidays?year=${year}`);
+  assert.deepEqual(
+    listed.body.data.map((row) => [row.holiday_date, row.holiday_name]),
+    [[DATE, "Festival"]]
+  );
+  await api.delete(`/pricing/holidays/${DATE}`);
+  assert.equal((await quote(2)).price, "50000.00");
+  assertError(
+    await api.delete(`/pricing/holidays/${DATE}`),
+    404,
+    "HOLIDAY_NOT_FOUND"
+  );
+});
+
+test("string values are read as the types the schema names", async () => {
+  const ruleId = await createRule({
+    rule_name: "Every day",
+    holidays_only: "false",
+    price: "65000",
+    priority: "2",
+  });
+  const rule = (await api.get(`/pricing/rules/${ruleId}`)).body.data;
+  assert.equal(rule.holidays_only, false);
+  assert.equal(rule.priority, 2);
+  assert.equal((await quote(2)).price, "65000.00");
+});
+
+test("PATCH /pricing/rules/:id keeps the fields it does not name", async () => {
+  const ruleId = await createRule({
+    rule_name: "Court A slot 1",
+    court_id: 1,
+    slot_id: 1,
+    price: 60000,
+  });
+  const updated = await api.patch(`/pricing/rules/${ruleId}`, {
+    start_time: "09:00",
+    end_time: "10:00",
+    weekdays: "mon,tue",
+  });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+
+  const rule = (await api.get(`/pricing/rules/${ruleId}`)).body.data;
+  assert.equal(rule.court_id, 1);
+  assert.equal(rule.slot_id, null);
+  assert.equal(rule.start_time, "09:00:00");
+  assert.deepEqual(rule.weekdays, [1, 2]);
+  assert.equal(rule.price, "60000.00");
+  assert.equal(rule.holidays_only, false);
+
+  await api.patch(`/pricing/rules/${ruleId}`, { status: "inactive" });
+  const [listed] = (await api.get("/pricing/rules")).body.data;
+  assert.equal(listed.status, "inactive");
+
+  await api.delete(`/pricing/rules/${ruleId}`);
+  assertError(
+    await api.get(`/pricing/rules/${ruleId}`),
+    404,
+    "PRICING_RULE_NOT_FOUND"
+  );
+});
+
+test("rules are validated", async () => {
+  assertError(
+    await api.post("/pricing/rules", { rule_name: "No price" }),
+    400,
+    "VALIDATION_FAILED"
+  );
+  assertError(
+    await api.post("/pricing/rules", {
+      rule_name: "Backwards",
+      start_time: "10:00",
+      end_time: "09:00",
+      price: 1,
+    }),
+    400,
+    "BAD_REQUEST"
+  );
+  assertError(
+    await api.post("/pricing/rules", {
+      rule_name: "Unknown court",
+      court_id: 99,
+      price: 1,
+    }),
+    400,
+    "REFERENCED_RECORD_NOT_FOUND"
+  );
+  assertError(
+    await api.get("/pricing/quote?court_id=99&slot_id=1"),
+    404,
+    "NOT_FOUND"
+  );
+
+  const cashier = await server.login("cashier");
+  assertError(
+    await cashier.post("/pricing/rules", { rule_name: "Cheap", price: 1 }),
+    403,
+    "PERMISSION_DENIED"
+  );
+});
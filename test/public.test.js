@@ -0,0 +1,232 @@
+// Generous limits so the shared per-IP windows do not trip between tests;
+// the limiter itself is tested on its own app below
+process.env.PUBLIC_BOOKING_RATE_LIMIT = "1000";
+process.env.PUBLIC_LOOKUP_RATE_LIMIT = "1000";
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+const express = require("express");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+const rateLimit = require("../middlewares/rateLimit");
+
+let server;
+let visitor;
+beforeEach(async () => {
+  server = await startServer();
+  visitor = server.client();
+});
+afterEach(() => server.close());
+
+const booking = (fields) => ({
+  court_id: 1,
+  slot_id: 1,
+  booking_date: daysFromToday(2),
+  customer_name: "Budi",
+  customer_phone: "081234567890",
+  ...fields,
+});
+
+async function book(fields) {
+  const response = await visitor.post("/public/bookings", booking(fields));
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+test("GET /public/courts lists active courts without login", async () => {
+  const response = await visitor.get("/public/courts");
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.data, [
+    {
+      court_id: 1,
+      court_name: "Court A",
+      description: null,
+      price_per_session: "50000.00",
+    },
+  ]);
+});
+
+test("GET /public/availability shows free and taken slots", async () => {
+  await book();
+  const response = await visitor.get(
+    `/public/availability?court_id=1&date=${daysFromToday(2)}`
+  );
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.data.slots.map((slot) => [slot.slot_id, slot.is_available]),
+    [
+      [1, false],
+      [2, true],
+    ]
+  );
+
+  assertError(
+    await visitor.get(
+      `/public/availability?court_id=2&date=${daysFromToday(2)}`
+    ),
+    404,
+    "COURT_NOT_FOUND"
+  );
+  assertError(
+    await visitor.get(
+      `/public/availability?court_id=1&date=${daysFromToday(-2)}`
+    ),
+    400,
+    "BOOKING_DATE_IN_PAST"
+  );
+  const tooFar = assertError(
+    await visitor.get(
+      `/public/availability?court_id=1&date=${daysFromToday(40)}`
+    ),
+    400,
+    "BOOKING_TOO_FAR_AHEAD"
+  );
+  assert.match(tooFar.message, /30 days/);
+  assertError(
+    await visitor.get("/public/availability?court_id=1"),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
+
+test("POST /public/bookings books as the online booking account", async () => {
+  const { confirmation_code, booking: created } = await book();
+  assert.match(
+    confirmation_code,
+    /^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{4}){2}$/
+  );
+  assert.equal(created.total_amount, "50000.00");
+  assert.equal(created.booking_status, "confirmed");
+  assert.equal(created.customer_phone, undefined);
+
+  const admin = await server.login();
+  const stored = (await admin.get(`/bookings/${created.booking_id}`)).body.data;
+  assert.equal(stored.admin_name, "Online Booking");
+  assert.equal(stored.customer_phone, "+6281234567890");
+
+  // The system account cannot log in
+  assertError(
+    await visitor.post("/login", { username: "online_booking", password: "!" }),
+    401,
+    "INVALID_CREDENTIALS"
+  );
+
+  assertError(
+    await visitor.post("/public/bookings", booking({ customer_name: "Sari" })),
+    409,
+    "SLOT_ALREADY_BOOKED"
+  );
+});
+
+test("POST /public/bookings rejects invalid and excessive bookings", async () => {
+  assertError(
+    await visitor.post("/public/bookings", booking({ customer_name: "1234" })),
+    400,
+    "VALIDATION_FAILED"
+  );
+  assertError(
+    await visitor.post("/public/bookings", booking({ court_id: 2 })),
+    404,
+    "COURT_NOT_FOUND"
+  );
+  assertError(
+    await visitor.post(
+      "/public/bookings",
+      booking({ booking_date: daysFromToday(40) })
+    ),
+    400,
+    "BOOKING_TOO_FAR_AHEAD"
+  );
+
+  // At most three upcoming online bookings per phone number
+  await book({ slot_id: 1 });
+  await book({ slot_id: 2 });
+  await book({ booking_date: daysFromToday(3) });
+  assertError(
+    await visitor.post(
+      "/public/bookings",
+      booking({ booking_date: daysFromToday(3), slot_id: 2 })
+    ),
+    409,
+    "PUBLIC_BOOKING_LIMIT"
+  );
+});
+
+test("GET /public/bookings/:code finds the booking by its code", async () => {
+  const { confirmation_code, booking: created } = await book();
+  const typed = confirmation_code.replace(/-/g, "").toLowerCase();
+  const response = await visitor.get(`/public/bookings/${typed}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.booking_id, created.booking_id);
+
+  assertError(
+    await visitor.get("/public/bookings/AAAA-AAAA-AAAA"),
+    404,
+    "BOOKING_NOT_FOUND"
+  );
+  assertError(
+    await visitor.get("/public/bookings/short"),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
+
+test("POST /public/bookings/:code/cancel releases unpaid bookings", async () => {
+  const { confirmation_code } = await book();
+  const response = await visitor.post(
+    `/public/bookings/${confirmation_code}/cancel`
+  );
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.booking_status, "cancelled");
+  assertError(
+    await visitor.post(`/public/bookings/${confirmation_code}/cancel`),
+    409,
+    "BOOKING_CANCELLED"
+  );
+  // The slot can be booked again
+  await book();
+});
+
+test("POST /public/bookings/:code/cancel leaves paid and past bookings to the desk", async () => {
+  const admin = await server.login();
+  const paid = await book({ slot_id: 1 });
+  await admin.post(`/bookings/${paid.booking.booking_id}/payments`, {
+    amount: 20000,
+    method: "cash",
+  });
+  assertError(
+    await visitor.post(`/public/bookings/${paid.confirmation_code}/cancel`),
+    409,
+    "BOOKING_HAS_PAYMENTS"
+  );
+
+  const played = await book({ slot_id: 2 });
+  await admin.patch(`/bookings/${played.booking.booking_id}/status`, {
+    booking_status: "completed",
+  });
+  assertError(
+    await visitor.post(`/public/bookings/${played.confirmation_code}/cancel`),
+    409,
+    "CANCELLATION_CLOSED"
+  );
+});
+
+test("rateLimit answers 429 once an IP exceeds its window", async () => {
+  const app = express();
+  app.get("/", rateLimit({ max: 2, windowMinutes: 1 }), (req, res) =>
+    res.json({ success: true })
+  );
+  const limited = app.listen(0, "127.0.0.1");
+  await once(limited, "listening");
+  try {
+    const url = `http://127.0.0.1:${limited.address().port}/`;
+    assert.equal((await fetch(url)).status, 200);
+    assert.equal((await fetch(url)).status, 200);
+    const response = await fetch(url);
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get("retry-after")) > 0);
+    assert.equal((await response.json()).code, "RATE_LIMITED");
+  } finally {
+    await new Promise((resolve) => limited.close(resolve));
+  }
+});
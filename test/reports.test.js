@@ -0,0 +1,165 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+const YESTERDAY = daysFromToday(-1);
+const EARLIER = daysFromToday(-2);
+
+const booking = (fields) => ({
+  court_id: 1,
+  slot_id: 1,
+  booking_date: YESTERDAY,
+  customer_name: "Budi",
+  total_amount: 50000,
+  created_by: 1,
+  ...fields,
+});
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer({
+    bookings: [
+      booking({ booking_id: 1, payment_status: "paid" }),
+      booking({ booking_id: 2, slot_id: 2, customer_name: "Sari" }),
+      booking({
+        booking_id: 3,
+        booking_date: EARLIER,
+        payment_status: "paid",
+        booking_status: "cancelled",
+      }),
+    ],
+    payments: [
+      {
+        payment_id: 1,
+        booking_id: 1,
+        amount: 50000,
+        method: "cash",
+        received_by: 2,
+      },
+    ],
+  });
+  api = await server.login();
+});
+afterEach(() => server.close());
+
+test("GET /reports/daily-summary counts bookings per date and court", async () => {
+  const response = await api.get("/reports/daily-summary");
+  assert.equal(response.status, 200);
+  assert.equal(response.body.meta.count, 2);
+  assert.deepEqual(response.body.data, [
+    {
+      booking_date: YESTERDAY,
+      court_name: "Court A",
+      total_bookings: 2,
+      paid_bookings: 1,
+      unpaid_bookings: 1,
+      cancelled_bookings: 0,
+      daily_revenue: "50000.00",
+    },
+    {
+      booking_date: EARLIER,
+      court_name: "Court A",
+      total_bookings: 1,
+      paid_bookings: 1,
+      unpaid_bookings: 0,
+      cancelled_bookings: 1,
+      daily_revenue: "0.00",
+    },
+  ]);
+
+  const csv = await api.get(
+    `/reports/daily-summary?start_date=${YESTERDAY}&end_date=${YESTERDAY}&format=csv`
+  );
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  assert.equal(
+    csv.body,
+    "booking_date,court_name,total_bookings,paid_bookings,unpaid_bookings," +
+      `cancelled_bookings,daily_revenue\r\n${YESTERDAY},Court A,2,1,1,0,50000.00\r\n`
+  );
+});
+
+test("GET /reports/revenue, /utilization and /dashboard", async () => {
+  const year = YESTERDAY.slice(0, 4);
+  const revenue = await api.get(`/reports/revenue?year=${year}&court_id=1`);
+  assert.equal(revenue.status, 200);
+  assert.deepEqual(revenue.body.meta, { year, court_id: 1, count: 1 });
+  assert.equal(revenue.body.data[0].paid_revenue, "50000.00");
+  assert.equal(revenue.body.data[0].outstanding_revenue, "50000.00");
+  assert.equal(revenue.body.data[0].total_bookings, 2);
+  assertError(
+    await api.get("/reports/revenue?year=20"),
+    400,
+    "VALIDATION_FAILED"
+  );
+
+  const utilization = (await api.get("/reports/utilization")).body.data;
+  assert.deepEqual(
+    utilization.map((court) => [
+      court.court_name,
+      court.bookings_last_30_days,
+      court.revenue_last_30_days,
+    ]),
+    [
+      ["Court A", 2, "50000.00"],
+      ["Court B", 0, "0.00"],
+    ]
+  );
+
+  const dashboard = (await api.get(`/reports/dashboard?date=${YESTERDAY}`)).body
+    .data;
+  assert.equal(dashboard.date, YESTERDAY);
+  assert.equal(dashboard.total_courts, 1);
+  assert.equal(dashboard.today_bookings, 2);
+  assert.equal(dashboard.paid_bookings, 1);
+  assert.equal(dashboard.unpaid_bookings, 1);
+  assert.equal(dashboard.daily_revenue, "50000.00");
+});
+
+test("GET /reports/courts/:id/revenue sums paid bookings in a range", async () => {
+  const range = `start_date=${daysFromToday(-7)}&end_date=${daysFromToday(0)}`;
+  const response = await api.get(`/reports/courts/1/revenue?${range}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.court_name, "Court A");
+  assert.equal(response.body.data.revenue, "50000.00");
+
+  assertError(
+    await api.get(`/reports/courts/99/revenue?${range}`),
+    404,
+    "COURT_NOT_FOUND"
+  );
+  assertError(
+    await api.get("/reports/courts/1/revenue"),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
+
+test("GET /reports/cash-up totals payments per admin and method", async () => {
+  const response = await api.get("/reports/cash-up");
+  assert.equal(response.status, 200);
+  assert.equal(response.body.meta.net_total, 50000);
+  assert.deepEqual(response.body.data, [
+    {
+      admin_id: 2,
+      admin_name: "cashier name",
+      method: "cash",
+      payment_count: 1,
+      total_received: "50000.00",
+      refund_count: 0,
+      total_refunded: "0.00",
+      net_amount: "50000.00",
+    },
+  ]);
+  const owner = await api.get("/reports/cash-up?admin_id=1");
+  assert.deepEqual(owner.body.data, []);
+});
+
+test("reports need reports:read", async () => {
+  const cashier = await server.login("cashier");
+  assertError(
+    await cashier.get("/reports/dashboard"),
+    403,
+    "PERMISSION_DENIED"
+  );
+});
@@ -0,0 +1,154 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+const DATE = daysFromToday(3);
+
+const slot = (slot_id, start, end) => ({
+  slot_id,
+  start_time: start,
+  end_time: end,
+  slot_name: `${start}-${end}`,
+});
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer({
+    timeSlots: [
+      slot(1, "08:00", "09:00"),
+      slot(2, "09:00", "10:00"),
+      slot(3, "10:00", "11:00"),
+      slot(4, "12:00", "13:00"),
+    ],
+  });
+  api = await server.login("cashier");
+});
+afterEach(() => server.close());
+
+async function reserve(fields) {
+  const response = await api.post("/reservations", {
+    court_id: 1,
+    slot_ids: [1, 2],
+    booking_date: DATE,
+    customer_name: "Budi",
+    customer_phone: "081234567890",
+    ...fields,
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+test("POST /reservations books consecutive slots as one unit", async () => {
+  const created = await reserve({ slot_ids: "2,1" });
+  assert.equal(created.total_amount, "100000.00");
+
+  const found = await api.get(`/reservations/${created.reservation_id}`);
+  assert.equal(found.status, 200);
+  assert.equal(found.body.data.start_time, "08:00:00");
+  assert.equal(found.body.data.end_time, "10:00:00");
+  assert.deepEqual(
+    found.body.data.bookings.map((booking) => [
+      booking.slot_id,
+      booking.start_time,
+      booking.booking_status,
+    ]),
+    [
+      [1, "08:00", "confirmed"],
+      [2, "09:00", "confirmed"],
+    ]
+  );
+  assertError(await api.get("/reservations/99"), 404, "RESERVATION_NOT_FOUND");
+});
+
+test("a reservation is all or nothing", async () => {
+  await reserve({ slot_ids: [2] });
+  const taken = await api.post("/reservations", {
+    court_id: 1,
+    slot_ids: [1, 2, 3],
+    booking_date: DATE,
+    customer_name: "Sari",
+    customer_phone: "081299990000",
+  });
+  assertError(taken, 409, "SLOT_ALREADY_BOOKED");
+  const bookings = (await api.get(`/bookings?date=${DATE}`)).body.data;
+  assert.deepEqual(
+    bookings.map((booking) => booking.customer_name),
+    ["Budi"]
+  );
+
+  assertError(
+    await api.post("/reservations", {
+      court_id: 1,
+      slot_ids: [3, 4],
+      booking_date: DATE,
+      customer_name: "Sari",
+      customer_phone: "081299990000",
+    }),
+    400,
+    "SLOTS_NOT_CONSECUTIVE"
+  );
+  assertError(
+    await api.post("/reservations", {
+      court_id: 1,
+      slot_ids: "1,x",
+      booking_date: DATE,
+      customer_name: "Sari",
+      customer_phone: "081299990000",
+    }),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
+
+test("POST /reservations/:id/reschedule moves every slot", async () => {
+  const { reservation_id } = await reserve();
+  const later = daysFromToday(4);
+  const moved = await api.post(`/reservations/${reservation_id}/reschedule`, {
+    booking_date: later,
+    slot_ids: [2, 3],
+  });
+  assert.equal(moved.status, 200, JSON.stringify(moved.body));
+  assert.equal(moved.body.data.total_amount, "100000.00");
+
+  const found = (await api.get(`/reservations/${reservation_id}`)).body.data;
+  assert.equal(found.booking_date, later);
+  assert.deepEqual(
+    found.bookings.map((booking) => booking.slot_id),
+    [2, 3]
+  );
+
+  assertError(
+    await api.post(`/reservations/${reservation_id}/reschedule`, {
+      slot_ids: [1],
+    }),
+    400,
+    "SLOT_COUNT_MISMATCH"
+  );
+  assertError(
+    await api.post(`/reservations/${reservation_id}/reschedule`, {}),
+    400,
+    "VALIDATION_FAILED"
+  );
+});
+
+test("POST /reservations/:id/cancel cancels every slot", async () => {
+  const { reservation_id } = await reserve();
+  const cancelled = await api.post(`/reservations/${reservation_id}/cancel`);
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.data.cancelled_count, 2);
+
+  const found = (await api.get(`/reservations/${reservation_id}`)).body.data;
+  assert.equal(found.status, "cancelled");
+  assert.deepEqual(
+    found.bookings.map((booking) => booking.booking_status),
+    ["cancelled", "cancelled"]
+  );
+  assertError(
+    await api.post(`/reservations/${reservation_id}/cancel`),
+    409,
+    "RESERVATION_CANCELLED"
+  );
+  // The slots are free again
+  await reserve({ customer_name: "Sari", customer_phone: "081299990000" });
+});
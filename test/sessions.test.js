@@ -0,0 +1,143 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, assertError } = require("./helpers");
+
+let server;
+beforeEach(async () => {
+  server = await startServer();
+});
+afterEach(() => server.close());
+
+test("login opens a session with both cookies", async () => {
+  const client = server.client();
+  const login = await client.login("owner");
+  assert.equal(login.body.data.username, "owner");
+  assert.ok(client.cookies.get("authToken"));
+  assert.ok(client.cookies.get("refreshToken"));
+
+  const sessions = await client.get("/me/sessions");
+  assert.equal(sessions.status, 200);
+  assert.equal(sessions.body.data.length, 1);
+  assert.equal(sessions.body.data[0].session_id, login.body.data.session_id);
+  assert.equal(sessions.body.data[0].current, true);
+  assert.equal(sessions.body.data[0].ip_address, "127.0.0.1");
+});
+
+test("POST /refresh rotates the refresh token", async () => {
+  const client = await server.login();
+  const oldRefresh = client.cookies.get("refreshToken");
+  const oldAccess = client.cookies.get("authToken");
+
+  const refreshed = await client.post("/refresh");
+  assert.equal(refreshed.status, 200, JSON.stringify(refreshed.body));
+  assert.notEqual(client.cookies.get("refreshToken"), oldRefresh);
+  assert.equal((await client.get("/me")).status, 200);
+
+  // Replaying the replaced token ends the session for everyone holding it
+  const thief = server.client();
+  assertError(
+    await thief.post("/refresh", undefined, {
+      Cookie: `refreshToken=${oldRefresh}`,
+    }),
+    401,
+    "SESSION_REVOKED"
+  );
+  assertError(await client.get("/me"), 401, "SESSION_REVOKED");
+  assertError(
+    await thief.get("/me", { Cookie: `authToken=${oldAccess}` }),
+    401,
+    "SESSION_REVOKED"
+  );
+  assertError(await client.post("/refresh"), 401, "SESSION_REVOKED");
+  assert.equal(client.cookies.size, 0);
+
+  assertError(
+    await server.client().post("/refresh", undefined, {
+      Cookie: "refreshToken=unknown",
+    }),
+    401,
+    "REFRESH_TOKEN_INVALID"
+  );
+});
+
+test("logout ends the session server-side", async () => {
+  const client = await server.login();
+  const access = client.cookies.get("authToken");
+  const logout = await client.post("/logout");
+  assert.equal(logout.status, 200);
+  assert.equal(client.cookies.size, 0);
+
+  // A copy of the access token no longer works
+  assertError(
+    await server.client().get("/me", { Cookie: `authToken=${access}` }),
+    401,
+    "SESSION_REVOKED"
+  );
+});
+
+test("sessions can be ended one by one or everywhere", async () => {
+  const laptop = await server.login();
+  const phone = await server.login();
+  const tablet = await server.login();
+
+  const sessions = (await laptop.get("/me/sessions")).body.data;
+  assert.equal(sessions.length, 3);
+  const phoneSession = (await phone.get("/me")).body.data.session_id;
+
+  const revoked = await laptop.delete(`/me/sessions/${phoneSession}`);
+  assert.equal(revoked.status, 200);
+  assertError(await phone.get("/me"), 401, "SESSION_REVOKED");
+  assert.equal((await laptop.get("/me")).status, 200);
+  assertError(
+    await laptop.delete(`/me/sessions/${phoneSession}`),
+    404,
+    "SESSION_NOT_FOUND"
+  );
+
+  // Other admins' sessions are out of reach
+  const cashier = await server.login("cashier");
+  const cashierSession = (await cashier.get("/me")).body.data.session_id;
+  assertError(
+    await laptop.delete(`/me/sessions/${cashierSession}`),
+    404,
+    "SESSION_NOT_FOUND"
+  );
+
+  const everywhere = await laptop.delete("/me/sessions");
+  assert.equal(everywhere.status, 200);
+  assert.equal(everywhere.body.data.revoked, 2);
+  assertError(await laptop.get("/me"), 401, "AUTH_TOKEN_MISSING");
+  assertError(await tablet.get("/me"), 401, "SESSION_REVOKED");
+  assert.equal((await cashier.get("/me")).status, 200);
+});
+
+test("owners can end an admin's sessions; deactivation ends them too", async () => {
+  const owner = await server.login();
+  const cashier = await server.login("cashier");
+
+  const listed = await owner.get("/admins/2/sessions");
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.data.length, 1);
+  assert.equal(listed.body.data[0].current, false);
+  assertError(
+    await cashier.get("/admins/1/sessions"),
+    403,
+    "PERMISSION_DENIED"
+  );
+
+  const ended = await owner.delete("/admins/2/sessions");
+  assert.equal(ended.body.data.revoked, 1);
+  assertError(await cashier.get("/me"), 401, "SESSION_REVOKED");
+
+  const again = await server.login("cashier");
+  await owner.patch("/admins/2", { status: "inactive" });
+  assertError(await again.get("/me"), 401, "SESSION_REVOKED");
+  assertError(await again.post("/refresh"), 401, "SESSION_REVOKED");
+});
+
+test("inactive admins are rejected even with an open session", async () => {
+  const cashier = await server.login("cashier");
+  // Deactivated behind the API's back: the session is still open
+  await server.repos.admins.update(2, { status: "inactive" });
+  assertError(await cashier.get("/me"), 401, "SESSION_REVOKED");
+});
@@ -0,0 +1,184 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+let server;
+beforeEach(async () => {
+  server = await startServer();
+});
+afterEach(() => server.close());
+
+const book = (api, fields) =>
+  api.post("/bookings", {
+    court_id: 1,
+    slot_id: 1,
+    booking_date: daysFromToday(2),
+    customer_name: "Budi",
+    customer_phone: "081234567890",
+    ...fields,
+  });
+
+test("GET /time-slots lists slots by start time", async () => {
+  const api = await server.login("cashier");
+  const response = await api.get("/time-slots");
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.data.map((slot) => slot.start_time),
+    ["08:00:00", "09:00:00", "21:00:00"]
+  );
+});
+
+test("GET /time-slots/:id returns a slot or SLOT_NOT_FOUND", async () => {
+  const api = await server.login();
+  const found = await api.get("/time-slots/2");
+  assert.equal(found.status, 200);
+  assert.equal(found.body.data.slot_name, "Pagi 2");
+  assertError(await api.get("/time-slots/99"), 404, "SLOT_NOT_FOUND");
+});
+
+test("GET /time-slots/available marks booked and closed slots", async () => {
+  const date = daysFromToday(2);
+  await server.close();
+  server = await startServer({
+    closures: [
+      {
+        closure_id: 1,
+        court_id: 1,
+        start_datetime: `${date} 09:00`,
+        end_datetime: `${date} 12:00`,
+        reason: "Perbaikan lantai",
+        created_by: 1,
+      },
+    ],
+  });
+  const api = await server.login();
+  await book(api, { booking_date: date });
+
+  const response = await api.get(
+    `/time-slots/available?court_id=1&booking_date=${date}`
+  );
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.court_id, 1);
+  const slots = response.body.data.slots;
+  // Inactive slots are not offered
+  assert.deepEqual(
+    slots.map((slot) => [slot.slot_id, slot.is_available]),
+    [
+      [1, false],
+      [2, false],
+    ]
+  );
+  assert.equal(slots[0].closure_id, null);
+  assert.equal(slots[1].closure_reason, "Perbaikan lantai");
+
+  // Other courts are unaffected
+  const other = await api.get(
+    `/time-slots/available?court_id=2&booking_date=${date}`
+  );
+  assert.ok(other.body.data.slots.every((slot) => slot.is_available));
+
+  assertError(await api.get("/time-slots/available"), 400, "VALIDATION_FAILED");
+});
+
+test("POST /time-slots creates a slot", async () => {
+  const api = await server.login();
+  const created = await api.post("/time-slots", {
+    start_time: "10:00",
+    end_time: "11:00",
+    slot_name: "Siang",
+  });
+  assert.equal(created.status, 201);
+  const slot = await api.get(`/time-slots/${created.body.data.slot_id}`);
+  assert.equal(slot.body.data.start_time, "10:00:00");
+  assert.equal(slot.body.data.status, "active");
+});
+
+test("POST /time-slots rejects overlaps and reversed times", async () => {
+  const api = await server.login();
+  assertError(
+    await api.post("/time-slots", {
+      start_time: "08:30",
+      end_time: "09:30",
+      slot_name: "Overlap",
+    }),
+    409,
+    "TIME_SLOT_OVERLAP"
+  );
+  assert.equal(
+    (
+      await api.post("/time-slots", {
+        start_time: "12:00",
+        end_time: "11:00",
+        slot_name: "Reversed",
+      })
+    ).status,
+    400
+  );
+  // Inactive slots do not block new ones
+  const reuse = await api.post("/time-slots", {
+    start_time: "21:30",
+    end_time: "22:30",
+    slot_name: "Malam 2",
+  });
+  assert.equal(reuse.status, 201);
+});
+
+test("PUT /time-slots/:id updates a slot", async () => {
+  const api = await server.login();
+  const renamed = await api.put("/time-slots/2", { slot_name: "Pagi Akhir" });
+  assert.equal(renamed.status, 200);
+  const moved = await api.put("/time-slots/2", {
+    start_time: "10:00",
+    end_time: "11:00",
+  });
+  assert.equal(moved.status, 200);
+
+  const slot = (await api.get("/time-slots/2")).body.data;
+  assert.equal(slot.slot_name, "Pagi Akhir");
+  assert.equal(slot.start_time, "10:00:00");
+
+  assertError(
+    await api.put("/time-slots/2", { start_time: "08:30", end_time: "09:30" }),
+    409,
+    "TIME_SLOT_OVERLAP"
+  );
+  assertError(
+    await api.put("/time-slots/99", { slot_name: "x" }),
+    404,
+    "SLOT_NOT_FOUND"
+  );
+});
+
+test("PUT /time-slots/:id keeps slots with future bookings", async () => {
+  const api = await server.login();
+  await book(api);
+  assertError(
+    await api.put("/time-slots/1", { status: "inactive" }),
+    409,
+    "SLOT_HAS_BOOKINGS"
+  );
+  // Renaming is still allowed
+  const renamed = await api.put("/time-slots/1", { slot_name: "Subuh" });
+  assert.equal(renamed.status, 200);
+});
+
+test("DELETE /time-slots/:id refuses slots with any booking", async () => {
+  const api = await server.login();
+  const booking = await book(api);
+  await api.post(`/bookings/${booking.body.data.booking_id}/cancel`);
+  assertError(await api.delete("/time-slots/1"), 409, "SLOT_HAS_BOOKINGS");
+
+  const deleted = await api.delete("/time-slots/2");
+  assert.equal(deleted.status, 200);
+  assertError(await api.delete("/time-slots/2"), 404, "SLOT_NOT_FOUND");
+});
+
+test("time slot changes need time-slots permissions", async () => {
+  const api = await server.login("cashier");
+  assertError(
+    await api.put("/time-slots/1", { slot_name: "x" }),
+    403,
+    "PERMISSION_DENIED"
+  );
+  assertError(await api.delete("/time-slots/1"), 403, "PERMISSION_DENIED");
+});
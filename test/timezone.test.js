@@ -0,0 +1,34 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const { today } = require("../utils/dateRange");
+
+// Between them, one of these zones is on a different date than UTC at any
+// hour of the day
+const ZONES = ["Pacific/Pago_Pago", "Pacific/Kiritimati"];
+const originalTz = process.env.TZ;
+
+let server;
+afterEach(async () => {
+  if (originalTz === undefined) delete process.env.TZ;
+  else process.env.TZ = originalTz;
+  if (server) await server.close();
+  server = null;
+});
+
+const dateIn = (timeZone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone }).format(new Date());
+
+for (const zone of ZONES) {
+  test(`"today" defaults follow the local date in ${zone}`, async () => {
+    process.env.TZ = zone;
+    assert.equal(today(), dateIn(zone));
+
+    server = await startServer();
+    const api = await server.login("cashier");
+    const grid = await api.get("/availability");
+    assert.equal(grid.body.meta.start_date, dateIn(zone));
+    const slots = await api.get("/time-slots/available?court_id=1");
+    assert.equal(slots.body.data.booking_date, dateIn(zone));
+  });
+}
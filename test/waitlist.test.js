@@ -0,0 +1,143 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, daysFromToday, assertError } = require("./helpers");
+
+const DATE = daysFromToday(2);
+
+let server;
+let api;
+beforeEach(async () => {
+  server = await startServer({
+    bookings: [
+      {
+        booking_id: 1,
+        court_id: 1,
+        slot_id: 1,
+        booking_date: DATE,
+        customer_name: "Budi",
+        customer_phone: "+6281234567890",
+        total_amount: 50000,
+        created_by: 1,
+      },
+    ],
+  });
+  api = await server.login("cashier");
+});
+afterEach(() => server.close());
+
+async function join(customer_name, customer_phone, fields) {
+  const response = await api.post("/waitlist", {
+    court_id: 1,
+    slot_id: 1,
+    booking_date: DATE,
+    customer_name,
+    customer_phone,
+    ...fields,
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  return response.body.data;
+}
+
+test("POST /waitlist queues customers for a taken slot", async () => {
+  const first = await join("Sari", "081299990000");
+  const second = await join("Andi", "081277770000");
+  assert.equal(first.position, 1);
+  assert.equal(second.position, 2);
+
+  assertError(
+    await api.post("/waitlist", {
+      court_id: 1,
+      slot_id: 1,
+      booking_date: DATE,
+      customer_name: "Sari",
+      customer_phone: "0812 9999 0000",
+    }),
+    409,
+    "ALREADY_ON_WAITLIST"
+  );
+  assertError(
+    await api.post("/waitlist", {
+      court_id: 1,
+      slot_id: 2,
+      booking_date: DATE,
+      customer_name: "Sari",
+      customer_phone: "081299990000",
+    }),
+    409,
+    "SLOT_STILL_AVAILABLE"
+  );
+
+  const listed = await api.get(`/waitlist?booking_date=${DATE}&status=waiting`);
+  assert.deepEqual(
+    listed.body.data.map((entry) => [entry.customer_name, entry.position]),
+    [
+      ["Sari", 1],
+      ["Andi", 2],
+    ]
+  );
+  assertError(await api.get("/waitlist/99"), 404, "WAITLIST_ENTRY_NOT_FOUND");
+});
+
+test("a cancelled booking is offered to the first in line", async () => {
+  const first = await join("Sari", "081299990000", { offer_minutes: 15 });
+  const second = await join("Andi", "081277770000");
+  assertError(
+    await api.post(`/waitlist/${first.waitlist_id}/accept`),
+    409,
+    "NO_ACTIVE_OFFER"
+  );
+
+  await api.post("/bookings/1/cancel", { reason: "Sick" });
+  const offered = (await api.get(`/waitlist/${first.waitlist_id}`)).body.data;
+  assert.equal(offered.status, "offered");
+  assert.equal(offered.offered_court_name, "Court A");
+  const minutes =
+    (new Date(offered.offer_expires_at) - new Date(offered.offered_at)) / 60000;
+  assert.equal(Math.round(minutes), 15);
+
+  const accepted = await api.post(`/waitlist/${first.waitlist_id}/accept`);
+  assert.equal(accepted.status, 201, JSON.stringify(accepted.body));
+  const booking = (await api.get(`/bookings/${accepted.body.data.booking_id}`))
+    .body.data;
+  assert.equal(booking.customer_name, "Sari");
+  assert.equal(booking.booking_date, DATE);
+
+  const entry = (await api.get(`/waitlist/${first.waitlist_id}`)).body.data;
+  assert.equal(entry.status, "booked");
+  assert.equal(entry.booking_id, booking.booking_id);
+  assert.equal(
+    (await api.get(`/waitlist/${second.waitlist_id}`)).body.data.status,
+    "waiting"
+  );
+});
+
+test("declining or withdrawing an offer passes it on", async () => {
+  const first = await join("Sari", "081299990000");
+  const second = await join("Andi", "081277770000");
+  const third = await join("Dewi", "081255550000");
+  await api.post("/bookings/1/cancel", { reason: "Sick" });
+
+  const declined = await api.post(`/waitlist/${first.waitlist_id}/decline`);
+  assert.equal(declined.status, 200);
+  assert.equal(
+    (await api.get(`/waitlist/${second.waitlist_id}`)).body.data.status,
+    "offered"
+  );
+
+  const cancelled = await api.delete(`/waitlist/${second.waitlist_id}`);
+  assert.equal(cancelled.status, 200);
+  assert.equal(
+    (await api.get(`/waitlist/${third.waitlist_id}`)).body.data.status,
+    "offered"
+  );
+  assertError(
+    await api.delete(`/waitlist/${first.waitlist_id}`),
+    409,
+    "WAITLIST_ENTRY_CLOSED"
+  );
+  assertError(
+    await api.post(`/waitlist/${first.waitlist_id}/decline`),
+    409,
+    "NO_ACTIVE_OFFER"
+  );
+});
@@ -0,0 +1,48 @@
+// API keys (see migration 0006): "bk_" followed by 32 random characters,
+// sent as "Authorization: Bearer <key>". Only the SHA-256 hash is stored,
+// with the first characters (key_prefix) to tell keys apart in listings.
+
+const crypto = require("crypto");
+
+const KEY_PREFIX = "bk_";
+const SHOWN_LENGTH = KEY_PREFIX.length + 8;
+
+const newApiKey = () =>
+  KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+
+// Bearer tokens are either API keys or access tokens (JWTs)
+const isApiKey = (token) => token.startsWith(KEY_PREFIX);
+
+const keyPrefix = (key) => key.slice(0, SHOWN_LENGTH);
+
+function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+// Token of an "Authorization: Bearer <token>" header, or null
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return match ? match[1] : null;
+}
+
+// req.user for a request made with a key: its admin, limited to its scopes
+const apiKeyUser = (key) => ({
+  admin_id: key.admin_id,
+  username: key.username,
+  full_name: key.full_name,
+  email: key.email,
+  role: key.role,
+  locale: key.locale || null,
+  session_id: null,
+  api_key: { key_id: key.key_id, name: key.key_name, prefix: key.key_prefix },
+  scopes: key.scopes,
+});
+
+module.exports = {
+  newApiKey,
+  isApiKey,
+  keyPrefix,
+  hashApiKey,
+  bearerToken,
+  apiKeyUser,
+};
@@ -0,0 +1,32 @@
+// Shape booking_audit_log rows for API responses
+
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "string") {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return null;
+    }
+  }
+  return value;
+}
+
+// Adds `changes`: { field: { from, to } } for every field that differs
+function formatAuditEntry(row) {
+  const oldValues = parseJson(row.old_values);
+  const newValues = parseJson(row.new_values);
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(oldValues || {}),
+    ...Object.keys(newValues || {}),
+  ]);
+  for (const field of fields) {
+    const from = oldValues ? oldValues[field] ?? null : null;
+    const to = newValues ? newValues[field] ?? null : null;
+    if (String(from) !== String(to)) changes[field] = { from, to };
+  }
+  return { ...row, old_values: oldValues, new_values: newValues, changes };
+}
+
+module.exports = { formatAuditEntry };
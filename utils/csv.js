@@ -0,0 +1,31 @@
+// Minimal CSV serialisation for report endpoints (RFC 4180 quoting)
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// rows: array of plain objects. Columns default to the keys of the first row.
+function toCsv(rows, columns) {
+  const cols = columns || (rows.length > 0 ? Object.keys(rows[0]) : []);
+  const lines = [cols.map(escapeCell).join(",")];
+  for (const row of rows) {
+    lines.push(cols.map((col) => escapeCell(row[col])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Send rows as a CSV attachment
+function sendCsv(res, filename, rows, columns) {
+  res
+    .status(200)
+    .set("Content-Type", "text/csv; charset=utf-8")
+    .set("Content-Disposition", `attachment; filename="${filename}"`)
+    .send(toCsv(rows, columns));
+}
+
+module.exports = { toCsv, sendCsv };
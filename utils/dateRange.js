@@ -0,0 +1,92 @@
+// Helpers for validating YYYY-MM-DD query params and date ranges
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// True when value is a real calendar date in YYYY-MM-DD format
+function isValidDate(value) {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+const DATETIME_PATTERN =
+  /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// "YYYY-MM-DD HH:MM[:SS]" (or with "T") -> "YYYY-MM-DD HH:MM:SS", null when invalid
+function parseDateTime(value) {
+  const match = DATETIME_PATTERN.exec(typeof value === "string" ? value : "");
+  if (!match || !isValidDate(match[1])) return null;
+  const [, date, hours, minutes, seconds = "00"] = match;
+  if (hours > "23" || minutes > "59" || seconds > "59") return null;
+  return `${date} ${hours}:${minutes}:${seconds}`;
+}
+
+// Local YYYY-MM-DD, like CURDATE() (toISOString() would give the UTC date)
+function localDate(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+const today = () => localDate();
+
+function addDays(value, days) {
+  const date = new Date(`${value}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Whole days between two YYYY-MM-DD strings (end - start)
+function diffDays(start, end) {
+  const ms =
+    new Date(`${end}T00:00:00Z`).getTime() -
+    new Date(`${start}T00:00:00Z`).getTime();
+  return Math.round(ms / (24 * 60 * 60 * 1000));
+}
+
+// Parse start_date / end_date from a query object.
+// Returns { start_date, end_date } or { error, params } with a message
+// catalogue key (see utils/i18n.js).
+// Options: required (both dates must be present), maxDays (inclusive span limit),
+// defaults ({ start_date, end_date } used when a param is missing).
+function parseDateRange(query, options = {}) {
+  const { required = false, maxDays = null, defaults = {} } = options;
+  const start_date = query.start_date || defaults.start_date || null;
+  const end_date = query.end_date || defaults.end_date || null;
+
+  if (required && (!start_date || !end_date)) {
+    return {
+      error: "common.required",
+      params: { fields: "start_date, end_date" },
+    };
+  }
+  if (start_date && !isValidDate(start_date)) {
+    return { error: "common.invalidDate", params: { field: "start_date" } };
+  }
+  if (end_date && !isValidDate(end_date)) {
+    return { error: "common.invalidDate", params: { field: "end_date" } };
+  }
+  if (start_date && end_date && start_date > end_date) {
+    return {
+      error: "common.dateOrder",
+      params: { start: "start_date", end: "end_date" },
+    };
+  }
+  if (maxDays && start_date && end_date) {
+    if (diffDays(start_date, end_date) + 1 > maxDays) {
+      return { error: "common.rangeTooLong", params: { days: maxDays } };
+    }
+  }
+  return { start_date, end_date };
+}
+
+module.exports = {
+  isValidDate,
+  parseDateTime,
+  localDate,
+  today,
+  addDays,
+  diffDays,
+  parseDateRange,
+};
@@ -0,0 +1,218 @@
+// Central error mapping: every error response carries a stable, machine
+// readable `code` next to the human readable message.
+//   { success: false, code: "SLOT_ALREADY_BOOKED", message: "..." }
+// Messages of known codes come from the `errors` section of the message
+// catalogue (locales/*.js) in the caller's language.
+
+const { t, hasMessage } = require("./i18n");
+
+// HTTP status of every domain error code. Stored procedures report these
+// codes either through a SIGNAL (MYSQL_ERRNO, see SIGNAL_ERRORS) or in the
+// `code` column of a { status: 'error' } result row.
+const ERROR_STATUS = {
+  // Authentication
+  API_KEY_INVALID: 401,
+  AUTH_TOKEN_INVALID: 401,
+  AUTH_TOKEN_MISSING: 401,
+  INVALID_CREDENTIALS: 401,
+  REFRESH_TOKEN_INVALID: 401,
+  SESSION_REVOKED: 401,
+  API_KEY_NOT_ALLOWED: 403,
+  API_KEY_SCOPE_MISSING: 403,
+  PERMISSION_DENIED: 403,
+  // Too many requests
+  ACCOUNT_LOCKED: 429,
+  LOGIN_THROTTLED: 429,
+  RATE_LIMITED: 429,
+  // Not found
+  ADMIN_NOT_FOUND: 404,
+  API_KEY_NOT_FOUND: 404,
+  BOOKING_NOT_FOUND: 404,
+  CALENDAR_FEED_NOT_FOUND: 404,
+  CLOSURE_NOT_FOUND: 404,
+  COURT_NOT_FOUND: 404,
+  CUSTOMER_NOT_FOUND: 404,
+  HOLD_NOT_FOUND: 404,
+  HOLIDAY_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  NOTIFICATION_NOT_FOUND: 404,
+  PRICING_RULE_NOT_FOUND: 404,
+  RESERVATION_NOT_FOUND: 404,
+  SERIES_NOT_FOUND: 404,
+  SESSION_NOT_FOUND: 404,
+  SLOT_NOT_FOUND: 404,
+  WAITLIST_ENTRY_NOT_FOUND: 404,
+  // Conflicts with the current state
+  ADMIN_ALREADY_EXISTS: 409,
+  ALREADY_ON_WAITLIST: 409,
+  BOOKING_CANCELLED: 409,
+  BOOKING_HAS_PAYMENTS: 409,
+  CANCELLATION_CLOSED: 409,
+  COURT_CLOSED: 409,
+  COURT_HAS_BOOKINGS: 409,
+  CUSTOMER_PHONE_TAKEN: 409,
+  DUPLICATE_ENTRY: 409,
+  EMAIL_TAKEN: 409,
+  HOLD_EXPIRED: 409,
+  JOB_ALREADY_RUNNING: 409,
+  LAST_ACTIVE_OWNER: 409,
+  NO_ACTIVE_OFFER: 409,
+  NO_SERIES_DATES_AVAILABLE: 409,
+  NOTIFICATION_NOT_FAILED: 409,
+  PUBLIC_BOOKING_LIMIT: 409,
+  RESERVATION_CANCELLED: 409,
+  SLOT_ALREADY_BOOKED: 409,
+  SLOT_HAS_BOOKINGS: 409,
+  SLOT_HELD: 409,
+  SLOT_STILL_AVAILABLE: 409,
+  TIME_SLOT_OVERLAP: 409,
+  WAITLIST_ENTRY_CLOSED: 409,
+  // Rejected input
+  BOOKING_DATE_IN_PAST: 400,
+  BOOKING_TOO_FAR_AHEAD: 400,
+  COURT_INACTIVE: 400,
+  CUSTOMER_MERGE_INTO_SELF: 400,
+  CUSTOMER_NAME_REQUIRED: 400,
+  INVALID_PAYMENT_AMOUNT: 400,
+  INVALID_TIME_RANGE: 400,
+  PAYMENT_EXCEEDS_BALANCE: 400,
+  REFUND_EXCEEDS_PAID: 400,
+  SLOT_COUNT_MISMATCH: 400,
+  SLOT_INACTIVE: 400,
+  SLOTS_NOT_CONSECUTIVE: 400,
+};
+
+// SIGNAL MYSQL_ERRNO -> code (listed in the BUSINESS RULE ERRORS block of
+// the SQL script; 45017 comes from migration 0008)
+const SIGNAL_ERRORS = {
+  45001: "SLOT_ALREADY_BOOKED",
+  45002: "COURT_INACTIVE",
+  45003: "COURT_CLOSED",
+  45004: "BOOKING_DATE_IN_PAST",
+  45005: "SLOT_INACTIVE",
+  45006: "SLOT_NOT_FOUND",
+  45007: "SLOTS_NOT_CONSECUTIVE",
+  45008: "SLOT_COUNT_MISMATCH",
+  45009: "TIME_SLOT_OVERLAP",
+  45010: "INVALID_TIME_RANGE",
+  45011: "NO_SERIES_DATES_AVAILABLE",
+  45012: "INVALID_PAYMENT_AMOUNT",
+  45013: "BOOKING_CANCELLED",
+  45014: "PAYMENT_EXCEEDS_BALANCE",
+  45015: "REFUND_EXCEEDS_PAID",
+  45016: "CUSTOMER_NAME_REQUIRED",
+  45017: "SLOT_HELD",
+};
+
+// Business rule failure raised by a repository (see repositories/), e.g.
+// throw new DomainError("SLOT_ALREADY_BOOKED", "Slot sudah dibooking")
+class DomainError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = "DomainError";
+    this.code = code;
+  }
+}
+
+// MySQL errors that are the client's fault rather than the server's
+const MYSQL_ERRORS = {
+  ER_DUP_ENTRY: { statusCode: 409, code: "DUPLICATE_ENTRY" },
+  ER_NO_REFERENCED_ROW: {
+    statusCode: 400,
+    code: "REFERENCED_RECORD_NOT_FOUND",
+  },
+  ER_NO_REFERENCED_ROW_2: {
+    statusCode: 400,
+    code: "REFERENCED_RECORD_NOT_FOUND",
+  },
+  ER_ROW_IS_REFERENCED: { statusCode: 409, code: "RECORD_IN_USE" },
+  ER_ROW_IS_REFERENCED_2: { statusCode: 409, code: "RECORD_IN_USE" },
+};
+
+// Code used when a response only states its HTTP status
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+};
+
+function defaultCode(statusCode) {
+  return (
+    STATUS_CODES[statusCode] ||
+    (statusCode < 500 ? "BAD_REQUEST" : "INTERNAL_ERROR")
+  );
+}
+
+// Helper to standardize error responses
+function sendError(res, statusCode, message, code = defaultCode(statusCode)) {
+  return res.status(statusCode).json({ success: false, code, message });
+}
+
+// Catalogue message of a code, or `message` when the code has none
+function localizedMessage(res, code, message, params) {
+  const key = `errors.${code}`;
+  return hasMessage(key) ? t(res.req, key, params) : message;
+}
+
+// Respond with a domain error code: status from ERROR_STATUS, message from
+// the catalogue, e.g. sendCodedError(res, "COURT_NOT_FOUND")
+function sendCodedError(res, code, params) {
+  return sendError(
+    res,
+    ERROR_STATUS[code] || 400,
+    localizedMessage(res, code, code, params),
+    code
+  );
+}
+
+// Classify a thrown error -> { statusCode, code, message }
+function mapError(error, fallbackMessage) {
+  if (error instanceof DomainError) {
+    return {
+      statusCode: ERROR_STATUS[error.code] || 400,
+      code: error.code,
+      message: error.message,
+    };
+  }
+  if (MYSQL_ERRORS[error.code]) {
+    return { ...MYSQL_ERRORS[error.code], message: error.message };
+  }
+  // Unhandled user-defined exception from a procedure or trigger
+  if (error.sqlState === "45000") {
+    const code = SIGNAL_ERRORS[error.errno] || "BUSINESS_RULE_VIOLATION";
+    return {
+      statusCode: ERROR_STATUS[code] || 400,
+      code,
+      message: error.message,
+    };
+  }
+  return {
+    statusCode: 500,
+    code: "INTERNAL_ERROR",
+    message: error.message || fallbackMessage,
+  };
+}
+
+// catch-block handler shared by all controllers; fallbackKey is a catalogue
+// key used when an unexpected error carries no message of its own
+function handleError(res, error, fallbackKey) {
+  const { statusCode, code, message } = mapError(
+    error,
+    t(res.req, fallbackKey)
+  );
+  return sendError(res, statusCode, localizedMessage(res, code, message), code);
+}
+
+module.exports = {
+  ERROR_STATUS,
+  SIGNAL_ERRORS,
+  DomainError,
+  sendError,
+  sendCodedError,
+  mapError,
+  handleError,
+};
@@ -0,0 +1,83 @@
+// Message catalogue lookup for API responses.
+// The locale is the admin's saved preference, else the best Accept-Language
+// match, else DEFAULT_LOCALE. Keys are dotted paths into locales/<locale>.js
+// and may use {name} placeholders: t(req, "common.required", { fields }).
+
+const catalogues = {
+  id: require("../locales/id"),
+  en: require("../locales/en"),
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogues);
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE)
+  ? process.env.DEFAULT_LOCALE
+  : "id";
+
+// "en-US,en;q=0.9,id;q=0.8" -> best supported locale or null
+function negotiateLocale(header) {
+  if (!header) return null;
+  const ranges = header
+    .split(",")
+    .map((part) => {
+      const [tag, ...attributes] = part.trim().split(";");
+      const q = attributes
+        .map((attribute) => attribute.trim().match(/^q=([\d.]+)$/))
+        .find(Boolean);
+      return {
+        language: tag.trim().toLowerCase().split("-")[0],
+        quality: q ? Number(q[1]) : 1,
+      };
+    })
+    .filter(({ quality }) => quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+  const match = ranges.find(({ language }) =>
+    SUPPORTED_LOCALES.includes(language)
+  );
+  return match ? match.language : null;
+}
+
+function resolveLocale(req) {
+  if (!req) return DEFAULT_LOCALE;
+  if (req.user && SUPPORTED_LOCALES.includes(req.user.locale)) {
+    return req.user.locale;
+  }
+  return (
+    negotiateLocale(req.get && req.get("Accept-Language")) || DEFAULT_LOCALE
+  );
+}
+
+function lookup(locale, key) {
+  const value = key
+    .split(".")
+    .reduce(
+      (node, part) => (node == null ? node : node[part]),
+      catalogues[locale]
+    );
+  return typeof value === "string" ? value : null;
+}
+
+function hasMessage(key) {
+  return lookup(DEFAULT_LOCALE, key) !== null;
+}
+
+// Missing keys fall back to the default locale, then to the key itself
+function translate(locale, key, params = {}) {
+  const message = lookup(locale, key) ?? lookup(DEFAULT_LOCALE, key) ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name])
+  );
+}
+
+function t(req, key, params) {
+  return translate(resolveLocale(req), key, params);
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  negotiateLocale,
+  resolveLocale,
+  hasMessage,
+  translate,
+  t,
+};
@@ -0,0 +1,119 @@
+// Minimal iCalendar (RFC 5545) serialisation for booking feeds
+
+const PRODUCT_ID = "-//Badminton Court Management//Bookings//ID";
+// Slot times are venue-local, tagged with TZID and defined by the calendar's
+// VTIMEZONE (clients need not know the IANA zone)
+const TIMEZONE = process.env.CALENDAR_TIMEZONE || "Asia/Jakarta";
+
+// Current UTC offset of the venue zone as +HHMM. The VTIMEZONE has a single
+// STANDARD rule, so a zone with daylight saving time is not supported
+function utcOffset(timeZone) {
+  const name = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    timeZoneName: "longOffset",
+  })
+    .formatToParts(new Date())
+    .find((part) => part.type === "timeZoneName").value;
+  const match = /([+-])(\d{2}):(\d{2})/.exec(name);
+  return match ? `${match[1]}${match[2]}${match[3]}` : "+0000";
+}
+
+const OFFSET = utcOffset(TIMEZONE);
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// VTIMEZONE lines for TIMEZONE: a fixed offset since 1970
+function timezoneComponent() {
+  return [
+    "BEGIN:VTIMEZONE",
+    `TZID:${TIMEZONE}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    `TZOFFSETFROM:${OFFSET}`,
+    `TZOFFSETTO:${OFFSET}`,
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ];
+}
+
+// Booking row from sp_get_calendar_bookings -> VEVENT lines
+function bookingEvent(row) {
+  const summary = `Badminton - ${row.court_name} (${row.customer_name})`;
+  const description = [
+    `Booking #${row.booking_id}`,
+    `Slot: ${row.slot_name}`,
+    `Payment: ${row.payment_status}`,
+    row.notes ? `Notes: ${row.notes}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  return [
+    "BEGIN:VEVENT",
+    `UID:booking-${row.booking_id}@badminton-court`,
+    `DTSTAMP:${row.dtstamp}`,
+    `SEQUENCE:${Math.max(0, row.sequence || 0)}`,
+    `DTSTART;TZID=${TIMEZONE}:${row.dtstart}`,
+    `DTEND;TZID=${TIMEZONE}:${row.dtend}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `LOCATION:${escapeText(row.court_name)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${row.booking_status === "cancelled" ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ];
+}
+
+// name: calendar display name, rows: booking rows
+function toICalendar(name, rows) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...timezoneComponent(),
+    ...rows.flatMap(bookingEvent),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Send an .ics response; attachment = download instead of a subscribable feed
+function sendICalendar(res, filename, name, rows, { attachment = false } = {}) {
+  res
+    .status(200)
+    .set("Content-Type", "text/calendar; charset=utf-8")
+    .set(
+      "Content-Disposition",
+      `${attachment ? "attachment" : "inline"}; filename="${filename}"`
+    )
+    .send(toICalendar(name, rows));
+}
+
+module.exports = { toICalendar, sendICalendar };
@@ -0,0 +1,188 @@
+const { version } = require("../package.json");
+
+// Builds an OpenAPI 3.1 document from the mounted routers.
+// Routes describe themselves: validate(schema) middlewares carry the request
+// schema and auth() middlewares carry the required permissions, so the
+// document cannot drift from what the API actually enforces.
+
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+const errorSchema = {
+  type: "object",
+  properties: {
+    success: { type: "boolean", const: false },
+    code: { type: "string", example: "SLOT_ALREADY_BOOKED" },
+    message: { type: "string" },
+  },
+};
+
+const validationErrorSchema = {
+  type: "object",
+  properties: {
+    ...errorSchema.properties,
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string", example: "body.court_id" },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+function errorResponse(description, schema = "Error") {
+  return {
+    description,
+    content: {
+      "application/json": {
+        schema: { $ref: `#/components/schemas/${schema}` },
+      },
+    },
+  };
+}
+
+// "/courts" + "/:id" -> "/courts/{id}"
+function toOpenApiPath(mountPath, routePath) {
+  const joined = `${mountPath}/${routePath}`.replace(/\/+/g, "/");
+  const trimmed = joined.length > 1 ? joined.replace(/\/$/, "") : joined;
+  return trimmed.replace(/:(\w+)/g, "{$1}");
+}
+
+function toParameters(location, schema) {
+  if (!schema || !schema.properties) return [];
+  const required = schema.required || [];
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...rest } = property;
+    return {
+      name,
+      in: location,
+      required: location === "path" || required.includes(name),
+      ...(description && { description }),
+      schema: rest,
+    };
+  });
+}
+
+function buildOperation({ tag, handlers, authenticated, permissions }) {
+  const handler = handlers[handlers.length - 1];
+  const schema = handlers.find((h) => h.schema)?.schema || {};
+  const required = [
+    ...permissions,
+    ...handlers.flatMap((h) => h.permissions || []),
+  ];
+  const secured = authenticated || handlers.some((h) => h.permissions);
+
+  const operation = {
+    tags: [tag],
+    operationId: handler.name || undefined,
+    summary: schema.summary,
+    parameters: [
+      ...toParameters("path", schema.params),
+      ...toParameters("query", schema.query),
+    ],
+    responses: { 200: { description: "Success" } },
+  };
+  if (required.length > 0) {
+    operation.description = `Requires permission: ${[...new Set(required)].join(
+      ", "
+    )}`;
+  }
+  if (schema.body) {
+    operation.requestBody = {
+      required: (schema.body.required || []).length > 0,
+      content: { "application/json": { schema: schema.body } },
+    };
+  }
+  if (schema.params || schema.query || schema.body) {
+    operation.responses[400] = errorResponse(
+      "Validation failed",
+      "ValidationError"
+    );
+  }
+  if (secured) {
+    // auth({ apiKeys: false }) routes need a login session
+    const sessionOnly = handlers.some((h) => h.apiKeys === false);
+    operation.security = sessionOnly
+      ? [{ cookieAuth: [] }]
+      : [{ cookieAuth: [] }, { bearerAuth: [] }];
+    operation.responses[401] = errorResponse("Missing or invalid auth token");
+  }
+  if (required.length > 0) {
+    operation.responses[403] = errorResponse("Missing permission");
+  }
+  const limit = handlers.find((h) => h.rateLimit)?.rateLimit;
+  if (limit) {
+    operation.responses[429] = errorResponse(
+      `More than ${limit.max} requests per ${limit.windowMinutes} min from one IP`
+    );
+  }
+  return operation;
+}
+
+// mounts: [{ path, router, tag, authenticated }] in the order app.js mounts them
+function buildOpenApiSpec(mounts) {
+  const paths = {};
+  const operationIds = new Set();
+
+  for (const { path: mountPath, router, tag, authenticated } of mounts) {
+    // router.use(auth(...)) applies to every route registered after it
+    const permissions = [];
+    let routerAuthenticated = authenticated;
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        if (layer.handle.permissions) {
+          routerAuthenticated = true;
+          permissions.push(...layer.handle.permissions);
+        }
+        continue;
+      }
+      const path = toOpenApiPath(mountPath, layer.route.path);
+      const handlers = layer.route.stack.map((l) => l.handle);
+      for (const method of METHODS) {
+        if (!layer.route.methods[method]) continue;
+        const operation = buildOperation({
+          tag,
+          handlers,
+          authenticated: routerAuthenticated,
+          permissions: [...permissions],
+        });
+        // One handler may serve several routes (e.g. GET and POST preview)
+        if (operationIds.has(operation.operationId)) {
+          operation.operationId += `_${method}`;
+        }
+        operationIds.add(operation.operationId);
+        paths[path] = { ...paths[path], [method]: operation };
+      }
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Badminton Booking System API",
+      version,
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        cookieAuth: { type: "apiKey", in: "cookie", name: "authToken" },
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description:
+            "API key (bk_..., POST /me/api-keys), limited to its scopes, or an access token",
+        },
+      },
+      schemas: {
+        Error: errorSchema,
+        ValidationError: validationErrorSchema,
+      },
+    },
+  };
+}
+
+module.exports = { buildOpenApiSpec };
@@ -0,0 +1,82 @@
+// Password hashing with scrypt (Node built-in).
+// Stored format: scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+// Legacy MD5 hex digests are still accepted so they can be upgraded on login.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const LEGACY_MD5_PATTERN = /^[a-f0-9]{32}$/i;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return [
+    "scrypt",
+    N,
+    r,
+    p,
+    salt.toString("base64"),
+    key.toString("base64"),
+  ].join("$");
+}
+
+function isLegacyHash(stored) {
+  return LEGACY_MD5_PATTERN.test(stored || "");
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Returns { valid, needsRehash }. needsRehash is true for legacy MD5 hashes
+// and for scrypt hashes created with weaker parameters than SCRYPT_PARAMS.
+async function verifyPassword(password, stored) {
+  if (!stored) return { valid: false, needsRehash: false };
+
+  if (isLegacyHash(stored)) {
+    const md5 = crypto.createHash("md5").update(password).digest();
+    return {
+      valid: safeEqual(md5, Buffer.from(stored, "hex")),
+      needsRehash: true,
+    };
+  }
+
+  const parts = stored.split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") {
+    return { valid: false, needsRehash: false };
+  }
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(
+    password,
+    Buffer.from(salt, "base64"),
+    expected.length,
+    {
+      N: parseInt(N),
+      r: parseInt(r),
+      p: parseInt(p),
+    }
+  );
+  return {
+    valid: safeEqual(key, expected),
+    needsRehash:
+      parseInt(N) < SCRYPT_PARAMS.N ||
+      parseInt(r) < SCRYPT_PARAMS.r ||
+      parseInt(p) < SCRYPT_PARAMS.p,
+  };
+}
+
+// Burn roughly the same time as a real verification (unknown usernames)
+async function dummyVerify(password) {
+  await scrypt(password, "dummy-salt-value", KEY_LENGTH, SCRYPT_PARAMS);
+  return { valid: false, needsRehash: false };
+}
+
+module.exports = { hashPassword, verifyPassword, isLegacyHash, dummyVerify };
@@ -0,0 +1,40 @@
+// Phone number normalisation (Indonesian numbers by default).
+// "0812-3456-7890", "62 812 3456 7890", "+62812..." and "812..." all become
+// "+6281234567890". Numbers with another country code keep it ("+65...").
+
+const INDONESIA_CODE = "62";
+
+// Returns the normalised number, or null when it cannot be a phone number
+function normalizePhone(input) {
+  if (input === undefined || input === null) return null;
+  const raw = String(input).trim();
+  if (!raw) return null;
+  const hasPlus = raw.startsWith("+");
+  let digits = raw.replace(/[\s().\-/]/g, "").replace(/^\+/, "");
+  if (!/^\d+$/.test(digits)) return null;
+
+  if (hasPlus) {
+    // International format: keep the country code as given
+  } else if (digits.startsWith("00")) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith("0")) {
+    digits = INDONESIA_CODE + digits.slice(1);
+  } else if (digits.startsWith("8")) {
+    digits = INDONESIA_CODE + digits;
+  }
+
+  if (digits.startsWith(INDONESIA_CODE)) {
+    // Indonesian numbers: 62 + 8-13 digits (mobile numbers start with 8)
+    if (!/^62\d{8,13}$/.test(digits)) return null;
+  } else if (!/^[1-9]\d{7,14}$/.test(digits)) {
+    return null;
+  }
+  return `+${digits}`;
+}
+
+// True when a search term looks like (part of) a phone number
+function looksLikePhone(input) {
+  return /^[+\d][\d\s().\-/]{3,}$/.test(String(input || "").trim());
+}
+
+module.exports = { normalizePhone, looksLikePhone };
@@ -0,0 +1,73 @@
+// Tokens of login sessions (see migration 0004):
+//   authToken    - JWT naming the session, valid for accessTokenMinutes
+//   refreshToken - random token that renews the access token (POST /refresh)
+//                  and is replaced on every use; stored as its SHA-256 hash
+// Both travel in httpOnly cookies.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../config/sessions");
+
+const sessionMinutes = () => config.sessionDays * 24 * 60;
+
+const cookieOptions = (maxAgeMinutes) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production", // set true behind HTTPS
+  sameSite: "lax",
+  maxAge: maxAgeMinutes * 60 * 1000,
+  path: "/",
+});
+
+const newRefreshToken = () => crypto.randomBytes(32).toString("base64url");
+
+function hashRefreshToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function signAccessToken(session) {
+  return jwt.sign(
+    { sid: session.session_id, admin_id: session.admin_id },
+    config.jwtSecret,
+    { expiresIn: config.accessTokenMinutes * 60 }
+  );
+}
+
+// { sid, admin_id }; throws when the token is invalid or expired
+const verifyAccessToken = (token) => jwt.verify(token, config.jwtSecret);
+
+function setSessionCookies(res, session, refreshToken) {
+  return res
+    .cookie(
+      "authToken",
+      signAccessToken(session),
+      cookieOptions(config.accessTokenMinutes)
+    )
+    .cookie("refreshToken", refreshToken, cookieOptions(sessionMinutes()));
+}
+
+function clearSessionCookies(res) {
+  return res
+    .clearCookie("authToken", { path: "/" })
+    .clearCookie("refreshToken", { path: "/" });
+}
+
+// Admin fields of a session row, as req.user and the login response
+const sessionUser = (session) => ({
+  admin_id: session.admin_id,
+  username: session.username,
+  full_name: session.full_name,
+  email: session.email,
+  role: session.role,
+  locale: session.locale || null,
+  session_id: session.session_id,
+});
+
+module.exports = {
+  sessionMinutes,
+  newRefreshToken,
+  hashRefreshToken,
+  verifyAccessToken,
+  setSessionCookies,
+  clearSessionCookies,
+  sessionUser,
+};
@@ -0,0 +1,33 @@
+// ISO weekday helpers (1 = Monday ... 7 = Sunday), matching WEEKDAY() + 1 in SQL
+
+const WEEKDAY_NAMES = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+];
+
+// Accepts ISO weekday numbers or day names (full or 3-letter),
+// as an array or a comma separated string. Returns sorted numbers or null.
+function parseWeekdays(input) {
+  if (input === undefined || input === null || input === "") return null;
+  const items = Array.isArray(input) ? input : String(input).split(",");
+  const days = new Set();
+  for (const item of items) {
+    const value = String(item).trim().toLowerCase();
+    const byName = WEEKDAY_NAMES.findIndex(
+      (name) => name === value || name.slice(0, 3) === value
+    );
+    let day = null;
+    if (byName >= 0) day = byName + 1;
+    else if (/^[1-7]$/.test(value)) day = parseInt(value);
+    if (!day) return null;
+    days.add(day);
+  }
+  return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+}
+
+module.exports = { WEEKDAY_NAMES, parseWeekdays };